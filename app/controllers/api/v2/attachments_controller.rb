@@ -6,6 +6,8 @@ class Api::V2::AttachmentsController < Api::V2::RecordResourceController
 
   def create
     authorize_attach!(attachment_params[:field_name])
+    return render('chunk', status: 202) unless chunks_complete?
+
     @attachment = Attachment.new(attachment_params)
     @attachment.attach!
     updates_for_record(@record)
@@ -38,6 +40,20 @@ class Api::V2::AttachmentsController < Api::V2::RecordResourceController
     raise Errors::ForbiddenOperation unless permitted_fields.include?(field_name)
   end
 
+  # Large files can be sent as a sequence of base64 chunks sharing an upload_id.
+  # The attachment is only created once the last chunk is received.
+  def chunks_complete?
+    chunk_params = params.require(:data).permit(:upload_id, :chunk_index, :chunk_total)
+    return true if chunk_params[:upload_id].blank?
+
+    @chunks = AttachmentChunkService.new(chunk_params[:upload_id], chunk_params[:chunk_total], current_user, @record)
+    @chunks.store(chunk_params[:chunk_index], attachment_params[:attachment])
+    return false unless @chunks.complete?
+
+    attachment_params[:attachment] = @chunks.assemble
+    true
+  end
+
   def attachment_params
     return @attachment_params if @attachment_params
 
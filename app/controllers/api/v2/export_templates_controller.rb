@@ -0,0 +1,40 @@
+# frozen_string_literal: true
+
+module Api::V2
+  # API endpoint for the custom export selections saved by the current user
+  class ExportTemplatesController < ApplicationApiController
+    include Api::V2::Concerns::Pagination
+
+    def index
+      authorize! :index, ExportTemplate
+      templates = ExportTemplate.where(user: current_user).where(template_filters).order(:name)
+      @total = templates.size
+      @export_templates = templates.paginate(pagination)
+    end
+
+    def create
+      authorize! :create, ExportTemplate
+      @export_template = ExportTemplate.new_with_user(current_user, export_template_params)
+      @export_template.save!
+    end
+
+    def destroy
+      @export_template = ExportTemplate.find(params[:id])
+      authorize! :write, @export_template
+      @export_template.destroy!
+    end
+
+    protected
+
+    def export_template_params
+      @export_template_params ||= params.require(:data).permit(
+        :name, :record_type, :export_format, :flatten_subforms,
+        form_unique_ids: [], field_names: []
+      )
+    end
+
+    def template_filters
+      params.permit(:record_type)
+    end
+  end
+end
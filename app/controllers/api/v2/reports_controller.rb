@@ -1,6 +1,7 @@
 module Api::V2
   class ReportsController < ApplicationApiController
     include Concerns::Pagination
+    before_action :load_report, only: %i[show update destroy]
 
     def index
       authorize! :index, Report
@@ -10,18 +11,67 @@ module Api::V2
     end
 
     def show
-      @report = Report.find(params[:id])
       authorize! :read_reports, @report
       @report.permission_filter = report_permission_filter(current_user)
+      @report.runtime_filters = runtime_filters
       @report.build_report
     end
 
+    def create
+      authorize! :create, Report
+      @report = Report.new_with_properties(report_params)
+      @report.save!
+    end
+
+    def update
+      authorize! :update, @report
+      raise Errors::ForbiddenOperation unless @report.editable
+
+      @report.update_properties(report_params)
+      @report.save!
+    end
+
+    def destroy
+      authorize! :destroy, @report
+      raise Errors::ForbiddenOperation unless @report.editable
+
+      @report.destroy!
+    end
+
+    def preview
+      authorize! :create, Report
+      @report = Report.new_with_properties(report_params)
+      @report.permission_filter = report_permission_filter(current_user)
+      @report.build_report
+      render :show
+    end
+
     private
 
+    def report_params
+      params.require(:data).permit(
+        :record_type, :module_id, :graph, :graph_type, :group_ages, :group_dates_by, :aggregate_counts_from,
+        name: {}, description: {}, aggregate_by: [], disaggregate_by: [],
+        filters: [:attribute, :constraint, :value, { value: [] }]
+      )
+    end
+
+    def load_report
+      @report = Report.find(params[:id])
+    end
+
+    # The filters chosen when viewing the report, they are not saved
+    def runtime_filters
+      filter_params = params[:filters]
+      return unless filter_params.is_a?(ActionController::Parameters)
+
+      Report.filters_from_params(filter_params.to_unsafe_h)
+    end
+
     def report_permission_filter(user)
       unless can?(:read, @report)
         { "attribute" => "owned_by_groups", "value" => user.user_group_ids }
       end
     end
   end
-end
\ No newline at end of file
+end
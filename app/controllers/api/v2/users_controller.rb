@@ -33,6 +33,18 @@ module Api::V2
       render :create, status: status
     end
 
+    def import
+      authorize! :create, User
+      @users = import_params.map { |user_params| User.new(user_params) }
+      @errors = save_all(@users)
+      return render('api/v2/errors/errors', status: 422) if @errors.present?
+
+      @users.each do |user|
+        user.send_welcome_email(current_user)
+        user.identity_sync(current_user)
+      end
+    end
+
     def update
       authorize! :disable, @user if @user_params.include?('disabled')
       authorize! :edit_user, @user
@@ -51,6 +63,28 @@ module Api::V2
       @user_params = params.require(:data).permit(User.permitted_api_params)
     end
 
+    def import_params
+      params.require(:data).map { |user_params| user_params.permit(User.permitted_api_params) }
+    end
+
+    # Saves every user or none of them. The errors keep the position of the invalid users.
+    def save_all(users)
+      errors = []
+      User.transaction do
+        users.each_with_index do |user, index|
+          next if user.save
+
+          errors += user.errors.messages.map do |field_name, message|
+            ApplicationError.new(
+              code: 422, message: message, resource: request.path, detail: field_name.to_s, row: index
+            )
+          end
+        end
+        raise ActiveRecord::Rollback if errors.present?
+      end
+      errors
+    end
+
     def load_user
       @user = User.includes(:role).joins(:role).find(params[:id])
     end
@@ -20,6 +20,7 @@ const ActionDialog = ({
   open,
   successHandler,
   cancelHandler,
+  cancelButtonLabel,
   dialogTitle,
   dialogSubtitle,
   dialogText,
@@ -107,7 +108,7 @@ const ActionDialog = ({
           {submitButton}
           {cancelHandler ? (
             <Button onClick={cancelHandler} color="primary">
-              {i18n.t("cancel")}
+              {cancelButtonLabel || i18n.t("cancel")}
             </Button>
           ) : null}
         </DialogActions>
@@ -123,6 +124,7 @@ ActionDialog.defaultProps = {
 };
 
 ActionDialog.propTypes = {
+  cancelButtonLabel: PropTypes.string,
   cancelHandler: PropTypes.func,
   children: PropTypes.oneOfType([
     PropTypes.arrayOf(PropTypes.node),
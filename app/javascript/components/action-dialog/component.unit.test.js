@@ -93,4 +93,14 @@ describe("<ActionDialog />", () => {
 
     expect(componentWithoutSubtitle.find(DialogTitle).text()).to.be.empty;
   });
+
+  it("should render the label of the cancel button", () => {
+    const { component: componentWithLabel } = setupMountedComponent(
+      ActionDialog,
+      { ...props, cancelButtonLabel: "Discard" },
+      {}
+    );
+
+    expect(componentWithLabel.find(Button).last().text()).to.equal("Discard");
+  });
 });
@@ -9,6 +9,7 @@ export { ApplicationProvider, useApp } from "./provider";
 export { default as reducer } from "./reducer";
 export {
   getEnabledAgencies,
+  getMapTilesConfig,
   getResourceActions,
   getSystemPermissions,
   selectAgencies,
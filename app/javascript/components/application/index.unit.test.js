@@ -10,6 +10,7 @@ describe("<Application /> - index", () => {
       "fetchSystemPermissions",
       "fetchSystemSettings",
       "getEnabledAgencies",
+      "getMapTilesConfig",
       "getResourceActions",
       "getSystemPermissions",
       "loadApplicationResources",
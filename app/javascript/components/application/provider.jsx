@@ -50,9 +50,11 @@ const ApplicationProvider = ({ children }) => {
   }, []);
 
   useEffect(() => {
-    if (online && authenticated) {
-      Queue.ready = online && authenticated;
+    Queue.ready = online && authenticated;
+
+    if (Queue.ready) {
       Queue.dispatch = dispatch;
+      Queue.start();
     }
   }, [online, authenticated]);
 
@@ -21,8 +21,10 @@ const reducer = (state = DEFAULT_STATE, { type, payload }) => {
         default_locale: defaultLocale,
         base_language: baseLanguage,
         primero_version: primeroVersion,
-        reporting_location_config: reportingLocationConfig
+        reporting_location_config: reportingLocationConfig,
+        system_options: systemOptions
       } = payload;
+      const { map_tiles: mapTiles } = systemOptions || {};
 
       return state.merge(
         fromJS({
@@ -32,7 +34,8 @@ const reducer = (state = DEFAULT_STATE, { type, payload }) => {
           defaultLocale,
           baseLanguage,
           primeroVersion,
-          reportingLocationConfig
+          reportingLocationConfig,
+          mapTiles: mapTiles || {}
         })
       );
     }
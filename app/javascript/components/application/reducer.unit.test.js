@@ -64,6 +64,10 @@ describe("Application - Reducers", () => {
         label_key: "district",
         admin_level: 2,
         field_key: "owned_by_location"
+      },
+      mapTiles: {
+        url: "https://tiles.primero.org/{z}/{x}/{y}.png",
+        offline_levels: 2
       }
     });
 
@@ -109,6 +113,12 @@ describe("Application - Reducers", () => {
           label_key: "district",
           admin_level: 2,
           field_key: "owned_by_location"
+        },
+        system_options: {
+          map_tiles: {
+            url: "https://tiles.primero.org/{z}/{x}/{y}.png",
+            offline_levels: 2
+          }
         }
       }
     };
@@ -48,6 +48,9 @@ export const selectNetworkStatus = state =>
 export const getReportingLocationConfig = state =>
   state.getIn([NAMESPACE, "reportingLocationConfig"], fromJS({}));
 
+export const getMapTilesConfig = state =>
+  state.getIn([NAMESPACE, "mapTiles"], fromJS({}));
+
 export const getAgencyLogos = state =>
   state.getIn(["records", "support", "data", "agencies"], fromJS([]));
 
@@ -66,6 +66,10 @@ const stateWithRecords = fromJS({
       admin_level: 2,
       field_key: "owned_by_location"
     },
+    mapTiles: {
+      url: "https://tiles.primero.org/{z}/{x}/{y}.png",
+      offline_levels: 2
+    },
     permissions: fromJS({
       management: [GROUP_PERMISSIONS.SELF],
       resource_actions: { case: [ACTIONS.READ] }
@@ -168,6 +172,21 @@ describe("Application - Selectors", () => {
     });
   });
 
+  describe("getMapTilesConfig", () => {
+    it("should return the config of the tile server", () => {
+      expect(selectors.getMapTilesConfig(stateWithRecords)).to.deep.equal(
+        fromJS({
+          url: "https://tiles.primero.org/{z}/{x}/{y}.png",
+          offline_levels: 2
+        })
+      );
+    });
+
+    it("should return an empty config when the tile server is not set", () => {
+      expect(selectors.getMapTilesConfig(fromJS({}))).to.be.empty;
+    });
+  });
+
   describe("getSystemPermissions", () => {
     it("should return the system permissions", () => {
       const selector = selectors.getSystemPermissions(stateWithRecords);
@@ -4,9 +4,18 @@ import React, { useEffect } from "react";
 import PropTypes from "prop-types";
 import makeStyles from "@material-ui/styles/makeStyles";
 
+import { buildClickOptions, formatPercentage } from "../utils";
+
 import styles from "./styles.css";
 
-const BarChart = ({ data, description, showDetails }) => {
+const BarChart = ({
+  data,
+  description,
+  onElementClick,
+  percentage,
+  showDetails,
+  stacked
+}) => {
   const css = makeStyles(styles)();
   const chartRef = React.createRef();
 
@@ -23,6 +32,7 @@ const BarChart = ({ data, description, showDetails }) => {
           duration: 0
         },
         maintainAspectRatio: false,
+        ...buildClickOptions(onElementClick),
         legend: {
           display: showDetails
         },
@@ -36,7 +46,9 @@ const BarChart = ({ data, description, showDetails }) => {
                 value = "0";
               }
 
-              return `${label}: ${value}`;
+              return `${label}: ${
+                percentage ? formatPercentage(value) : value
+              }`;
             }
           }
         },
@@ -44,16 +56,19 @@ const BarChart = ({ data, description, showDetails }) => {
           yAxes: [
             {
               display: showDetails,
+              stacked,
               ticks: {
                 beginAtZero: true,
                 min: 0,
-                suggestedMin: 0
+                suggestedMin: 0,
+                ...(percentage && { max: 100, callback: formatPercentage })
               }
             }
           ],
           xAxes: [
             {
               display: showDetails,
+              stacked,
               min: 0,
               suggestedMin: 0,
               ticks: {
@@ -87,13 +102,18 @@ const BarChart = ({ data, description, showDetails }) => {
 BarChart.displayName = "BarChart";
 
 BarChart.defaultProps = {
-  showDetails: false
+  percentage: false,
+  showDetails: false,
+  stacked: false
 };
 
 BarChart.propTypes = {
   data: PropTypes.object,
   description: PropTypes.string,
-  showDetails: PropTypes.bool
+  onElementClick: PropTypes.func,
+  percentage: PropTypes.bool,
+  showDetails: PropTypes.bool,
+  stacked: PropTypes.bool
 };
 
 export default BarChart;
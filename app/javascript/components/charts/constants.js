@@ -0,0 +1,17 @@
+// Okabe-Ito palette, its colors can be told apart with the most common types of
+// color blindness. The black of the palette is replaced by a grey.
+export const CHART_COLORS = Object.freeze([
+  "#0072B2",
+  "#E69F00",
+  "#009E73",
+  "#CC79A7",
+  "#56B4E9",
+  "#D55E00",
+  "#F0E442",
+  "#999999"
+]);
+
+// Share of white mixed with the palette every time its colors are used again
+export const TINT_STEP = 0.35;
+
+export const MAX_TINT = 0.7;
@@ -0,0 +1,18 @@
+import * as constants from "./constants";
+
+describe("charts - Constants", () => {
+  it("should have known properties", () => {
+    const clonedConstants = { ...constants };
+
+    ["CHART_COLORS", "MAX_TINT", "TINT_STEP"].forEach(property => {
+      expect(clonedConstants).to.have.property(property);
+      delete clonedConstants[property];
+    });
+
+    expect(clonedConstants).to.be.empty;
+  });
+
+  it("has a palette for more than seven series", () => {
+    expect(constants.CHART_COLORS.length).to.be.above(7);
+  });
+});
@@ -1,2 +1,5 @@
 export { default as BarChart } from "./bar-chart";
+export { default as LineChart } from "./line-chart";
+export { default as PieChart } from "./pie-chart";
 export { default as TableValues } from "./table-values";
+export { getChartColor } from "./utils";
@@ -0,0 +1,61 @@
+import Box from "@material-ui/core/Box";
+import Chart from "chart.js";
+import React, { useEffect } from "react";
+import PropTypes from "prop-types";
+import makeStyles from "@material-ui/styles/makeStyles";
+
+import { buildClickOptions } from "../utils";
+
+import styles from "./styles.css";
+
+const PieChart = ({ data, description, onElementClick, showDetails }) => {
+  const css = makeStyles(styles)();
+  const chartRef = React.createRef();
+
+  useEffect(() => {
+    const chartCtx = chartRef.current.getContext("2d");
+
+    const chartInstance = new Chart(chartCtx, {
+      type: "pie",
+      data,
+      options: {
+        responsive: true,
+        animation: {
+          duration: 0
+        },
+        maintainAspectRatio: false,
+        ...buildClickOptions(onElementClick),
+        legend: {
+          display: showDetails,
+          position: "right"
+        }
+      }
+    });
+
+    return () => {
+      chartInstance.destroy();
+    };
+  });
+
+  return (
+    <Box>
+      {!showDetails ? <p className={css.description}>{description}</p> : null}
+      <canvas ref={chartRef} height={!showDetails ? null : 400} />
+    </Box>
+  );
+};
+
+PieChart.displayName = "PieChart";
+
+PieChart.defaultProps = {
+  showDetails: false
+};
+
+PieChart.propTypes = {
+  data: PropTypes.object,
+  description: PropTypes.string,
+  onElementClick: PropTypes.func,
+  showDetails: PropTypes.bool
+};
+
+export default PieChart;
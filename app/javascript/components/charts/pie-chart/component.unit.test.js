@@ -0,0 +1,18 @@
+import { setupMountedThemeComponent } from "../../../test";
+
+import PieChart from "./component";
+
+describe("<PieChart />", () => {
+  it("renders a canvas and the description", () => {
+    const component = setupMountedThemeComponent(PieChart, {
+      data: {
+        labels: ["Jan-2020", "Feb-2020"],
+        datasets: [{ label: "Total", data: [1, 2] }]
+      },
+      description: "Cases by month"
+    });
+
+    expect(component.find("p").text()).to.equal("Cases by month");
+    expect(component.find("canvas")).to.have.lengthOf(1);
+  });
+});
@@ -12,28 +12,53 @@ import makeStyles from "@material-ui/styles/makeStyles";
 
 import styles from "./styles.css";
 
-const TableValues = ({ columns, values }) => {
+const TableValues = ({ columns, values, onCellClick }) => {
   const css = makeStyles(styles)();
 
+  const cellProps = (path, column, value) =>
+    onCellClick && column > 0 && value !== "" && value !== null
+      ? {
+          className: css.clickableCell,
+          onClick: () => onCellClick(path, columns[column])
+        }
+      : {};
+
   // eslint-disable-next-line react/no-multi-comp, react/display-name
-  const singleRowRender = rowValues => (
+  const singleRowRender = (rowValues, path) => (
     <TableRow
       key={`${rowValues[0]}-${Math.floor(Math.random() * 100 + 1)}-data`}
     >
-      {rowValues.map(row => (
-        <TableCell key={`${row}-${Math.floor(Math.random() * 100 + 1)}-value`}>
+      {rowValues.map((row, index) => (
+        <TableCell
+          key={`${row}-${Math.floor(Math.random() * 100 + 1)}-value`}
+          {...cellProps(path, index, row)}
+        >
           {row}
         </TableCell>
       ))}
     </TableRow>
   );
 
-  const rowRender = rowValues => {
+  // A nested array holds the rows below the row that precedes it, the path of a
+  // row are the labels of all its parents and its own.
+  const rowRender = (rowValues, parentPath = []) => {
     if (Array.isArray(rowValues[0])) {
-      return rowValues.map(row => rowRender(row));
+      let lastPath = parentPath;
+
+      return rowValues.map(row => {
+        if (Array.isArray(row[0]) || !row.length) {
+          return rowRender(row, lastPath);
+        }
+
+        lastPath = [...parentPath, row[0]];
+
+        return rowRender(row, parentPath);
+      });
     }
 
-    return singleRowRender(rowValues);
+    return rowValues.length
+      ? singleRowRender(rowValues, [...parentPath, rowValues[0]])
+      : null;
   };
 
   return (
@@ -56,6 +81,7 @@ TableValues.displayName = "TableValues";
 
 TableValues.propTypes = {
   columns: PropTypes.array,
+  onCellClick: PropTypes.func,
   values: PropTypes.array
 };
 
@@ -1,5 +1,6 @@
 import { fromJS } from "immutable";
-import { TableRow } from "@material-ui/core";
+import { TableCell, TableRow } from "@material-ui/core";
+import sinon from "sinon";
 
 import { buildDataForTable } from "../../pages/report/utils";
 import { setupMountedThemeComponent } from "../../../test";
@@ -61,4 +62,21 @@ describe("<TableValues />", () => {
 
     expect(component.find(TableRow)).to.have.lengthOf(6);
   });
+
+  it("calls onCellClick with the path of the row and the column of a value", () => {
+    const onCellClick = sinon.spy();
+    const component = setupMountedThemeComponent(TableValues, {
+      columns: ["", "uk", "Total"],
+      values: [["female", "", 2], [["0-5", 2, 2]], ["male", "", 0], [[]]],
+      onCellClick
+    });
+
+    // The header cells come first, the empty value and the label of a row
+    // can not be clicked.
+    component.find(TableCell).at(4).simulate("click");
+    component.find(TableCell).at(6).simulate("click");
+    component.find(TableCell).at(7).simulate("click");
+
+    expect(onCellClick).to.have.been.calledOnceWith(["female", "0-5"], "uk");
+  });
 });
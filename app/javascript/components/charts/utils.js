@@ -0,0 +1,45 @@
+import { CHART_COLORS, MAX_TINT, TINT_STEP } from "./constants";
+
+const tint = (hexColor, amount) => {
+  const channels = [1, 3, 5].map(start =>
+    parseInt(hexColor.substring(start, start + 2), 16)
+  );
+
+  return `#${channels
+    .map(channel =>
+      Math.round(channel + (255 - channel) * amount)
+        .toString(16)
+        .padStart(2, "0")
+    )
+    .join("")}`;
+};
+
+// The palette is repeated with lighter shades when there are more series than
+// colors.
+export const getChartColor = index => {
+  const color = CHART_COLORS[index % CHART_COLORS.length];
+  const round = Math.floor(index / CHART_COLORS.length);
+
+  return round ? tint(color, Math.min(round * TINT_STEP, MAX_TINT)) : color;
+};
+
+export const formatPercentage = value => `${value}%`;
+
+// Chart.js calls the handlers of the events with the chart as this, the
+// clicked element is the bar, point or slice under the pointer.
+export const buildClickOptions = onElementClick =>
+  onElementClick
+    ? {
+        onClick(event) {
+          const [element] = this.getElementAtEvent(event);
+
+          if (element) {
+            onElementClick(element._index, element._datasetIndex);
+          }
+        },
+        onHover(event, elements) {
+          // eslint-disable-next-line no-param-reassign
+          event.target.style.cursor = elements.length ? "pointer" : "default";
+        }
+      }
+    : {};
@@ -0,0 +1,56 @@
+import sinon from "sinon";
+
+import * as utils from "./utils";
+import { CHART_COLORS } from "./constants";
+
+describe("charts - utils", () => {
+  it("should have known exports", () => {
+    const clone = { ...utils };
+
+    ["buildClickOptions", "formatPercentage", "getChartColor"].forEach(
+      property => {
+        expect(clone).to.have.property(property);
+        delete clone[property];
+      }
+    );
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("getChartColor", () => {
+    it("returns the colors of the palette", () => {
+      expect(utils.getChartColor(0)).to.equal(CHART_COLORS[0]);
+      expect(utils.getChartColor(7)).to.equal(CHART_COLORS[7]);
+    });
+
+    it("returns lighter colors once the palette is used", () => {
+      expect(utils.getChartColor(8)).to.equal("#59a3cd");
+      expect(utils.getChartColor(24)).to.equal(utils.getChartColor(16));
+      expect(utils.getChartColor(16)).to.not.equal(utils.getChartColor(8));
+    });
+  });
+
+  describe("formatPercentage", () => {
+    it("adds the percent sign", () => {
+      expect(utils.formatPercentage(25.5)).to.equal("25.5%");
+    });
+  });
+
+  describe("buildClickOptions", () => {
+    it("calls onElementClick with the indexes of the clicked element", () => {
+      const onElementClick = sinon.spy();
+      const { onClick } = utils.buildClickOptions(onElementClick);
+      const chart = {
+        getElementAtEvent: () => [{ _index: 2, _datasetIndex: 1 }]
+      };
+
+      onClick.call(chart, {});
+
+      expect(onElementClick).to.have.been.calledOnceWith(2, 1);
+    });
+
+    it("returns no options without onElementClick", () => {
+      expect(utils.buildClickOptions()).to.be.empty;
+    });
+  });
+});
@@ -11,6 +11,7 @@ import SelectInput from "../fields/select-input";
 import ErrorField from "../fields/error-field";
 import {
   CHECK_BOX_FIELD,
+  CHECK_BOX_MATRIX_FIELD,
   ERROR_FIELD,
   LABEL_FIELD,
   PHOTO_FIELD,
@@ -18,6 +19,7 @@ import {
   TICK_FIELD
 } from "../constants";
 import CheckboxInput from "../fields/checkbox-input";
+import CheckboxMatrix from "../fields/checkbox-matrix";
 import AttachmentInput from "../fields/attachment-input";
 import Label from "../fields/label";
 import { getOptions } from "../selectors";
@@ -41,6 +43,9 @@ const FormSectionField = ({ checkErrors, field }) => {
     handleWatchedInputs,
     inlineCheckboxes,
     freeSolo,
+    groupBy,
+    matrixRows,
+    comparedValues,
     check_errors: fieldCheckErrors
   } = field;
   const i18n = useI18n();
@@ -63,7 +68,8 @@ const FormSectionField = ({ checkErrors, field }) => {
   );
 
   const watchedInputsValues = watchedInputs ? watch(watchedInputs) : null;
-  const watchedInputProps = handleWatchedInputs
+  // The watched inputs can also hide the field with a visible prop
+  const { visible, ...watchedInputProps } = handleWatchedInputs
     ? handleWatchedInputs(watchedInputsValues, name, { error })
     : {};
 
@@ -95,7 +101,10 @@ const FormSectionField = ({ checkErrors, field }) => {
     password,
     multiSelect,
     inlineCheckboxes,
-    freeSolo
+    freeSolo,
+    groupBy,
+    matrixRows,
+    comparedValues
   };
 
   const Field = (fieldType => {
@@ -104,6 +113,8 @@ const FormSectionField = ({ checkErrors, field }) => {
         return SwitchInput;
       case CHECK_BOX_FIELD:
         return CheckboxInput;
+      case CHECK_BOX_MATRIX_FIELD:
+        return CheckboxMatrix;
       case SELECT_FIELD:
         return SelectInput;
       case PHOTO_FIELD:
@@ -117,6 +128,10 @@ const FormSectionField = ({ checkErrors, field }) => {
     }
   })(type);
 
+  if (visible === false) {
+    return null;
+  }
+
   return (
     <div>
       {(hideOnShow && formMode.get("isShow")) || (
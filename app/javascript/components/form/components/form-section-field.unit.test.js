@@ -44,4 +44,16 @@ describe("<Form /> - components/<FormSectionField />", () => {
 
     expect(component.find(Alert)).to.be.empty;
   });
+
+  it("does not render a field hidden by the watched inputs", () => {
+    const field = FieldRecord({
+      name: "test_field",
+      type: "text_field",
+      watchedInputs: "other_field",
+      handleWatchedInputs: () => ({ visible: false })
+    });
+    const { component } = setupMockFormComponent(FormSectionField, { field });
+
+    expect(component.exists("input[name='test_field']")).to.be.false;
+  });
 });
@@ -7,6 +7,7 @@ describe("<Form /> - Constants", () => {
     expect(clonedConstants).to.be.an("object");
     [
       "CHECK_BOX_FIELD",
+      "CHECK_BOX_MATRIX_FIELD",
       "ERROR_FIELD",
       "FORM_MODE_DIALOG",
       "FORM_MODE_EDIT",
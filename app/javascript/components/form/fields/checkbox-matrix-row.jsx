@@ -0,0 +1,100 @@
+import React from "react";
+import PropTypes from "prop-types";
+import clsx from "clsx";
+import { Checkbox, TableCell, TableRow } from "@material-ui/core";
+import { makeStyles } from "@material-ui/styles";
+
+import { useI18n } from "../../i18n";
+import { optionText } from "../utils/which-options";
+
+import styles from "./styles.css";
+
+const CheckboxMatrixRow = ({
+  columns,
+  comparedValue,
+  disabled,
+  onChange,
+  row,
+  value
+}) => {
+  const css = makeStyles(styles)();
+  const i18n = useI18n();
+  const selected = value || [];
+  const allowed = columns
+    .map(column => column.id)
+    .filter(id => row.options.includes(id));
+  const allSelected =
+    allowed.length > 0 && allowed.every(id => selected.includes(id));
+  const rowLabel = optionText(row, i18n.locale);
+
+  // Only highlighted while comparing against other values
+  const isDifferent = id =>
+    Boolean(comparedValue) &&
+    comparedValue.includes(id) !== selected.includes(id);
+
+  const handleChange = id =>
+    onChange(
+      selected.includes(id)
+        ? selected.filter(selectedId => selectedId !== id)
+        : [...selected, id]
+    );
+
+  const handleRowChange = () => onChange(allSelected ? [] : allowed);
+
+  return (
+    <TableRow>
+      <TableCell
+        component="th"
+        scope="row"
+        padding="none"
+        className={clsx(css.matrixRowHeader, {
+          [css.matrixDifference]: allowed.some(isDifferent)
+        })}
+      >
+        <Checkbox
+          checked={allSelected}
+          indeterminate={!allSelected && selected.length > 0}
+          onChange={handleRowChange}
+          disabled={disabled}
+          inputProps={{ "aria-label": rowLabel }}
+        />
+        {rowLabel}
+      </TableCell>
+      {columns.map(column => (
+        <TableCell
+          key={`${row.id}-${column.id}`}
+          padding="checkbox"
+          className={clsx({ [css.matrixDifference]: isDifferent(column.id) })}
+        >
+          {row.options.includes(column.id) && (
+            <Checkbox
+              value={column.id}
+              checked={selected.includes(column.id)}
+              onChange={() => handleChange(column.id)}
+              disabled={disabled}
+              inputProps={{
+                "aria-label": `${rowLabel} ${optionText(column, i18n.locale)}`
+              }}
+            />
+          )}
+        </TableCell>
+      ))}
+    </TableRow>
+  );
+};
+
+CheckboxMatrixRow.displayName = "CheckboxMatrixRow";
+
+CheckboxMatrixRow.propTypes = {
+  columns: PropTypes.array.isRequired,
+  comparedValue: PropTypes.array,
+  disabled: PropTypes.bool,
+  onChange: PropTypes.func.isRequired,
+  row: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    options: PropTypes.array.isRequired
+  }).isRequired,
+  value: PropTypes.any
+};
+
+export default CheckboxMatrixRow;
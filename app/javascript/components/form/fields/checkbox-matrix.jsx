@@ -0,0 +1,139 @@
+import React from "react";
+import PropTypes from "prop-types";
+import {
+  Checkbox,
+  FormControl,
+  FormHelperText,
+  FormLabel,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow
+} from "@material-ui/core";
+import { makeStyles } from "@material-ui/styles";
+import { Controller, useFormContext } from "react-hook-form";
+
+import { useI18n } from "../../i18n";
+import { optionText } from "../utils/which-options";
+
+import CheckboxMatrixRow from "./checkbox-matrix-row";
+import styles from "./styles.css";
+
+// Every row is stored as the array of the selected columns under
+// `name[row.id]`, the same value a check_boxes field would have.
+const CheckboxMatrix = ({ commonInputProps, options, metaInputProps }) => {
+  const css = makeStyles(styles)();
+  const i18n = useI18n();
+  const { setValue, watch } = useFormContext();
+  const {
+    name,
+    disabled,
+    error,
+    required,
+    label,
+    helperText
+  } = commonInputProps;
+  const { matrixRows, comparedValues } = metaInputProps;
+  const rows = matrixRows || [];
+  const columns = (options || []).filter(column =>
+    rows.some(row => row.options.includes(column.id))
+  );
+
+  const rowName = row => `${name}[${row.id}]`;
+  const values = watch(rows.map(rowName));
+  const rowValue = row => values[rowName(row)] || [];
+
+  const columnRows = column =>
+    rows.filter(row => row.options.includes(column.id));
+  const selectedInColumn = column =>
+    columnRows(column).filter(row => rowValue(row).includes(column.id));
+
+  const handleColumnChange = column => {
+    const allSelected =
+      selectedInColumn(column).length === columnRows(column).length;
+
+    columnRows(column).forEach(row => {
+      const others = rowValue(row).filter(id => id !== column.id);
+
+      setValue(rowName(row), allSelected ? others : [...others, column.id]);
+    });
+  };
+
+  // eslint-disable-next-line react/no-multi-comp, react/display-name
+  const renderColumnHeader = column => {
+    const selectedRows = selectedInColumn(column).length;
+    const allSelected = selectedRows === columnRows(column).length;
+    const columnLabel = optionText(column, i18n.locale);
+
+    return (
+      <TableCell
+        key={column.id}
+        padding="checkbox"
+        className={css.matrixColumnHeader}
+      >
+        <span>{columnLabel}</span>
+        <Checkbox
+          checked={allSelected}
+          indeterminate={!allSelected && selectedRows > 0}
+          onChange={() => handleColumnChange(column)}
+          disabled={disabled}
+          inputProps={{ "aria-label": columnLabel }}
+        />
+      </TableCell>
+    );
+  };
+
+  return (
+    <FormControl component="fieldset" error={error} fullWidth>
+      <FormLabel required={required}>{label}</FormLabel>
+      <div className={css.matrixContainer}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell className={css.matrixRowHeader} />
+              {columns.map(renderColumnHeader)}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.map(row => (
+              <Controller
+                key={row.id}
+                name={rowName(row)}
+                as={CheckboxMatrixRow}
+                row={row}
+                columns={columns}
+                comparedValue={
+                  comparedValues ? comparedValues[row.id] || [] : null
+                }
+                disabled={disabled}
+                defaultValue={[]}
+              />
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+      <FormHelperText>{helperText}</FormHelperText>
+    </FormControl>
+  );
+};
+
+CheckboxMatrix.displayName = "CheckboxMatrix";
+
+CheckboxMatrix.propTypes = {
+  commonInputProps: PropTypes.shape({
+    disabled: PropTypes.bool,
+    error: PropTypes.bool,
+    helperText: PropTypes.string,
+    label: PropTypes.string,
+    name: PropTypes.string.isRequired,
+    required: PropTypes.bool
+  }),
+  metaInputProps: PropTypes.shape({
+    comparedValues: PropTypes.object,
+    matrixRows: PropTypes.array
+  }),
+  options: PropTypes.array
+};
+
+export default CheckboxMatrix;
@@ -0,0 +1,108 @@
+import { FieldRecord } from "../records";
+import { setupMockFieldComponent } from "../../../test";
+
+import CheckboxMatrix from "./checkbox-matrix";
+import CheckboxMatrixRow from "./checkbox-matrix-row";
+
+describe("<Form /> - fields/<CheckboxMatrix />", () => {
+  const options = [
+    { id: "read", display_text: "Read" },
+    { id: "write", display_text: "Write" },
+    { id: "unused", display_text: "Unused" }
+  ];
+  const matrixRows = [
+    { id: "case", display_text: "Case", options: ["read", "write"] },
+    { id: "report", display_text: "Report", options: ["read"] }
+  ];
+
+  const setup = (metaInputProps = {}) =>
+    setupMockFieldComponent(
+      CheckboxMatrix,
+      FieldRecord,
+      { name: "permissions" },
+      { options, disabled: false },
+      { matrixRows, ...metaInputProps }
+    ).component;
+
+  const formValues = component =>
+    component.find("FormContext").props().getValues();
+
+  it("renders a row for every matrix row", () => {
+    const component = setup();
+
+    expect(component.find(CheckboxMatrixRow)).to.have.lengthOf(2);
+  });
+
+  it("renders the columns used by the rows with a toggle", () => {
+    const component = setup();
+
+    expect(component.find("thead input")).to.have.lengthOf(2);
+    expect(component.find("thead").text()).to.not.include("Unused");
+  });
+
+  it("renders a checkbox for the columns allowed in every row", () => {
+    const component = setup();
+
+    expect(component.find("tbody input")).to.have.lengthOf(5);
+  });
+
+  it("selects a cell", () => {
+    const component = setup();
+
+    component
+      .find("tbody input[value='write']")
+      .simulate("change", { target: { checked: true } });
+
+    expect(formValues(component)["permissions[case]"]).to.deep.equal(["write"]);
+  });
+
+  it("selects the whole row", () => {
+    const component = setup();
+
+    component
+      .find("tbody tr")
+      .at(0)
+      .find("input")
+      .at(0)
+      .simulate("change", { target: { checked: true } });
+
+    expect(formValues(component)["permissions[case]"]).to.deep.equal([
+      "read",
+      "write"
+    ]);
+  });
+
+  it("selects the whole column", () => {
+    const component = setup();
+
+    component
+      .find("thead input")
+      .at(0)
+      .simulate("change", { target: { checked: true } });
+
+    expect(formValues(component)).to.deep.equal({
+      "permissions[case]": ["read"],
+      "permissions[report]": ["read"]
+    });
+  });
+
+  it("passes the compared values to the rows", () => {
+    const component = setup({
+      comparedValues: { case: ["read"] }
+    });
+
+    expect(
+      component.find(CheckboxMatrixRow).at(0).props().comparedValue
+    ).to.deep.equal(["read"]);
+    expect(
+      component.find(CheckboxMatrixRow).at(1).props().comparedValue
+    ).to.deep.equal([]);
+  });
+
+  it("does not compare the rows by default", () => {
+    const component = setup();
+
+    expect(component.find(CheckboxMatrixRow).at(0).props().comparedValue).to.be
+      .null;
+  });
+});
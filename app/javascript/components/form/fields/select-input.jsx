@@ -10,7 +10,7 @@ import { Controller } from "react-hook-form";
 const filter = createFilterOptions();
 
 const SelectInput = ({ commonInputProps, metaInputProps, options }) => {
-  const { multiSelect, freeSolo } = metaInputProps;
+  const { multiSelect, freeSolo, groupBy } = metaInputProps;
   const { name, disabled, ...commonProps } = commonInputProps;
   const defaultOption = { id: "", display_text: "" };
 
@@ -39,6 +39,9 @@ const SelectInput = ({ commonInputProps, metaInputProps, options }) => {
       : data?.[1]?.id || null;
   };
 
+  // The options are expected to be sorted by the property of their group
+  const groupOptions = groupBy && { groupBy: option => option[groupBy] };
+
   const optionEquality = (option, value) =>
     option.id === value || option.id === value?.id;
 
@@ -106,6 +109,7 @@ const SelectInput = ({ commonInputProps, metaInputProps, options }) => {
           filterSelectedOptions
           freeSolo={freeSolo}
           {...filterOptions}
+          {...groupOptions}
           renderInput={params => renderTextField(params, commonProps)}
           renderTags={(value, getTagProps) => renderTags(value, getTagProps)}
         />
@@ -1,3 +1,5 @@
+import Autocomplete from "@material-ui/lab/Autocomplete";
+
 import { FieldRecord } from "../records";
 import { setupMockFieldComponent } from "../../../test";
 
@@ -53,4 +55,25 @@ describe("<Form /> - fields/<SelectInput />", () => {
 
     expect(component.find("input").props().autoFocus).to.be.true;
   });
+
+  it("groups the options by a property", () => {
+    const { component } = setupMockFieldComponent(
+      SelectInput,
+      FieldRecord,
+      {},
+      {
+        options: [
+          { id: 1, display_text: "option-1", group: "group-1" },
+          { id: 2, display_text: "option-2", group: "group-2" }
+        ]
+      },
+      { groupBy: "group" }
+    );
+
+    expect(
+      component.find(Autocomplete).props().groupBy({
+        group: "group-1"
+      })
+    ).to.equal("group-1");
+  });
 });
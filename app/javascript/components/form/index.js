@@ -4,8 +4,10 @@ export { default as FormAction } from "./components/form-action";
 export { default as ActionsMenu } from "./components/actions-menu";
 export {
   CHECK_BOX_FIELD,
+  CHECK_BOX_MATRIX_FIELD,
   ERROR_FIELD,
   FORM_MODE_DIALOG,
+  FORM_MODE_NEW,
   LABEL_FIELD,
   PARENT_FORM,
   PHOTO_FIELD,
@@ -15,3 +17,4 @@ export {
   TICK_FIELD
 } from "./constants";
 export { whichFormMode, submitHandler } from "./utils";
+export { getOptions } from "./selectors";
@@ -7,12 +7,15 @@ describe("<Form /> - index", () => {
     [
       "ActionsMenu",
       "CHECK_BOX_FIELD",
+      "CHECK_BOX_MATRIX_FIELD",
       "default",
       "ERROR_FIELD",
       "FORM_MODE_DIALOG",
+      "FORM_MODE_NEW",
       "FieldRecord",
       "FormAction",
       "FormSectionRecord",
+      "getOptions",
       "LABEL_FIELD",
       "PARENT_FORM",
       "PHOTO_FIELD",
@@ -25,6 +25,9 @@ export const FieldRecord = Record({
   hideOnShow: false,
   inlineCheckboxes: false,
   freeSolo: false,
+  groupBy: null,
+  matrixRows: null,
+  comparedValues: null,
   watchedInputs: null,
   handleWatchedInputs: null,
   check_errors: List([])
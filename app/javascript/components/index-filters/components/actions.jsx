@@ -22,22 +22,18 @@ const Actions = ({ handleSave, handleClear }) => {
 
   return (
     <div className={css.actionButtons}>
-      <DisableOffline>
-        <Button
-          type="submit"
-          variant="contained"
-          color="primary"
-          disableElevation
-        >
-          {i18n.t("filters.apply_filters")}
-        </Button>
-      </DisableOffline>
+      <Button
+        type="submit"
+        variant="contained"
+        color="primary"
+        disableElevation
+      >
+        {i18n.t("filters.apply_filters")}
+      </Button>
       {showSave}
-      <DisableOffline>
-        <Button onClick={handleClear} variant="outlined">
-          {i18n.t("filters.clear_filters")}
-        </Button>
-      </DisableOffline>
+      <Button onClick={handleClear} variant="outlined">
+        {i18n.t("filters.clear_filters")}
+      </Button>
     </div>
   );
 };
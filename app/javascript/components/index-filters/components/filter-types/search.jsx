@@ -6,7 +6,6 @@ import SearchIcon from "@material-ui/icons/Search";
 import ClearIcon from "@material-ui/icons/Clear";
 import { makeStyles } from "@material-ui/styles";
 
-import DisableOffline from "../../../disable-offline";
 import { useI18n } from "../../../i18n";
 
 import styles from "./styles.css";
@@ -63,15 +62,13 @@ const Search = ({ handleReset }) => {
   return (
     <div className={css.searchContainer}>
       <div className={css.searchInputContainer}>
-        <DisableOffline>
-          <IconButton
-            className={css.iconSearchButton}
-            aria-label="menu"
-            type="submit"
-          >
-            <SearchIcon />
-          </IconButton>
-        </DisableOffline>
+        <IconButton
+          className={css.iconSearchButton}
+          aria-label="menu"
+          type="submit"
+        >
+          <SearchIcon />
+        </IconButton>
         <InputBase
           id="search-input"
           className={css.searchInput}
@@ -8,6 +8,7 @@ import handleFilterChange, {
 describe("<IndexFilters />/filter-types/value-handlers", () => {
   let methods;
   let filter;
+  let clock;
 
   const i18n = {
     t: value => value
@@ -23,6 +24,14 @@ describe("<IndexFilters />/filter-types/value-handlers", () => {
     };
   });
 
+  // The fake timers would be left installed when the expectation fails
+  afterEach(() => {
+    if (clock) {
+      clock.restore();
+      clock = null;
+    }
+  });
+
   describe("handleFilterChange()", () => {
     it("handles basic inputs", () => {
       methods.value = 2;
@@ -128,7 +137,7 @@ describe("<IndexFilters />/filter-types/value-handlers", () => {
 
     it("returns properties for last_updated_at filter from filter object", () => {
       filter.field_name = "last_updated_at";
-      useFakeTimers(new Date("10/01/2020"));
+      clock = useFakeTimers(new Date("10/01/2020"));
 
       const expected = {
         fieldName: "last_updated_at",
@@ -10,6 +10,8 @@ import Notifier from "../notifier";
 import SessionTimeoutDialog from "../session-timeout-dialog";
 import { hasUserPermissions } from "../user/selectors";
 import OfflineIndicator from "../offline-indicator/component";
+import RecordConflicts from "../record-conflicts";
+import { ExportNotifier } from "../pages/export-list";
 
 import styles from "./styles.css";
 
@@ -31,6 +33,8 @@ const AppLayout = ({ children }) => {
       <Notifier />
       <Nav />
       <SessionTimeoutDialog />
+      <RecordConflicts />
+      <ExportNotifier />
       <main
         className={clsx(css.content, {
           [css.contentShift]: drawerOpen
@@ -12,7 +12,8 @@ import {
   MobileScreenShare,
   Person,
   People,
-  SettingsApplications
+  SettingsApplications,
+  CloudUpload
 } from "@material-ui/icons";
 import PropTypes from "prop-types";
 
@@ -44,6 +45,8 @@ const ListIcon = ({ icon }) => {
       return <AccountCircle />;
     case "support":
       return <Help />;
+    case "outbox":
+      return <CloudUpload />;
     case "logout":
       return <LogoutIcon />;
     case "flagged_label":
@@ -120,6 +120,11 @@ const Nav = () => {
       actions: SHOW_EXPORTS,
       disableOffline: true
     },
+    {
+      name: i18n.t("navigation.outbox"),
+      to: ROUTES.outbox,
+      icon: "outbox"
+    },
     {
       name: i18n.t("navigation.support"),
       to: ROUTES.support,
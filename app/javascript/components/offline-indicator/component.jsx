@@ -1,8 +1,12 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
 import makeStyles from "@material-ui/styles/makeStyles";
+import { LinearProgress } from "@material-ui/core";
 
 import { useApp } from "../application";
 import { useI18n } from "../i18n";
+import { attachmentsIndexedDB } from "../../db";
+import EventManager from "../../libs/messenger";
+import { QUEUE_ATTACHMENT_PROGRESS } from "../../libs/queue";
 
 import styles from "./styles.css";
 
@@ -10,15 +14,60 @@ const Component = () => {
   const { online } = useApp();
   const css = makeStyles(styles)();
   const i18n = useI18n();
+  const [uploads, setUploads] = useState([]);
   const divider = <div className={css.divider}>* * * * * * *</div>;
 
-  if (online) return false;
+  useEffect(() => {
+    let mounted = true;
+
+    // Deleted attachments are published without chunks
+    const handleProgress = attachment => {
+      setUploads(current => [
+        ...current.filter(upload => upload.id !== attachment.id),
+        ...(attachment.chunks ? [attachment] : [])
+      ]);
+    };
+
+    attachmentsIndexedDB.getAll().then(attachments => {
+      if (mounted) setUploads(attachments || []);
+    });
+    EventManager.subscribe(QUEUE_ATTACHMENT_PROGRESS, handleProgress);
+
+    return () => {
+      mounted = false;
+      EventManager.unsubscribe(QUEUE_ATTACHMENT_PROGRESS, handleProgress);
+    };
+  }, []);
+
+  if (online && !uploads.length) return false;
+
+  const renderUploads = () =>
+    uploads.map(({ id, data = {}, chunks, uploadedChunks }) => {
+      const progress = Math.round((uploadedChunks / chunks.length) * 100);
+
+      return (
+        <div key={id} className={css.upload}>
+          <div>
+            {i18n.t("offline_indicator.upload_progress", {
+              file_name: data.file_name,
+              progress
+            })}
+          </div>
+          <LinearProgress variant="determinate" value={progress} />
+        </div>
+      );
+    });
 
   return (
     <div className={css.offline}>
-      {divider}
-      <div>{i18n.t("offline")}</div>
-      {divider}
+      {!online && (
+        <div className={css.status}>
+          {divider}
+          <div>{i18n.t("offline")}</div>
+          {divider}
+        </div>
+      )}
+      {renderUploads()}
     </div>
   );
 };
@@ -0,0 +1,57 @@
+import { LinearProgress } from "@material-ui/core";
+import sinon from "sinon";
+
+import { setupMountedComponent } from "../../test";
+import { attachmentsIndexedDB } from "../../db";
+import EventManager from "../../libs/messenger";
+import { QUEUE_ATTACHMENT_PROGRESS } from "../../libs/queue";
+
+import OfflineIndicator from "./component";
+
+describe("<OfflineIndicator />", () => {
+  const upload = {
+    id: "attachment-1",
+    data: { file_name: "photo.jpg" },
+    chunks: ["a", "b", "c", "d"],
+    uploadedChunks: 1
+  };
+
+  beforeEach(() => {
+    sinon.stub(attachmentsIndexedDB, "getAll").resolves([]);
+  });
+
+  afterEach(() => {
+    attachmentsIndexedDB.getAll.restore();
+  });
+
+  it("should not render anything when online without uploads", () => {
+    const { component } = setupMountedComponent(OfflineIndicator);
+
+    expect(component.find(OfflineIndicator).html()).to.be.null;
+  });
+
+  it("should render the offline status", () => {
+    const { component } = setupMountedComponent(
+      OfflineIndicator,
+      {},
+      { application: { online: false } }
+    );
+
+    expect(component.find(OfflineIndicator).text()).to.contain("offline");
+  });
+
+  it("should render the progress of the attachment uploads", () => {
+    const { component } = setupMountedComponent(OfflineIndicator);
+
+    EventManager.publish(QUEUE_ATTACHMENT_PROGRESS, upload);
+    component.update();
+
+    expect(component.find(LinearProgress)).to.have.lengthOf(1);
+    expect(component.find(LinearProgress).props().value).to.equal(25);
+
+    EventManager.publish(QUEUE_ATTACHMENT_PROGRESS, { id: upload.id });
+    component.update();
+
+    expect(component.find(LinearProgress)).to.have.lengthOf(0);
+  });
+});
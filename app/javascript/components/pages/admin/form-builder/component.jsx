@@ -1,6 +1,8 @@
 import React, { useEffect, useImperativeHandle, useRef, useState } from "react";
 import PropTypes from "prop-types";
-import { Tab, Tabs } from "@material-ui/core";
+import { Button, Tab, Tabs } from "@material-ui/core";
+import AddIcon from "@material-ui/icons/Add";
+import { fromJS, List } from "immutable";
 import { FormContext, useForm } from "react-hook-form";
 import { push } from "connected-react-router";
 import { useParams } from "react-router-dom";
@@ -16,11 +18,18 @@ import { compare } from "../../../../libs";
 import NAMESPACE from "../forms-list/namespace";
 import { getIsLoading } from "../forms-list/selectors";
 
-import { TabPanel, FormBuilderActionButtons } from "./components";
+import {
+  FieldDialog,
+  FieldsList,
+  TabPanel,
+  FormBuilderActionButtons,
+  TranslationsGrid
+} from "./components";
 import { clearSelectedForm, fetchForm, saveForm } from "./action-creators";
 import { settingsForm, validationSchema } from "./forms";
-import { NAME } from "./constants";
+import { BASE_LOCALE, NAME, TRANSLATABLE_FORM_PROPERTIES } from "./constants";
 import { getSelectedForm } from "./selectors";
+import { reorderFields } from "./utils";
 
 const Component = ({ mode }) => {
   const { id } = useParams();
@@ -29,6 +38,9 @@ const Component = ({ mode }) => {
   const dispatch = useDispatch();
   const i18n = useI18n();
   const [tab, setTab] = useState(0);
+  const [fields, setFields] = useState(List());
+  const [openFieldDialog, setOpenFieldDialog] = useState(false);
+  const [selectedFieldIndex, setSelectedFieldIndex] = useState(null);
   const selectedForm = useSelector(state => getSelectedForm(state), compare);
   const isLoading = useSelector(state => getIsLoading(state));
   const methods = useForm({
@@ -36,6 +48,12 @@ const Component = ({ mode }) => {
     defaultValues: {}
   });
   const isEditOrShow = formMode.get("isEdit") || formMode.get("isShow");
+  const translatableForm = fromJS(
+    methods.watch(TRANSLATABLE_FORM_PROPERTIES)
+  ).merge({
+    unique_id: selectedForm?.get("unique_id"),
+    fields
+  });
 
   const handleChange = (event, selectedTab) => {
     setTab(selectedTab);
@@ -45,6 +63,55 @@ const Component = ({ mode }) => {
     dispatch(push(ROUTES.forms));
   };
 
+  // The fields are not rendered as inputs, they are set on the form as a
+  // whole so the order and the changes are submitted with the settings.
+  const updateFields = newFields => {
+    setFields(newFields);
+    methods.setValue("fields", newFields.toJS());
+  };
+
+  const handleAddField = () => {
+    setSelectedFieldIndex(null);
+    setOpenFieldDialog(true);
+  };
+
+  const handleEditField = index => {
+    setSelectedFieldIndex(index);
+    setOpenFieldDialog(true);
+  };
+
+  const handleSaveField = field => {
+    updateFields(
+      selectedFieldIndex === null
+        ? fields.push(field.set("order", fields.size))
+        : fields.set(selectedFieldIndex, field)
+    );
+  };
+
+  const handleReorderFields = (from, to) => {
+    updateFields(reorderFields(fields, from, to));
+  };
+
+  // The translations of the form are set as inputs of each locale, the ones
+  // of the fields are set with the fields.
+  const handleTranslationsChange = (translatedForm, locales) => {
+    locales.forEach(locale => {
+      TRANSLATABLE_FORM_PROPERTIES.forEach(property => {
+        const name = `${property}.${locale}`;
+        const value = translatedForm.getIn([property, locale]) || "";
+
+        if (value !== (methods.getValues()[name] || "")) {
+          methods.register({ name });
+          methods.setValue(name, value);
+        }
+      });
+    });
+
+    if (!translatedForm.get("fields").equals(fields)) {
+      updateFields(translatedForm.get("fields"));
+    }
+  };
+
   const onSubmit = data => {
     dispatch(
       saveForm({
@@ -76,6 +143,17 @@ const Component = ({ mode }) => {
     if (selectedForm?.size) {
       methods.reset(selectedForm.toJS());
     }
+
+    // The reset unregisters every input, so the fields are registered after it
+    methods.register({ name: "fields" });
+    i18n.applicationLocales
+      .filter(locale => locale.get("id") !== BASE_LOCALE)
+      .forEach(locale => {
+        TRANSLATABLE_FORM_PROPERTIES.forEach(property => {
+          methods.register({ name: `${property}.${locale.get("id")}` });
+        });
+      });
+    setFields(selectedForm?.get("fields") || List());
   }, [selectedForm]);
 
   useImperativeHandle(
@@ -122,13 +200,36 @@ const Component = ({ mode }) => {
               ))}
             </TabPanel>
             <TabPanel tab={tab} index={1}>
-              Item Two
+              <Button
+                variant="outlined"
+                startIcon={<AddIcon />}
+                onClick={handleAddField}
+              >
+                {i18n.t("fields.add_field")}
+              </Button>
+              <FieldsList
+                fields={fields}
+                handleEdit={handleEditField}
+                handleReorder={handleReorderFields}
+              />
             </TabPanel>
             <TabPanel tab={tab} index={2}>
-              Item Three
+              <TranslationsGrid
+                form={translatableForm}
+                onChange={handleTranslationsChange}
+              />
             </TabPanel>
           </form>
         </FormContext>
+        <FieldDialog
+          open={openFieldDialog}
+          field={
+            selectedFieldIndex === null ? null : fields.get(selectedFieldIndex)
+          }
+          fieldNames={fields.map(field => field.get("name")).toJS()}
+          onClose={() => setOpenFieldDialog(false)}
+          onSave={handleSaveField}
+        />
       </PageContent>
     </LoadingIndicator>
   );
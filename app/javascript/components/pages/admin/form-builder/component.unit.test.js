@@ -1,5 +1,5 @@
 import { fromJS } from "immutable";
-import { Tab } from "@material-ui/core";
+import { Button, Tab } from "@material-ui/core";
 
 import { setupMountedComponent } from "../../../../test";
 import { mapEntriesToRecord } from "../../../../libs";
@@ -7,6 +7,9 @@ import { FormSectionRecord } from "../../../record-form/records";
 import { RECORD_TYPES } from "../../../../config/constants";
 
 import FormBuilderActionButtons from "./components/action-buttons";
+import FieldDialog from "./components/field-dialog";
+import FieldsList from "./components/fields-list";
+import TranslationsGrid from "./components/translations-grid";
 import FormsBuilder from "./component";
 
 describe("<FormsBuilder />", () => {
@@ -84,4 +87,60 @@ describe("<FormsBuilder />", () => {
   it("renders the Action Buttons", () => {
     expect(component.find(FormBuilderActionButtons)).to.exist;
   });
+
+  it("renders the FieldsList", () => {
+    expect(component.find(FieldsList)).to.have.lengthOf(1);
+  });
+
+  it("renders the TranslationsGrid", () => {
+    expect(component.find(TranslationsGrid)).to.have.lengthOf(1);
+  });
+
+  it("opens the FieldDialog to add a field", () => {
+    expect(component.find(FieldDialog).prop("open")).to.be.false;
+
+    component
+      .find(Button)
+      .filterWhere(button => button.text() === "fields.add_field")
+      .simulate("click");
+
+    expect(component.find(FieldDialog).prop("open")).to.be.true;
+    expect(component.find(FieldDialog).prop("field")).to.be.null;
+  });
+
+  describe("when editing a form", () => {
+    const selectedForm = fromJS({
+      id: 1,
+      unique_id: "form_section_1",
+      name: { en: "Form Section 1" },
+      fields: [
+        { name: "field_1", type: "text_field", display_name: { en: "One" } },
+        { name: "field_2", type: "tick_box", display_name: { en: "Two" } }
+      ]
+    });
+
+    beforeEach(() => {
+      ({ component } = setupMountedComponent(
+        FormsBuilder,
+        { mode: "edit" },
+        initialState.setIn(
+          ["records", "admin", "forms", "selectedForm"],
+          selectedForm
+        )
+      ));
+    });
+
+    it("lists the fields of the form", () => {
+      expect(component.find(FieldsList).prop("fields")).to.equal(
+        selectedForm.get("fields")
+      );
+    });
+
+    it("renders the translations of the form and its fields", () => {
+      const form = component.find(TranslationsGrid).prop("form");
+
+      expect(form.get("unique_id")).to.equal("form_section_1");
+      expect(form.get("fields")).to.equal(selectedForm.get("fields"));
+    });
+  });
 });
@@ -0,0 +1,66 @@
+import React, { useMemo, useRef } from "react";
+import PropTypes from "prop-types";
+import { useSelector } from "react-redux";
+
+import { useI18n } from "../../../../../i18n";
+import ActionDialog from "../../../../../action-dialog";
+import Form, { FORM_MODE_DIALOG } from "../../../../../form";
+import submitForm from "../../../../../../libs/submit-form";
+import { compare } from "../../../../../../libs";
+import { getSubforms } from "../../selectors";
+
+import { fieldForm, validationSchema } from "./forms";
+import { buildField, fieldFormValues } from "./utils";
+import { NAME } from "./constants";
+
+const Component = ({ open, field, fieldNames, onClose, onSave }) => {
+  const i18n = useI18n();
+  const formRef = useRef();
+  const isNew = !field;
+  const subforms = useSelector(state => getSubforms(state), compare);
+
+  const initialValues = useMemo(() => fieldFormValues(field), [field, open]);
+
+  const handleSubmit = data => {
+    onSave(buildField(data, field));
+    onClose();
+  };
+
+  return (
+    <ActionDialog
+      open={open}
+      successHandler={() => submitForm(formRef)}
+      dialogTitle={i18n.t(isNew ? "fields.add_field" : "fields.edit_field")}
+      confirmButtonLabel={i18n.t(isNew ? "fields.add" : "buttons.save")}
+      onClose={onClose}
+      omitCloseAfterSuccess
+      cancelHandler={onClose}
+    >
+      <Form
+        mode={FORM_MODE_DIALOG}
+        formSections={fieldForm(i18n, { isNew, subforms })}
+        onSubmit={handleSubmit}
+        ref={formRef}
+        validations={validationSchema(i18n, isNew ? fieldNames : [])}
+        initialValues={initialValues}
+      />
+    </ActionDialog>
+  );
+};
+
+Component.displayName = NAME;
+
+Component.defaultProps = {
+  fieldNames: [],
+  open: false
+};
+
+Component.propTypes = {
+  field: PropTypes.object,
+  fieldNames: PropTypes.array,
+  onClose: PropTypes.func.isRequired,
+  onSave: PropTypes.func.isRequired,
+  open: PropTypes.bool
+};
+
+export default Component;
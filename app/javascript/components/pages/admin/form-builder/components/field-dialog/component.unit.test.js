@@ -0,0 +1,48 @@
+import { fromJS } from "immutable";
+
+import { setupMountedComponent, stub } from "../../../../../../test";
+import ActionDialog from "../../../../../action-dialog";
+import Form from "../../../../../form";
+
+import FieldDialog from "./component";
+
+describe("<FormBuilder />/components/<FieldDialog />", () => {
+  const initialState = fromJS({});
+
+  it("renders the form to add a field", () => {
+    const { component } = setupMountedComponent(
+      FieldDialog,
+      { open: true, onClose: stub(), onSave: stub() },
+      initialState
+    );
+
+    expect(component.find(ActionDialog).prop("dialogTitle")).to.equal(
+      "fields.add_field"
+    );
+    expect(component.find(Form).prop("initialValues")).to.deep.include({
+      type: "text_field",
+      visible: true
+    });
+  });
+
+  it("renders the values of the edited field", () => {
+    const field = fromJS({
+      name: "age",
+      type: "numeric_field",
+      display_name: { en: "Age" }
+    });
+    const { component } = setupMountedComponent(
+      FieldDialog,
+      { open: true, field, onClose: stub(), onSave: stub() },
+      initialState
+    );
+
+    expect(component.find(ActionDialog).prop("dialogTitle")).to.equal(
+      "fields.edit_field"
+    );
+    expect(component.find(Form).prop("initialValues")).to.deep.include({
+      name: "age",
+      type: "numeric_field"
+    });
+  });
+});
@@ -0,0 +1,15 @@
+import { Map } from "immutable";
+
+import { TEXT_FIELD } from "../../../../../record-form/constants";
+
+export const NAME = "FieldDialog";
+
+export const NEW_FIELD = Map({
+  type: TEXT_FIELD,
+  visible: true,
+  required: false,
+  multi_select: false,
+  date_include_time: false,
+  option_strings_source: null,
+  subform_section_id: null
+});
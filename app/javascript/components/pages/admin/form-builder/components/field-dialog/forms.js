@@ -0,0 +1,165 @@
+import { fromJS } from "immutable";
+import { mixed, object, string } from "yup";
+
+import {
+  FieldRecord,
+  FormSectionRecord,
+  SELECT_FIELD,
+  TEXT_AREA,
+  TEXT_FIELD,
+  TICK_FIELD
+} from "../../../../../form";
+import {
+  DATE_FIELD,
+  SEPERATOR,
+  SUBFORM_SECTION
+} from "../../../../../record-form/constants";
+import { FIELD_TYPES, OPTION_FIELD_TYPES } from "../../constants";
+
+const FIELD_NAME_FORMAT = /^[a-z][a-z0-9_]*$/;
+
+// The inputs that only apply to some field types are disabled for the others
+const TYPE_INPUTS = Object.freeze({
+  multi_select: [SELECT_FIELD],
+  date_include_time: [DATE_FIELD],
+  option_strings_source: OPTION_FIELD_TYPES,
+  options: OPTION_FIELD_TYPES,
+  subform_section_id: [SUBFORM_SECTION]
+});
+
+const typeInputs = isNew => (type, name) => {
+  // The name and type of a saved field can't change, the records use them
+  if (["name", "type"].includes(name)) {
+    return { disabled: !isNew };
+  }
+
+  if (name === "required") {
+    return { disabled: [SEPERATOR, SUBFORM_SECTION].includes(type) };
+  }
+
+  return {
+    disabled: Boolean(TYPE_INPUTS[name]) && !TYPE_INPUTS[name].includes(type)
+  };
+};
+
+export const validationSchema = (i18n, fieldNames = []) =>
+  object().shape({
+    display_name: object().shape({
+      en: string().required(
+        i18n.t("forms.required_field", {
+          field: i18n.t("fields.display_name")
+        })
+      )
+    }),
+    name: string()
+      .required(
+        i18n.t("forms.required_field", { field: i18n.t("fields.field_name") })
+      )
+      .matches(FIELD_NAME_FORMAT, i18n.t("fields.name_format"))
+      .notOneOf(fieldNames, i18n.t("fields.name_taken")),
+    options: string().when(["type", "option_strings_source"], {
+      is: (type, source) => OPTION_FIELD_TYPES.includes(type) && !source,
+      then: string().required(i18n.t("fields.options_or_lookup_warning"))
+    }),
+    subform_section_id: mixed().when("type", {
+      is: SUBFORM_SECTION,
+      then: mixed().required(
+        i18n.t("forms.required_field", { field: i18n.t("fields.subform") })
+      )
+    }),
+    type: string().required()
+  });
+
+export const fieldForm = (i18n, { isNew, subforms }) => {
+  const typeField = props =>
+    FieldRecord({
+      ...props,
+      watchedInputs: "type",
+      handleWatchedInputs: typeInputs(isNew)
+    });
+
+  return fromJS([
+    FormSectionRecord({
+      unique_id: "field",
+      fields: [
+        typeField({
+          display_name: i18n.t("fields.type"),
+          name: "type",
+          type: SELECT_FIELD,
+          option_strings_text: FIELD_TYPES.map(type => ({
+            id: type,
+            display_text: i18n.t(`fields.${type}`)
+          })),
+          required: true
+        }),
+        typeField({
+          display_name: i18n.t("fields.display_name"),
+          name: "display_name.en",
+          type: TEXT_FIELD,
+          required: true,
+          help_text: i18n.t("forms.help_text.must_be_english")
+        }),
+        typeField({
+          display_name: i18n.t("fields.field_name"),
+          name: "name",
+          type: TEXT_FIELD,
+          required: true,
+          help_text: i18n.t("fields.name_help")
+        }),
+        typeField({
+          display_name: i18n.t("fields.help_text"),
+          name: "help_text.en",
+          type: TEXT_AREA
+        }),
+        {
+          row: [
+            typeField({
+              display_name: i18n.t("fields.visible"),
+              name: "visible",
+              type: TICK_FIELD
+            }),
+            typeField({
+              display_name: i18n.t("fields.required"),
+              name: "required",
+              type: TICK_FIELD
+            }),
+            typeField({
+              display_name: i18n.t("fields.multi_select"),
+              name: "multi_select",
+              type: TICK_FIELD
+            }),
+            typeField({
+              display_name: i18n.t("fields.date_include_time"),
+              name: "date_include_time",
+              type: TICK_FIELD
+            })
+          ],
+          equalColumns: false
+        },
+        typeField({
+          display_name: i18n.t("fields.option_strings_text"),
+          name: "options",
+          type: TEXT_AREA,
+          help_text: i18n.t("fields.options_help")
+        }),
+        typeField({
+          display_name: i18n.t("fields.option_strings_source"),
+          name: "option_strings_source",
+          type: TEXT_FIELD,
+          help_text: i18n.t("fields.option_strings_source_help")
+        }),
+        typeField({
+          display_name: i18n.t("fields.subform"),
+          name: "subform_section_id",
+          type: SELECT_FIELD,
+          option_strings_text: subforms
+            .map(subform => ({
+              id: subform.id,
+              display_text: i18n.getI18nStringFromObject(subform.name)
+            }))
+            .toJS()
+        })
+      ]
+    })
+  ]);
+};
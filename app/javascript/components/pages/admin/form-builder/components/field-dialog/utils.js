@@ -0,0 +1,88 @@
+import { fromJS, List, Map } from "immutable";
+import snakeCase from "lodash/snakeCase";
+
+import { BASE_LOCALE, OPTION_FIELD_TYPES } from "../../constants";
+
+import { NEW_FIELD } from "./constants";
+
+const baseOptions = field =>
+  field.getIn(["option_strings_text", BASE_LOCALE], List());
+
+// The options are edited as one display text per line, the ids of the
+// existing options are kept so the values already saved on records still match.
+const parseOptions = (text, field) => {
+  const existing = baseOptions(field);
+
+  return (text || "")
+    .split("\n")
+    .map(line => line.trim())
+    .filter(Boolean)
+    .reduce((options, displayText) => {
+      const id =
+        existing
+          .find(option => option.get("display_text") === displayText)
+          ?.get("id") || snakeCase(displayText);
+      const uniqueId = options.some(option => option.id === id)
+        ? `${id}_${options.length}`
+        : id;
+
+      return [...options, { id: uniqueId, display_text: displayText }];
+    }, []);
+};
+
+export const fieldFormValues = field => {
+  const current = NEW_FIELD.merge(field || Map());
+
+  return {
+    display_name: {
+      [BASE_LOCALE]: current.getIn(["display_name", BASE_LOCALE]) || ""
+    },
+    help_text: {
+      [BASE_LOCALE]: current.getIn(["help_text", BASE_LOCALE]) || ""
+    },
+    name: current.get("name"),
+    type: current.get("type"),
+    visible: current.get("visible"),
+    required: current.get("required"),
+    multi_select: current.get("multi_select"),
+    date_include_time: current.get("date_include_time"),
+    option_strings_source: current.get("option_strings_source") || "",
+    options: baseOptions(current)
+      .map(option => option.get("display_text"))
+      .join("\n"),
+    subform_section_id: current.get("subform_section_id")
+  };
+};
+
+export const buildField = (values, field) => {
+  const { options, ...fieldValues } = values;
+  const current = NEW_FIELD.merge(field || Map()).mergeDeep(
+    fromJS({
+      ...fieldValues,
+      option_strings_source: fieldValues.option_strings_source || null
+    })
+  );
+
+  if (
+    !OPTION_FIELD_TYPES.includes(current.get("type")) ||
+    current.get("option_strings_source")
+  ) {
+    return current;
+  }
+
+  const parsedOptions = parseOptions(options, current);
+  const ids = parsedOptions.map(option => option.id);
+  const optionStringsText = current.get("option_strings_text");
+
+  // The translations of the removed options are removed as well
+  return current.set(
+    "option_strings_text",
+    (Map.isMap(optionStringsText) ? optionStringsText : Map())
+      .map(localeOptions =>
+        List.isList(localeOptions)
+          ? localeOptions.filter(option => ids.includes(option.get("id")))
+          : localeOptions
+      )
+      .set(BASE_LOCALE, fromJS(parsedOptions))
+  );
+};
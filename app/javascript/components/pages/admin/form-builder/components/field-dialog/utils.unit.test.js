@@ -0,0 +1,93 @@
+import { fromJS } from "immutable";
+
+import * as utils from "./utils";
+
+describe("<FormBuilder />/components/<FieldDialog /> - utils", () => {
+  const field = fromJS({
+    name: "sex",
+    type: "select_box",
+    display_name: { en: "Sex", es: "Sexo" },
+    visible: true,
+    option_strings_text: {
+      en: [
+        { id: "female", display_text: "Female" },
+        { id: "male", display_text: "Male" }
+      ],
+      es: [
+        { id: "female", display_text: "Femenino" },
+        { id: "male", display_text: "Masculino" }
+      ]
+    }
+  });
+
+  it("should have known exports", () => {
+    const clone = { ...utils };
+
+    ["buildField", "fieldFormValues"].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("fieldFormValues", () => {
+    it("returns the values of a new field", () => {
+      expect(utils.fieldFormValues()).to.deep.include({
+        type: "text_field",
+        visible: true,
+        required: false,
+        display_name: { en: "" },
+        options: ""
+      });
+    });
+
+    it("returns the options one per line", () => {
+      expect(utils.fieldFormValues(field)).to.deep.include({
+        name: "sex",
+        display_name: { en: "Sex" },
+        options: "Female\nMale"
+      });
+    });
+  });
+
+  describe("buildField", () => {
+    it("keeps the translations and the ids of the existing options", () => {
+      const result = utils.buildField(
+        {
+          ...utils.fieldFormValues(field),
+          display_name: { en: "Gender" },
+          options: "Male\nOther gender\n"
+        },
+        field
+      );
+
+      expect(result.get("display_name").toJS()).to.deep.equal({
+        en: "Gender",
+        es: "Sexo"
+      });
+      expect(result.get("option_strings_text").toJS()).to.deep.equal({
+        en: [
+          { id: "male", display_text: "Male" },
+          { id: "other_gender", display_text: "Other gender" }
+        ],
+        es: [{ id: "male", display_text: "Masculino" }]
+      });
+    });
+
+    it("does not set options when the field uses a lookup", () => {
+      const result = utils.buildField({
+        ...utils.fieldFormValues(),
+        name: "nationality",
+        type: "select_box",
+        option_strings_source: "lookup lookup-country",
+        options: ""
+      });
+
+      expect(result.get("option_strings_source")).to.equal(
+        "lookup lookup-country"
+      );
+      expect(result.has("option_strings_text")).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,99 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { IconButton, makeStyles } from "@material-ui/core";
+import { DragDropContext, Draggable, Droppable } from "react-beautiful-dnd";
+import CheckIcon from "@material-ui/icons/Check";
+import EditIcon from "@material-ui/icons/Edit";
+import clsx from "clsx";
+
+import { useI18n } from "../../../../../i18n";
+import { DragIndicator } from "../../../forms-list/components";
+
+import styles from "./styles.css";
+import { NAME } from "./constants";
+
+const Component = ({ fields, handleEdit, handleReorder }) => {
+  const i18n = useI18n();
+  const css = makeStyles(styles)();
+
+  const handleDragEnd = ({ source, destination }) => {
+    if (destination && destination.index !== source.index) {
+      handleReorder(source.index, destination.index);
+    }
+  };
+
+  if (!fields.size) {
+    return <div className={css.empty}>{i18n.t("fields.no_fields")}</div>;
+  }
+
+  return (
+    <DragDropContext onDragEnd={handleDragEnd}>
+      <Droppable droppableId="fields" type="field">
+        {provided => (
+          <div
+            className={css.container}
+            ref={provided.innerRef}
+            {...provided.droppableProps}
+          >
+            <div className={clsx(css.row, css.header)}>
+              <div />
+              <div>{i18n.t("fields.display_name")}</div>
+              <div>{i18n.t("fields.field_name")}</div>
+              <div>{i18n.t("fields.type")}</div>
+              <div>{i18n.t("fields.visible")}</div>
+              <div>{i18n.t("fields.required")}</div>
+              <div />
+            </div>
+            {fields.map((field, index) => (
+              <Draggable
+                key={field.get("name")}
+                draggableId={field.get("name")}
+                index={index}
+              >
+                {draggable => (
+                  <div
+                    ref={draggable.innerRef}
+                    {...draggable.draggableProps}
+                    className={css.row}
+                  >
+                    <div>
+                      <DragIndicator {...draggable.dragHandleProps} />
+                    </div>
+                    <div>
+                      {i18n.getI18nStringFromObject(
+                        field.get("display_name")?.toJS()
+                      )}
+                    </div>
+                    <div>{field.get("name")}</div>
+                    <div>{i18n.t(`fields.${field.get("type")}`)}</div>
+                    <div>{field.get("visible") && <CheckIcon />}</div>
+                    <div>{field.get("required") && <CheckIcon />}</div>
+                    <div>
+                      <IconButton
+                        onClick={() => handleEdit(index)}
+                        disabled={field.get("editable") === false}
+                      >
+                        <EditIcon />
+                      </IconButton>
+                    </div>
+                  </div>
+                )}
+              </Draggable>
+            ))}
+            {provided.placeholder}
+          </div>
+        )}
+      </Droppable>
+    </DragDropContext>
+  );
+};
+
+Component.displayName = NAME;
+
+Component.propTypes = {
+  fields: PropTypes.object.isRequired,
+  handleEdit: PropTypes.func.isRequired,
+  handleReorder: PropTypes.func.isRequired
+};
+
+export default Component;
@@ -0,0 +1,70 @@
+import { fromJS } from "immutable";
+import { IconButton } from "@material-ui/core";
+import { Draggable } from "react-beautiful-dnd";
+
+import { setupMountedComponent, stub } from "../../../../../../test";
+
+import FieldsList from "./component";
+
+describe("<FormBuilder />/components/<FieldsList />", () => {
+  const fields = fromJS([
+    {
+      name: "field_1",
+      type: "text_field",
+      display_name: { en: "Field 1" },
+      visible: true
+    },
+    {
+      name: "field_2",
+      type: "select_box",
+      display_name: { en: "Field 2" },
+      editable: false
+    }
+  ]);
+
+  it("renders a row for every field", () => {
+    const { component } = setupMountedComponent(FieldsList, {
+      fields,
+      handleEdit: stub(),
+      handleReorder: stub()
+    });
+
+    expect(component.find(Draggable)).to.have.lengthOf(2);
+    expect(component.text()).to.contain("Field 1");
+    expect(component.text()).to.contain("fields.select_box");
+  });
+
+  it("edits the selected field", () => {
+    const handleEdit = stub();
+    const { component } = setupMountedComponent(FieldsList, {
+      fields,
+      handleEdit,
+      handleReorder: stub()
+    });
+
+    component.find(IconButton).first().simulate("click");
+
+    expect(handleEdit).to.have.been.calledWith(0);
+  });
+
+  it("does not edit the fields that are not editable", () => {
+    const { component } = setupMountedComponent(FieldsList, {
+      fields,
+      handleEdit: stub(),
+      handleReorder: stub()
+    });
+
+    expect(component.find(IconButton).last().prop("disabled")).to.be.true;
+  });
+
+  it("renders a message when there are no fields", () => {
+    const { component } = setupMountedComponent(FieldsList, {
+      fields: fromJS([]),
+      handleEdit: stub(),
+      handleReorder: stub()
+    });
+
+    expect(component.find(Draggable)).to.have.lengthOf(0);
+    expect(component.text()).to.equal("fields.no_fields");
+  });
+});
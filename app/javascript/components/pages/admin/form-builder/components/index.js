@@ -1,2 +1,5 @@
+export { default as FieldDialog } from "./field-dialog";
+export { default as FieldsList } from "./fields-list";
 export { default as FormBuilderActionButtons } from "./action-buttons";
 export { default as TabPanel } from "./tab-panel";
+export { default as TranslationsGrid } from "./translations-grid";
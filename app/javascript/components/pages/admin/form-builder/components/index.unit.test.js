@@ -4,7 +4,13 @@ describe("pages/admin/<FormBuilder>/components/<TabPanel/> - index", () => {
   const indexValues = { ...index };
 
   it("should have known properties", () => {
-    ["FormBuilderActionButtons", "TabPanel"].forEach(property => {
+    [
+      "FieldDialog",
+      "FieldsList",
+      "FormBuilderActionButtons",
+      "TabPanel",
+      "TranslationsGrid"
+    ].forEach(property => {
       expect(indexValues).to.have.property(property);
       delete indexValues[property];
     });
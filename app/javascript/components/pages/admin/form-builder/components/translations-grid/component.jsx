@@ -0,0 +1,219 @@
+/* eslint-disable react/no-multi-comp */
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { useDispatch } from "react-redux";
+import { Button, MenuItem, TextField, makeStyles } from "@material-ui/core";
+import GetAppIcon from "@material-ui/icons/GetApp";
+import PublishIcon from "@material-ui/icons/Publish";
+import clsx from "clsx";
+
+import { useI18n } from "../../../../../i18n";
+import { enqueueSnackbar } from "../../../../../notifier";
+import { downloadFile, readFile } from "../../../../../../libs";
+import { BASE_LOCALE } from "../../constants";
+
+import styles from "./styles.css";
+import {
+  EXPORT_FORMATS,
+  IMPORT_FILE_TYPES,
+  NAME,
+  PROPERTY_LABELS
+} from "./constants";
+import {
+  applyTranslations,
+  countMissingTranslations,
+  getTranslation,
+  getTranslationRows,
+  parseTranslations,
+  setTranslation,
+  toCSV,
+  toXLIFF
+} from "./utils";
+
+const Component = ({ form, onChange }) => {
+  const i18n = useI18n();
+  const dispatch = useDispatch();
+  const css = makeStyles(styles)();
+  const locales = i18n.applicationLocales.map(locale => locale.get("id"));
+  const [sourceLocale, setSourceLocale] = useState(BASE_LOCALE);
+  const [targetLocale, setTargetLocale] = useState(
+    locales.find(locale => locale !== BASE_LOCALE) || BASE_LOCALE
+  );
+  const rows = getTranslationRows(form);
+  const fileName = `${form.get("unique_id") || "form"}_${targetLocale}`;
+
+  const handleChange = key => event => {
+    onChange(setTranslation(form, key, targetLocale, event.target.value), [
+      targetLocale
+    ]);
+  };
+
+  const handleExport = format => () => {
+    if (format === EXPORT_FORMATS.csv) {
+      downloadFile(
+        toCSV(form, sourceLocale, targetLocale),
+        `${fileName}.csv`,
+        "text/csv"
+      );
+    } else {
+      downloadFile(
+        toXLIFF(form, sourceLocale, targetLocale),
+        `${fileName}.xlf`,
+        "application/xliff+xml"
+      );
+    }
+  };
+
+  const handleImport = async event => {
+    const input = event.target;
+    const [file] = input.files;
+
+    // Clears the input so the same file can be imported again
+    input.value = "";
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      const translations = parseTranslations(file.name, await readFile(file));
+      // English is edited in the settings and in the fields, not imported
+      const importedLocales = Object.keys(translations).filter(
+        locale => locale !== BASE_LOCALE && locales.includes(locale)
+      );
+      const { form: translatedForm, count } = applyTranslations(
+        form,
+        importedLocales.reduce(
+          (result, locale) => ({ ...result, [locale]: translations[locale] }),
+          {}
+        )
+      );
+
+      onChange(translatedForm, importedLocales);
+      dispatch(
+        enqueueSnackbar(
+          i18n.t("forms.translations_editor.imported", { count }),
+          "success"
+        )
+      );
+    } catch (error) {
+      dispatch(
+        enqueueSnackbar(
+          i18n.t("forms.translations_editor.import_error"),
+          "error"
+        )
+      );
+    }
+  };
+
+  // eslint-disable-next-line react/display-name
+  const renderLocaleSelect = (name, value, setValue) => (
+    <TextField
+      select
+      className={css.locale}
+      label={i18n.t(`forms.translations_editor.${name}`)}
+      value={value}
+      onChange={event => setValue(event.target.value)}
+    >
+      {i18n.applicationLocales.map(locale => (
+        <MenuItem key={locale.get("id")} value={locale.get("id")}>
+          {locale.get("display_text")}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+
+  const renderLabel = row => {
+    const label = i18n.t(PROPERTY_LABELS[row.get("property")]);
+
+    return row.get("optionId") ? `${label} (${row.get("optionId")})` : label;
+  };
+
+  return (
+    <>
+      <div className={css.toolbar}>
+        {renderLocaleSelect("source_locale", sourceLocale, setSourceLocale)}
+        {renderLocaleSelect("target_locale", targetLocale, setTargetLocale)}
+        <div className={css.missingCount}>
+          {i18n.t("forms.translations_editor.missing", {
+            count: countMissingTranslations(form, sourceLocale, targetLocale)
+          })}
+        </div>
+        <Button
+          variant="outlined"
+          startIcon={<GetAppIcon />}
+          onClick={handleExport(EXPORT_FORMATS.csv)}
+        >
+          {i18n.t("forms.translations_editor.export_csv")}
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={<GetAppIcon />}
+          onClick={handleExport(EXPORT_FORMATS.xliff)}
+        >
+          {i18n.t("forms.translations_editor.export_xliff")}
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={<PublishIcon />}
+          component="label"
+        >
+          {i18n.t("forms.translations_editor.import")}
+          <input
+            type="file"
+            accept={IMPORT_FILE_TYPES}
+            className={css.fileInput}
+            onChange={handleImport}
+          />
+        </Button>
+      </div>
+      <div className={css.container}>
+        <div className={clsx(css.row, css.header)}>
+          <div>{i18n.t("forms.translations_editor.field")}</div>
+          <div>{i18n.t("forms.translations_editor.property")}</div>
+          <div>{sourceLocale}</div>
+          <div>{targetLocale}</div>
+        </div>
+        {rows.map(row => {
+          const key = row.get("key");
+          const source = getTranslation(form, key, sourceLocale);
+          const target = getTranslation(form, key, targetLocale);
+
+          return (
+            <div
+              key={key}
+              className={clsx(css.row, {
+                [css.missing]: source && !target
+              })}
+            >
+              <div>
+                {row.get("fieldName") ||
+                  i18n.t("forms.translations_editor.form")}
+              </div>
+              <div>{renderLabel(row)}</div>
+              <div className={css.source}>{source}</div>
+              <div>
+                <TextField
+                  fullWidth
+                  multiline
+                  name={key}
+                  value={target}
+                  onChange={handleChange(key)}
+                />
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </>
+  );
+};
+
+Component.displayName = NAME;
+
+Component.propTypes = {
+  form: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default Component;
@@ -0,0 +1,54 @@
+import { fromJS } from "immutable";
+import { TextField } from "@material-ui/core";
+
+import { setupMountedComponent, stub } from "../../../../../../test";
+
+import TranslationsGrid from "./component";
+
+describe("<FormBuilder />/components/<TranslationsGrid />", () => {
+  const initialState = fromJS({
+    application: { locales: ["en", "fr"] }
+  });
+  const form = fromJS({
+    name: { en: "Basic Identity", fr: "Identité" },
+    description: { en: "Basic information" },
+    fields: [{ name: "age", display_name: { en: "Age" } }]
+  });
+
+  const targetInputs = component =>
+    component.find(TextField).filterWhere(field => !field.prop("select"));
+
+  it("renders the source and the target of every translatable string", () => {
+    const { component } = setupMountedComponent(
+      TranslationsGrid,
+      { form, onChange: stub() },
+      initialState
+    );
+
+    expect(targetInputs(component)).to.have.lengthOf(4);
+    expect(targetInputs(component).first().prop("value")).to.equal("Identité");
+    expect(component.text()).to.contain("Basic information");
+  });
+
+  it("changes the translation of the target locale", () => {
+    const onChange = stub();
+    const { component } = setupMountedComponent(
+      TranslationsGrid,
+      { form, onChange },
+      initialState
+    );
+
+    targetInputs(component)
+      .at(1)
+      .find("textarea")
+      .first()
+      .simulate("change", { target: { value: "Informations de base" } });
+
+    const [translatedForm, locales] = onChange.firstCall.args;
+
+    expect(translatedForm.getIn(["description", "fr"])).to.equal(
+      "Informations de base"
+    );
+    expect(locales).to.deep.equal(["fr"]);
+  });
+});
@@ -0,0 +1,16 @@
+export const NAME = "TranslationsGrid";
+
+export const EXPORT_FORMATS = Object.freeze({
+  csv: "csv",
+  xliff: "xliff"
+});
+
+export const IMPORT_FILE_TYPES = ".csv,.xlf,.xliff";
+
+export const PROPERTY_LABELS = Object.freeze({
+  description: "forms.description",
+  display_name: "fields.display_name",
+  help_text: "fields.help_text",
+  name: "forms.title",
+  option_strings_text: "fields.option_strings_text"
+});
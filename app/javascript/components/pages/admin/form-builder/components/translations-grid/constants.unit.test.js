@@ -0,0 +1,16 @@
+import * as constants from "./constants";
+
+describe("<FormBuilder />/components/<TranslationsGrid /> - Constants", () => {
+  it("should have known properties", () => {
+    const clonedActions = { ...constants };
+
+    ["EXPORT_FORMATS", "IMPORT_FILE_TYPES", "NAME", "PROPERTY_LABELS"].forEach(
+      property => {
+        expect(clonedActions).to.have.property(property);
+        delete clonedActions[property];
+      }
+    );
+
+    expect(clonedActions).to.be.empty;
+  });
+});
@@ -0,0 +1,249 @@
+import { List, Map } from "immutable";
+
+import { parseCSVRows } from "../../../../../../libs";
+import { BASE_LOCALE, TRANSLATABLE_FORM_PROPERTIES } from "../../constants";
+
+import { EXPORT_FORMATS } from "./constants";
+
+const FIELDS = "fields";
+const OPTIONS = "option_strings_text";
+const FIELD_PROPERTIES = Object.freeze(["display_name", "help_text"]);
+const KEY_COLUMN = "key";
+const XLIFF_NAMESPACE = "urn:oasis:names:tc:xliff:document:1.2";
+
+// The keys use the field names and the option ids instead of their positions,
+// so a file exported before reordering the fields can still be imported.
+const parseKey = key => {
+  const [scope, fieldName, property, ...optionId] = key.split(".");
+
+  return scope === FIELDS
+    ? { fieldName, property, optionId: optionId.join(".") }
+    : { property: scope };
+};
+
+const findFieldIndex = (form, fieldName) =>
+  form.get(FIELDS, List()).findIndex(field => field.get("name") === fieldName);
+
+const findOptionIndex = (options, optionId) =>
+  options.findIndex(option => option.get("id") === optionId);
+
+const escapeCSV = value =>
+  /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+const escapeXML = value =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+export const getTranslationRows = form => {
+  const formRows = TRANSLATABLE_FORM_PROPERTIES.map(property =>
+    Map({ key: property, property })
+  );
+
+  const fieldRows = form.get(FIELDS, List()).flatMap(field => {
+    const fieldName = field.get("name");
+    const options = field.getIn([OPTIONS, BASE_LOCALE]);
+    const propertyRows = FIELD_PROPERTIES.map(property =>
+      Map({ key: `${FIELDS}.${fieldName}.${property}`, fieldName, property })
+    );
+
+    if (!List.isList(options)) {
+      return propertyRows;
+    }
+
+    return propertyRows.concat(
+      options
+        .map(option =>
+          Map({
+            key: `${FIELDS}.${fieldName}.${OPTIONS}.${option.get("id")}`,
+            fieldName,
+            property: OPTIONS,
+            optionId: option.get("id")
+          })
+        )
+        .toArray()
+    );
+  });
+
+  return List(formRows).concat(fieldRows);
+};
+
+export const getTranslation = (form, key, locale) => {
+  const { fieldName, property, optionId } = parseKey(key);
+
+  if (!fieldName) {
+    return form.getIn([property, locale]) || "";
+  }
+
+  const index = findFieldIndex(form, fieldName);
+
+  if (index < 0) {
+    return "";
+  }
+
+  const field = form.getIn([FIELDS, index]);
+
+  if (optionId) {
+    const options = field.getIn([OPTIONS, locale], List());
+    const optionIndex = findOptionIndex(options, optionId);
+
+    return optionIndex < 0
+      ? ""
+      : options.getIn([optionIndex, "display_text"]) || "";
+  }
+
+  return field.getIn([property, locale]) || "";
+};
+
+export const setTranslation = (form, key, locale, value) => {
+  const { fieldName, property, optionId } = parseKey(key);
+
+  if (!fieldName) {
+    return form.setIn([property, locale], value);
+  }
+
+  const index = findFieldIndex(form, fieldName);
+
+  if (index < 0) {
+    return form;
+  }
+
+  if (!optionId) {
+    return form.setIn([FIELDS, index, property, locale], value);
+  }
+
+  const path = [FIELDS, index, OPTIONS, locale];
+  const options = form.getIn(path, List());
+  const optionIndex = findOptionIndex(options, optionId);
+
+  return form.setIn(
+    path,
+    optionIndex < 0
+      ? options.push(Map({ id: optionId, display_text: value }))
+      : options.setIn([optionIndex, "display_text"], value)
+  );
+};
+
+export const countMissingTranslations = (form, sourceLocale, targetLocale) =>
+  getTranslationRows(form).count(
+    row =>
+      getTranslation(form, row.get("key"), sourceLocale) &&
+      !getTranslation(form, row.get("key"), targetLocale)
+  );
+
+// Only the keys of the form are applied, the rows of fields or options
+// removed since the file was exported are ignored.
+export const applyTranslations = (form, translations) => {
+  const keys = getTranslationRows(form).map(row => row.get("key"));
+
+  return Object.entries(translations).reduce(
+    (result, [locale, values]) =>
+      Object.entries(values)
+        .filter(([key, value]) => value && keys.includes(key))
+        .reduce(
+          (current, [key, value]) => ({
+            form: setTranslation(current.form, key, locale, value),
+            count: current.count + 1
+          }),
+          result
+        ),
+    { form, count: 0 }
+  );
+};
+
+export const toCSV = (form, sourceLocale, targetLocale) =>
+  [
+    [KEY_COLUMN, sourceLocale, targetLocale],
+    ...getTranslationRows(form).map(row => [
+      row.get("key"),
+      getTranslation(form, row.get("key"), sourceLocale),
+      getTranslation(form, row.get("key"), targetLocale)
+    ])
+  ]
+    .map(columns => columns.map(escapeCSV).join(","))
+    .join("\n");
+
+export const toXLIFF = (form, sourceLocale, targetLocale) =>
+  [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff version="1.2" xmlns="${XLIFF_NAMESPACE}">`,
+    `  <file original="${escapeXML(
+      form.get("unique_id") || ""
+    )}" source-language="${sourceLocale}" target-language="${targetLocale}" datatype="plaintext">`,
+    "    <body>",
+    ...getTranslationRows(form).map(row => {
+      const key = row.get("key");
+
+      return [
+        `      <trans-unit id="${escapeXML(key)}">`,
+        `        <source>${escapeXML(
+          getTranslation(form, key, sourceLocale)
+        )}</source>`,
+        `        <target>${escapeXML(
+          getTranslation(form, key, targetLocale)
+        )}</target>`,
+        "      </trans-unit>"
+      ].join("\n");
+    }),
+    "    </body>",
+    "  </file>",
+    "</xliff>"
+  ].join("\n");
+
+// Returns the translations of every locale column keyed by locale
+export const parseCSV = text => {
+  // Spreadsheets usually save the CSV files with a byte order mark
+  const [header = [], ...rows] = parseCSVRows(text.replace(/^\uFEFF/, ""));
+  const [keyColumn, ...locales] = header;
+
+  if (keyColumn !== KEY_COLUMN) {
+    throw new Error("The first column of the CSV must be the key");
+  }
+
+  return locales.reduce(
+    (translations, locale, index) => ({
+      ...translations,
+      [locale]: rows.reduce(
+        (values, [key, ...columns]) => ({ ...values, [key]: columns[index] }),
+        {}
+      )
+    }),
+    {}
+  );
+};
+
+// Returns the targets of every file keyed by its target language
+export const parseXLIFF = text => {
+  const document = new window.DOMParser().parseFromString(
+    text,
+    "application/xml"
+  );
+
+  if (document.getElementsByTagName("parsererror").length) {
+    throw new Error("The XLIFF file is not valid");
+  }
+
+  return Array.from(document.getElementsByTagName("file")).reduce(
+    (translations, file) => ({
+      ...translations,
+      [file.getAttribute("target-language")]: Array.from(
+        file.getElementsByTagName("trans-unit")
+      ).reduce(
+        (values, unit) => ({
+          ...values,
+          [unit.getAttribute("id")]: unit.getElementsByTagName("target")[0]
+            ?.textContent
+        }),
+        {}
+      )
+    }),
+    {}
+  );
+};
+
+export const parseTranslations = (fileName, text) =>
+  fileName.toLowerCase().endsWith(`.${EXPORT_FORMATS.csv}`)
+    ? parseCSV(text)
+    : parseXLIFF(text);
@@ -0,0 +1,190 @@
+import { fromJS } from "immutable";
+
+import * as utils from "./utils";
+
+describe("<FormBuilder />/components/<TranslationsGrid /> - utils", () => {
+  const form = fromJS({
+    unique_id: "basic_identity",
+    name: { en: "Basic Identity", fr: "Identité" },
+    description: { en: "Basic information" },
+    fields: [
+      {
+        name: "sex",
+        display_name: { en: "Sex", fr: "Sexe" },
+        help_text: {},
+        option_strings_text: {
+          en: [
+            { id: "female", display_text: "Female" },
+            { id: "male", display_text: "Male" }
+          ],
+          fr: [{ id: "female", display_text: "Femme" }]
+        }
+      }
+    ]
+  });
+
+  it("should have known exports", () => {
+    const clone = { ...utils };
+
+    [
+      "applyTranslations",
+      "countMissingTranslations",
+      "getTranslation",
+      "getTranslationRows",
+      "parseCSV",
+      "parseTranslations",
+      "parseXLIFF",
+      "setTranslation",
+      "toCSV",
+      "toXLIFF"
+    ].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("getTranslationRows", () => {
+    it("returns a row for every translatable string of the form", () => {
+      expect(
+        utils
+          .getTranslationRows(form)
+          .map(row => row.get("key"))
+          .toJS()
+      ).to.deep.equal([
+        "name",
+        "description",
+        "fields.sex.display_name",
+        "fields.sex.help_text",
+        "fields.sex.option_strings_text.female",
+        "fields.sex.option_strings_text.male"
+      ]);
+    });
+  });
+
+  describe("getTranslation", () => {
+    it("returns the translation of the locale", () => {
+      expect(utils.getTranslation(form, "name", "fr")).to.equal("Identité");
+      expect(
+        utils.getTranslation(
+          form,
+          "fields.sex.option_strings_text.female",
+          "fr"
+        )
+      ).to.equal("Femme");
+    });
+
+    it("returns an empty string when the translation is missing", () => {
+      expect(utils.getTranslation(form, "description", "fr")).to.equal("");
+      expect(
+        utils.getTranslation(form, "fields.sex.option_strings_text.male", "fr")
+      ).to.equal("");
+    });
+  });
+
+  describe("setTranslation", () => {
+    it("sets the translation of a field", () => {
+      const result = utils.setTranslation(
+        form,
+        "fields.sex.help_text",
+        "fr",
+        "Le sexe"
+      );
+
+      expect(result.getIn(["fields", 0, "help_text", "fr"])).to.equal(
+        "Le sexe"
+      );
+    });
+
+    it("adds the missing option to the locale", () => {
+      const result = utils.setTranslation(
+        form,
+        "fields.sex.option_strings_text.male",
+        "fr",
+        "Homme"
+      );
+
+      expect(
+        result.getIn(["fields", 0, "option_strings_text", "fr"]).toJS()
+      ).to.deep.equal([
+        { id: "female", display_text: "Femme" },
+        { id: "male", display_text: "Homme" }
+      ]);
+    });
+  });
+
+  describe("countMissingTranslations", () => {
+    it("counts the source strings without a translation", () => {
+      expect(utils.countMissingTranslations(form, "en", "fr")).to.equal(2);
+    });
+  });
+
+  describe("applyTranslations", () => {
+    it("applies the translations of the existing keys", () => {
+      const { form: result, count } = utils.applyTranslations(form, {
+        fr: {
+          description: "Informations de base",
+          "fields.age.display_name": "Âge",
+          "fields.sex.help_text": ""
+        }
+      });
+
+      expect(count).to.equal(1);
+      expect(result.getIn(["description", "fr"])).to.equal(
+        "Informations de base"
+      );
+      expect(result.get("fields").size).to.equal(1);
+    });
+  });
+
+  describe("CSV", () => {
+    it("exports and imports the translations", () => {
+      const csv = utils.toCSV(
+        form.setIn(["description", "en"], 'The "basic", information'),
+        "en",
+        "fr"
+      );
+
+      expect(csv.split("\n")[0]).to.equal("key,en,fr");
+      expect(csv.split("\n")[2]).to.equal(
+        'description,"The ""basic"", information",'
+      );
+      expect(utils.parseCSV(csv).fr).to.deep.include({
+        name: "Identité",
+        "fields.sex.option_strings_text.female": "Femme"
+      });
+      expect(utils.parseCSV(csv).en.description).to.equal(
+        'The "basic", information'
+      );
+    });
+
+    it("throws an error when the file has no key column", () => {
+      expect(() => utils.parseCSV("name,en\n")).to.throw();
+    });
+  });
+
+  describe("XLIFF", () => {
+    it("exports and imports the translations", () => {
+      const xliff = utils.toXLIFF(form, "en", "fr");
+
+      expect(xliff).to.contain('target-language="fr"');
+      expect(utils.parseXLIFF(xliff).fr).to.deep.include({
+        name: "Identité",
+        description: ""
+      });
+    });
+
+    it("throws an error when the file is not valid", () => {
+      expect(() => utils.parseXLIFF("<xliff>")).to.throw();
+    });
+  });
+
+  describe("parseTranslations", () => {
+    it("parses the file according to its extension", () => {
+      expect(
+        utils.parseTranslations("form_fr.CSV", "key,fr\nname,Identité")
+      ).to.deep.equal({ fr: { name: "Identité" } });
+    });
+  });
+});
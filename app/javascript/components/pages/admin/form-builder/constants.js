@@ -1,2 +1,41 @@
-/* eslint-disable import/prefer-default-export */
+import {
+  AUDIO_FIELD,
+  DATE_FIELD,
+  DOCUMENT_FIELD,
+  NUMERIC_FIELD,
+  PHOTO_FIELD,
+  RADIO_FIELD,
+  SELECT_FIELD,
+  SEPERATOR,
+  SUBFORM_SECTION,
+  TEXT_AREA,
+  TEXT_FIELD,
+  TICK_FIELD
+} from "../../../record-form/constants";
+
 export const NAME = "FormBuilder";
+
+// Forms are created in English, the other locales are set as translations
+export const BASE_LOCALE = "en";
+
+export const TRANSLATABLE_FORM_PROPERTIES = Object.freeze([
+  "name",
+  "description"
+]);
+
+export const FIELD_TYPES = Object.freeze([
+  TEXT_FIELD,
+  TEXT_AREA,
+  DATE_FIELD,
+  NUMERIC_FIELD,
+  SELECT_FIELD,
+  RADIO_FIELD,
+  TICK_FIELD,
+  SUBFORM_SECTION,
+  PHOTO_FIELD,
+  DOCUMENT_FIELD,
+  AUDIO_FIELD,
+  SEPERATOR
+]);
+
+export const OPTION_FIELD_TYPES = Object.freeze([SELECT_FIELD, RADIO_FIELD]);
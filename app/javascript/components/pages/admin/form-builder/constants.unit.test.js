@@ -4,7 +4,13 @@ describe("<FormBuilder /> - Constants", () => {
   it("should have known properties", () => {
     const clonedActions = { ...constants };
 
-    ["NAME"].forEach(property => {
+    [
+      "BASE_LOCALE",
+      "FIELD_TYPES",
+      "NAME",
+      "OPTION_FIELD_TYPES",
+      "TRANSLATABLE_FORM_PROPERTIES"
+    ].forEach(property => {
       expect(clonedActions).to.have.property(property);
       delete clonedActions[property];
     });
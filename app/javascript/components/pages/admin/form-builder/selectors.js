@@ -7,3 +7,9 @@ export const getSelectedForm = state => {
 
 export const getSavingRecord = state =>
   state.getIn(["records", "admin", "forms", "saving"], false);
+
+export const getSubforms = state =>
+  state
+    .getIn(["forms", "formSections"], fromJS({}))
+    .filter(formSection => formSection.is_nested)
+    .toList();
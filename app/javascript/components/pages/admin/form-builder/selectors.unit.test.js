@@ -1,12 +1,14 @@
 import { fromJS } from "immutable";
 
+import { FormSectionRecord } from "../../../record-form/records";
+
 import * as selectors from "./selectors";
 
 describe("<FormsBuilder /> - Selectors", () => {
   it("should know the selectors", () => {
     const clonedSelectors = { ...selectors };
 
-    ["getSavingRecord", "getSelectedForm"].forEach(property => {
+    ["getSavingRecord", "getSelectedForm", "getSubforms"].forEach(property => {
       expect(clonedSelectors).to.have.property(property);
       delete clonedSelectors[property];
     });
@@ -41,4 +43,26 @@ describe("<FormsBuilder /> - Selectors", () => {
       );
     });
   });
+
+  describe("getSubforms", () => {
+    const initialState = fromJS({
+      forms: {
+        formSections: {
+          1: FormSectionRecord({ id: 1, unique_id: "form_1" }),
+          2: FormSectionRecord({
+            id: 2,
+            unique_id: "subform_2",
+            is_nested: true
+          })
+        }
+      }
+    });
+
+    it("should return the nested forms", () => {
+      const subforms = selectors.getSubforms(initialState);
+
+      expect(subforms.size).to.equal(1);
+      expect(subforms.first().unique_id).to.equal("subform_2");
+    });
+  });
 });
@@ -0,0 +1,11 @@
+/* eslint-disable import/prefer-default-export */
+
+// Moves a field and sets the order of every field to its new position
+export const reorderFields = (fields, from, to) => {
+  const field = fields.get(from);
+
+  return fields
+    .delete(from)
+    .insert(to, field)
+    .map((current, index) => current.set("order", index));
+};
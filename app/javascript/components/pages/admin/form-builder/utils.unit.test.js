@@ -0,0 +1,36 @@
+import { fromJS } from "immutable";
+
+import * as utils from "./utils";
+
+describe("<FormBuilder /> - utils", () => {
+  it("should have known exports", () => {
+    const clone = { ...utils };
+
+    ["reorderFields"].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("reorderFields", () => {
+    const fields = fromJS([
+      { name: "field_1", order: 0 },
+      { name: "field_2", order: 1 },
+      { name: "field_3", order: 2 }
+    ]);
+
+    it("moves the field and updates the order", () => {
+      expect(utils.reorderFields(fields, 2, 0).toJS()).to.deep.equal([
+        { name: "field_3", order: 0 },
+        { name: "field_1", order: 1 },
+        { name: "field_2", order: 2 }
+      ]);
+    });
+
+    it("returns the same order when the field is not moved", () => {
+      expect(utils.reorderFields(fields, 1, 1).equals(fields)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { MenuItem, TextField } from "@material-ui/core";
+import { makeStyles } from "@material-ui/styles";
+
+import { useI18n } from "../../../../../i18n";
+
+import { NAME } from "./constants";
+import styles from "./styles.css";
+
+const Component = ({ roles, roleId, value, onChange }) => {
+  const css = makeStyles(styles)();
+  const i18n = useI18n();
+  const otherRoles = roles.filter(
+    role => String(role.get("id")) !== String(roleId)
+  );
+
+  return (
+    <TextField
+      select
+      className={css.compareRole}
+      label={i18n.t("role.compare_label")}
+      helperText={value ? i18n.t("role.compare_help") : ""}
+      value={value || ""}
+      onChange={event => onChange(event.target.value)}
+    >
+      <MenuItem value="">{i18n.t("role.compare_none")}</MenuItem>
+      {otherRoles.map(role => (
+        <MenuItem key={role.get("id")} value={role.get("id")}>
+          {role.get("name")}
+        </MenuItem>
+      ))}
+    </TextField>
+  );
+};
+
+Component.displayName = NAME;
+
+Component.propTypes = {
+  onChange: PropTypes.func.isRequired,
+  roleId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  roles: PropTypes.object.isRequired,
+  value: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
+};
+
+export default Component;
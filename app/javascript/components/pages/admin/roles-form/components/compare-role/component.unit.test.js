@@ -0,0 +1,41 @@
+import { fromJS } from "immutable";
+import { MenuItem, TextField } from "@material-ui/core";
+
+import { setupMountedComponent } from "../../../../../../test";
+
+import CompareRole from "./component";
+
+describe("<RolesForm />/components/<CompareRole />", () => {
+  const roles = fromJS([
+    { id: 1, name: "Role 1" },
+    { id: 2, name: "Role 2" },
+    { id: 3, name: "Role 3" }
+  ]);
+
+  it("lists the other roles", () => {
+    const { component } = setupMountedComponent(CompareRole, {
+      roles,
+      roleId: "1",
+      onChange: () => {}
+    });
+
+    component.find("div[role='button']").simulate("mousedown", { button: 0 });
+
+    expect(
+      component
+        .find(MenuItem)
+        .map(item => item.text())
+        .slice(1)
+    ).to.deep.equal(["Role 2", "Role 3"]);
+  });
+
+  it("shows the selected role", () => {
+    const { component } = setupMountedComponent(CompareRole, {
+      roles,
+      value: 2,
+      onChange: () => {}
+    });
+
+    expect(component.find(TextField).props().value).to.equal(2);
+  });
+});
@@ -0,0 +1,2 @@
+/* eslint-disable import/prefer-default-export */
+export const NAME = "CompareRole";
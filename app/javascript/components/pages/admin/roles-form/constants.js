@@ -9,6 +9,8 @@ export const FIELD_NAMES = {
   groupPermission: "group_permission"
 };
 export const ACTION_BUTTONS_NAME = "ActionButtons";
+export const CLONE_PARAM = "clone";
+export const CLONE_EXCLUDED_FIELDS = Object.freeze(["id", "unique_id"]);
 
 export const RESOURCES = [
   "case",
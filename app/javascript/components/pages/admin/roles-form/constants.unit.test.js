@@ -6,6 +6,8 @@ describe("<RolesForm /> - Constants", () => {
 
     [
       "ACTION_BUTTONS_NAME",
+      "CLONE_EXCLUDED_FIELDS",
+      "CLONE_PARAM",
       "FIELD_NAMES",
       "FORM_CHECK_ERRORS",
       "NAME",
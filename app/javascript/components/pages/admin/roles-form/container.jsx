@@ -1,8 +1,10 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import PropTypes from "prop-types";
 import { useDispatch, useSelector } from "react-redux";
 import { push } from "connected-react-router";
-import { useParams } from "react-router-dom";
+import { useLocation, useParams } from "react-router-dom";
+import { fromJS } from "immutable";
+import qs from "qs";
 
 import { useI18n } from "../../../i18n";
 import Form, { whichFormMode, PARENT_FORM } from "../../../form";
@@ -18,7 +20,9 @@ import ActionDialog from "../../../action-dialog";
 
 import NAMESPACE from "./namespace";
 import { Validations, ActionButtons } from "./forms";
+import CompareRole from "./components/compare-role";
 import {
+  buildClonedRole,
   getFormsToRender,
   mergeFormSections,
   groupSelectedIdsByParentForm
@@ -30,7 +34,7 @@ import {
   saveRole
 } from "./action-creators";
 import { getRole } from "./selectors";
-import { NAME } from "./constants";
+import { CLONE_PARAM, NAME } from "./constants";
 
 const Container = ({ mode }) => {
   const formMode = whichFormMode(mode);
@@ -38,8 +42,15 @@ const Container = ({ mode }) => {
   const formRef = useRef();
   const dispatch = useDispatch();
   const { id } = useParams();
+  const { search } = useLocation();
   const [openDeleteDialog, setOpenDeleteDialog] = useState(false);
+  const [comparedRoleId, setComparedRoleId] = useState("");
   const isEditOrShow = formMode.get("isEdit") || formMode.get("isShow");
+  // A new role can be pre-filled from the role it clones
+  const cloneId = formMode.get("isNew")
+    ? qs.parse(search.replace("?", ""))[CLONE_PARAM]
+    : null;
+  const roleId = isEditOrShow ? id : cloneId;
   const primeroModules = useSelector(state => selectModules(state), compare);
   const roles = useSelector(
     state => getRecords(state, [ADMIN_NAMESPACE, NAMESPACE]),
@@ -59,14 +70,35 @@ const Container = ({ mode }) => {
     assignableForm.get(PARENT_FORM)
   );
 
+  const comparedRole = roles
+    .get("data", fromJS([]))
+    .find(
+      listedRole => String(listedRole.get("id")) === String(comparedRoleId)
+    );
+
   const validationSchema = Validations(i18n);
 
+  const selectedRole =
+    cloneId && role.size ? buildClonedRole(role, i18n) : role;
+
+  const initialValues = useMemo(
+    () =>
+      groupSelectedIdsByParentForm(
+        selectedRole.filter(prop => Boolean(prop)),
+        assignableForms
+      ).toJS(),
+    [role, assignableForms, cloneId]
+  );
+
   const handleSubmit = data => {
+    // Only the changed values are submitted, a clone also needs the others
+    const roleData = cloneId ? { ...initialValues, ...data } : data;
+
     dispatch(
       saveRole({
         id,
         saveMethod: formMode.get("isEdit") ? "update" : "new",
-        body: { data: mergeFormSections(data) },
+        body: { data: mergeFormSections(roleData) },
         message: i18n.t(
           `role.messages.${formMode.get("isEdit") ? "updated" : "created"}`
         )
@@ -82,19 +114,23 @@ const Container = ({ mode }) => {
     dispatch(fetchRoles());
   }, []);
 
+  const handleClone = () => {
+    dispatch(push(`${ROUTES.admin_roles}/new?${CLONE_PARAM}=${id}`));
+  };
+
   useEffect(() => {
-    if (isEditOrShow) {
-      dispatch(fetchRole(id));
+    if (roleId) {
+      dispatch(fetchRole(roleId));
     }
 
     return () => {
-      if (isEditOrShow) {
+      if (roleId) {
         dispatch(clearSelectedRole());
       }
     };
-  }, [id]);
+  }, [roleId]);
 
-  const pageHeading = `${i18n.t("role.label")} ${role && role.get("name", "")}`;
+  const pageHeading = `${i18n.t("role.label")} ${selectedRole.get("name", "")}`;
 
   const formsToRender = getFormsToRender({
     primeroModules,
@@ -102,14 +138,10 @@ const Container = ({ mode }) => {
     roles,
     formSections: formsByParentForm,
     i18n,
-    formMode
+    formMode,
+    comparedRole
   });
 
-  const initialValues = groupSelectedIdsByParentForm(
-    role.filter(prop => Boolean(prop)),
-    assignableForms
-  ).toJS();
-
   const handleSuccess = () => {
     dispatch(
       deleteRole({
@@ -142,9 +174,16 @@ const Container = ({ mode }) => {
           formRef={formRef}
           handleCancel={handleCancel}
           setOpenDeleteDialog={setOpenDeleteDialog}
+          handleClone={handleClone}
         />
       </PageHeading>
       <PageContent>
+        <CompareRole
+          roles={roles.get("data", fromJS([]))}
+          roleId={id}
+          value={comparedRoleId}
+          onChange={setComparedRoleId}
+        />
         <Form
           useCancelPrompt
           mode={mode}
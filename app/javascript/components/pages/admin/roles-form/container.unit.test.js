@@ -6,6 +6,8 @@ import { ActionsMenu } from "../../../form";
 import { ROUTES } from "../../../../config/constants";
 
 import RolesForm from "./container";
+import actions from "./actions";
+import CompareRole from "./components/compare-role";
 
 describe("<RolesForm />", () => {
   let component;
@@ -97,5 +99,54 @@ describe("<RolesForm />", () => {
     it("renders heading with action menu", () => {
       expect(component.find(ActionsMenu)).to.have.lengthOf(1);
     });
+
+    it("renders the role comparison", () => {
+      expect(component.find(CompareRole)).to.have.lengthOf(1);
+    });
+  });
+
+  describe("Clone", () => {
+    beforeEach(() => {
+      const initialState = fromJS({
+        records: {
+          admin: {
+            roles: {
+              selectedRole: {
+                id: 10,
+                unique_id: "role-10",
+                name: "Test Role"
+              }
+            }
+          }
+        },
+        user: {
+          permissions: {
+            roles: [ACTIONS.MANAGE]
+          }
+        }
+      });
+
+      ({ component } = setupMountedComponent(
+        RolesForm,
+        { mode: "new" },
+        initialState,
+        [`${ROUTES.admin_roles}/new?clone=10`]
+      ));
+    });
+
+    it("fetches the cloned role", () => {
+      const fetchRole = component
+        .props()
+        .store.getActions()
+        .find(action => action.type === actions.FETCH_ROLE);
+
+      expect(fetchRole.api.path).to.equal("roles/10");
+    });
+
+    it("pre-fills the form with the cloned role", () => {
+      expect(component.find("input[name='name']").getDOMNode().value).to.equal(
+        "role.copy_of"
+      );
+    });
   });
 });
@@ -24,6 +24,7 @@ const Component = ({
   formMode,
   formRef,
   handleCancel,
+  handleClone,
   setOpenDeleteDialog
 }) => {
   const i18n = useI18n();
@@ -66,11 +67,21 @@ const Component = ({
     ACTIONS.DELETE
   ]);
 
+  const canCreateRole = checkPermissions(rolePermissions, [
+    ACTIONS.MANAGE,
+    ACTIONS.CREATE
+  ]);
+
   const actions = [
     {
       name: `${i18n.t("buttons.delete")}`,
       action: () => setOpenDeleteDialog(true),
       condition: canDeleteRole
+    },
+    {
+      name: `${i18n.t("role.clone")}`,
+      action: handleClone,
+      condition: canCreateRole
     }
   ];
 
@@ -93,6 +104,7 @@ Component.propTypes = {
   formMode: PropTypes.object.isRequired,
   formRef: PropTypes.object.isRequired,
   handleCancel: PropTypes.func.isRequired,
+  handleClone: PropTypes.func.isRequired,
   setOpenDeleteDialog: PropTypes.func.isRequired
 };
 
@@ -11,7 +11,8 @@ describe("<ActionButtons />", () => {
   const defaultProps = {
     formRef: {},
     setOpenDeleteDialog: () => ({}),
-    handleCancel: () => ({})
+    handleCancel: () => ({}),
+    handleClone: () => ({})
   };
 
   context("when isShow mode", () => {
@@ -36,6 +37,27 @@ describe("<ActionButtons />", () => {
       });
     });
 
+    context("when the user has create permissions on roles", () => {
+      const { component } = setupMountedComponent(
+        ActionButtons,
+        { ...defaultProps, formMode: whichFormMode("show") },
+        fromJS({
+          user: {
+            permissions: {
+              roles: [ACTIONS.CREATE]
+            }
+          }
+        })
+      );
+
+      it("should render the ActionsMenu with the clone MenuItem", () => {
+        const menuItems = component.find(ActionsMenu).find(MenuItem);
+
+        expect(menuItems).to.have.lengthOf(1);
+        expect(menuItems.text()).to.equal("role.clone");
+      });
+    });
+
     context("when the user doesn't have delete permissions on roles", () => {
       const { component } = setupMountedComponent(
         ActionButtons,
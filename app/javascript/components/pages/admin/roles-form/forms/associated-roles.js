@@ -1,16 +1,9 @@
 import { fromJS } from "immutable";
 
-import {
-  FieldRecord,
-  FormSectionRecord,
-  SELECT_FIELD,
-  CHECK_BOX_FIELD
-} from "../../../../form";
+import { FieldRecord, FormSectionRecord, SELECT_FIELD } from "../../../../form";
 import { FORM_CHECK_ERRORS } from "../constants";
 
-import { buildPermissionOptions } from "./utils";
-
-export default (roles, actions, i18n) =>
+export default (roles, i18n) =>
   FormSectionRecord({
     unique_id: "associated_roles",
     name: i18n.t(`permissions.permission.role`),
@@ -29,11 +22,6 @@ export default (roles, actions, i18n) =>
             display_text: role.get("name")
           }))
           .toJS()
-      }),
-      FieldRecord({
-        name: `permissions[role]`,
-        type: CHECK_BOX_FIELD,
-        option_strings_text: buildPermissionOptions(actions, i18n).toJS()
       })
     ]
   });
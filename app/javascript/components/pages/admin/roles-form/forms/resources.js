@@ -3,35 +3,44 @@ import { fromJS } from "immutable";
 import {
   FieldRecord,
   FormSectionRecord,
-  CHECK_BOX_FIELD
+  CHECK_BOX_MATRIX_FIELD
 } from "../../../../form";
 import { RESOURCES, FORM_CHECK_ERRORS } from "../constants";
 
-import { buildPermissionOptions } from "./utils";
+import { buildMatrixColumns } from "./utils";
 import AssociatedRolesForm from "./associated-roles";
 
-export default (resourceActions, roles, i18n) =>
-  RESOURCES.filter(resource => resourceActions.has(resource)).map(resource => {
-    const actions = (resourceActions || fromJS({})).get(resource, fromJS([]));
+// The resources are the rows of the matrix and their actions the columns. The
+// permissions of the compared role are highlighted when they are different.
+export default (resourceActions, roles, i18n, comparedRole) => {
+  const resources = RESOURCES.filter(resource => resourceActions.has(resource));
 
-    if (resource === "role") {
-      return AssociatedRolesForm(roles, actions, i18n);
-    }
+  if (!resources.length) {
+    return [];
+  }
 
-    return FormSectionRecord({
-      unique_id: `resource_actions_${resource}`,
-      name: i18n.t(`permissions.permission.${resource}`),
+  const matrixRows = resources.map(resource => ({
+    id: resource,
+    display_text: i18n.t(`permissions.permission.${resource}`),
+    options: resourceActions.get(resource, fromJS([])).toJS()
+  }));
+
+  return [
+    FormSectionRecord({
+      unique_id: "resource_actions",
+      check_errors: fromJS(FORM_CHECK_ERRORS),
       fields: [
         FieldRecord({
-          name: `permissions[${resource}]`,
-          disabled: true,
-          type: CHECK_BOX_FIELD,
-          option_strings_text:
-            buildPermissionOptions(actions, i18n)?.toJS() || []
+          name: "permissions",
+          type: CHECK_BOX_MATRIX_FIELD,
+          option_strings_text: buildMatrixColumns(resourceActions, i18n),
+          matrixRows,
+          comparedValues: comparedRole
+            ? comparedRole.get("permissions", fromJS({})).toJS()
+            : null
         })
-      ],
-      expandable: true,
-      expanded: true,
-      check_errors: fromJS(FORM_CHECK_ERRORS)
-    });
-  });
+      ]
+    }),
+    ...(resources.includes("role") ? [AssociatedRolesForm(roles, i18n)] : [])
+  ];
+};
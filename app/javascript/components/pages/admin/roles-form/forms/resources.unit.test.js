@@ -1,13 +1,67 @@
 import { fromJS } from "immutable";
 
+import { CHECK_BOX_MATRIX_FIELD } from "../../../../form";
+
 import ResourcesForm from "./resources";
 
 describe("pages/admin/<RolesForm>/forms - ResourcesForm", () => {
-  const i18n = { t: () => "" };
+  const i18n = { t: value => value };
+  const resourceActions = fromJS({
+    case: ["read", "write"],
+    report: ["read"]
+  });
 
-  it("returns the resources form with fields", () => {
-    const resourcesForm = ResourcesForm(fromJS({ case: ["read"] }), [], i18n);
+  it("returns the permissions matrix of the resources", () => {
+    const resourcesForm = ResourcesForm(resourceActions, fromJS({}), i18n);
+    const matrix = resourcesForm[0].fields[0];
 
     expect(resourcesForm).to.have.lengthOf(1);
+    expect(matrix.type).to.equal(CHECK_BOX_MATRIX_FIELD);
+    expect(matrix.matrixRows).to.deep.equal([
+      {
+        id: "case",
+        display_text: "permissions.permission.case",
+        options: ["read", "write"]
+      },
+      {
+        id: "report",
+        display_text: "permissions.permission.report",
+        options: ["read"]
+      }
+    ]);
+    expect(matrix.option_strings_text.map(option => option.id)).to.deep.equal([
+      "read",
+      "write"
+    ]);
+    expect(matrix.comparedValues).to.be.null;
+  });
+
+  it("returns the roles managed by the role", () => {
+    const resourcesForm = ResourcesForm(
+      resourceActions.set("role", fromJS(["read"])),
+      fromJS({}),
+      i18n
+    );
+
+    expect(resourcesForm).to.have.lengthOf(2);
+    expect(resourcesForm[1].unique_id).to.equal("associated_roles");
+  });
+
+  it("returns the permissions of the compared role", () => {
+    const comparedRole = fromJS({ permissions: { case: ["read"] } });
+    const resourcesForm = ResourcesForm(
+      resourceActions,
+      fromJS({}),
+      i18n,
+      comparedRole
+    );
+
+    expect(resourcesForm[0].fields[0].comparedValues).to.deep.equal({
+      case: ["read"]
+    });
+  });
+
+  it("returns no form without resources", () => {
+    expect(ResourcesForm(fromJS({}), fromJS({}), i18n)).to.be.empty;
   });
 });
@@ -1,6 +1,21 @@
-// eslint-disable-next-line import/prefer-default-export
+import { ACTIONS } from "../../../../../libs/permissions";
+
 export const buildPermissionOptions = (elements, i18n) =>
   (elements || []).map(element => ({
     id: element,
     display_text: i18n.t(`permissions.permission.${element}`)
   }));
+
+// The columns follow the order of ACTIONS. The actions of the resources that
+// are not in ACTIONS are added at the end.
+export const buildMatrixColumns = (resourceActions, i18n) => {
+  const resourcesActions = resourceActions.valueSeq().flatten().toSet();
+  const knownActions = Object.values(ACTIONS).filter(action =>
+    resourcesActions.includes(action)
+  );
+
+  return buildPermissionOptions(
+    [...new Set([...knownActions, ...resourcesActions])],
+    i18n
+  );
+};
@@ -1,4 +1,6 @@
-import { buildPermissionOptions } from "./utils";
+import { fromJS } from "immutable";
+
+import { buildMatrixColumns, buildPermissionOptions } from "./utils";
 
 describe("pages/admin/<RolesForm>/forms - utils", () => {
   const i18n = { t: label => label };
@@ -20,4 +22,17 @@ describe("pages/admin/<RolesForm>/forms - utils", () => {
       expect(buildPermissionOptions(actions, i18n)).to.deep.equal(expected);
     });
   });
+
+  describe("buildMatrixColumns", () => {
+    it("returns the actions of the resources in the order of ACTIONS", () => {
+      const resourceActions = fromJS({
+        case: ["write", "custom_action", "read"],
+        report: ["create", "read"]
+      });
+
+      expect(
+        buildMatrixColumns(resourceActions, i18n).map(column => column.id)
+      ).to.deep.equal(["create", "read", "write", "custom_action"]);
+    });
+  });
 });
@@ -8,7 +8,7 @@ import {
   ResourcesForm,
   RolesMainForm
 } from "./forms";
-import { FORM_CHECK_ERRORS } from "./constants";
+import { CLONE_EXCLUDED_FIELDS, FORM_CHECK_ERRORS } from "./constants";
 
 export const getFormsToRender = ({
   primeroModules,
@@ -16,7 +16,8 @@ export const getFormsToRender = ({
   roles,
   formSections,
   i18n,
-  formMode
+  formMode,
+  comparedRole
 }) =>
   fromJS(
     [
@@ -40,7 +41,8 @@ export const getFormsToRender = ({
       ResourcesForm(
         systemPermissions.get("resource_actions", fromJS({})),
         roles,
-        i18n
+        i18n,
+        comparedRole
       ),
       FormSectionRecord({
         unique_id: "forms_label",
@@ -89,3 +91,9 @@ export const groupSelectedIdsByParentForm = (data, assignableForms) => {
 
   return data;
 };
+
+// A clone keeps everything but the identity of the role it was made from.
+export const buildClonedRole = (role, i18n) =>
+  role
+    .filterNot((_value, key) => CLONE_EXCLUDED_FIELDS.includes(key))
+    .set("name", i18n.t("role.copy_of", { name: role.get("name") }));
@@ -75,4 +75,23 @@ describe("pages/admin/<RolesForm> - utils", () => {
       expect(result).to.deep.equal(expected);
     });
   });
+
+  describe("buildClonedRole", () => {
+    it("should return the role without its identity", () => {
+      const role = fromJS({
+        id: 1,
+        unique_id: "role-1",
+        name: "Role 1",
+        permissions: { case: ["read"] }
+      });
+      const i18n = { t: (key, { name }) => `${key} ${name}` };
+
+      expect(utils.buildClonedRole(role, i18n)).to.deep.equal(
+        fromJS({
+          name: "role.copy_of Role 1",
+          permissions: { case: ["read"] }
+        })
+      );
+    });
+  });
 });
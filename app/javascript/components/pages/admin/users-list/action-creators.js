@@ -1,8 +1,9 @@
-/* eslint-disable import/prefer-default-export */
-
 import { RECORD_PATH } from "../../../../config";
+import { ENQUEUE_SNACKBAR, generate } from "../../../notifier";
+import { SET_DIALOG } from "../../../record-actions/actions";
 
 import actions from "./actions";
+import { USERS_IMPORT_DIALOG } from "./constants";
 
 export const fetchUsers = data => {
   const { options } = data || {};
@@ -15,3 +16,47 @@ export const fetchUsers = data => {
     }
   };
 };
+
+export const importUsers = ({ users, message, failureMessage }) => ({
+  type: actions.IMPORT_USERS,
+  api: {
+    path: `${RECORD_PATH.users}/import`,
+    method: "POST",
+    body: { data: users },
+    successCallback: [
+      {
+        action: ENQUEUE_SNACKBAR,
+        payload: {
+          message,
+          options: {
+            variant: "success",
+            key: generate.messageKey()
+          }
+        }
+      },
+      {
+        action: SET_DIALOG,
+        payload: {
+          dialog: USERS_IMPORT_DIALOG,
+          open: false
+        }
+      }
+    ],
+    failureCallback: [
+      {
+        action: ENQUEUE_SNACKBAR,
+        payload: {
+          message: failureMessage,
+          options: {
+            variant: "error",
+            key: generate.messageKey()
+          }
+        }
+      }
+    ]
+  }
+});
+
+export const clearImportErrors = () => ({
+  type: actions.CLEAR_IMPORT_ERRORS
+});
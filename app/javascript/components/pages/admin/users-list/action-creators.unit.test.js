@@ -1,13 +1,16 @@
 import { RECORD_PATH } from "../../../../config";
+import { ENQUEUE_SNACKBAR } from "../../../notifier";
+import { SET_DIALOG } from "../../../record-actions/actions";
 
 import * as actionsCreators from "./action-creators";
 import actions from "./actions";
+import { USERS_IMPORT_DIALOG } from "./constants";
 
 describe("<UsersList /> - Action Creators", () => {
   it("should have known action creators", () => {
     const creators = { ...actionsCreators };
 
-    ["fetchUsers"].forEach(property => {
+    ["clearImportErrors", "fetchUsers", "importUsers"].forEach(property => {
       expect(creators).to.have.property(property);
       delete creators[property];
     });
@@ -26,4 +29,32 @@ describe("<UsersList /> - Action Creators", () => {
 
     expect(actionsCreators.fetchUsers()).to.deep.equal(expectedAction);
   });
+
+  it("should check that 'importUsers' posts the users and closes the dialog", () => {
+    const users = [{ user_name: "user_1" }, { user_name: "user_2" }];
+    const action = actionsCreators.importUsers({
+      users,
+      message: "Imported",
+      failureMessage: "Failed"
+    });
+
+    expect(action.type).to.equal(actions.IMPORT_USERS);
+    expect(action.api.path).to.equal(`${RECORD_PATH.users}/import`);
+    expect(action.api.method).to.equal("POST");
+    expect(action.api.body).to.deep.equal({ data: users });
+    expect(
+      action.api.successCallback.map(({ action: type }) => type)
+    ).to.deep.equal([ENQUEUE_SNACKBAR, SET_DIALOG]);
+    expect(action.api.successCallback[1].payload).to.deep.equal({
+      dialog: USERS_IMPORT_DIALOG,
+      open: false
+    });
+    expect(action.api.failureCallback[0].payload.message).to.equal("Failed");
+  });
+
+  it("should check that 'clearImportErrors' action creator returns the correct object", () => {
+    expect(actionsCreators.clearImportErrors()).to.deep.equal({
+      type: actions.CLEAR_IMPORT_ERRORS
+    });
+  });
 });
@@ -1,4 +1,13 @@
 import { namespaceActions } from "../../../../libs";
 import NAMESPACE from "../namespace";
 
-export default namespaceActions(NAMESPACE, ["USERS", "USERS_SUCCESS"]);
+export default namespaceActions(NAMESPACE, [
+  "CLEAR_IMPORT_ERRORS",
+  "IMPORT_USERS",
+  "IMPORT_USERS_FAILURE",
+  "IMPORT_USERS_FINISHED",
+  "IMPORT_USERS_STARTED",
+  "IMPORT_USERS_SUCCESS",
+  "USERS",
+  "USERS_SUCCESS"
+]);
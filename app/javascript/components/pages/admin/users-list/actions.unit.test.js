@@ -5,7 +5,16 @@ describe("<UsersList /> - Actions", () => {
     const clonedActions = { ...actions };
 
     expect(clonedActions).to.be.an("object");
-    ["USERS", "USERS_SUCCESS"].forEach(property => {
+    [
+      "CLEAR_IMPORT_ERRORS",
+      "IMPORT_USERS",
+      "IMPORT_USERS_FAILURE",
+      "IMPORT_USERS_FINISHED",
+      "IMPORT_USERS_STARTED",
+      "IMPORT_USERS_SUCCESS",
+      "USERS",
+      "USERS_SUCCESS"
+    ].forEach(property => {
       expect(clonedActions).to.have.property(property);
       delete clonedActions[property];
     });
@@ -0,0 +1,369 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import {
+  Button,
+  MenuItem,
+  Step,
+  StepButton,
+  Stepper,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  makeStyles
+} from "@material-ui/core";
+import PublishIcon from "@material-ui/icons/Publish";
+import clsx from "clsx";
+
+import { useI18n } from "../../../../../i18n";
+import ActionDialog from "../../../../../action-dialog";
+import { FORM_MODE_NEW, getOptions, whichFormMode } from "../../../../../form";
+import { setDialog } from "../../../../../record-actions/action-creators";
+import { selectDialog } from "../../../../../record-actions/selectors";
+import { form } from "../../../users-form/form";
+import validations from "../../../users-form/validations";
+import { getIdentityProviders } from "../../../users-form/selectors";
+import { clearImportErrors, importUsers } from "../../action-creators";
+import { USERS_IMPORT_DIALOG } from "../../constants";
+import { getImportErrors, getImporting } from "../../selectors";
+
+import styles from "./styles.css";
+import { IMPORT_FILE_TYPES, NAME, STEPS } from "./constants";
+import {
+  buildPreview,
+  getImportFields,
+  mapColumns,
+  readSpreadsheet
+} from "./utils";
+
+const [UPLOAD, MAP, PREVIEW] = STEPS.map((_, index) => index);
+
+const Component = () => {
+  const i18n = useI18n();
+  const dispatch = useDispatch();
+  const css = makeStyles(styles)();
+  const formMode = whichFormMode(FORM_MODE_NEW);
+  const [step, setStep] = useState(UPLOAD);
+  const [file, setFile] = useState({ name: "", columns: [], rows: [] });
+  const [mapping, setMapping] = useState({});
+  const [readError, setReadError] = useState("");
+  const [importedLines, setImportedLines] = useState([]);
+  const [preview, setPreview] = useState([]);
+
+  const open = useSelector(state => selectDialog(USERS_IMPORT_DIALOG, state));
+  const importing = useSelector(state => getImporting(state));
+  const importErrors = useSelector(state => getImportErrors(state));
+  const idp = useSelector(state => getIdentityProviders(state));
+  const useIdentityProviders = idp?.get("use_identity_provider");
+  const providers = idp?.get("identity_providers");
+  const identityOptions = providers
+    ? providers.toJS().map(provider => ({
+        id: provider.id,
+        display_text: provider.name
+      }))
+    : [];
+
+  const fields = getImportFields(
+    form(i18n, formMode, useIdentityProviders, providers, identityOptions)
+  );
+  const schema = validations(formMode, i18n, useIdentityProviders, providers);
+  const options = useSelector(state =>
+    fields.reduce(
+      (result, field) => ({
+        ...result,
+        [field.name]: getOptions(
+          state,
+          field.option_strings_source,
+          i18n.locale,
+          field.option_strings_text
+        ).toJS()
+      }),
+      {}
+    )
+  );
+
+  const mappedFields = fields.filter(
+    field => mapping[field.name] !== undefined
+  );
+
+  // The errors returned by the server point to the position of the user in
+  // the import, not in the file
+  const serverErrors = importErrors.reduce((result, error) => {
+    const line = importedLines[error.get("row")];
+
+    return {
+      ...result,
+      [line]: {
+        ...result[line],
+        [error.get("detail")]: i18n.t(error.getIn(["message", 0]))
+      }
+    };
+  }, {});
+
+  const entries = preview.map(entry => ({
+    ...entry,
+    errors: { ...entry.errors, ...serverErrors[entry.line] }
+  }));
+  const validEntries = entries.filter(
+    entry => !Object.keys(entry.errors).length
+  );
+
+  const reset = () => {
+    setStep(UPLOAD);
+    setFile({ name: "", columns: [], rows: [] });
+    setMapping({});
+    setReadError("");
+    setImportedLines([]);
+    setPreview([]);
+    dispatch(clearImportErrors());
+  };
+
+  const handleClose = () => {
+    dispatch(setDialog({ dialog: USERS_IMPORT_DIALOG, open: false }));
+  };
+
+  // The dialog is also closed once the users are imported
+  useEffect(() => {
+    if (!open) {
+      reset();
+    }
+  }, [open]);
+
+  useEffect(() => {
+    if (step === PREVIEW) {
+      buildPreview(file.rows, mapping, fields, options, schema, i18n).then(
+        setPreview
+      );
+    }
+  }, [step, file, mapping]);
+
+  const handleFile = async event => {
+    const input = event.target;
+    const [selectedFile] = input.files;
+
+    // Clears the input so the same file can be chosen again after editing it
+    input.value = "";
+
+    if (!selectedFile) {
+      return;
+    }
+
+    reset();
+
+    try {
+      const { columns, rows } = await readSpreadsheet(selectedFile);
+
+      if (!rows.length) {
+        setReadError(i18n.t("users.import.empty_file"));
+
+        return;
+      }
+
+      setFile({ name: selectedFile.name, columns, rows });
+      setMapping(mapColumns(columns, fields));
+    } catch (error) {
+      setReadError(i18n.t("users.import.read_error"));
+    }
+  };
+
+  const handleMappingChange = fieldName => event => {
+    const { value } = event.target;
+    const updated = { ...mapping, [fieldName]: value };
+
+    if (value === "") {
+      delete updated[fieldName];
+    }
+
+    setMapping(updated);
+    dispatch(clearImportErrors());
+  };
+
+  const handleSuccess = () => {
+    if (step !== PREVIEW) {
+      setStep(step + 1);
+
+      return;
+    }
+
+    setImportedLines(validEntries.map(entry => entry.line));
+    dispatch(
+      importUsers({
+        users: validEntries.map(entry => entry.user),
+        message: i18n.t("users.import.success", {
+          count: validEntries.length
+        }),
+        failureMessage: i18n.t("users.import.failure")
+      })
+    );
+  };
+
+  const confirmButtonLabel =
+    step === PREVIEW
+      ? i18n.t("users.import.import", { count: validEntries.length })
+      : i18n.t("users.import.next");
+
+  const enabledSuccessButton =
+    (step === UPLOAD && file.rows.length > 0) ||
+    (step === MAP && mappedFields.length > 0) ||
+    (step === PREVIEW && validEntries.length > 0);
+
+  // eslint-disable-next-line react/no-multi-comp, react/display-name
+  const renderUpload = () => (
+    <>
+      <p>{i18n.t("users.import.upload_help")}</p>
+      <Button variant="outlined" startIcon={<PublishIcon />} component="label">
+        {i18n.t("users.import.choose_file")}
+        <input
+          type="file"
+          accept={IMPORT_FILE_TYPES}
+          className={css.fileInput}
+          onChange={handleFile}
+        />
+      </Button>
+      {file.name && (
+        <p>
+          {i18n.t("users.import.file_summary", {
+            file_name: file.name,
+            count: file.rows.length
+          })}
+        </p>
+      )}
+      {readError && <p className={css.error}>{readError}</p>}
+    </>
+  );
+
+  // eslint-disable-next-line react/no-multi-comp, react/display-name
+  const renderMap = () => (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>{i18n.t("users.import.field")}</TableCell>
+          <TableCell>{i18n.t("users.import.column")}</TableCell>
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {fields.map(field => (
+          <TableRow key={field.name}>
+            <TableCell>
+              {field.required ? `${field.display_name} *` : field.display_name}
+            </TableCell>
+            <TableCell>
+              <TextField
+                select
+                fullWidth
+                name={field.name}
+                value={mapping[field.name] ?? ""}
+                onChange={handleMappingChange(field.name)}
+              >
+                <MenuItem value="">
+                  {i18n.t("users.import.not_imported")}
+                </MenuItem>
+                {file.columns.map((column, index) => (
+                  // eslint-disable-next-line react/no-array-index-key
+                  <MenuItem key={index} value={index}>
+                    {column}
+                  </MenuItem>
+                ))}
+              </TextField>
+            </TableCell>
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+
+  // eslint-disable-next-line react/no-multi-comp, react/display-name
+  const renderPreview = () => (
+    <>
+      <p>
+        {i18n.t("users.import.valid_count", {
+          valid: validEntries.length,
+          total: entries.length
+        })}
+      </p>
+      <div className={css.preview}>
+        <Table size="small" stickyHeader>
+          <TableHead>
+            <TableRow>
+              <TableCell>{i18n.t("users.import.row")}</TableCell>
+              {mappedFields.map(field => (
+                <TableCell key={field.name}>{field.display_name}</TableCell>
+              ))}
+              <TableCell>{i18n.t("users.import.errors")}</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {entries.map(({ line, errors }, index) => (
+              <TableRow
+                key={line}
+                className={clsx({
+                  [css.invalidRow]: Object.keys(errors).length
+                })}
+              >
+                <TableCell>{line}</TableCell>
+                {mappedFields.map(field => (
+                  <TableCell
+                    key={field.name}
+                    className={clsx({ [css.invalidCell]: errors[field.name] })}
+                  >
+                    {file.rows[index][mapping[field.name]]}
+                  </TableCell>
+                ))}
+                <TableCell>
+                  {Object.entries(errors).map(([name, message]) => (
+                    <div key={name} className={css.error}>
+                      {message}
+                    </div>
+                  ))}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+    </>
+  );
+
+  const renderStep = () => {
+    switch (step) {
+      case MAP:
+        return renderMap();
+      case PREVIEW:
+        return renderPreview();
+      default:
+        return renderUpload();
+    }
+  };
+
+  return (
+    <ActionDialog
+      open={open}
+      successHandler={handleSuccess}
+      cancelHandler={handleClose}
+      onClose={handleClose}
+      dialogTitle={i18n.t("users.import.title")}
+      confirmButtonLabel={confirmButtonLabel}
+      enabledSuccessButton={enabledSuccessButton}
+      pending={importing}
+      omitCloseAfterSuccess
+      maxSize="lg"
+    >
+      <Stepper activeStep={step} nonLinear>
+        {STEPS.map((name, index) => (
+          <Step key={name} completed={index < step}>
+            <StepButton onClick={() => setStep(index)} disabled={index >= step}>
+              {i18n.t(`users.import.steps.${name}`)}
+            </StepButton>
+          </Step>
+        ))}
+      </Stepper>
+      {renderStep()}
+    </ActionDialog>
+  );
+};
+
+Component.displayName = NAME;
+
+export default Component;
@@ -0,0 +1,137 @@
+import { fromJS } from "immutable";
+import { Button, StepButton, TableRow, TextField } from "@material-ui/core";
+
+import { setupMountedComponent } from "../../../../../../test";
+import ActionDialog from "../../../../../action-dialog";
+import actions from "../../actions";
+import { USERS_IMPORT_DIALOG } from "../../constants";
+
+import ImportDialog from "./component";
+
+describe("<UsersList />/components/<ImportDialog />", () => {
+  const csv = [
+    "Full Name,User Name,Email,Role,Agency,User Groups,Location,Password",
+    "Jane Doe,jane_doe,jane@primero.org,CP Case Worker,UNICEF,Primero CP,GH0001,password123",
+    "John Doe,,john@primero.org,CP Case Worker,UNICEF,Primero CP,GH0001,password123"
+  ].join("\n");
+
+  const initialState = fromJS({
+    ui: { dialogs: { [USERS_IMPORT_DIALOG]: true } },
+    application: {
+      agencies: [{ id: 1, unique_id: "agency-unicef", name: "UNICEF" }]
+    }
+  });
+
+  const flush = () => new Promise(resolve => setTimeout(resolve, 50));
+
+  const chooseFile = async (component, content = csv) => {
+    component.find("input[type='file']").simulate("change", {
+      target: { files: [new File([content], "users.csv")], value: "" }
+    });
+    await flush();
+    component.update();
+  };
+
+  const next = async component => {
+    component.find(ActionDialog).props().successHandler();
+    await flush();
+    component.update();
+  };
+
+  let component;
+
+  beforeEach(() => {
+    ({ component } = setupMountedComponent(ImportDialog, {}, initialState));
+  });
+
+  it("renders the steps of the import", () => {
+    expect(component.find(StepButton)).to.have.lengthOf(3);
+    expect(component.find("input[type='file']")).to.have.lengthOf(1);
+    expect(component.find(ActionDialog).props().enabledSuccessButton).to.be
+      .false;
+  });
+
+  it("maps the columns of the file to the fields", async () => {
+    await chooseFile(component);
+
+    expect(component.find(ActionDialog).props().enabledSuccessButton).to.be
+      .true;
+
+    await next(component);
+
+    const values = component.find(TextField).reduce(
+      (result, field) => ({
+        ...result,
+        [field.props().name]: field.props().value
+      }),
+      {}
+    );
+
+    expect(values).to.include({
+      full_name: 0,
+      user_name: 1,
+      email: 2,
+      role_unique_id: 3,
+      agency_id: 4,
+      user_group_unique_ids: 5,
+      location: 6,
+      password: 7,
+      phone: ""
+    });
+  });
+
+  it("previews the errors of every row", async () => {
+    await chooseFile(component);
+    await next(component);
+    await next(component);
+
+    const rows = component.find("tbody").find(TableRow);
+
+    expect(rows).to.have.lengthOf(2);
+    expect(rows.at(0).find("td").last().text()).to.be.empty;
+    expect(rows.at(1).find("td").last().text()).to.not.be.empty;
+    expect(component.find(ActionDialog).props().confirmButtonLabel).to.equal(
+      "users.import.import"
+    );
+  });
+
+  it("imports the valid users", async () => {
+    await chooseFile(component);
+    await next(component);
+    await next(component);
+    component.find(ActionDialog).props().successHandler();
+
+    const importAction = component
+      .props()
+      .store.getActions()
+      .find(action => action.type === actions.IMPORT_USERS);
+
+    expect(importAction.api.body.data).to.deep.equal([
+      {
+        full_name: "Jane Doe",
+        user_name: "jane_doe",
+        email: "jane@primero.org",
+        role_unique_id: "role-cp-case-worker",
+        agency_id: 1,
+        user_group_unique_ids: ["usergroup-primero-cp"],
+        location: "GH0001",
+        password: "password123",
+        password_confirmation: "password123"
+      }
+    ]);
+  });
+
+  it("shows an error when the file has no users", async () => {
+    await chooseFile(component, "full_name,user_name\n");
+
+    expect(component.find("p").map(paragraph => paragraph.text())).to.include(
+      "users.import.empty_file"
+    );
+    expect(
+      component
+        .find(Button)
+        .filterWhere(button => button.text() === "users.import.next")
+        .props().disabled
+    ).to.be.true;
+  });
+});
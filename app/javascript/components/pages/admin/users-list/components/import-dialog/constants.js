@@ -0,0 +1,16 @@
+export const NAME = "ImportDialog";
+
+export const IMPORT_FILE_TYPES = ".csv,.xlsx";
+
+export const XLSX_EXTENSION = ".xlsx";
+
+// The password is typed once in the file and the checkboxes are set in the form
+export const IMPORT_EXCLUDED_FIELDS = Object.freeze([
+  "password_confirmation",
+  "disabled",
+  "send_mail"
+]);
+
+export const MULTIPLE_VALUES_SEPARATOR = /[;,]/;
+
+export const STEPS = Object.freeze(["upload", "map", "preview"]);
@@ -0,0 +1,200 @@
+import { Workbook } from "exceljs";
+
+import { parseCSVRows, READ_AS, readFile } from "../../../../../../libs";
+import { CHECK_BOX_FIELD } from "../../../../../form";
+
+import {
+  IMPORT_EXCLUDED_FIELDS,
+  MULTIPLE_VALUES_SEPARATOR,
+  XLSX_EXTENSION
+} from "./constants";
+
+const normalize = value =>
+  String(value ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s\-_.]+/g, "_");
+
+// Spreadsheets often keep empty rows after the data
+const withoutTrailingEmptyRows = rows => {
+  const lastIndex = rows
+    .map(row => row.some(value => String(value).trim()))
+    .lastIndexOf(true);
+
+  return rows.slice(0, lastIndex + 1);
+};
+
+const findOption = (options, value) =>
+  options.find(option =>
+    [option.id, option.display_text].some(
+      text => normalize(text) === normalize(value)
+    )
+  );
+
+// The values of the select fields can be written with the ids or the labels
+// of their options. When the options are not loaded the value is kept as is.
+const resolveValue = (field, value, options, i18n) => {
+  const values =
+    field.type === CHECK_BOX_FIELD
+      ? value
+          .split(MULTIPLE_VALUES_SEPARATOR)
+          .map(current => current.trim())
+          .filter(Boolean)
+      : [value];
+
+  if (!options?.length) {
+    return { value: field.type === CHECK_BOX_FIELD ? values : value };
+  }
+
+  const matches = values.map(current => findOption(options, current));
+  const unknown = values.filter((_, index) => !matches[index]);
+
+  if (unknown.length) {
+    return {
+      error: i18n.t("users.import.unknown_option", {
+        field: field.display_name,
+        value: unknown.join(", ")
+      })
+    };
+  }
+
+  const ids = matches.map(option => option.id);
+
+  return { value: field.type === CHECK_BOX_FIELD ? ids : ids[0] };
+};
+
+export const parseCSV = data =>
+  withoutTrailingEmptyRows(
+    // Spreadsheets usually save the CSV files with a byte order mark
+    parseCSVRows(new TextDecoder().decode(data).replace(/^\uFEFF/, ""))
+  );
+
+// Only the values of the first sheet are read, as the text shown in the cells
+export const parseXLSX = async data => {
+  const workbook = new Workbook();
+
+  try {
+    await workbook.xlsx.load(data);
+  } catch (error) {
+    throw new Error("The file is not an Excel workbook");
+  }
+
+  const [sheet] = workbook.worksheets;
+
+  if (!sheet) {
+    throw new Error("The workbook has no sheets");
+  }
+
+  return withoutTrailingEmptyRows(
+    Array.from({ length: sheet.rowCount }, (_, rowIndex) => {
+      const row = sheet.getRow(rowIndex + 1);
+
+      return Array.from(
+        { length: sheet.columnCount },
+        (value, columnIndex) => row.getCell(columnIndex + 1).text
+      );
+    })
+  );
+};
+
+// Returns the header and the rows of the first sheet of a CSV or XLSX file
+export const readSpreadsheet = async file => {
+  const data = await readFile(file, READ_AS.arrayBuffer);
+  const [columns = [], ...rows] = file.name
+    .toLowerCase()
+    .endsWith(XLSX_EXTENSION)
+    ? await parseXLSX(data)
+    : parseCSV(data);
+
+  return { columns, rows };
+};
+
+export const getImportFields = formSections =>
+  formSections
+    .first()
+    .fields.filter(field => !IMPORT_EXCLUDED_FIELDS.includes(field.name));
+
+// A column matches a field by its name or its label, e.g. "Role", "role_id"
+// and "role_unique_id" are all mapped to the role_unique_id field.
+export const mapColumns = (columns, fields) =>
+  fields.reduce((mapping, field) => {
+    const keys = [field.name, field.display_name]
+      .map(normalize)
+      .flatMap(key => [key, key.replace(/_(unique_)?ids?$/, "")]);
+    const index = columns.findIndex(column => {
+      const columnKey = normalize(column);
+
+      return (
+        keys.includes(columnKey) ||
+        keys.includes(columnKey.replace(/_(unique_)?ids?$/, "")) ||
+        keys.includes(columnKey.replace(/s$/, ""))
+      );
+    });
+
+    return index < 0 ? mapping : { ...mapping, [field.name]: index };
+  }, {});
+
+export const buildUser = (row, mapping, fields, options, i18n) =>
+  fields.reduce(
+    (result, field) => {
+      const value = String(row[mapping[field.name]] ?? "").trim();
+
+      if (mapping[field.name] === undefined || !value) {
+        return result;
+      }
+
+      const { value: resolved, error } = resolveValue(
+        field,
+        value,
+        options[field.name],
+        i18n
+      );
+
+      if (error) {
+        return { ...result, errors: { ...result.errors, [field.name]: error } };
+      }
+
+      return {
+        ...result,
+        user: {
+          ...result.user,
+          [field.name]: resolved,
+          ...(field.name === "password" && {
+            password_confirmation: resolved
+          })
+        }
+      };
+    },
+    { user: {}, errors: {} }
+  );
+
+// Runs the rules of the user form and resolves the first error of every field
+export const validateUser = async (user, schema) => {
+  try {
+    await schema.validate(user, { abortEarly: false });
+
+    return {};
+  } catch (error) {
+    return (error.inner?.length ? error.inner : [error]).reduce(
+      (errors, { path, message }) => ({
+        ...errors,
+        [path]: errors[path] || message
+      }),
+      {}
+    );
+  }
+};
+
+export const buildPreview = (rows, mapping, fields, options, schema, i18n) =>
+  Promise.all(
+    rows.map(async (row, index) => {
+      const { user, errors } = buildUser(row, mapping, fields, options, i18n);
+
+      return {
+        // The header is the first line of the file
+        line: index + 2,
+        user,
+        errors: { ...(await validateUser(user, schema)), ...errors }
+      };
+    })
+  );
@@ -0,0 +1,254 @@
+import { fromJS } from "immutable";
+import { Workbook } from "exceljs";
+
+import { FORM_MODE_NEW, whichFormMode } from "../../../../../form";
+import { form } from "../../../users-form/form";
+import validations from "../../../users-form/validations";
+
+import * as utils from "./utils";
+
+describe("<UsersList />/components/<ImportDialog /> - utils", () => {
+  const i18n = {
+    t: (key, values) => (values ? `${key} ${JSON.stringify(values)}` : key),
+    applicationLocales: fromJS([
+      { id: "en", display_text: "English" },
+      { id: "fr", display_text: "French" }
+    ])
+  };
+  const formMode = whichFormMode(FORM_MODE_NEW);
+  const fields = utils.getImportFields(form(i18n, formMode));
+  const schema = validations(formMode, i18n);
+  const options = {
+    agency_id: [{ id: 1, display_text: "UNICEF" }],
+    locale: i18n.applicationLocales.toJS(),
+    role_unique_id: [
+      { id: "role-cp-case-worker", display_text: "CP Case Worker" }
+    ],
+    user_group_unique_ids: [
+      { id: "usergroup-primero-cp", display_text: "Primero CP" },
+      { id: "usergroup-primero-gbv", display_text: "Primero GBV" }
+    ]
+  };
+  const columns = [
+    "Full Name",
+    "User Name",
+    "Email",
+    "Role",
+    "Agency",
+    "User Groups",
+    "Locale",
+    "Location",
+    "Password"
+  ];
+  const row = [
+    "Jane Doe",
+    "jane_doe",
+    "jane@primero.org",
+    "CP Case Worker",
+    "unicef",
+    "Primero CP; usergroup-primero-gbv",
+    "fr",
+    "GH0001",
+    "password123"
+  ];
+
+  it("should have known exports", () => {
+    const clone = { ...utils };
+
+    [
+      "buildPreview",
+      "buildUser",
+      "getImportFields",
+      "mapColumns",
+      "parseCSV",
+      "parseXLSX",
+      "readSpreadsheet",
+      "validateUser"
+    ].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("getImportFields", () => {
+    it("returns the fields of the user form that can be imported", () => {
+      const names = fields.map(field => field.name);
+
+      expect(names).to.include.members([
+        "full_name",
+        "user_name",
+        "password",
+        "role_unique_id",
+        "user_group_unique_ids",
+        "agency_id",
+        "location"
+      ]);
+      expect(names).to.not.include.members([
+        "password_confirmation",
+        "disabled",
+        "send_mail"
+      ]);
+    });
+  });
+
+  describe("parseCSV", () => {
+    it("returns the rows without the byte order mark and the empty rows at the end", () => {
+      const data = new TextEncoder().encode(
+        "\uFEFFfull_name,email\nJane,jane@primero.org\n,\n"
+      );
+
+      expect(utils.parseCSV(data)).to.deep.equal([
+        ["full_name", "email"],
+        ["Jane", "jane@primero.org"]
+      ]);
+    });
+  });
+
+  describe("parseXLSX", () => {
+    const buildWorkbook = async () => {
+      const workbook = new Workbook();
+      const sheet = workbook.addWorksheet("Users");
+
+      sheet.getCell("A1").value = "full_name";
+      sheet.getCell("C1").value = "phone";
+      sheet.getCell("A2").value = {
+        richText: [{ text: "Ja" }, { text: "ne" }]
+      };
+      sheet.getCell("C2").value = 5551234;
+      sheet.getCell("A3").value = "";
+
+      return workbook.xlsx.writeBuffer();
+    };
+
+    it("returns the rows of the first sheet", async () => {
+      expect(await utils.parseXLSX(await buildWorkbook())).to.deep.equal([
+        ["full_name", "", "phone"],
+        ["Jane", "", "5551234"]
+      ]);
+    });
+
+    it("rejects a file that is not a workbook", async () => {
+      let error;
+
+      try {
+        await utils.parseXLSX(new TextEncoder().encode("full_name,email"));
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error?.message).to.equal("The file is not an Excel workbook");
+    });
+  });
+
+  describe("mapColumns", () => {
+    it("maps the columns to the fields by their names or labels", () => {
+      expect(utils.mapColumns(columns, fields)).to.deep.equal({
+        full_name: 0,
+        user_name: 1,
+        email: 2,
+        role_unique_id: 3,
+        agency_id: 4,
+        user_group_unique_ids: 5,
+        locale: 6,
+        location: 7,
+        password: 8
+      });
+    });
+
+    it("maps the columns named after the fields", () => {
+      expect(
+        utils.mapColumns(["agency_id", "role_unique_id"], fields)
+      ).to.deep.equal({ agency_id: 0, role_unique_id: 1 });
+    });
+  });
+
+  describe("buildUser", () => {
+    const mapping = utils.mapColumns(columns, fields);
+
+    it("converts the values of the options to their ids", () => {
+      expect(
+        utils.buildUser(row, mapping, fields, options, i18n)
+      ).to.deep.equal({
+        user: {
+          full_name: "Jane Doe",
+          user_name: "jane_doe",
+          email: "jane@primero.org",
+          role_unique_id: "role-cp-case-worker",
+          agency_id: 1,
+          user_group_unique_ids: [
+            "usergroup-primero-cp",
+            "usergroup-primero-gbv"
+          ],
+          locale: "fr",
+          location: "GH0001",
+          password: "password123",
+          password_confirmation: "password123"
+        },
+        errors: {}
+      });
+    });
+
+    it("returns an error for the unknown options", () => {
+      const { user, errors } = utils.buildUser(
+        Object.assign([...row], { 3: "Unknown Role" }),
+        mapping,
+        fields,
+        options,
+        i18n
+      );
+
+      expect(user).to.not.have.property("role_unique_id");
+      expect(errors).to.have.all.keys("role_unique_id");
+    });
+
+    it("keeps the values of the options that are not loaded", () => {
+      const { user } = utils.buildUser(row, mapping, fields, {}, i18n);
+
+      expect(user.role_unique_id).to.equal("CP Case Worker");
+      expect(user.user_group_unique_ids).to.deep.equal([
+        "Primero CP",
+        "usergroup-primero-gbv"
+      ]);
+    });
+  });
+
+  describe("validateUser", () => {
+    it("resolves the errors of the user form rules", async () => {
+      const errors = await utils.validateUser(
+        { full_name: "Jane Doe", user_name: "jane_doe" },
+        schema
+      );
+
+      expect(errors).to.include.all.keys(
+        "agency_id",
+        "email",
+        "location",
+        "password",
+        "role_unique_id",
+        "user_group_unique_ids"
+      );
+      expect(errors).to.not.have.any.keys("full_name", "user_name");
+    });
+  });
+
+  describe("buildPreview", () => {
+    it("resolves the user and the errors of every row", async () => {
+      const mapping = utils.mapColumns(columns, fields);
+      const preview = await utils.buildPreview(
+        [row, ["John Doe"]],
+        mapping,
+        fields,
+        options,
+        schema,
+        i18n
+      );
+
+      expect(preview.map(entry => entry.line)).to.deep.equal([2, 3]);
+      expect(preview[0].errors).to.be.empty;
+      expect(preview[1].user).to.deep.equal({ full_name: "John Doe" });
+      expect(preview[1].errors).to.include.keys("user_name", "email");
+    });
+  });
+});
@@ -1,8 +1,8 @@
-/* eslint-disable import/prefer-default-export */
-
 export const LIST_HEADERS = [
   { label: "users.headers.full_name", name: "full_name" },
   { label: "users.headers.user_name", name: "user_name" },
   { label: "users.headers.position", name: "position" },
   { label: "users.headers.agency", name: "agency" }
 ];
+
+export const USERS_IMPORT_DIALOG = "usersImportDialog";
@@ -1,7 +1,9 @@
 import React from "react";
 import { fromJS } from "immutable";
+import { useDispatch } from "react-redux";
 import { Button } from "@material-ui/core";
 import AddIcon from "@material-ui/icons/Add";
+import PublishIcon from "@material-ui/icons/Publish";
 import { Link } from "react-router-dom";
 
 import { useI18n } from "../../../i18n";
@@ -11,12 +13,15 @@ import { ROUTES } from "../../../../config";
 import { usePermissions } from "../../../user";
 import NAMESPACE from "../namespace";
 import { CREATE_RECORDS } from "../../../../libs/permissions";
+import { setDialog } from "../../../record-actions/action-creators";
 
 import { fetchUsers } from "./action-creators";
-import { LIST_HEADERS } from "./constants";
+import { LIST_HEADERS, USERS_IMPORT_DIALOG } from "./constants";
+import ImportDialog from "./components/import-dialog";
 
 const Container = () => {
   const i18n = useI18n();
+  const dispatch = useDispatch();
   const canAddUsers = usePermissions(NAMESPACE, CREATE_RECORDS);
   const recordType = "users";
 
@@ -38,22 +43,36 @@ const Container = () => {
     onTableChange: fetchUsers
   };
 
-  const newUserBtn = canAddUsers && (
-    <Button
-      to={ROUTES.admin_users_new}
-      component={Link}
-      color="primary"
-      startIcon={<AddIcon />}
-    >
-      {i18n.t("buttons.new")}
-    </Button>
+  const handleImport = () => {
+    dispatch(setDialog({ dialog: USERS_IMPORT_DIALOG, open: true }));
+  };
+
+  const actionButtons = canAddUsers && (
+    <>
+      <Button
+        color="primary"
+        startIcon={<PublishIcon />}
+        onClick={handleImport}
+      >
+        {i18n.t("buttons.import")}
+      </Button>
+      <Button
+        to={ROUTES.admin_users_new}
+        component={Link}
+        color="primary"
+        startIcon={<AddIcon />}
+      >
+        {i18n.t("buttons.new")}
+      </Button>
+    </>
   );
 
   return (
     <>
-      <PageHeading title={i18n.t("users.label")}>{newUserBtn}</PageHeading>
+      <PageHeading title={i18n.t("users.label")}>{actionButtons}</PageHeading>
       <PageContent>
         <IndexTable {...tableOptions} />
+        {canAddUsers && <ImportDialog />}
       </PageContent>
     </>
   );
@@ -1,10 +1,14 @@
 import { fromJS } from "immutable";
+import { Button } from "@material-ui/core";
 
 import { setupMountedComponent } from "../../../../test";
 import IndexTable from "../../../index-table";
 import { ACTIONS } from "../../../../libs/permissions";
+import { SET_DIALOG } from "../../../record-actions/actions";
 
 import UsersList from "./container";
+import ImportDialog from "./components/import-dialog";
+import { USERS_IMPORT_DIALOG } from "./constants";
 
 describe("<UsersList />", () => {
   let component;
@@ -41,4 +45,22 @@ describe("<UsersList />", () => {
   it("renders record list table", () => {
     expect(component.find(IndexTable)).to.have.length(1);
   });
+
+  it("renders the import dialog", () => {
+    expect(component.find(ImportDialog)).to.have.length(1);
+  });
+
+  it("opens the import dialog", () => {
+    component
+      .find(Button)
+      .filterWhere(button => button.text() === "buttons.import")
+      .simulate("click");
+
+    expect(
+      component
+        .props()
+        .store.getActions()
+        .find(action => action.type === SET_DIALOG).payload
+    ).to.deep.equal({ dialog: USERS_IMPORT_DIALOG, open: true });
+  });
 });
@@ -10,6 +10,24 @@ export default (state = DEFAULT_STATE, { type, payload }) => {
       return state
         .set("data", fromJS(payload.data))
         .set("metadata", fromJS(payload.metadata));
+    case actions.IMPORT_USERS_STARTED:
+      return state
+        .set("importing", fromJS(payload))
+        .set("importErrors", fromJS([]));
+    case actions.IMPORT_USERS_SUCCESS:
+      return state
+        .update("data", fromJS([]), data => fromJS(payload.data).concat(data))
+        .updateIn(
+          ["metadata", "total"],
+          0,
+          total => total + payload.data.length
+        );
+    case actions.IMPORT_USERS_FAILURE:
+      return state.set("importErrors", fromJS(payload.errors));
+    case actions.IMPORT_USERS_FINISHED:
+      return state.set("importing", fromJS(payload));
+    case actions.CLEAR_IMPORT_ERRORS:
+      return state.set("importErrors", fromJS([]));
     default:
       return state;
   }
@@ -19,4 +19,60 @@ describe("<UsersList /> - Reducers", () => {
 
     expect(newState).to.deep.equal(expected);
   });
+
+  it("should handle IMPORT_USERS_STARTED", () => {
+    const expected = fromJS({ importing: true, importErrors: [] });
+
+    const newState = reducer(fromJS({ importErrors: [{ row: 0 }] }), {
+      type: actions.IMPORT_USERS_STARTED,
+      payload: true
+    });
+
+    expect(newState).to.deep.equal(expected);
+  });
+
+  it("should handle IMPORT_USERS_SUCCESS", () => {
+    const expected = fromJS({
+      data: [{ id: 4 }, { id: 5 }, { id: 3 }],
+      metadata: { per: 20, total: 3 }
+    });
+
+    const newState = reducer(
+      fromJS({ data: [{ id: 3 }], metadata: { per: 20, total: 1 } }),
+      {
+        type: actions.IMPORT_USERS_SUCCESS,
+        payload: { data: [{ id: 4 }, { id: 5 }] }
+      }
+    );
+
+    expect(newState).to.deep.equal(expected);
+  });
+
+  it("should handle IMPORT_USERS_FAILURE", () => {
+    const errors = [{ row: 1, detail: "user_name", message: ["taken"] }];
+
+    const newState = reducer(fromJS({}), {
+      type: actions.IMPORT_USERS_FAILURE,
+      payload: { errors }
+    });
+
+    expect(newState).to.deep.equal(fromJS({ importErrors: errors }));
+  });
+
+  it("should handle IMPORT_USERS_FINISHED", () => {
+    const newState = reducer(fromJS({ importing: true }), {
+      type: actions.IMPORT_USERS_FINISHED,
+      payload: false
+    });
+
+    expect(newState).to.deep.equal(fromJS({ importing: false }));
+  });
+
+  it("should handle CLEAR_IMPORT_ERRORS", () => {
+    const newState = reducer(fromJS({ importErrors: [{ row: 0 }] }), {
+      type: actions.CLEAR_IMPORT_ERRORS
+    });
+
+    expect(newState).to.deep.equal(fromJS({ importErrors: [] }));
+  });
 });
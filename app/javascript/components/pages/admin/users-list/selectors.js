@@ -1,6 +1,12 @@
-/* eslint-disable import/prefer-default-export */
+import { fromJS, List } from "immutable";
 
-import { List } from "immutable";
+import NAMESPACE from "../namespace";
 
 export const selectListHeaders = (state, namespace) =>
   state.getIn(["user", "listHeaders", namespace], List([]));
+
+export const getImportErrors = state =>
+  state.getIn(["records", NAMESPACE, "importErrors"], fromJS([]));
+
+export const getImporting = state =>
+  state.getIn(["records", NAMESPACE, "importing"], false);
@@ -2,7 +2,7 @@ import { fromJS } from "immutable";
 
 import NAMESPACE from "../namespace";
 
-import { selectListHeaders } from "./selectors";
+import { getImportErrors, getImporting, selectListHeaders } from "./selectors";
 
 const stateWithHeaders = fromJS({
   user: {
@@ -34,4 +34,29 @@ describe("<UsersList /> - Selectors", () => {
       expect(headers).to.deep.equal(fromJS([]));
     });
   });
+
+  describe("getImportErrors", () => {
+    it("should return the errors of the import", () => {
+      const errors = fromJS([{ row: 0, detail: "user_name" }]);
+      const state = fromJS({ records: { users: { importErrors: errors } } });
+
+      expect(getImportErrors(state)).to.deep.equal(errors);
+    });
+
+    it("should return an empty list when there are no errors", () => {
+      expect(getImportErrors(fromJS({}))).to.deep.equal(fromJS([]));
+    });
+  });
+
+  describe("getImporting", () => {
+    it("should return true while the users are imported", () => {
+      const state = fromJS({ records: { users: { importing: true } } });
+
+      expect(getImporting(state)).to.be.true;
+    });
+
+    it("should return false by default", () => {
+      expect(getImporting(fromJS({}))).to.be.false;
+    });
+  });
 });
@@ -1,4 +1,5 @@
 import { RECORD_PATH } from "../../../config";
+import { draftsIndexedDB } from "../../../db";
 
 import {
   DASHBOARD_FLAGS,
@@ -8,7 +9,8 @@ import {
   CASES_OVERVIEW,
   DASHBOARDS,
   SERVICES_STATUS,
-  OPEN_PAGE_ACTIONS
+  OPEN_PAGE_ACTIONS,
+  FETCH_DRAFTS_SUCCESS
 } from "./actions";
 
 export const fetchFlags = () => {
@@ -142,3 +144,18 @@ export const fetchDashboards = () => ({
     path: RECORD_PATH.dashboards
   }
 });
+
+export const fetchDrafts = () => async dispatch => {
+  const drafts = await draftsIndexedDB.getAll();
+
+  dispatch({
+    type: FETCH_DRAFTS_SUCCESS,
+    payload: drafts || []
+  });
+};
+
+export const discardDraft = ({ recordType, recordId }) => async dispatch => {
+  await draftsIndexedDB.delete(recordType, recordId);
+
+  dispatch(fetchDrafts());
+};
@@ -1,8 +1,10 @@
 import clone from "lodash/clone";
 import sinon from "sinon";
 import configureStore from "redux-mock-store";
+import thunk from "redux-thunk";
 
 import { RECORD_PATH } from "../../../config";
+import { draftsIndexedDB } from "../../../db";
 
 import * as actionCreators from "./action-creators";
 import * as actions from "./actions";
@@ -19,7 +21,9 @@ describe("<Dashboard /> - Action Creators", () => {
       "fetchCasesOverview",
       "fetchServicesStatus",
       "openPageActions",
-      "fetchDashboards"
+      "fetchDashboards",
+      "fetchDrafts",
+      "discardDraft"
     ].forEach(property => {
       expect(creators).to.have.property(property);
       delete creators[property];
@@ -43,4 +47,44 @@ describe("<Dashboard /> - Action Creators", () => {
       RECORD_PATH.dashboards
     );
   });
+
+  describe("drafts", () => {
+    const drafts = [{ id: "cases/record-1", recordType: "cases" }];
+
+    beforeEach(() => {
+      sinon.stub(draftsIndexedDB, "getAll").resolves(drafts);
+      sinon.stub(draftsIndexedDB, "delete").resolves();
+    });
+
+    afterEach(() => {
+      draftsIndexedDB.getAll.restore();
+      draftsIndexedDB.delete.restore();
+    });
+
+    it("should check the 'fetchDrafts' action creator to return the drafts", async () => {
+      const store = configureStore([thunk])({});
+
+      await store.dispatch(actionCreators.fetchDrafts());
+
+      expect(store.getActions()).to.deep.equal([
+        { type: actions.FETCH_DRAFTS_SUCCESS, payload: drafts }
+      ]);
+    });
+
+    it("should check the 'discardDraft' action creator to delete the draft", async () => {
+      const store = configureStore([thunk])({});
+
+      await store.dispatch(
+        actionCreators.discardDraft({
+          recordType: "cases",
+          recordId: "record-1"
+        })
+      );
+
+      expect(draftsIndexedDB.delete).to.have.been.calledWith(
+        "cases",
+        "record-1"
+      );
+    });
+  });
 });
@@ -8,5 +8,6 @@ export const DASHBOARDS_STARTED = "Dashboard/DASHBOARDS_STARTED";
 export const DASHBOARDS_SUCCESS = "Dashboard/DASHBOARDS_SUCCESS";
 export const DASHBOARDS_FINISHED = "Dashboard/DASHBOARDS_FINISHED";
 export const DASHBOARDS_FAILURE = "Dashboard/DASHBOARDS_FAILURE";
+export const FETCH_DRAFTS_SUCCESS = "Dashboard/FETCH_DRAFTS_SUCCESS";
 export const OPEN_PAGE_ACTIONS = "Dashboard/OPEN_PAGE_ACTIONS";
 export const SERVICES_STATUS = "Dashboard/SERVICES_STATUS";
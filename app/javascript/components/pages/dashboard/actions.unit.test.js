@@ -18,6 +18,7 @@ describe("<Dashboard /> - Actions", () => {
       "DASHBOARDS_SUCCESS",
       "DASHBOARDS_FINISHED",
       "DASHBOARDS_FAILURE",
+      "FETCH_DRAFTS_SUCCESS",
       "OPEN_PAGE_ACTIONS",
       "SERVICES_STATUS"
     ].forEach(property => {
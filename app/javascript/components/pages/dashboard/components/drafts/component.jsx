@@ -0,0 +1,86 @@
+import React, { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link } from "react-router-dom";
+import {
+  Grid,
+  IconButton,
+  List,
+  ListItem,
+  ListItemSecondaryAction,
+  ListItemText
+} from "@material-ui/core";
+import DeleteIcon from "@material-ui/icons/Delete";
+
+import { RECORD_TYPES } from "../../../../../config";
+import { useI18n } from "../../../../i18n";
+import { OptionsBox } from "../../../../dashboard";
+import { discardDraft, fetchDrafts } from "../../action-creators";
+import { getDrafts } from "../../selectors";
+
+import { NAME } from "./constants";
+
+const draftPath = ({ recordType, recordId, primeroModule }) =>
+  recordId
+    ? `/${recordType}/${recordId}/edit`
+    : `/${recordType}/${primeroModule}/new`;
+
+const Component = () => {
+  const i18n = useI18n();
+  const dispatch = useDispatch();
+  const drafts = useSelector(state => getDrafts(state));
+
+  useEffect(() => {
+    dispatch(fetchDrafts());
+  }, []);
+
+  if (!drafts.size) {
+    return null;
+  }
+
+  return (
+    <Grid item md={12} xs={12}>
+      <OptionsBox title={i18n.t("dashboard.drafts")}>
+        <List>
+          {drafts.map(draft => {
+            const data = draft.delete("values").toJS();
+
+            return (
+              <ListItem
+                key={data.id}
+                button
+                component={Link}
+                to={draftPath(data)}
+              >
+                <ListItemText
+                  primary={
+                    draft.getIn(["values", "name"]) ||
+                    draft.getIn(["values", "short_id"]) ||
+                    i18n.t("drafts.new_record")
+                  }
+                  secondary={`${i18n.t(
+                    `forms.record_types.${RECORD_TYPES[data.recordType]}`
+                  )} / ${i18n.t("drafts.saved_at", {
+                    date: i18n.l("time.formats.with_time", data.savedAt)
+                  })}`}
+                />
+                <ListItemSecondaryAction>
+                  <IconButton
+                    edge="end"
+                    aria-label={i18n.t("drafts.discard")}
+                    onClick={() => dispatch(discardDraft(data))}
+                  >
+                    <DeleteIcon />
+                  </IconButton>
+                </ListItemSecondaryAction>
+              </ListItem>
+            );
+          })}
+        </List>
+      </OptionsBox>
+    </Grid>
+  );
+};
+
+Component.displayName = NAME;
+
+export default Component;
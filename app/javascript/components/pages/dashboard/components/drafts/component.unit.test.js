@@ -0,0 +1,75 @@
+import { fromJS } from "immutable";
+import { IconButton, ListItem, ListItemText } from "@material-ui/core";
+
+import { setupMountedComponent, stub } from "../../../../../test";
+import { draftsIndexedDB } from "../../../../../db";
+
+import Drafts from "./component";
+
+describe("<Drafts> - pages/dashboard/components/drafts", () => {
+  const drafts = [
+    {
+      id: "cases/record-1",
+      recordType: "cases",
+      recordId: "record-1",
+      primeroModule: "primeromodule-cp",
+      values: { name: "Jane Doe", short_id: "abc1234" },
+      savedAt: "2020-04-01T10:00:00.000Z"
+    },
+    {
+      id: "incidents/new",
+      recordType: "incidents",
+      recordId: null,
+      primeroModule: "primeromodule-gbv",
+      values: {},
+      savedAt: "2020-04-02T10:00:00.000Z"
+    }
+  ];
+
+  beforeEach(() => {
+    stub(draftsIndexedDB, "getAll").resolves(drafts);
+    stub(draftsIndexedDB, "delete").resolves();
+  });
+
+  afterEach(() => {
+    draftsIndexedDB.getAll.restore();
+    draftsIndexedDB.delete.restore();
+  });
+
+  it("renders the drafts linked to their forms", () => {
+    const { component } = setupMountedComponent(
+      Drafts,
+      {},
+      fromJS({ records: { dashboard: { drafts } } })
+    );
+    const items = component.find(ListItem);
+
+    expect(items).to.have.lengthOf(2);
+    expect(items.at(0).find(ListItemText).props().primary).to.equal(
+      "drafts.new_record"
+    );
+    expect(items.at(0).find("a").props().href).to.equal(
+      "/incidents/primeromodule-gbv/new"
+    );
+    expect(items.at(1).find(ListItemText).props().primary).to.equal("Jane Doe");
+    expect(items.at(1).find("a").props().href).to.equal("/cases/record-1/edit");
+  });
+
+  it("discards a draft", () => {
+    const { component } = setupMountedComponent(
+      Drafts,
+      {},
+      fromJS({ records: { dashboard: { drafts } } })
+    );
+
+    component.find(IconButton).last().simulate("click");
+
+    expect(draftsIndexedDB.delete).to.have.been.calledWith("cases", "record-1");
+  });
+
+  it("does not render without drafts", () => {
+    const { component } = setupMountedComponent(Drafts, {}, fromJS({}));
+
+    expect(component.find(ListItem)).to.have.lengthOf(0);
+  });
+});
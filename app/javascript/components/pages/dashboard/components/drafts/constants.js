@@ -0,0 +1,5 @@
+/* eslint-disable import/prefer-default-export */
+
+import { NAME as Dashboard } from "../../constants";
+
+export const NAME = `${Dashboard}Drafts`;
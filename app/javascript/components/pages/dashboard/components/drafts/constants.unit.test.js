@@ -0,0 +1,15 @@
+import * as constants from "./constants";
+
+describe("<Drafts> - pages/dashboard/components/drafts/constants", () => {
+  const clone = { ...constants };
+
+  it("should have known properties", () => {
+    expect(clone).to.be.an("object");
+    ["NAME"].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+});
@@ -7,3 +7,4 @@ export { default as OverdueTasks } from "./overdue-tasks";
 export { default as WorkflowTeamCases } from "./workflow-team-cases";
 export { default as ReportingLocation } from "./reporting-location";
 export { default as ProtectionConcern } from "./protection-concern";
+export { default as Drafts } from "./drafts";
@@ -16,7 +16,8 @@ import {
   OverdueTasks,
   WorkflowTeamCases,
   ReportingLocation,
-  ProtectionConcern
+  ProtectionConcern,
+  Drafts
 } from "./components";
 import NAMESPACE from "./namespace";
 import { NAME } from "./constants";
@@ -46,6 +47,7 @@ const Dashboard = () => {
       <PageHeading title={i18n.t("navigation.home")} />
       <PageContent>
         <Grid container spacing={3}>
+          <Drafts />
           <Overview
             loadingIndicator={indicatorProps}
             userPermissions={userPermissions}
@@ -11,7 +11,8 @@ import {
   DASHBOARDS_FINISHED,
   DASHBOARDS_FAILURE,
   SERVICES_STATUS,
-  OPEN_PAGE_ACTIONS
+  OPEN_PAGE_ACTIONS,
+  FETCH_DRAFTS_SUCCESS
 } from "./actions";
 import NAMESPACE from "./namespace";
 
@@ -41,6 +42,8 @@ const reducer = (state = DEFAULT_STATE, { type, payload }) => {
       return state.set("servicesStatus", fromJS(payload.services));
     case OPEN_PAGE_ACTIONS:
       return state.set("isOpenPageActions", fromJS(payload));
+    case FETCH_DRAFTS_SUCCESS:
+      return state.set("drafts", fromJS(payload));
     case "user/LOGOUT_SUCCESS":
       return DEFAULT_STATE;
     default:
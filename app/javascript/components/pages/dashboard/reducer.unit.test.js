@@ -6,7 +6,8 @@ import {
   DASHBOARDS_STARTED,
   DASHBOARDS_SUCCESS,
   DASHBOARDS_FINISHED,
-  DASHBOARDS_FAILURE
+  DASHBOARDS_FAILURE,
+  FETCH_DRAFTS_SUCCESS
 } from "./actions";
 import reducer from "./reducer";
 
@@ -92,6 +93,18 @@ describe("<Dashboard /> - Reducers", () => {
     expect(newState).to.deep.equal(expected);
   });
 
+  it("should handle FETCH_DRAFTS_SUCCESS", () => {
+    const drafts = [{ id: "cases/new", recordType: "cases" }];
+    const action = {
+      type: FETCH_DRAFTS_SUCCESS,
+      payload: drafts
+    };
+
+    const newState = nsReducer(initialState, action);
+
+    expect(newState).to.deep.equal(fromJS({ drafts }));
+  });
+
   it("should handle user/LOGOUT_SUCCESS", () => {
     const expected = fromJS({});
     const defaultState = fromJS({});
@@ -31,6 +31,13 @@ export const selectIsOpenPageActions = state => {
   return state.getIn(["records", NAMESPACE, "isOpenPageActions"], false);
 };
 
+// The most recent drafts first
+export const getDrafts = state =>
+  state
+    .getIn(["records", NAMESPACE, "drafts"], fromJS([]))
+    .sortBy(draft => draft.get("savedAt"))
+    .reverse();
+
 export const getDashboards = state => {
   return state.getIn(["records", NAMESPACE, "data"], false);
 };
@@ -405,4 +405,22 @@ describe("<Dashboard /> - Selectors", () => {
       expect(values).to.deep.equal(fromJS(sharedWithMyTeam));
     });
   });
+
+  describe("getDrafts", () => {
+    it("should return the most recent drafts first", () => {
+      const drafts = [
+        { id: "cases/new", savedAt: "2020-04-01T10:00:00.000Z" },
+        { id: "cases/record-1", savedAt: "2020-04-02T10:00:00.000Z" }
+      ];
+      const state = fromJS({ records: { dashboard: { drafts } } });
+
+      expect(
+        selectors.getDrafts(state).map(draft => draft.get("id"))
+      ).to.deep.equal(fromJS(["cases/record-1", "cases/new"]));
+    });
+
+    it("should return an empty list when there are no drafts", () => {
+      expect(selectors.getDrafts(fromJS({}))).to.be.empty;
+    });
+  });
 });
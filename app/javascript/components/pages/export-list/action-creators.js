@@ -1,5 +1,3 @@
-/* eslint-disable import/prefer-default-export */
-
 import actions from "./actions";
 import { EXPORT_URL } from "./constants";
 
@@ -14,3 +12,15 @@ export const fetchExports = data => {
     }
   };
 };
+
+export const fetchExport = id => ({
+  type: actions.FETCH_EXPORT,
+  api: {
+    path: `${EXPORT_URL}/${id}`
+  }
+});
+
+export const untrackExport = id => ({
+  type: actions.UNTRACK_EXPORT,
+  payload: { id }
+});
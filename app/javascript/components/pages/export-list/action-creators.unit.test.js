@@ -6,7 +6,7 @@ describe("<ExportList /> - pages/export-list/action-creators", () => {
   it("should have known action creators", () => {
     const creators = { ...actionCreators };
 
-    ["fetchExports"].forEach(property => {
+    ["fetchExports", "fetchExport", "untrackExport"].forEach(property => {
       expect(creators).to.have.property(property);
       delete creators[property];
     });
@@ -30,4 +30,20 @@ describe("<ExportList /> - pages/export-list/action-creators", () => {
     expect(returnObject).to.not.be.undefined;
     expect(returnObject).to.deep.equals(expected);
   });
+
+  it("should check the 'fetchExport' action creator to return the correct object", () => {
+    expect(actionCreators.fetchExport(1)).to.deep.equals({
+      type: actions.FETCH_EXPORT,
+      api: {
+        path: `${EXPORT_URL}/1`
+      }
+    });
+  });
+
+  it("should check the 'untrackExport' action creator to return the correct object", () => {
+    expect(actionCreators.untrackExport(1)).to.deep.equals({
+      type: actions.UNTRACK_EXPORT,
+      payload: { id: 1 }
+    });
+  });
 });
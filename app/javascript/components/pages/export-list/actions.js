@@ -7,5 +7,9 @@ export default namespaceActions(NAMESPACE, [
   "FETCH_EXPORTS_STARTED",
   "FETCH_EXPORTS_SUCCESS",
   "FETCH_EXPORTS_FINISHED",
-  "FETCH_EXPORTS_FAILURE"
+  "FETCH_EXPORTS_FAILURE",
+  "FETCH_EXPORT",
+  "FETCH_EXPORT_SUCCESS",
+  "TRACK_EXPORT",
+  "UNTRACK_EXPORT"
 ]);
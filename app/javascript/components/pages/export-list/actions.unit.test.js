@@ -9,7 +9,11 @@ describe("<ExportList /> - pages/export-list/actions", () => {
       "FETCH_EXPORTS_STARTED",
       "FETCH_EXPORTS_SUCCESS",
       "FETCH_EXPORTS_FINISHED",
-      "FETCH_EXPORTS_FAILURE"
+      "FETCH_EXPORTS_FAILURE",
+      "FETCH_EXPORT",
+      "FETCH_EXPORT_SUCCESS",
+      "TRACK_EXPORT",
+      "UNTRACK_EXPORT"
     ].forEach(property => {
       expect(clone).to.have.property(property);
       delete clone[property];
@@ -0,0 +1,76 @@
+import { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+
+import { useI18n } from "../../../../i18n";
+import {
+  ENQUEUE_SNACKBAR,
+  SNACKBAR_VARIANTS,
+  generate
+} from "../../../../notifier";
+import { fetchExport, untrackExport } from "../../action-creators";
+import { selectTrackedExports } from "../../selectors";
+import {
+  EXPORT_POLLING_INTERVAL,
+  EXPORT_STATUS,
+  EXPORT_URL
+} from "../../constants";
+
+import { NAME } from "./constants";
+
+// Follows the exports requested during the session wherever the user is in the
+// application and lets them know when the files are ready.
+const Component = () => {
+  const i18n = useI18n();
+  const dispatch = useDispatch();
+  const trackedExports = useSelector(state => selectTrackedExports(state));
+
+  const pending = trackedExports.filter(
+    bulkExport => bulkExport.status === EXPORT_STATUS.processing
+  );
+  const finished = trackedExports.filter(
+    bulkExport => bulkExport.status !== EXPORT_STATUS.processing
+  );
+
+  useEffect(() => {
+    finished.forEach(bulkExport => {
+      const complete = bulkExport.status === EXPORT_STATUS.complete;
+
+      dispatch({
+        type: ENQUEUE_SNACKBAR,
+        payload: {
+          message: i18n.t(
+            complete ? "bulk_export.completed" : "bulk_export.terminated",
+            { file_name: bulkExport.file_name }
+          ),
+          options: {
+            variant: complete
+              ? SNACKBAR_VARIANTS.success
+              : SNACKBAR_VARIANTS.error,
+            key: generate.messageKey()
+          },
+          actionLabel: i18n.t("exports.go_to_exports"),
+          actionUrl: `/${EXPORT_URL}`
+        }
+      });
+      dispatch(untrackExport(bulkExport.id));
+    });
+  }, [finished.size]);
+
+  useEffect(() => {
+    if (pending.isEmpty()) {
+      return undefined;
+    }
+
+    const poller = setInterval(() => {
+      pending.keySeq().forEach(id => dispatch(fetchExport(id)));
+    }, EXPORT_POLLING_INTERVAL);
+
+    return () => clearInterval(poller);
+  }, [pending.keySeq().join()]);
+
+  return null;
+};
+
+Component.displayName = NAME;
+
+export default Component;
@@ -0,0 +1,91 @@
+import { fromJS } from "immutable";
+import sinon from "sinon";
+
+import { setupMountedComponent } from "../../../../../test";
+import { ENQUEUE_SNACKBAR } from "../../../../notifier";
+import actions from "../../actions";
+import { EXPORT_POLLING_INTERVAL, EXPORT_STATUS } from "../../constants";
+import { ExportRecord } from "../../records";
+
+import ExportNotifier from "./component";
+
+describe("<ExportNotifier> - pages/export-list/components/export-notifier", () => {
+  const stateWithExports = tracked =>
+    fromJS({ records: { bulk_exports: { tracked } } });
+  const exportActions = component =>
+    component
+      .props()
+      .store.getActions()
+      .filter(action =>
+        [
+          ENQUEUE_SNACKBAR,
+          actions.UNTRACK_EXPORT,
+          actions.FETCH_EXPORT
+        ].includes(action.type)
+      );
+
+  it("notifies the user when an export completes", () => {
+    const { component } = setupMountedComponent(
+      ExportNotifier,
+      {},
+      stateWithExports({
+        1: ExportRecord({
+          id: 1,
+          status: EXPORT_STATUS.complete,
+          file_name: "cases.csv"
+        })
+      })
+    );
+    const storeActions = exportActions(component);
+
+    expect(storeActions.map(action => action.type)).to.deep.equal([
+      ENQUEUE_SNACKBAR,
+      actions.UNTRACK_EXPORT
+    ]);
+    expect(storeActions[0].payload.options.variant).to.equal("success");
+    expect(storeActions[1].payload).to.deep.equal({ id: 1 });
+  });
+
+  it("notifies the user when an export fails", () => {
+    const { component } = setupMountedComponent(
+      ExportNotifier,
+      {},
+      stateWithExports({
+        1: ExportRecord({ id: 1, status: EXPORT_STATUS.terminated })
+      })
+    );
+
+    expect(exportActions(component)[0].payload.options.variant).to.equal(
+      "error"
+    );
+  });
+
+  describe("when an export is processing", () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it("polls the status of the export", () => {
+      const { component } = setupMountedComponent(
+        ExportNotifier,
+        {},
+        stateWithExports({
+          1: ExportRecord({ id: 1, status: EXPORT_STATUS.processing })
+        })
+      );
+
+      expect(exportActions(component)).to.be.empty;
+      clock.tick(EXPORT_POLLING_INTERVAL);
+
+      expect(exportActions(component)).to.deep.equal([
+        { type: actions.FETCH_EXPORT, api: { path: "exports/1" } }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,5 @@
+/* eslint-disable import/prefer-default-export */
+
+import { NAME as ExportList } from "../../constants";
+
+export const NAME = `${ExportList}Notifier`;
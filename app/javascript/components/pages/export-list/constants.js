@@ -2,10 +2,15 @@ export const NAME = "ExportList";
 export const EXPORT_URL = "exports";
 export const EXPORT_STATUS = Object.freeze({
   processing: "job.status.processing",
-  complete: "job.status.complete"
+  complete: "job.status.complete",
+  terminated: "job.status.terminated",
+  archived: "job.status.archived"
 });
 export const EXPORT_COLUMNS = Object.freeze({
   fileName: "file_name",
   recordType: "record_type",
-  startedOn: "started_on"
+  startedOn: "started_on",
+  status: "status",
+  expiresOn: "expires_on"
 });
+export const EXPORT_POLLING_INTERVAL = 10000;
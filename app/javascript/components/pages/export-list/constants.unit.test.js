@@ -4,12 +4,16 @@ describe("<ExportList /> - pages/export-list/constants", () => {
   it("should have known constants", () => {
     const clone = { ...constants };
 
-    ["NAME", "EXPORT_URL", "EXPORT_STATUS", "EXPORT_COLUMNS"].forEach(
-      property => {
-        expect(clone).to.have.property(property);
-        delete clone[property];
-      }
-    );
+    [
+      "NAME",
+      "EXPORT_URL",
+      "EXPORT_STATUS",
+      "EXPORT_COLUMNS",
+      "EXPORT_POLLING_INTERVAL"
+    ].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
 
     expect(clone).to.be.empty;
   });
@@ -1,33 +1,64 @@
-import React from "react";
+import React, { useEffect } from "react";
 import PropTypes from "prop-types";
-import { useSelector } from "react-redux";
+import { useDispatch, useSelector } from "react-redux";
 import { makeStyles } from "@material-ui/styles/";
 import DownloadIcon from "@material-ui/icons/GetApp";
 import CircularProgress from "@material-ui/core/CircularProgress";
-import { fromJS } from "immutable";
+import { fromJS, List } from "immutable";
 import startCase from "lodash/startCase";
 import { format, parseISO } from "date-fns";
 
 import { PageContainer, PageHeading, PageContent } from "../../page";
-import IndexTable from "../../index-table";
+import IndexTable, { getRecords } from "../../index-table";
 import { useI18n } from "../../i18n";
 import { DATE_TIME_FORMAT } from "../../../config";
 
 import { fetchExports } from "./action-creators";
 import styles from "./styles.css";
 import { selectListHeaders } from "./selectors";
-import { NAME, EXPORT_STATUS, EXPORT_COLUMNS } from "./constants";
+import {
+  NAME,
+  EXPORT_STATUS,
+  EXPORT_COLUMNS,
+  EXPORT_POLLING_INTERVAL
+} from "./constants";
+
+const isRecordProcessing = status => status === EXPORT_STATUS.processing;
 
 const ExportList = () => {
   const i18n = useI18n();
   const css = makeStyles(styles)();
+  const dispatch = useDispatch();
   const recordType = "bulk_exports";
 
   const listHeaders = useSelector(state =>
     selectListHeaders(state, recordType)
   );
+  const metadata = useSelector(state =>
+    getRecords(state, recordType).get("metadata")
+  );
+  const processing = useSelector(state =>
+    getRecords(state, recordType)
+      .get("data", List())
+      .some(exportRecord => isRecordProcessing(exportRecord.status))
+  );
+
+  // Refresh the current page until every export of the page is done.
+  useEffect(() => {
+    if (!processing) {
+      return undefined;
+    }
+
+    const { per, page } = metadata?.toJS() || {};
+    const poller = setInterval(() => {
+      dispatch(fetchExports({ options: { per, page } }));
+    }, EXPORT_POLLING_INTERVAL);
+
+    return () => clearInterval(poller);
+  }, [processing, metadata]);
 
-  const isRecordProcessing = status => status === EXPORT_STATUS.processing;
+  const formatDate = value =>
+    value ? format(parseISO(value), DATE_TIME_FORMAT) : "";
 
   const onRowClick = record =>
     !isRecordProcessing(record.status)
@@ -47,7 +78,12 @@ const ExportList = () => {
                   const { status } = exportRecord;
 
                   const exportIcon = isRecordProcessing(status) ? (
-                    <CircularProgress color="inherit" className={css.loading} />
+                    <CircularProgress
+                      color="inherit"
+                      className={css.loading}
+                      variant={exportRecord.progress ? "static" : undefined}
+                      value={exportRecord.progress}
+                    />
                   ) : (
                     <DownloadIcon fontSize="small" />
                   );
@@ -72,10 +108,21 @@ const ExportList = () => {
                 customBodyRender: value => startCase(value)
               }
             : {}),
-          ...(c.name === EXPORT_COLUMNS.startedOn
+          ...(c.name === EXPORT_COLUMNS.startedOn ||
+          c.name === EXPORT_COLUMNS.expiresOn
             ? {
-                customBodyRender: value =>
-                  format(parseISO(value), DATE_TIME_FORMAT)
+                customBodyRender: value => formatDate(value)
+              }
+            : {}),
+          ...(c.name === EXPORT_COLUMNS.status
+            ? {
+                customBodyRender: (value, tableMeta) => {
+                  const { progress } = data.getIn(["data", tableMeta.rowIndex]);
+
+                  return isRecordProcessing(value)
+                    ? `${i18n.t(value)} ${progress}%`
+                    : i18n.t(value);
+                }
               }
             : {})
         }
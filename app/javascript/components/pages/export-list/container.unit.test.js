@@ -1,4 +1,5 @@
 import { fromJS } from "immutable";
+import sinon from "sinon";
 import MUIDataTable, { TableBodyRow } from "mui-datatables";
 
 import IndexTable from "../../index-table";
@@ -10,6 +11,8 @@ import { mapEntriesToRecord } from "../../../libs";
 
 import { ExportRecord } from "./records";
 import ExportList from "./container";
+import actions from "./actions";
+import { EXPORT_POLLING_INTERVAL, EXPORT_STATUS } from "./constants";
 
 describe("<ExportList />", () => {
   let component;
@@ -120,4 +123,49 @@ describe("<ExportList />", () => {
   it("should render <IndexTable>", () => {
     expect(component.find(IndexTable)).to.have.lengthOf(1);
   });
+
+  describe("when an export is processing", () => {
+    let clock;
+    let processingComponent;
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers();
+      ({ component: processingComponent } = setupMountedComponent(
+        ExportList,
+        {},
+        initialState.setIn(
+          ["records", "bulk_exports", "data", 0],
+          ExportRecord({
+            id: "d5e1a4a019ec727efd34a35d1d9a271e",
+            file_name: "PRIMERO-CHILD-UNHCR.CSV",
+            record_type: "Case",
+            started_on: "2020-02-04T20:32:50.078Z",
+            status: EXPORT_STATUS.processing,
+            progress: 40
+          })
+        )
+      ));
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it("should refresh the exports until they are done", () => {
+      const fetchActions = () =>
+        processingComponent
+          .props()
+          .store.getActions()
+          .filter(action => action.type === actions.FETCH_EXPORTS);
+      const initialFetches = fetchActions().length;
+
+      clock.tick(EXPORT_POLLING_INTERVAL);
+
+      expect(fetchActions()).to.have.lengthOf(initialFetches + 1);
+      expect(fetchActions().pop().api.params).to.deep.equal({
+        per: 20,
+        page: 1
+      });
+    });
+  });
 });
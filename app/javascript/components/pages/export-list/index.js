@@ -1,3 +1,4 @@
 export { default } from "./container";
 export { default as reducer } from "./reducer";
 export { selectListHeaders } from "./selectors";
+export { default as ExportNotifier } from "./components/export-notifier";
@@ -6,6 +6,9 @@ export const ExportRecord = Record({
   id: "",
   status: "",
   started_on: "",
+  completed_on: "",
+  expires_on: "",
+  progress: 0,
   file_name: "",
   export_file: "",
   record_type: ""
@@ -1,4 +1,4 @@
-import { fromJS } from "immutable";
+import { fromJS, Map } from "immutable";
 
 import { mapEntriesToRecord } from "../../../libs";
 
@@ -8,6 +8,14 @@ import NAMESPACE from "./namespace";
 
 const DEFAULT_STATE = fromJS({});
 
+const updateListedExport = (state, bulkExport) => {
+  const index = state
+    .get("data", fromJS([]))
+    .findIndex(listed => listed.id === bulkExport.id);
+
+  return index < 0 ? state : state.setIn(["data", index], bulkExport);
+};
+
 const reducer = (state = DEFAULT_STATE, { type, payload }) => {
   switch (type) {
     case actions.FETCH_EXPORTS_SUCCESS: {
@@ -15,6 +23,26 @@ const reducer = (state = DEFAULT_STATE, { type, payload }) => {
         .set("data", mapEntriesToRecord(payload.data, ExportRecord, false))
         .set("metadata", fromJS(payload.metadata));
     }
+    case actions.FETCH_EXPORT_SUCCESS: {
+      const bulkExport = ExportRecord(payload.data);
+      const tracked = state.hasIn(["tracked", String(bulkExport.id)]);
+
+      return updateListedExport(
+        tracked
+          ? state.setIn(["tracked", String(bulkExport.id)], bulkExport)
+          : state,
+        bulkExport
+      );
+    }
+    case actions.TRACK_EXPORT: {
+      const bulkExport = ExportRecord(payload.json.data);
+
+      return state.setIn(["tracked", String(bulkExport.id)], bulkExport);
+    }
+    case actions.UNTRACK_EXPORT:
+      return state.update("tracked", Map(), tracked =>
+        tracked.delete(String(payload.id))
+      );
     default:
       return state;
   }
@@ -1,4 +1,4 @@
-import { fromJS } from "immutable";
+import { fromJS, Map } from "immutable";
 
 import { ExportRecord } from "./records";
 import reducer from "./reducer";
@@ -43,4 +43,73 @@ describe("<ExportList /> - pages/export-list/reducer", () => {
 
     expect(newState).to.deep.equal(expected);
   });
+
+  it("should handle TRACK_EXPORT", () => {
+    const bulkExport = {
+      id: 2,
+      status: EXPORT_STATUS.processing,
+      file_name: "cases.csv"
+    };
+    const action = {
+      type: actions.TRACK_EXPORT,
+      payload: { json: { data: bulkExport } }
+    };
+
+    const newState = reducer.bulk_exports(defaultState, action);
+
+    expect(newState.getIn(["tracked", "2"])).to.deep.equal(
+      ExportRecord(bulkExport)
+    );
+  });
+
+  it("should handle FETCH_EXPORT_SUCCESS", () => {
+    const processing = ExportRecord({
+      id: 2,
+      status: EXPORT_STATUS.processing,
+      progress: 10
+    });
+    const state = fromJS({
+      data: [ExportRecord({ id: 1 }), processing],
+      tracked: Map({ 2: processing })
+    });
+    const bulkExport = {
+      id: 2,
+      status: EXPORT_STATUS.complete,
+      progress: 100
+    };
+    const action = {
+      type: actions.FETCH_EXPORT_SUCCESS,
+      payload: { data: bulkExport }
+    };
+
+    const newState = reducer.bulk_exports(state, action);
+
+    expect(newState.getIn(["data", 1])).to.deep.equal(ExportRecord(bulkExport));
+    expect(newState.getIn(["tracked", "2"])).to.deep.equal(
+      ExportRecord(bulkExport)
+    );
+  });
+
+  it("should not track the exports fetched from the list", () => {
+    const action = {
+      type: actions.FETCH_EXPORT_SUCCESS,
+      payload: { data: { id: 3, status: EXPORT_STATUS.complete } }
+    };
+
+    const newState = reducer.bulk_exports(defaultState, action);
+
+    expect(newState.get("tracked")).to.be.undefined;
+  });
+
+  it("should handle UNTRACK_EXPORT", () => {
+    const state = fromJS({ tracked: Map({ 2: ExportRecord({ id: 2 }) }) });
+    const action = {
+      type: actions.UNTRACK_EXPORT,
+      payload: { id: 2 }
+    };
+
+    const newState = reducer.bulk_exports(state, action);
+
+    expect(newState.get("tracked")).to.be.empty;
+  });
 });
@@ -1,6 +1,9 @@
-/* eslint-disable import/prefer-default-export */
+import { List, Map } from "immutable";
 
-import { List } from "immutable";
+import NAMESPACE from "./namespace";
 
 export const selectListHeaders = (state, namespace) =>
   state.getIn(["user", "listHeaders", namespace], List([]));
+
+export const selectTrackedExports = state =>
+  state.getIn(["records", NAMESPACE, "tracked"], Map({}));
@@ -27,6 +27,13 @@ const state = fromJS({
     listHeaders: {
       bulk_exports: bulkExportHeaders
     }
+  },
+  records: {
+    bulk_exports: {
+      tracked: {
+        1: { id: 1, status: "job.status.processing" }
+      }
+    }
   }
 });
 
@@ -44,4 +51,16 @@ describe("<ExportList /> - pages/export-list/reducer", () => {
       expect(records).to.be.empty;
     });
   });
+
+  describe("selectTrackedExports", () => {
+    it("should return the exports tracked in the session", () => {
+      expect(selectors.selectTrackedExports(state)).to.deep.equal(
+        fromJS({ 1: { id: 1, status: "job.status.processing" } })
+      );
+    });
+
+    it("should return an empty map when no export is tracked", () => {
+      expect(selectors.selectTrackedExports(fromJS({}))).to.be.empty;
+    });
+  });
 });
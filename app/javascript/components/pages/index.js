@@ -3,8 +3,10 @@ export { default as TaskList } from "./task-list";
 export { default } from "./login";
 export { default as Reports } from "./reports-list";
 export { default as Report } from "./report";
+export { default as ReportForm } from "./report-form";
 export { default as PotentialMatches } from "./potential-matches";
 export { default as ExportList } from "./export-list";
+export { default as Outbox } from "./outbox";
 export { default as Support } from "./support";
 export { NotAuthorized, NotFound } from "./errors";
 export {
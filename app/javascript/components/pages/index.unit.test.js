@@ -19,8 +19,10 @@ describe("pages - index", () => {
       "LookupsList",
       "NotAuthorized",
       "NotFound",
+      "Outbox",
       "PotentialMatches",
       "Report",
+      "ReportForm",
       "Reports",
       "RolesForm",
       "RolesList",
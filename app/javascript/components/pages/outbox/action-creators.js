@@ -0,0 +1,34 @@
+import { attachmentsIndexedDB, queueIndexedDB } from "../../../db";
+
+import actions from "./actions";
+
+export const fetchOutbox = () => async dispatch => {
+  const [pending, failed] = await Promise.all([
+    queueIndexedDB.getAll(),
+    queueIndexedDB.getAllFailed()
+  ]);
+
+  dispatch({
+    type: actions.FETCH_OUTBOX_SUCCESS,
+    payload: { pending: pending || [], failed: failed || [] }
+  });
+};
+
+export const retryOutboxRequest = request => async dispatch => {
+  await queueIndexedDB.retry(request);
+
+  dispatch(fetchOutbox());
+};
+
+export const discardOutboxRequest = request => async dispatch => {
+  const { fromQueue, api } = request;
+
+  await queueIndexedDB.discard(fromQueue);
+  await attachmentsIndexedDB.deleteByRequest(fromQueue);
+
+  if (api?.attachmentId) {
+    await attachmentsIndexedDB.delete(api.attachmentId);
+  }
+
+  dispatch(fetchOutbox());
+};
@@ -0,0 +1,92 @@
+import configureStore from "redux-mock-store";
+import thunk from "redux-thunk";
+import sinon from "sinon";
+
+import { attachmentsIndexedDB, queueIndexedDB } from "../../../db";
+
+import * as actionCreators from "./action-creators";
+import actions from "./actions";
+
+describe("<Outbox /> - pages/outbox/action-creators", () => {
+  const pending = [{ fromQueue: "queue-1", attempts: 0 }];
+  const failed = [{ fromQueue: "queue-2", attempts: 3 }];
+  const expectedActions = [
+    {
+      type: actions.FETCH_OUTBOX_SUCCESS,
+      payload: { pending, failed }
+    }
+  ];
+
+  beforeEach(() => {
+    sinon.stub(queueIndexedDB, "getAll").resolves(pending);
+    sinon.stub(queueIndexedDB, "getAllFailed").resolves(failed);
+    sinon.stub(queueIndexedDB, "retry").resolves();
+    sinon.stub(queueIndexedDB, "discard").resolves();
+    sinon.stub(attachmentsIndexedDB, "deleteByRequest").resolves();
+    sinon.stub(attachmentsIndexedDB, "delete").resolves();
+  });
+
+  afterEach(() => {
+    ["getAll", "getAllFailed", "retry", "discard"].forEach(method =>
+      queueIndexedDB[method].restore()
+    );
+    attachmentsIndexedDB.deleteByRequest.restore();
+    attachmentsIndexedDB.delete.restore();
+  });
+
+  it("should have known action creators", () => {
+    const creators = { ...actionCreators };
+
+    ["fetchOutbox", "retryOutboxRequest", "discardOutboxRequest"].forEach(
+      property => {
+        expect(creators).to.have.property(property);
+        delete creators[property];
+      }
+    );
+
+    expect(creators).to.be.empty;
+  });
+
+  it("should check that 'fetchOutbox' loads pending and failed requests", () => {
+    const store = configureStore([thunk])({});
+
+    return store.dispatch(actionCreators.fetchOutbox()).then(() => {
+      expect(store.getActions()).to.deep.equal(expectedActions);
+    });
+  });
+
+  it("should check that 'retryOutboxRequest' requeues the request", async () => {
+    const store = configureStore([thunk])({});
+
+    await store.dispatch(actionCreators.retryOutboxRequest(failed[0]));
+    await Promise.resolve();
+
+    expect(queueIndexedDB.retry).to.have.been.calledWith(failed[0]);
+    expect(queueIndexedDB.getAll).to.have.been.calledOnce;
+  });
+
+  it("should check that 'discardOutboxRequest' discards the request", async () => {
+    const store = configureStore([thunk])({});
+
+    await store.dispatch(actionCreators.discardOutboxRequest(failed[0]));
+
+    expect(queueIndexedDB.discard).to.have.been.calledWith("queue-2");
+    expect(attachmentsIndexedDB.deleteByRequest).to.have.been.calledWith(
+      "queue-2"
+    );
+    expect(queueIndexedDB.getAll).to.have.been.calledOnce;
+  });
+
+  it("should check that 'discardOutboxRequest' discards the file of an attachment upload", async () => {
+    const store = configureStore([thunk])({});
+
+    await store.dispatch(
+      actionCreators.discardOutboxRequest({
+        fromQueue: "queue-3",
+        api: { attachmentId: "attachment-1" }
+      })
+    );
+
+    expect(attachmentsIndexedDB.delete).to.have.been.calledWith("attachment-1");
+  });
+});
@@ -0,0 +1,5 @@
+import { namespaceActions } from "../../../libs";
+
+import NAMESPACE from "./namespace";
+
+export default namespaceActions(NAMESPACE, ["FETCH_OUTBOX_SUCCESS"]);
@@ -0,0 +1,14 @@
+import actions from "./actions";
+
+describe("<Outbox /> - pages/outbox/actions", () => {
+  it("should have known actions", () => {
+    const cloneActions = { ...actions };
+
+    ["FETCH_OUTBOX_SUCCESS"].forEach(property => {
+      expect(cloneActions).to.have.property(property);
+      delete cloneActions[property];
+    });
+
+    expect(cloneActions).to.be.empty;
+  });
+});
@@ -0,0 +1,6 @@
+export const NAME = "Outbox";
+
+export const OUTBOX_STATUS = Object.freeze({
+  pending: "pending",
+  failed: "failed"
+});
@@ -0,0 +1,21 @@
+import * as constants from "./constants";
+
+describe("<Outbox /> - pages/outbox/constants", () => {
+  it("should have known constants", () => {
+    const clone = { ...constants };
+
+    ["NAME", "OUTBOX_STATUS"].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+
+  it("should have known OUTBOX_STATUS values", () => {
+    expect(constants.OUTBOX_STATUS).to.deep.equal({
+      pending: "pending",
+      failed: "failed"
+    });
+  });
+});
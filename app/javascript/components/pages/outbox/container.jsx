@@ -0,0 +1,127 @@
+/* eslint-disable react/display-name, react/no-multi-comp */
+
+import React, { useEffect } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { makeStyles } from "@material-ui/styles";
+import {
+  IconButton,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Tooltip,
+  Typography
+} from "@material-ui/core";
+import ReplayIcon from "@material-ui/icons/Replay";
+import DeleteIcon from "@material-ui/icons/Delete";
+import DownloadIcon from "@material-ui/icons/GetApp";
+import { format, parseISO } from "date-fns";
+
+import { PageContainer, PageHeading, PageContent } from "../../page";
+import { useI18n } from "../../i18n";
+import { DATE_TIME_FORMAT } from "../../../config";
+import EventManager from "../../../libs/messenger";
+import { QUEUE_ADD, QUEUE_FAILED, QUEUE_FINISHED } from "../../../libs/queue";
+
+import {
+  discardOutboxRequest,
+  fetchOutbox,
+  retryOutboxRequest
+} from "./action-creators";
+import { getOutboxRequests } from "./selectors";
+import {
+  exportRequest,
+  getRequestRecordType,
+  getRequestShortId
+} from "./utils";
+import { NAME } from "./constants";
+import styles from "./styles.css";
+
+const QUEUE_EVENTS = [QUEUE_ADD, QUEUE_FAILED, QUEUE_FINISHED];
+
+const Container = () => {
+  const i18n = useI18n();
+  const css = makeStyles(styles)();
+  const dispatch = useDispatch();
+  const requests = useSelector(state => getOutboxRequests(state));
+
+  useEffect(() => {
+    const refresh = () => dispatch(fetchOutbox());
+
+    refresh();
+    QUEUE_EVENTS.forEach(event => EventManager.subscribe(event, refresh));
+
+    return () => {
+      QUEUE_EVENTS.forEach(event => EventManager.unsubscribe(event, refresh));
+    };
+  }, []);
+
+  const renderRow = outboxRequest => {
+    const { status, ...request } = outboxRequest.toJS();
+    const { fromQueue, queuedAt, attempts, lastError } = request;
+    const recordType = getRequestRecordType(request);
+
+    return (
+      <TableRow key={fromQueue}>
+        <TableCell>
+          {recordType ? i18n.t(`outbox.record_types.${recordType}`) : "--"}
+        </TableCell>
+        <TableCell>{getRequestShortId(request) || "--"}</TableCell>
+        <TableCell>
+          {queuedAt ? format(parseISO(queuedAt), DATE_TIME_FORMAT) : "--"}
+        </TableCell>
+        <TableCell>{attempts || 0}</TableCell>
+        <TableCell>{i18n.t(`outbox.status.${status}`)}</TableCell>
+        <TableCell className={css.error}>{lastError || "--"}</TableCell>
+        <TableCell className={css.actions}>
+          <Tooltip title={i18n.t("outbox.retry")}>
+            <IconButton onClick={() => dispatch(retryOutboxRequest(request))}>
+              <ReplayIcon />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title={i18n.t("outbox.discard")}>
+            <IconButton onClick={() => dispatch(discardOutboxRequest(request))}>
+              <DeleteIcon />
+            </IconButton>
+          </Tooltip>
+          <Tooltip title={i18n.t("outbox.export")}>
+            <IconButton onClick={() => exportRequest(request)}>
+              <DownloadIcon />
+            </IconButton>
+          </Tooltip>
+        </TableCell>
+      </TableRow>
+    );
+  };
+
+  const renderRequests = requests.isEmpty() ? (
+    <Typography>{i18n.t("outbox.empty")}</Typography>
+  ) : (
+    <Table>
+      <TableHead>
+        <TableRow>
+          <TableCell>{i18n.t("outbox.record_type")}</TableCell>
+          <TableCell>{i18n.t("outbox.short_id")}</TableCell>
+          <TableCell>{i18n.t("outbox.queued_at")}</TableCell>
+          <TableCell>{i18n.t("outbox.attempts")}</TableCell>
+          <TableCell>{i18n.t("outbox.status_label")}</TableCell>
+          <TableCell>{i18n.t("outbox.last_error")}</TableCell>
+          <TableCell />
+        </TableRow>
+      </TableHead>
+      <TableBody>{requests.map(renderRow)}</TableBody>
+    </Table>
+  );
+
+  return (
+    <PageContainer>
+      <PageHeading title={i18n.t("navigation.outbox")} />
+      <PageContent>{renderRequests}</PageContent>
+    </PageContainer>
+  );
+};
+
+Container.displayName = NAME;
+
+export default Container;
@@ -0,0 +1,74 @@
+import { fromJS } from "immutable";
+import sinon from "sinon";
+import { TableBody, TableRow } from "@material-ui/core";
+
+import { PageHeading } from "../../page";
+import { setupMountedComponent } from "../../../test";
+import { queueIndexedDB } from "../../../db";
+
+import Outbox from "./container";
+
+describe("<Outbox />", () => {
+  const initialState = fromJS({
+    records: {
+      outbox: {
+        pending: [
+          {
+            fromQueue: "queue-1",
+            type: "cases/SAVE_RECORD",
+            queuedAt: "2020-03-02T10:00:00.000Z",
+            attempts: 0,
+            api: { id: "b575f47b-4a5f-5e9f6a1", recordType: "cases" }
+          }
+        ],
+        failed: [
+          {
+            fromQueue: "queue-2",
+            type: "incidents/SAVE_RECORD",
+            queuedAt: "2020-03-01T10:00:00.000Z",
+            attempts: 3,
+            lastError: "Internal Server Error",
+            api: { recordType: "incidents" }
+          }
+        ]
+      }
+    }
+  });
+
+  beforeEach(() => {
+    sinon.stub(queueIndexedDB, "getAll").resolves([]);
+    sinon.stub(queueIndexedDB, "getAllFailed").resolves([]);
+  });
+
+  afterEach(() => {
+    queueIndexedDB.getAll.restore();
+    queueIndexedDB.getAllFailed.restore();
+  });
+
+  it("should render the outbox heading", () => {
+    const { component } = setupMountedComponent(Outbox, {}, initialState);
+
+    expect(component.find(PageHeading)).to.have.lengthOf(1);
+  });
+
+  it("should render a row for every queued request", () => {
+    const { component } = setupMountedComponent(Outbox, {}, initialState);
+
+    expect(component.find(TableBody).find(TableRow)).to.have.lengthOf(2);
+    expect(component.find(TableBody).text()).to.contain(
+      "Internal Server Error"
+    );
+  });
+
+  it("should fetch the outbox requests on mount", () => {
+    setupMountedComponent(Outbox, {}, initialState);
+
+    expect(queueIndexedDB.getAll).to.have.been.called;
+  });
+
+  it("should render the empty message when there are no requests", () => {
+    const { component } = setupMountedComponent(Outbox, {}, fromJS({}));
+
+    expect(component.find(TableRow)).to.have.lengthOf(0);
+  });
+});
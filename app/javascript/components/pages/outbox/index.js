@@ -0,0 +1,3 @@
+export { default } from "./container";
+export { default as reducer } from "./reducer";
+export { fetchOutbox } from "./action-creators";
@@ -0,0 +1,14 @@
+import * as index from "./index";
+
+describe("<Outbox /> - pages/outbox/index", () => {
+  const clone = { ...index };
+
+  it("should have known properties", () => {
+    ["default", "reducer", "fetchOutbox"].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+});
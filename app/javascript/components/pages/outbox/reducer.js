@@ -0,0 +1,21 @@
+import { fromJS } from "immutable";
+
+import actions from "./actions";
+import NAMESPACE from "./namespace";
+
+const DEFAULT_STATE = fromJS({ pending: [], failed: [] });
+
+const reducer = (state = DEFAULT_STATE, { type, payload }) => {
+  switch (type) {
+    case actions.FETCH_OUTBOX_SUCCESS:
+      return state
+        .set("pending", fromJS(payload.pending))
+        .set("failed", fromJS(payload.failed));
+    case "user/LOGOUT_SUCCESS":
+      return DEFAULT_STATE;
+    default:
+      return state;
+  }
+};
+
+export default { [NAMESPACE]: reducer };
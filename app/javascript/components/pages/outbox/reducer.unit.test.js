@@ -0,0 +1,28 @@
+import { fromJS } from "immutable";
+
+import reducer from "./reducer";
+import actions from "./actions";
+
+describe("<Outbox /> - pages/outbox/reducer", () => {
+  const defaultState = fromJS({ pending: [], failed: [] });
+
+  it("should handle FETCH_OUTBOX_SUCCESS", () => {
+    const payload = {
+      pending: [{ fromQueue: "queue-1", attempts: 0 }],
+      failed: [{ fromQueue: "queue-2", attempts: 3 }]
+    };
+    const action = { type: actions.FETCH_OUTBOX_SUCCESS, payload };
+
+    const newState = reducer.outbox(defaultState, action);
+
+    expect(newState).to.deep.equal(fromJS(payload));
+  });
+
+  it("should reset the state on LOGOUT_SUCCESS", () => {
+    const state = fromJS({ pending: [{ fromQueue: "queue-1" }], failed: [] });
+
+    const newState = reducer.outbox(state, { type: "user/LOGOUT_SUCCESS" });
+
+    expect(newState).to.deep.equal(defaultState);
+  });
+});
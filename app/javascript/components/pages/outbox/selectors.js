@@ -0,0 +1,20 @@
+/* eslint-disable import/prefer-default-export */
+
+import { List } from "immutable";
+
+import NAMESPACE from "./namespace";
+import { OUTBOX_STATUS } from "./constants";
+
+export const getOutboxRequests = state => {
+  const withStatus = status => request => request.set("status", status);
+
+  return state
+    .getIn(["records", NAMESPACE, "pending"], List([]))
+    .map(withStatus(OUTBOX_STATUS.pending))
+    .concat(
+      state
+        .getIn(["records", NAMESPACE, "failed"], List([]))
+        .map(withStatus(OUTBOX_STATUS.failed))
+    )
+    .sortBy(request => request.get("queuedAt"));
+};
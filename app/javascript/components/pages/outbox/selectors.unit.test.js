@@ -0,0 +1,35 @@
+import { fromJS } from "immutable";
+
+import { getOutboxRequests } from "./selectors";
+
+describe("<Outbox /> - pages/outbox/selectors", () => {
+  describe("getOutboxRequests", () => {
+    it("should return pending and failed requests sorted by queuedAt", () => {
+      const state = fromJS({
+        records: {
+          outbox: {
+            pending: [
+              { fromQueue: "queue-2", queuedAt: "2020-03-02T10:00:00.000Z" }
+            ],
+            failed: [
+              { fromQueue: "queue-1", queuedAt: "2020-03-01T10:00:00.000Z" }
+            ]
+          }
+        }
+      });
+
+      const requests = getOutboxRequests(state);
+
+      expect(requests.map(request => request.get("fromQueue"))).to.deep.equal(
+        fromJS(["queue-1", "queue-2"])
+      );
+      expect(requests.map(request => request.get("status"))).to.deep.equal(
+        fromJS(["failed", "pending"])
+      );
+    });
+
+    it("should return an empty list when there are no requests", () => {
+      expect(getOutboxRequests(fromJS({}))).to.be.empty;
+    });
+  });
+});
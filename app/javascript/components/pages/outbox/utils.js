@@ -0,0 +1,30 @@
+const SHORT_ID_LENGTH = 7;
+
+export const getRequestRecordType = request =>
+  request.api?.recordType || request.type?.split("/")[0];
+
+export const getRequestShortId = request => {
+  const data = request.api?.body?.data || {};
+  const id = request.api?.id || data.id;
+
+  if (data.short_id) {
+    return data.short_id;
+  }
+
+  return id ? id.substr(id.length - SHORT_ID_LENGTH) : "";
+};
+
+export const exportRequest = request => {
+  const blob = new Blob([JSON.stringify(request, null, 2)], {
+    type: "application/json"
+  });
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement("a");
+
+  link.href = url;
+  link.download = `${request.fromQueue}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,53 @@
+import * as utils from "./utils";
+
+describe("<Outbox /> - pages/outbox/utils", () => {
+  it("should have known methods", () => {
+    const clone = { ...utils };
+
+    ["exportRequest", "getRequestRecordType", "getRequestShortId"].forEach(
+      property => {
+        expect(clone).to.have.property(property);
+        delete clone[property];
+      }
+    );
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("getRequestRecordType", () => {
+    it("should return the record type of the request", () => {
+      expect(
+        utils.getRequestRecordType({
+          type: "cases/SAVE_RECORD",
+          api: { recordType: "incidents" }
+        })
+      ).to.equal("incidents");
+    });
+
+    it("should fall back to the action namespace", () => {
+      expect(
+        utils.getRequestRecordType({ type: "cases/SAVE_RECORD" })
+      ).to.equal("cases");
+    });
+  });
+
+  describe("getRequestShortId", () => {
+    it("should return the short_id of the record", () => {
+      expect(
+        utils.getRequestShortId({
+          api: { body: { data: { id: "abc1234567", short_id: "1234567" } } }
+        })
+      ).to.equal("1234567");
+    });
+
+    it("should return the last characters of the record id", () => {
+      expect(
+        utils.getRequestShortId({ api: { id: "b575f47b-4a5f-5e9f6a1" } })
+      ).to.equal("5e9f6a1");
+    });
+
+    it("should return an empty string for requests without a record", () => {
+      expect(utils.getRequestShortId({ api: {} })).to.equal("");
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { METHODS, RECORD_PATH, SAVE_METHODS } from "../../../config";
+import { ENQUEUE_SNACKBAR, generate } from "../../notifier";
+
+import actions from "./actions";
+
+export const saveReport = ({ id, body, saveMethod, message }) => {
+  const isUpdate = saveMethod === SAVE_METHODS.update;
+  const path = isUpdate ? `${RECORD_PATH.reports}/${id}` : RECORD_PATH.reports;
+
+  return {
+    type: actions.SAVE_REPORT,
+    api: {
+      path,
+      method: isUpdate ? METHODS.PATCH : METHODS.POST,
+      body,
+      successCallback: {
+        action: ENQUEUE_SNACKBAR,
+        payload: {
+          message,
+          options: {
+            variant: "success",
+            key: generate.messageKey()
+          }
+        },
+        redirectWithIdFromResponse: !isUpdate,
+        redirect: `/${path}`
+      }
+    }
+  };
+};
+
+export const previewReport = body => {
+  return {
+    type: actions.PREVIEW_REPORT,
+    api: {
+      path: `${RECORD_PATH.reports}/preview`,
+      method: METHODS.POST,
+      body
+    }
+  };
+};
+
+export const clearPreviewReport = () => {
+  return {
+    type: actions.CLEAR_PREVIEW_REPORT
+  };
+};
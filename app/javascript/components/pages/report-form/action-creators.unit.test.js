@@ -0,0 +1,92 @@
+import { stub } from "../../../test";
+import { RECORD_PATH, SAVE_METHODS } from "../../../config";
+import { ENQUEUE_SNACKBAR, generate } from "../../notifier";
+
+import * as actionCreators from "./action-creators";
+import actions from "./actions";
+
+describe("<ReportForm /> - Action Creators", () => {
+  it("should have known action creators", () => {
+    const creators = { ...actionCreators };
+
+    ["clearPreviewReport", "previewReport", "saveReport"].forEach(property => {
+      expect(creators).to.have.property(property);
+      delete creators[property];
+    });
+
+    expect(creators).to.be.empty;
+  });
+
+  describe("saveReport", () => {
+    beforeEach(() => {
+      stub(generate, "messageKey").returns(4);
+    });
+
+    afterEach(() => {
+      generate.messageKey.restore();
+    });
+
+    it("creates a report and redirects to it", () => {
+      const body = { data: { name: { en: "Cases by sex" } } };
+
+      expect(
+        actionCreators.saveReport({
+          saveMethod: SAVE_METHODS.new,
+          body,
+          message: "Created"
+        })
+      ).to.deep.equal({
+        type: actions.SAVE_REPORT,
+        api: {
+          path: RECORD_PATH.reports,
+          method: "POST",
+          body,
+          successCallback: {
+            action: ENQUEUE_SNACKBAR,
+            payload: {
+              message: "Created",
+              options: { variant: "success", key: 4 }
+            },
+            redirectWithIdFromResponse: true,
+            redirect: `/${RECORD_PATH.reports}`
+          }
+        }
+      });
+    });
+
+    it("updates a report", () => {
+      const action = actionCreators.saveReport({
+        id: 10,
+        saveMethod: SAVE_METHODS.update,
+        body: {},
+        message: "Updated"
+      });
+
+      expect(action.api.path).to.equal(`${RECORD_PATH.reports}/10`);
+      expect(action.api.method).to.equal("PATCH");
+      expect(action.api.successCallback.redirectWithIdFromResponse).to.be.false;
+      expect(action.api.successCallback.redirect).to.equal(
+        `/${RECORD_PATH.reports}/10`
+      );
+    });
+  });
+
+  it("should check that 'previewReport' action creator returns the correct object", () => {
+    const body = { data: { aggregate_by: ["sex"] } };
+
+    expect(actionCreators.previewReport(body)).to.deep.equal({
+      type: actions.PREVIEW_REPORT,
+      api: {
+        path: `${RECORD_PATH.reports}/preview`,
+        method: "POST",
+        body
+      }
+    });
+  });
+
+  it("should check that 'clearPreviewReport' action creator returns the correct object", () => {
+    expect(actionCreators.clearPreviewReport()).to.deep.equal({
+      type: actions.CLEAR_PREVIEW_REPORT
+    });
+  });
+});
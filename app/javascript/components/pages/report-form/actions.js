@@ -0,0 +1,17 @@
+import { namespaceActions } from "../../../libs";
+
+import NAMESPACE from "./namespace";
+
+export default namespaceActions(NAMESPACE, [
+  "CLEAR_PREVIEW_REPORT",
+  "PREVIEW_REPORT",
+  "PREVIEW_REPORT_FAILURE",
+  "PREVIEW_REPORT_FINISHED",
+  "PREVIEW_REPORT_STARTED",
+  "PREVIEW_REPORT_SUCCESS",
+  "SAVE_REPORT",
+  "SAVE_REPORT_FAILURE",
+  "SAVE_REPORT_FINISHED",
+  "SAVE_REPORT_STARTED",
+  "SAVE_REPORT_SUCCESS"
+]);
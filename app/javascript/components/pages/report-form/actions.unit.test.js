@@ -0,0 +1,26 @@
+import actions from "./actions";
+
+describe("<ReportForm /> - Actions", () => {
+  it("should have known properties", () => {
+    const clonedActions = { ...actions };
+
+    [
+      "CLEAR_PREVIEW_REPORT",
+      "PREVIEW_REPORT",
+      "PREVIEW_REPORT_FAILURE",
+      "PREVIEW_REPORT_FINISHED",
+      "PREVIEW_REPORT_STARTED",
+      "PREVIEW_REPORT_SUCCESS",
+      "SAVE_REPORT",
+      "SAVE_REPORT_FAILURE",
+      "SAVE_REPORT_FINISHED",
+      "SAVE_REPORT_STARTED",
+      "SAVE_REPORT_SUCCESS"
+    ].forEach(property => {
+      expect(clonedActions).to.have.property(property);
+      delete clonedActions[property];
+    });
+
+    expect(clonedActions).to.be.empty;
+  });
+});
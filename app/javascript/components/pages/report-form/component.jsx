@@ -0,0 +1,214 @@
+/* eslint-disable react/no-multi-comp */
+import React, { useEffect, useImperativeHandle, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { Button, Paper, makeStyles } from "@material-ui/core";
+import VisibilityIcon from "@material-ui/icons/Visibility";
+import { fromJS, List } from "immutable";
+import { FormContext, useForm } from "react-hook-form";
+import { push } from "connected-react-router";
+import { useParams } from "react-router-dom";
+import { useDispatch, useSelector } from "react-redux";
+
+import LoadingIndicator from "../../loading-indicator";
+import { useI18n } from "../../i18n";
+import { PageContainer, PageContent, PageHeading } from "../../page";
+import FormSection from "../../form/components/form-section";
+import { FormAction, whichFormMode, submitHandler } from "../../form";
+import { TableValues } from "../../charts";
+import { ROUTES, SAVE_METHODS } from "../../../config";
+import { compare } from "../../../libs";
+import bindFormSubmit from "../../../libs/submit-form";
+import { fetchReport } from "../report/action-creators";
+import { getReport } from "../report/selectors";
+import { buildDataForTable } from "../report/utils";
+import { ReportGraph } from "../report/components";
+
+import { ReportFilters } from "./components";
+import {
+  clearPreviewReport,
+  previewReport,
+  saveReport
+} from "./action-creators";
+import { reportForm, validationSchema } from "./forms";
+import { NAME } from "./constants";
+import {
+  getPreviewLoading,
+  getPreviewReport,
+  getReportableFields,
+  getSavingRecord
+} from "./selectors";
+import { buildFieldOptions, buildInitialValues, compactFilters } from "./utils";
+import NAMESPACE from "./namespace";
+import styles from "./styles.css";
+
+const Component = ({ mode }) => {
+  const { id } = useParams();
+  const formMode = whichFormMode(mode);
+  const formRef = useRef();
+  const dispatch = useDispatch();
+  const i18n = useI18n();
+  const css = makeStyles(styles)();
+  const [filters, setFilters] = useState(List());
+  const report = useSelector(state => getReport(state), compare);
+  const preview = useSelector(state => getPreviewReport(state), compare);
+  const previewLoading = useSelector(state => getPreviewLoading(state));
+  const saving = useSelector(state => getSavingRecord(state));
+  const isEdit = formMode.get("isEdit");
+  const methods = useForm({
+    validationSchema: validationSchema(i18n),
+    defaultValues: buildInitialValues(fromJS({}))
+  });
+  const { record_type: recordType, module_id: primeroModule } = methods.watch([
+    "record_type",
+    "module_id"
+  ]);
+  const fields = useSelector(
+    state => getReportableFields(state, { recordType, primeroModule }),
+    compare
+  );
+
+  // The filters are not rendered as inputs, they are set on the form as a
+  // whole when any of them changes.
+  const updateFilters = newFilters => {
+    setFilters(newFilters);
+    methods.setValue("filters", compactFilters(newFilters).toJS());
+  };
+
+  const handleCancel = () => {
+    dispatch(push(isEdit ? `${ROUTES.reports}/${id}` : ROUTES.reports));
+  };
+
+  const handlePreview = methods.handleSubmit(data => {
+    dispatch(previewReport({ data }));
+  });
+
+  const onSubmit = data => {
+    dispatch(
+      saveReport({
+        id,
+        saveMethod: isEdit ? SAVE_METHODS.update : SAVE_METHODS.new,
+        body: { data },
+        message: i18n.t(`report.messages.${isEdit ? "updated" : "created"}`)
+      })
+    );
+  };
+
+  useEffect(() => {
+    if (isEdit) {
+      dispatch(fetchReport(id));
+    }
+
+    return () => {
+      dispatch(clearPreviewReport());
+    };
+  }, [id]);
+
+  useEffect(() => {
+    const initialValues = buildInitialValues(isEdit ? report : fromJS({}));
+
+    if (isEdit && report.size) {
+      methods.reset(initialValues);
+    }
+
+    // The reset unregisters every input, so the filters are registered after it
+    methods.register({ name: "filters" });
+    updateFilters(fromJS(initialValues.filters));
+  }, [report]);
+
+  useImperativeHandle(
+    formRef,
+    submitHandler({
+      dispatch,
+      formMethods: methods,
+      formMode,
+      i18n,
+      initialValues: {},
+      onSubmit
+    })
+  );
+
+  // eslint-disable-next-line react/display-name
+  const renderPreview = () =>
+    (previewLoading || preview.size > 0) && (
+      <div className={css.preview}>
+        <LoadingIndicator
+          hasData={preview.has("report_data")}
+          loading={previewLoading}
+          emptyMessage={i18n.t("report.no_data")}
+          type={NAMESPACE}
+        >
+          {preview.get("graph") && (
+            <Paper>
+              <ReportGraph report={preview} />
+            </Paper>
+          )}
+          <TableValues {...buildDataForTable(preview, i18n)} />
+        </LoadingIndicator>
+      </div>
+    );
+
+  return (
+    <PageContainer>
+      <LoadingIndicator
+        hasData={formMode.get("isNew") || report.size > 0}
+        type={NAMESPACE}
+      >
+        <PageHeading
+          title={
+            isEdit
+              ? report.getIn(["name", i18n.locale], "")
+              : i18n.t("reports.register_new_report")
+          }
+        >
+          <FormAction
+            cancel
+            actionHandler={handleCancel}
+            text={i18n.t("buttons.cancel")}
+          />
+          <FormAction
+            actionHandler={() => bindFormSubmit(formRef)}
+            text={i18n.t("buttons.save")}
+            savingRecord={saving}
+          />
+        </PageHeading>
+        <PageContent>
+          <FormContext {...methods} formMode={formMode}>
+            <form>
+              {reportForm(i18n, buildFieldOptions(fields, i18n.locale)).map(
+                formSection => (
+                  <FormSection
+                    formSection={formSection}
+                    key={formSection.unique_id}
+                  />
+                )
+              )}
+              <div className={css.filters}>
+                <ReportFilters
+                  fields={fields}
+                  filters={filters}
+                  onChange={updateFilters}
+                />
+              </div>
+            </form>
+          </FormContext>
+          <Button
+            variant="outlined"
+            startIcon={<VisibilityIcon />}
+            onClick={handlePreview}
+          >
+            {i18n.t("report.preview")}
+          </Button>
+          {renderPreview()}
+        </PageContent>
+      </LoadingIndicator>
+    </PageContainer>
+  );
+};
+
+Component.displayName = NAME;
+
+Component.propTypes = {
+  mode: PropTypes.string.isRequired
+};
+
+export default Component;
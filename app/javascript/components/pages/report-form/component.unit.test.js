@@ -0,0 +1,77 @@
+import { fromJS } from "immutable";
+import { Button } from "@material-ui/core";
+
+import { setupMountedComponent } from "../../../test";
+import { RECORD_TYPES } from "../../../config/constants";
+import FormSection from "../../form/components/form-section";
+import { FormAction } from "../../form";
+
+import { ReportFilters } from "./components";
+import ReportForm from "./component";
+
+describe("<ReportForm />", () => {
+  const initialState = fromJS({
+    application: {
+      modules: [
+        {
+          unique_id: "primeromodule-cp",
+          name: "CP",
+          associated_record_types: [RECORD_TYPES.cases]
+        }
+      ]
+    },
+    records: {
+      reports: {
+        selectedReport: {
+          id: 1,
+          name: { en: "Cases by sex" },
+          record_type: "case",
+          module_id: "primeromodule-cp",
+          aggregate_by: ["sex"],
+          filters: [{ attribute: "status", value: ["open"] }],
+          editable: true
+        }
+      }
+    }
+  });
+
+  it("renders the report form with the filters", () => {
+    const { component } = setupMountedComponent(
+      ReportForm,
+      { mode: "new" },
+      initialState
+    );
+
+    expect(component.find(FormSection)).to.have.lengthOf(3);
+    expect(component.find(ReportFilters).prop("filters").size).to.equal(0);
+    expect(component.find(FormAction)).to.have.lengthOf(2);
+  });
+
+  it("renders the preview button", () => {
+    const { component } = setupMountedComponent(
+      ReportForm,
+      { mode: "new" },
+      initialState
+    );
+
+    expect(
+      component
+        .find(Button)
+        .filterWhere(button => button.text() === "report.preview")
+    ).to.have.lengthOf(1);
+  });
+
+  describe("when editing a report", () => {
+    it("sets the filters of the report", () => {
+      const { component } = setupMountedComponent(
+        ReportForm,
+        { mode: "edit" },
+        initialState
+      );
+
+      expect(
+        component.find(ReportFilters).prop("filters").toJS()
+      ).to.deep.equal([{ attribute: "status", value: ["open"] }]);
+    });
+  });
+});
@@ -0,0 +1,2 @@
+export { default as ReportFilter } from "./report-filter";
+export { default as ReportFilters } from "./report-filters";
@@ -0,0 +1,13 @@
+import * as index from "./index";
+
+describe("<ReportForm />/components - index", () => {
+  const indexValues = { ...index };
+
+  it("should have known properties", () => {
+    ["ReportFilter", "ReportFilters"].forEach(property => {
+      expect(indexValues).to.have.property(property);
+      delete indexValues[property];
+    });
+    expect(indexValues).to.be.empty;
+  });
+});
@@ -0,0 +1,160 @@
+/* eslint-disable react/no-multi-comp */
+import React from "react";
+import PropTypes from "prop-types";
+import { useSelector } from "react-redux";
+import { IconButton, MenuItem, TextField, makeStyles } from "@material-ui/core";
+import DeleteIcon from "@material-ui/icons/Delete";
+import { fromJS, List } from "immutable";
+
+import { useI18n } from "../../../../i18n";
+import { getOptions } from "../../../../form/selectors";
+import { OPTION_FIELD_TYPES } from "../../constants";
+
+import { CONSTRAINTS, NAME, NOT_NULL } from "./constants";
+import styles from "./styles.css";
+
+// The filters of the fields that are not reportable, like the default filters
+// added by the server, keep their values as the only options.
+const buildOptions = (field, filter, fieldOptions, i18n) => {
+  if (!field) {
+    return filter
+      .get("value", List())
+      .map(id => fromJS({ id, display_text: id }));
+  }
+
+  return (field.type === "tick_box"
+    ? fromJS(["true", "false"].map(id => ({ id, display_text: i18n.t(id) })))
+    : fieldOptions
+  ).push(
+    fromJS({ id: NOT_NULL, display_text: i18n.t("report.filters.not_null") })
+  );
+};
+
+const Component = ({ fields, filter, onChange, onRemove }) => {
+  const i18n = useI18n();
+  const css = makeStyles(styles)();
+  const attribute = filter.get("attribute");
+  const field = fields.find(({ name }) => name === attribute);
+  const isOptionField = field
+    ? OPTION_FIELD_TYPES.includes(field.type)
+    : List.isList(filter.get("value"));
+  const fieldOptions = useSelector(
+    state =>
+      getOptions(
+        state,
+        field?.get("option_strings_source"),
+        i18n.locale,
+        field?.get("option_strings_text")
+      ) || List(),
+    (prev, next) => prev.equals(next)
+  );
+  const options = buildOptions(field, filter, fieldOptions, i18n);
+
+  // The option fields are filtered by any of the selected values, the other
+  // fields are compared with a single value.
+  const handleAttributeChange = event => {
+    const selected = fields.find(({ name }) => name === event.target.value);
+
+    onChange(
+      OPTION_FIELD_TYPES.includes(selected?.type)
+        ? fromJS({ attribute: selected.name, value: [] })
+        : fromJS({
+            attribute: selected.name,
+            constraint: CONSTRAINTS.equal,
+            value: ""
+          })
+    );
+  };
+
+  const handleChange = property => event => {
+    onChange(filter.set(property, fromJS(event.target.value)));
+  };
+
+  // eslint-disable-next-line react/display-name
+  const renderValue = () => {
+    if (!attribute) {
+      return null;
+    }
+
+    if (isOptionField) {
+      return (
+        <TextField
+          select
+          className={css.value}
+          label={i18n.t("report.filters.value")}
+          value={filter.get("value", List()).toArray()}
+          onChange={handleChange("value")}
+          SelectProps={{ multiple: true }}
+        >
+          {options.map(option => (
+            <MenuItem key={option.get("id")} value={option.get("id")}>
+              {option.get("display_text")}
+            </MenuItem>
+          ))}
+        </TextField>
+      );
+    }
+
+    return (
+      <>
+        <TextField
+          select
+          className={css.constraint}
+          label={i18n.t("report.filters.constraint")}
+          value={filter.get("constraint") || CONSTRAINTS.equal}
+          onChange={handleChange("constraint")}
+        >
+          {Object.entries(CONSTRAINTS).map(([key, constraint]) => (
+            <MenuItem key={key} value={constraint}>
+              {i18n.t(`report.filters.constraints.${key}`)}
+            </MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          className={css.value}
+          label={i18n.t("report.filters.value")}
+          type={field?.type === "date_field" ? "date" : "number"}
+          value={filter.get("value") || ""}
+          onChange={handleChange("value")}
+          InputLabelProps={{ shrink: true }}
+        />
+      </>
+    );
+  };
+
+  return (
+    <div className={css.row}>
+      <TextField
+        select
+        className={css.attribute}
+        label={i18n.t("report.filters.attribute")}
+        value={attribute || ""}
+        onChange={handleAttributeChange}
+      >
+        {attribute && !field && (
+          <MenuItem value={attribute}>{attribute}</MenuItem>
+        )}
+        {fields.map(({ name, display_name: displayName }) => (
+          <MenuItem key={name} value={name}>
+            {displayName?.[i18n.locale] || name}
+          </MenuItem>
+        ))}
+      </TextField>
+      {renderValue()}
+      <IconButton onClick={onRemove}>
+        <DeleteIcon />
+      </IconButton>
+    </div>
+  );
+};
+
+Component.displayName = NAME;
+
+Component.propTypes = {
+  fields: PropTypes.object.isRequired,
+  filter: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired
+};
+
+export default Component;
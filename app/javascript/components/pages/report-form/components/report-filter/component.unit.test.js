@@ -0,0 +1,75 @@
+import { fromJS, List } from "immutable";
+import { TextField } from "@material-ui/core";
+
+import { setupMountedComponent, stub } from "../../../../../test";
+import { FieldRecord } from "../../../../record-form/records";
+
+import ReportFilter from "./component";
+
+describe("<ReportForm />/components/<ReportFilter />", () => {
+  const fields = List([
+    FieldRecord({
+      name: "sex",
+      type: "select_box",
+      display_name: { en: "Sex" },
+      option_strings_text: {
+        en: [
+          { id: "female", display_text: "Female" },
+          { id: "male", display_text: "Male" }
+        ]
+      }
+    }),
+    FieldRecord({ name: "age", type: "numeric_field" })
+  ]);
+
+  const render = (filter, onChange = stub()) =>
+    setupMountedComponent(
+      ReportFilter,
+      { fields, filter: fromJS(filter), onChange, onRemove: stub() },
+      fromJS({})
+    ).component;
+
+  it("renders the options of an option field as values", () => {
+    const component = render({ attribute: "sex", value: ["male"] });
+    const value = component.find(TextField).at(1);
+
+    expect(component.find(TextField)).to.have.lengthOf(2);
+    expect(value.prop("value")).to.deep.equal(["male"]);
+  });
+
+  it("renders a condition and a value for the other fields", () => {
+    const component = render({
+      attribute: "age",
+      constraint: ">",
+      value: "5"
+    });
+
+    expect(component.find(TextField)).to.have.lengthOf(3);
+    expect(component.find(TextField).at(1).prop("value")).to.equal(">");
+    expect(component.find(TextField).at(2).prop("value")).to.equal("5");
+  });
+
+  it("resets the value when the field changes", () => {
+    const onChange = stub();
+    const component = render({ attribute: "sex", value: ["male"] }, onChange);
+
+    component
+      .find(TextField)
+      .first()
+      .props()
+      .onChange({ target: { value: "age" } });
+
+    expect(onChange.firstCall.args[0].toJS()).to.deep.equal({
+      attribute: "age",
+      constraint: "=",
+      value: ""
+    });
+  });
+
+  it("renders only the field when no field is selected", () => {
+    const component = render({ attribute: "" });
+
+    expect(component.find(TextField)).to.have.lengthOf(1);
+    expect(component.find(TextField).prop("value")).to.equal("");
+  });
+});
@@ -0,0 +1,9 @@
+export const NAME = "ReportFilter";
+
+export const CONSTRAINTS = Object.freeze({
+  equal: "=",
+  greater_than: ">",
+  less_than: "<"
+});
+
+export const NOT_NULL = "not_null";
@@ -0,0 +1,14 @@
+import * as constants from "./constants";
+
+describe("<ReportForm />/components/<ReportFilter /> - Constants", () => {
+  it("should have known properties", () => {
+    const clonedConstants = { ...constants };
+
+    ["CONSTRAINTS", "NAME", "NOT_NULL"].forEach(property => {
+      expect(clonedConstants).to.have.property(property);
+      delete clonedConstants[property];
+    });
+
+    expect(clonedConstants).to.be.empty;
+  });
+});
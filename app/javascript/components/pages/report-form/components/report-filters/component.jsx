@@ -0,0 +1,56 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { Button } from "@material-ui/core";
+import AddIcon from "@material-ui/icons/Add";
+import { Map } from "immutable";
+
+import { useI18n } from "../../../../i18n";
+import ReportFilter from "../report-filter";
+
+import { NAME } from "./constants";
+
+const Component = ({ fields, filters, onChange }) => {
+  const i18n = useI18n();
+
+  const handleAdd = () => {
+    onChange(filters.push(Map({ attribute: "" })));
+  };
+
+  const handleChange = index => filter => {
+    onChange(filters.set(index, filter));
+  };
+
+  const handleRemove = index => () => {
+    onChange(filters.delete(index));
+  };
+
+  return (
+    <>
+      <h1>{i18n.t("report.filters.label")}</h1>
+      {filters.map((filter, index) => (
+        <ReportFilter
+          // The filters have no id, a new filter is always added last
+          // eslint-disable-next-line react/no-array-index-key
+          key={index}
+          fields={fields}
+          filter={filter}
+          onChange={handleChange(index)}
+          onRemove={handleRemove(index)}
+        />
+      ))}
+      <Button variant="outlined" startIcon={<AddIcon />} onClick={handleAdd}>
+        {i18n.t("report.filters.add")}
+      </Button>
+    </>
+  );
+};
+
+Component.displayName = NAME;
+
+Component.propTypes = {
+  fields: PropTypes.object.isRequired,
+  filters: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default Component;
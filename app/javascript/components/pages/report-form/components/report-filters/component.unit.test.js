@@ -0,0 +1,54 @@
+import { fromJS, List } from "immutable";
+import { Button } from "@material-ui/core";
+
+import { setupMountedComponent, stub } from "../../../../../test";
+import { FieldRecord } from "../../../../record-form/records";
+import ReportFilter from "../report-filter";
+
+import ReportFilters from "./component";
+
+describe("<ReportForm />/components/<ReportFilters />", () => {
+  const fields = List([FieldRecord({ name: "age", type: "numeric_field" })]);
+  const filters = fromJS([
+    { attribute: "age", constraint: ">", value: "5" },
+    { attribute: "age", constraint: "<", value: "10" }
+  ]);
+
+  it("renders a row for each filter", () => {
+    const { component } = setupMountedComponent(ReportFilters, {
+      fields,
+      filters,
+      onChange: stub()
+    });
+
+    expect(component.find(ReportFilter)).to.have.lengthOf(2);
+  });
+
+  it("adds an empty filter", () => {
+    const onChange = stub();
+    const { component } = setupMountedComponent(ReportFilters, {
+      fields,
+      filters,
+      onChange
+    });
+
+    component.find(Button).simulate("click");
+
+    expect(onChange.firstCall.args[0].last().toJS()).to.deep.equal({
+      attribute: ""
+    });
+  });
+
+  it("removes a filter", () => {
+    const onChange = stub();
+    const { component } = setupMountedComponent(ReportFilters, {
+      fields,
+      filters,
+      onChange
+    });
+
+    component.find(ReportFilter).first().prop("onRemove")();
+
+    expect(onChange.firstCall.args[0]).to.equal(filters.delete(0));
+  });
+});
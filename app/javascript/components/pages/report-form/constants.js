@@ -0,0 +1,42 @@
+export const NAME = "ReportForm";
+
+// Only the fields with a finite set of values or a numeric or date value can
+// be used to group the records of a report.
+export const REPORTABLE_FIELD_TYPES = Object.freeze([
+  "date_field",
+  "numeric_field",
+  "radio_button",
+  "select_box",
+  "tally_field",
+  "tick_box"
+]);
+
+export const OPTION_FIELD_TYPES = Object.freeze([
+  "radio_button",
+  "select_box",
+  "tick_box"
+]);
+
+export const GROUP_DATES_BY = Object.freeze(["date", "week", "month", "year"]);
+
+export const GRAPH_TYPES = Object.freeze({
+  bar: "bar",
+  stacked_bar: "stacked_bar",
+  line: "line",
+  pie: "pie",
+  percentage: "percentage"
+});
+
+export const FORM_FIELDS = Object.freeze([
+  "name",
+  "description",
+  "record_type",
+  "module_id",
+  "aggregate_by",
+  "disaggregate_by",
+  "group_ages",
+  "group_dates_by",
+  "graph",
+  "graph_type",
+  "filters"
+]);
@@ -0,0 +1,21 @@
+import * as constants from "./constants";
+
+describe("<ReportForm /> - Constants", () => {
+  it("should have known properties", () => {
+    const clonedConstants = { ...constants };
+
+    [
+      "FORM_FIELDS",
+      "GRAPH_TYPES",
+      "GROUP_DATES_BY",
+      "NAME",
+      "OPTION_FIELD_TYPES",
+      "REPORTABLE_FIELD_TYPES"
+    ].forEach(property => {
+      expect(clonedConstants).to.have.property(property);
+      delete clonedConstants[property];
+    });
+
+    expect(clonedConstants).to.be.empty;
+  });
+});
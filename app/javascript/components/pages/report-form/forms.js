@@ -0,0 +1,147 @@
+import { fromJS } from "immutable";
+import { array, object, string } from "yup";
+
+import { RECORD_TYPES } from "../../../config/constants";
+import {
+  FieldRecord,
+  FormSectionRecord,
+  SELECT_FIELD,
+  TEXT_FIELD,
+  TICK_FIELD
+} from "../../form";
+
+import { GRAPH_TYPES, GROUP_DATES_BY } from "./constants";
+
+export const validationSchema = i18n =>
+  object().shape({
+    aggregate_by: array()
+      .of(string())
+      .nullable()
+      .required(
+        i18n.t("forms.required_field", { field: i18n.t("report.aggregate_by") })
+      ),
+    module_id: string()
+      .nullable()
+      .required(
+        i18n.t("forms.required_field", { field: i18n.t("report.modules") })
+      ),
+    name: object().shape({
+      en: string().required(
+        i18n.t("forms.required_field", { field: i18n.t("report.name") })
+      )
+    }),
+    record_type: string()
+      .nullable()
+      .required(
+        i18n.t("forms.required_field", { field: i18n.t("report.record_type") })
+      )
+  });
+
+// The fields that group the records are only known once the record type and
+// the module are selected, they are passed as options of the selects.
+export const reportForm = (i18n, fieldOptions) =>
+  fromJS([
+    FormSectionRecord({
+      unique_id: "report",
+      fields: [
+        FieldRecord({
+          display_name: i18n.t("report.name"),
+          name: "name.en",
+          type: TEXT_FIELD,
+          required: true
+        }),
+        FieldRecord({
+          display_name: i18n.t("report.description"),
+          name: "description.en",
+          type: TEXT_FIELD
+        }),
+        {
+          row: [
+            FieldRecord({
+              display_name: i18n.t("report.record_type"),
+              name: "record_type",
+              type: SELECT_FIELD,
+              option_strings_text: Object.values(RECORD_TYPES)
+                .filter(recordType => recordType !== RECORD_TYPES.all)
+                .map(recordType => ({
+                  id: recordType,
+                  display_text: i18n.t(`forms.record_types.${recordType}`)
+                })),
+              required: true
+            }),
+            FieldRecord({
+              display_name: i18n.t("report.modules"),
+              name: "module_id",
+              type: SELECT_FIELD,
+              option_strings_source: "Module",
+              required: true
+            })
+          ]
+        },
+        FieldRecord({
+          display_name: i18n.t("report.aggregate_by"),
+          name: "aggregate_by",
+          type: SELECT_FIELD,
+          multi_select: true,
+          option_strings_text: fieldOptions,
+          required: true
+        }),
+        FieldRecord({
+          display_name: i18n.t("report.disaggregate_by"),
+          name: "disaggregate_by",
+          type: SELECT_FIELD,
+          multi_select: true,
+          option_strings_text: fieldOptions
+        })
+      ]
+    }),
+    // Each section has a single row, the rows of a section share their key
+    FormSectionRecord({
+      unique_id: "report_options",
+      fields: [
+        {
+          row: [
+            FieldRecord({
+              display_name: i18n.t("report.group_ages"),
+              name: "group_ages",
+              type: TICK_FIELD
+            }),
+            FieldRecord({
+              display_name: i18n.t("report.group_dates_by"),
+              name: "group_dates_by",
+              type: SELECT_FIELD,
+              option_strings_text: GROUP_DATES_BY.map(groupBy => ({
+                id: groupBy,
+                display_text: i18n.t(`report.date_ranges.${groupBy}`)
+              }))
+            })
+          ]
+        }
+      ]
+    }),
+    FormSectionRecord({
+      unique_id: "report_graph",
+      fields: [
+        {
+          row: [
+            FieldRecord({
+              display_name: i18n.t("report.is_graph"),
+              name: "graph",
+              type: TICK_FIELD
+            }),
+            FieldRecord({
+              display_name: i18n.t("report.graph_type"),
+              name: "graph_type",
+              type: SELECT_FIELD,
+              option_strings_text: Object.values(GRAPH_TYPES).map(
+                graphType => ({
+                  id: graphType,
+                  display_text: i18n.t(`report.graph_types.${graphType}`)
+                })
+              )
+            })
+          ]
+        }
+      ]
+    })
+  ]);
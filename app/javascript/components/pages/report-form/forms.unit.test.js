@@ -0,0 +1,54 @@
+import { reportForm, validationSchema } from "./forms";
+
+describe("<ReportForm /> - forms", () => {
+  const i18n = { t: key => key };
+
+  it("returns the forms", () => {
+    const forms = reportForm(i18n, []);
+
+    expect(forms.find(form => form.unique_id === "report")).to.exist;
+    expect(forms.find(form => form.unique_id === "report_options")).to.exist;
+    expect(forms.find(form => form.unique_id === "report_graph")).to.exist;
+  });
+
+  it("sets the reportable fields as the options of the aggregate fields", () => {
+    const options = [{ id: "sex", display_text: "Sex" }];
+    const [form] = reportForm(i18n, options);
+
+    expect(
+      form.fields.find(field => field.name === "aggregate_by")
+        .option_strings_text
+    ).to.deep.equal(options);
+  });
+
+  it("requires the name, the record type, the module and the rows", () => {
+    expect(
+      validationSchema(i18n).isValidSync({
+        name: { en: "Cases by sex" },
+        record_type: "case",
+        module_id: "primeromodule-cp",
+        aggregate_by: ["sex"]
+      })
+    ).to.be.true;
+    expect(
+      validationSchema(i18n).isValidSync({
+        name: { en: "Cases by sex" },
+        record_type: "case",
+        module_id: "primeromodule-cp"
+      })
+    ).to.be.false;
+  });
+
+  it("offers the types of graph", () => {
+    const graphForm = reportForm(i18n, []).find(
+      form => form.unique_id === "report_graph"
+    );
+    const [row] = graphForm.fields;
+
+    expect(
+      row.row
+        .find(field => field.name === "graph_type")
+        .option_strings_text.map(({ id }) => id)
+    ).to.deep.equal(["bar", "stacked_bar", "line", "pie", "percentage"]);
+  });
+});
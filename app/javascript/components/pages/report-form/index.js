@@ -0,0 +1,2 @@
+export { default } from "./component";
+export { default as reducer } from "./reducer";
@@ -0,0 +1,7 @@
+import namespace from "./namespace";
+
+describe("<ReportForm /> - Namespace", () => {
+  it("returns the namespace", () => {
+    expect(namespace).to.be.equal("reports");
+  });
+});
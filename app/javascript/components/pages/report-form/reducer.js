@@ -0,0 +1,27 @@
+import { fromJS } from "immutable";
+
+import actions from "./actions";
+
+const DEFAULT_STATE = fromJS({});
+
+export default (state = DEFAULT_STATE, { type, payload }) => {
+  switch (type) {
+    case actions.CLEAR_PREVIEW_REPORT:
+      return state.set("preview", fromJS({})).set("serverErrors", fromJS([]));
+    case actions.PREVIEW_REPORT_FAILURE:
+    case actions.SAVE_REPORT_FAILURE:
+      return state.set("serverErrors", fromJS(payload.errors));
+    case actions.PREVIEW_REPORT_FINISHED:
+      return state.set("previewLoading", false);
+    case actions.PREVIEW_REPORT_STARTED:
+      return state.set("previewLoading", true).set("serverErrors", fromJS([]));
+    case actions.PREVIEW_REPORT_SUCCESS:
+      return state.set("preview", fromJS(payload.data));
+    case actions.SAVE_REPORT_FINISHED:
+      return state.set("saving", false);
+    case actions.SAVE_REPORT_STARTED:
+      return state.set("saving", true).set("serverErrors", fromJS([]));
+    default:
+      return state;
+  }
+};
@@ -0,0 +1,66 @@
+import { fromJS } from "immutable";
+
+import actions from "./actions";
+import reducer from "./reducer";
+
+describe("<ReportForm /> - Reducers", () => {
+  it("should handle SAVE_REPORT_STARTED", () => {
+    const expected = fromJS({ saving: true, serverErrors: [] });
+    const action = { type: actions.SAVE_REPORT_STARTED, payload: true };
+
+    expect(reducer(fromJS({}), action)).to.deep.equal(expected);
+  });
+
+  it("should handle SAVE_REPORT_FINISHED", () => {
+    const expected = fromJS({ saving: false });
+    const action = { type: actions.SAVE_REPORT_FINISHED, payload: false };
+
+    expect(reducer(fromJS({ saving: true }), action)).to.deep.equal(expected);
+  });
+
+  it("should handle SAVE_REPORT_FAILURE", () => {
+    const expected = fromJS({ serverErrors: ["some error"] });
+    const action = {
+      type: actions.SAVE_REPORT_FAILURE,
+      payload: { errors: ["some error"] }
+    };
+
+    expect(reducer(fromJS({}), action)).to.deep.equal(expected);
+  });
+
+  it("should handle PREVIEW_REPORT_STARTED", () => {
+    const expected = fromJS({ previewLoading: true, serverErrors: [] });
+    const action = { type: actions.PREVIEW_REPORT_STARTED, payload: true };
+
+    expect(reducer(fromJS({}), action)).to.deep.equal(expected);
+  });
+
+  it("should handle PREVIEW_REPORT_SUCCESS", () => {
+    const data = { aggregate_by: ["sex"], report_data: { male: 1 } };
+    const expected = fromJS({ preview: data });
+    const action = {
+      type: actions.PREVIEW_REPORT_SUCCESS,
+      payload: { data }
+    };
+
+    expect(reducer(fromJS({}), action)).to.deep.equal(expected);
+  });
+
+  it("should handle PREVIEW_REPORT_FINISHED", () => {
+    const expected = fromJS({ previewLoading: false });
+    const action = { type: actions.PREVIEW_REPORT_FINISHED, payload: false };
+
+    expect(reducer(fromJS({ previewLoading: true }), action)).to.deep.equal(
+      expected
+    );
+  });
+
+  it("should handle CLEAR_PREVIEW_REPORT", () => {
+    const expected = fromJS({ preview: {}, serverErrors: [] });
+    const action = { type: actions.CLEAR_PREVIEW_REPORT };
+
+    expect(
+      reducer(fromJS({ preview: { report_data: {} } }), action)
+    ).to.deep.equal(expected);
+  });
+});
@@ -0,0 +1,33 @@
+import { fromJS, List } from "immutable";
+
+import { getRecordForms } from "../../record-form";
+
+import NAMESPACE from "./namespace";
+import { REPORTABLE_FIELD_TYPES } from "./constants";
+
+export const getSavingRecord = state =>
+  state.getIn(["records", NAMESPACE, "saving"], false);
+
+export const getServerErrors = state =>
+  state.getIn(["records", NAMESPACE, "serverErrors"], fromJS([]));
+
+export const getPreviewReport = state =>
+  state.getIn(["records", NAMESPACE, "preview"], fromJS({}));
+
+export const getPreviewLoading = state =>
+  state.getIn(["records", NAMESPACE, "previewLoading"], false);
+
+// The same field can be shown in several forms of a module, the first one is
+// used to group the records.
+export const getReportableFields = (state, { recordType, primeroModule }) => {
+  if (!recordType || !primeroModule) {
+    return List();
+  }
+
+  return (getRecordForms(state, { recordType, primeroModule }) || List())
+    .flatMap(form => form.fields)
+    .filter(field => REPORTABLE_FIELD_TYPES.includes(field.type))
+    .groupBy(field => field.name)
+    .map(fields => fields.first())
+    .toList();
+};
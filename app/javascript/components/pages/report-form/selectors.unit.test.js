@@ -0,0 +1,97 @@
+import { fromJS } from "immutable";
+
+import { mapEntriesToRecord } from "../../../libs";
+import { FieldRecord, FormSectionRecord } from "../../record-form/records";
+
+import * as selectors from "./selectors";
+
+describe("<ReportForm /> - Selectors", () => {
+  const formSections = {
+    1: {
+      id: 1,
+      unique_id: "basic_identity",
+      parent_form: "case",
+      module_ids: ["primeromodule-cp"],
+      visible: true,
+      is_nested: false,
+      fields: [1, 2, 3]
+    },
+    2: {
+      id: 2,
+      unique_id: "protection_concerns",
+      parent_form: "case",
+      module_ids: ["primeromodule-cp"],
+      visible: true,
+      is_nested: false,
+      fields: [4]
+    }
+  };
+  const fields = {
+    1: { id: 1, name: "name", type: "text_field" },
+    2: { id: 2, name: "sex", type: "select_box" },
+    3: { id: 3, name: "age", type: "numeric_field" },
+    4: { id: 4, name: "sex", type: "select_box" }
+  };
+  const state = fromJS({
+    records: {
+      reports: {
+        saving: true,
+        serverErrors: ["some error"],
+        preview: { report_data: { male: 1 } },
+        previewLoading: true
+      }
+    },
+    forms: {
+      formSections: mapEntriesToRecord(formSections, FormSectionRecord),
+      fields: mapEntriesToRecord(fields, FieldRecord)
+    }
+  });
+
+  it("should have known selectors", () => {
+    const clonedSelectors = { ...selectors };
+
+    [
+      "getPreviewLoading",
+      "getPreviewReport",
+      "getReportableFields",
+      "getSavingRecord",
+      "getServerErrors"
+    ].forEach(property => {
+      expect(clonedSelectors).to.have.property(property);
+      delete clonedSelectors[property];
+    });
+
+    expect(clonedSelectors).to.be.empty;
+  });
+
+  it("returns the state of the report being saved and previewed", () => {
+    expect(selectors.getSavingRecord(state)).to.be.true;
+    expect(selectors.getServerErrors(state)).to.deep.equal(
+      fromJS(["some error"])
+    );
+    expect(selectors.getPreviewReport(state)).to.deep.equal(
+      fromJS({ report_data: { male: 1 } })
+    );
+    expect(selectors.getPreviewLoading(state)).to.be.true;
+  });
+
+  describe("getReportableFields", () => {
+    it("returns each reportable field of the module once", () => {
+      expect(
+        selectors
+          .getReportableFields(state, {
+            recordType: "case",
+            primeroModule: "primeromodule-cp"
+          })
+          .map(field => field.name)
+          .toJS()
+      ).to.deep.equal(["sex", "age"]);
+    });
+
+    it("returns no fields without a record type or a module", () => {
+      expect(
+        selectors.getReportableFields(state, { recordType: "case" }).size
+      ).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+import { fromJS } from "immutable";
+
+import { FORM_FIELDS, GRAPH_TYPES, GROUP_DATES_BY } from "./constants";
+
+export const buildFieldOptions = (fields, locale) =>
+  fields
+    .map(field => ({
+      id: field.name,
+      display_text: field.display_name?.[locale] || field.name
+    }))
+    .toArray();
+
+export const buildInitialValues = report =>
+  fromJS({
+    aggregate_by: [],
+    disaggregate_by: [],
+    filters: [],
+    graph: false,
+    graph_type: GRAPH_TYPES.bar,
+    group_ages: false,
+    group_dates_by: GROUP_DATES_BY[0]
+  })
+    .merge(
+      report
+        .filter((value, key) => FORM_FIELDS.includes(key))
+        .filter(value => value !== null)
+    )
+    .toJS();
+
+// The filters without a field or a value would not filter the records
+export const compactFilters = filters =>
+  filters.filter(filter => {
+    const value = filter.get("value");
+
+    return (
+      filter.get("attribute") &&
+      (typeof value === "string" ? value.trim() : value?.size)
+    );
+  });
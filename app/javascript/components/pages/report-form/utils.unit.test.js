@@ -0,0 +1,74 @@
+import { fromJS, List } from "immutable";
+
+import { FieldRecord } from "../../record-form/records";
+
+import * as utils from "./utils";
+
+describe("<ReportForm /> - utils", () => {
+  it("should have known exports", () => {
+    const clone = { ...utils };
+
+    ["buildFieldOptions", "buildInitialValues", "compactFilters"].forEach(
+      property => {
+        expect(clone).to.have.property(property);
+        delete clone[property];
+      }
+    );
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("buildFieldOptions", () => {
+    it("returns the fields as options", () => {
+      const fields = List([
+        FieldRecord({ name: "sex", display_name: { en: "Sex" } }),
+        FieldRecord({ name: "age" })
+      ]);
+
+      expect(utils.buildFieldOptions(fields, "en")).to.deep.equal([
+        { id: "sex", display_text: "Sex" },
+        { id: "age", display_text: "age" }
+      ]);
+    });
+  });
+
+  describe("buildInitialValues", () => {
+    it("returns the values of the report form with the defaults", () => {
+      const report = fromJS({
+        id: 1,
+        name: { en: "Cases by sex" },
+        aggregate_by: ["sex"],
+        disaggregate_by: null,
+        report_data: {}
+      });
+
+      expect(utils.buildInitialValues(report)).to.deep.equal({
+        name: { en: "Cases by sex" },
+        aggregate_by: ["sex"],
+        disaggregate_by: [],
+        filters: [],
+        graph: false,
+        graph_type: "bar",
+        group_ages: false,
+        group_dates_by: "date"
+      });
+    });
+  });
+
+  describe("compactFilters", () => {
+    it("removes the filters without a field or a value", () => {
+      const filters = fromJS([
+        { attribute: "" },
+        { attribute: "sex", value: [] },
+        { attribute: "age", constraint: ">", value: " " },
+        { attribute: "sex", value: ["male"] },
+        { attribute: "age", constraint: ">", value: "5" }
+      ]);
+
+      expect(utils.compactFilters(filters).toJS()).to.deep.equal([
+        { attribute: "sex", value: ["male"] },
+        { attribute: "age", constraint: ">", value: "5" }
+      ]);
+    });
+  });
+});
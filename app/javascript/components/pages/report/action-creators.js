@@ -1,12 +1,37 @@
-/* eslint-disable import/prefer-default-export */
+import isEmpty from "lodash/isEmpty";
 
-import { FETCH_REPORT } from "./actions";
+import { METHODS, RECORD_PATH, ROUTES } from "../../../config";
+import { ENQUEUE_SNACKBAR, generate } from "../../notifier";
 
-export const fetchReport = id => {
+import { DELETE_REPORT, FETCH_REPORT } from "./actions";
+
+export const fetchReport = (id, filters) => {
   return {
     type: FETCH_REPORT,
     api: {
-      path: `reports/${id}`
+      path: `reports/${id}`,
+      ...(isEmpty(filters) ? {} : { params: { filters } })
+    }
+  };
+};
+
+export const deleteReport = ({ id, message }) => {
+  return {
+    type: DELETE_REPORT,
+    api: {
+      path: `${RECORD_PATH.reports}/${id}`,
+      method: METHODS.DELETE,
+      successCallback: {
+        action: ENQUEUE_SNACKBAR,
+        payload: {
+          message,
+          options: {
+            variant: "success",
+            key: generate.messageKey()
+          }
+        },
+        redirect: ROUTES.reports
+      }
     }
   };
 };
@@ -1,8 +1,11 @@
 import sinon from "sinon";
 import configureStore from "redux-mock-store";
 
+import { stub } from "../../../test";
+import { ENQUEUE_SNACKBAR, generate } from "../../notifier";
+
 import * as actionCreators from "./action-creators";
-import { FETCH_REPORT } from "./actions";
+import { DELETE_REPORT, FETCH_REPORT } from "./actions";
 
 describe("<Reports /> - Action Creators", () => {
   it("should have known action creators", () => {
@@ -22,12 +25,14 @@ describe("<Reports /> - Action Creators", () => {
       "fetchCasesByAgency"
     );
     expect(creators).to.have.property("fetchReport");
+    expect(creators).to.have.property("deleteReport");
 
     delete creators.fetchCasesByNationality;
     delete creators.fetchCasesByAgeAndSex;
     delete creators.fetchCasesByProtectionConcern;
     delete creators.fetchCasesByAgency;
     delete creators.fetchReport;
+    delete creators.deleteReport;
 
     expect(creators).to.be.empty;
   });
@@ -42,5 +47,39 @@ describe("<Reports /> - Action Creators", () => {
 
     expect(firstCall.returnValue.type).to.equal(FETCH_REPORT);
     expect(firstCall.returnValue.api.path).to.equal(`reports/${id}`);
+    expect(firstCall.returnValue.api).to.not.have.property("params");
+  });
+
+  it("should send the runtime filters of the report with 'fetchReport'", () => {
+    const filters = { module_id: ["primeromodule-cp"] };
+
+    expect(actionCreators.fetchReport(1234, filters).api).to.deep.equal({
+      path: "reports/1234",
+      params: { filters }
+    });
+  });
+
+  it("should check the 'deleteReport' action creator to return the correct object", () => {
+    stub(generate, "messageKey").returns(4);
+
+    expect(
+      actionCreators.deleteReport({ id: 1234, message: "Deleted" })
+    ).to.deep.equal({
+      type: DELETE_REPORT,
+      api: {
+        path: "reports/1234",
+        method: "DELETE",
+        successCallback: {
+          action: ENQUEUE_SNACKBAR,
+          payload: {
+            message: "Deleted",
+            options: { variant: "success", key: 4 }
+          },
+          redirect: "/reports"
+        }
+      }
+    });
+
+    generate.messageKey.restore();
   });
 });
@@ -3,3 +3,8 @@ export const FETCH_REPORT_STARTED = "reports/FETCH_REPORT_STARTED";
 export const FETCH_REPORT_SUCCESS = "reports/FETCH_REPORT_SUCCESS";
 export const FETCH_REPORT_FAILURE = "reports/FETCH_REPORT_FAILURE";
 export const FETCH_REPORT_FINISHED = "reports/FETCH_REPORT_FINISHED";
+export const DELETE_REPORT = "reports/DELETE_REPORT";
+export const DELETE_REPORT_STARTED = "reports/DELETE_REPORT_STARTED";
+export const DELETE_REPORT_SUCCESS = "reports/DELETE_REPORT_SUCCESS";
+export const DELETE_REPORT_FAILURE = "reports/DELETE_REPORT_FAILURE";
+export const DELETE_REPORT_FINISHED = "reports/DELETE_REPORT_FINISHED";
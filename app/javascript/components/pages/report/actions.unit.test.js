@@ -9,7 +9,12 @@ describe("<Reports /> - Actions", () => {
       "FETCH_REPORT_STARTED",
       "FETCH_REPORT_SUCCESS",
       "FETCH_REPORT_FAILURE",
-      "FETCH_REPORT_FINISHED"
+      "FETCH_REPORT_FINISHED",
+      "DELETE_REPORT",
+      "DELETE_REPORT_STARTED",
+      "DELETE_REPORT_SUCCESS",
+      "DELETE_REPORT_FAILURE",
+      "DELETE_REPORT_FINISHED"
     ].forEach(property => {
       expect(cloneActions).to.have.property(property);
       expect(cloneActions[property]).to.be.a("string");
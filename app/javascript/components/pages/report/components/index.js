@@ -0,0 +1,2 @@
+export { default as ReportGraph } from "./report-graph";
+export { default as RuntimeFilters } from "./runtime-filters";
@@ -0,0 +1,40 @@
+import React from "react";
+import PropTypes from "prop-types";
+
+import { BarChart, LineChart, PieChart } from "../../../../charts";
+import { useI18n } from "../../../../i18n";
+import { GRAPH_TYPES } from "../../../report-form/constants";
+import { buildDataForGraph } from "../../utils";
+
+import { NAME } from "./constants";
+
+const Component = ({ report, onElementClick }) => {
+  const i18n = useI18n();
+  const graphProps = {
+    ...buildDataForGraph(report, i18n),
+    onElementClick,
+    showDetails: true
+  };
+
+  switch (report.get("graph_type")) {
+    case GRAPH_TYPES.line:
+      return <LineChart {...graphProps} />;
+    case GRAPH_TYPES.pie:
+      return <PieChart {...graphProps} />;
+    case GRAPH_TYPES.stacked_bar:
+      return <BarChart {...graphProps} stacked />;
+    case GRAPH_TYPES.percentage:
+      return <BarChart {...graphProps} stacked percentage />;
+    default:
+      return <BarChart {...graphProps} />;
+  }
+};
+
+Component.displayName = NAME;
+
+Component.propTypes = {
+  onElementClick: PropTypes.func,
+  report: PropTypes.object.isRequired
+};
+
+export default Component;
@@ -0,0 +1,42 @@
+import { fromJS } from "immutable";
+
+import { setupMountedComponent } from "../../../../../test";
+import { BarChart, LineChart, PieChart } from "../../../../charts";
+
+import ReportGraph from "./component";
+
+describe("<Report />/components/<ReportGraph />", () => {
+  const report = fromJS({
+    fields: [
+      {
+        name: "registration_date",
+        position: { type: "horizontal", order: 0 }
+      }
+    ],
+    report_data: {
+      "Jan-2020": { _total: 1 },
+      "Feb-2020": { _total: 3 }
+    }
+  });
+
+  const render = graphType =>
+    setupMountedComponent(
+      ReportGraph,
+      { report: report.set("graph_type", graphType) },
+      fromJS({})
+    ).component;
+
+  it("renders the chart of the graph type of the report", () => {
+    expect(render("line").find(LineChart)).to.have.lengthOf(1);
+    expect(render("pie").find(PieChart)).to.have.lengthOf(1);
+    expect(render("bar").find(BarChart)).to.have.lengthOf(1);
+  });
+
+  it("renders stacked bars with the percentages of the total", () => {
+    const chart = render("percentage").find(BarChart);
+
+    expect(chart.prop("stacked")).to.be.true;
+    expect(chart.prop("percentage")).to.be.true;
+    expect(chart.prop("data").datasets[0].data).to.deep.equal([25, 75]);
+  });
+});
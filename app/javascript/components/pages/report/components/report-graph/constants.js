@@ -0,0 +1,3 @@
+/* eslint-disable import/prefer-default-export */
+
+export const NAME = "ReportGraph";
@@ -0,0 +1,11 @@
+import * as index from "./index";
+
+describe("<Report />/components/<ReportGraph /> - index", () => {
+  const indexValues = { ...index };
+
+  it("should have known properties", () => {
+    expect(indexValues).to.have.property("default");
+    delete indexValues.default;
+    expect(indexValues).to.be.empty;
+  });
+});
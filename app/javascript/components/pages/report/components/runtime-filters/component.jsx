@@ -0,0 +1,135 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { useSelector } from "react-redux";
+import { Button, MenuItem, Paper, TextField } from "@material-ui/core";
+import makeStyles from "@material-ui/styles/makeStyles";
+
+import { useI18n } from "../../../../i18n";
+import { useApp } from "../../../../application";
+import { getReportingLocationConfig } from "../../../../application/selectors";
+import { getLocations } from "../../../../record-form/selectors";
+import SearchableSelect from "../../../../searchable-select";
+import { compare } from "../../../../../libs";
+
+import { DEFAULT_VALUES, NAME } from "./constants";
+import { buildRuntimeFilters, describeRuntimeFilters } from "./utils";
+import styles from "./styles.css";
+
+const Component = ({ dateFields, onApply }) => {
+  const i18n = useI18n();
+  const css = makeStyles(styles)();
+  const { userModules } = useApp();
+  const [values, setValues] = useState(DEFAULT_VALUES);
+  const locations = useSelector(state => getLocations(state), compare);
+  const reportingLocationConfig = useSelector(
+    state => getReportingLocationConfig(state),
+    compare
+  );
+
+  const locationOptions = locations
+    .map(location => ({
+      value: location.get("code"),
+      label: location.getIn(["name", i18n.locale]) || location.get("code")
+    }))
+    .toArray();
+
+  const handleChange = property => event =>
+    setValues({ ...values, [property]: event.target.value });
+
+  const handleApply = () =>
+    onApply(
+      buildRuntimeFilters(values, locations, reportingLocationConfig),
+      describeRuntimeFilters(values, {
+        modules: userModules,
+        locations,
+        dateFields,
+        i18n
+      })
+    );
+
+  const handleClear = () => {
+    setValues(DEFAULT_VALUES);
+    onApply({}, []);
+  };
+
+  return (
+    <Paper className={css.root}>
+      <TextField
+        select
+        className={css.select}
+        label={i18n.t("report.runtime_filters.module")}
+        value={values.moduleId}
+        onChange={handleChange("moduleId")}
+      >
+        <MenuItem value="">{i18n.t("fields.select_single")}</MenuItem>
+        {userModules.map(({ unique_id: uniqueId, name }) => (
+          <MenuItem key={uniqueId} value={uniqueId}>
+            {name}
+          </MenuItem>
+        ))}
+      </TextField>
+      <div className={css.location}>
+        <SearchableSelect
+          id="runtime-filters-location"
+          options={locationOptions}
+          value={
+            locationOptions.find(({ value }) => value === values.location) ||
+            null
+          }
+          onChange={data =>
+            setValues({ ...values, location: data?.value || "" })
+          }
+          TextFieldProps={{
+            label: i18n.t("location.label"),
+            InputLabelProps: { shrink: true }
+          }}
+          excludeEmpty
+          isClearable
+        />
+      </div>
+      <TextField
+        select
+        className={css.select}
+        label={i18n.t("report.runtime_filters.date_field")}
+        value={values.dateField}
+        onChange={handleChange("dateField")}
+      >
+        <MenuItem value="">{i18n.t("fields.select_single")}</MenuItem>
+        {dateFields.map(({ name, display_name: displayName }) => (
+          <MenuItem key={name} value={name}>
+            {displayName?.[i18n.locale] || name}
+          </MenuItem>
+        ))}
+      </TextField>
+      <TextField
+        label={i18n.t("fields.date_range.from")}
+        type="date"
+        value={values.from}
+        onChange={handleChange("from")}
+        InputLabelProps={{ shrink: true }}
+        disabled={!values.dateField}
+      />
+      <TextField
+        label={i18n.t("fields.date_range.to")}
+        type="date"
+        value={values.to}
+        onChange={handleChange("to")}
+        InputLabelProps={{ shrink: true }}
+        disabled={!values.dateField}
+      />
+      <Button color="primary" variant="contained" onClick={handleApply}>
+        {i18n.t("filters.apply_filters")}
+      </Button>
+      <Button onClick={handleClear}>{i18n.t("filters.clear_filters")}</Button>
+    </Paper>
+  );
+};
+
+Component.displayName = NAME;
+
+Component.propTypes = {
+  dateFields: PropTypes.object.isRequired,
+  onApply: PropTypes.func.isRequired
+};
+
+export default Component;
@@ -0,0 +1,81 @@
+import { fromJS, List } from "immutable";
+import { Button, TextField } from "@material-ui/core";
+
+import { setupMountedComponent, stub } from "../../../../../test";
+import { FieldRecord } from "../../../../record-form/records";
+
+import RuntimeFilters from "./component";
+
+describe("<Report />/components/<RuntimeFilters />", () => {
+  const dateFields = List([
+    FieldRecord({
+      name: "registration_date",
+      type: "date_field",
+      display_name: { en: "Date of registration" }
+    })
+  ]);
+  const state = fromJS({
+    application: {
+      reportingLocationConfig: {
+        field_key: "owned_by_location",
+        admin_level: 2
+      }
+    },
+    forms: {
+      options: {
+        locations: [{ code: "GH", admin_level: 0, name: { en: "Ghana" } }]
+      }
+    }
+  });
+
+  const render = onApply =>
+    setupMountedComponent(RuntimeFilters, { dateFields, onApply }, state)
+      .component;
+
+  it("renders the module, the date field and the dates of the range", () => {
+    const component = render(stub());
+
+    expect(
+      component.find(TextField).map(field => field.prop("label"))
+    ).to.include.members([
+      "report.runtime_filters.module",
+      "report.runtime_filters.date_field",
+      "fields.date_range.from",
+      "fields.date_range.to"
+    ]);
+  });
+
+  it("applies the chosen date range", () => {
+    const onApply = stub();
+    const component = render(onApply);
+
+    component
+      .find(TextField)
+      .filterWhere(
+        field => field.prop("label") === "report.runtime_filters.date_field"
+      )
+      .props()
+      .onChange({ target: { value: "registration_date" } });
+    component.update();
+    component
+      .find(TextField)
+      .filterWhere(field => field.prop("label") === "fields.date_range.from")
+      .find("input")
+      .simulate("change", { target: { value: "2020-01-01" } });
+    component.find(Button).first().simulate("click");
+
+    expect(onApply).to.have.been.calledOnceWith(
+      { registration_date: { from: "2020-01-01" } },
+      ["Date of registration: 2020-01-01 - "]
+    );
+  });
+
+  it("clears the filters", () => {
+    const onApply = stub();
+    const component = render(onApply);
+
+    component.find(Button).last().simulate("click");
+
+    expect(onApply).to.have.been.calledOnceWith({}, []);
+  });
+});
@@ -0,0 +1,9 @@
+export const NAME = "RuntimeFilters";
+
+export const DEFAULT_VALUES = Object.freeze({
+  moduleId: "",
+  location: "",
+  dateField: "",
+  from: "",
+  to: ""
+});
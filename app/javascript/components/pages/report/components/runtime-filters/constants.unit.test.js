@@ -0,0 +1,14 @@
+import * as constants from "./constants";
+
+describe("<Report />/components/<RuntimeFilters /> - Constants", () => {
+  it("should have known properties", () => {
+    const clonedConstants = { ...constants };
+
+    ["DEFAULT_VALUES", "NAME"].forEach(property => {
+      expect(clonedConstants).to.have.property(property);
+      delete clonedConstants[property];
+    });
+
+    expect(clonedConstants).to.be.empty;
+  });
+});
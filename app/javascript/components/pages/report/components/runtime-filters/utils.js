@@ -0,0 +1,61 @@
+// The filters are sent with the names of the params of the record list, so the
+// same filters can be used to list the records of the report.
+export const buildRuntimeFilters = (
+  { moduleId, location, dateField, from, to },
+  locations,
+  reportingLocationConfig
+) => {
+  const selectedLocation = locations.find(
+    option => option.get("code") === location
+  );
+  const adminLevel = selectedLocation?.get(
+    "admin_level",
+    reportingLocationConfig.get("admin_level")
+  );
+
+  return {
+    ...(moduleId ? { module_id: [moduleId] } : {}),
+    ...(selectedLocation
+      ? {
+          [`${reportingLocationConfig.get("field_key")}${adminLevel}`]: [
+            location
+          ]
+        }
+      : {}),
+    ...(dateField && (from || to)
+      ? {
+          [dateField]: {
+            ...(from ? { from } : {}),
+            ...(to ? { to } : {})
+          }
+        }
+      : {})
+  };
+};
+
+export const describeRuntimeFilters = (
+  { moduleId, location, dateField, from, to },
+  { modules, locations, dateFields, i18n }
+) =>
+  [
+    moduleId && [
+      i18n.t("report.runtime_filters.module"),
+      modules.find(({ unique_id: uniqueId }) => uniqueId === moduleId)?.name ||
+        moduleId
+    ],
+    location && [
+      i18n.t("location.label"),
+      locations
+        .find(option => option.get("code") === location)
+        ?.getIn(["name", i18n.locale]) || location
+    ],
+    dateField &&
+      (from || to) && [
+        dateFields
+          .find(({ name }) => name === dateField)
+          ?.get("display_name")?.[i18n.locale] || dateField,
+        [from, to].join(" - ")
+      ]
+  ]
+    .filter(Boolean)
+    .map(([label, value]) => `${label}: ${value}`);
@@ -0,0 +1,85 @@
+import { fromJS, List } from "immutable";
+
+import { FieldRecord } from "../../../../record-form/records";
+import { PrimeroModuleRecord } from "../../../../application/records";
+
+import * as utils from "./utils";
+
+describe("<Report />/components/<RuntimeFilters /> - utils", () => {
+  const i18n = { t: value => value, locale: "en" };
+  const locations = fromJS([
+    { code: "GH", admin_level: 0, name: { en: "Ghana" } },
+    { code: "GH01", admin_level: 1, name: { en: "Ashanti" } }
+  ]);
+  const reportingLocationConfig = fromJS({
+    field_key: "owned_by_location",
+    admin_level: 2
+  });
+  const values = {
+    moduleId: "primeromodule-cp",
+    location: "GH01",
+    dateField: "registration_date",
+    from: "2020-01-01",
+    to: ""
+  };
+
+  it("should have known exports", () => {
+    const clone = { ...utils };
+
+    ["buildRuntimeFilters", "describeRuntimeFilters"].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("buildRuntimeFilters", () => {
+    it("returns the filters with the params of the record list", () => {
+      expect(
+        utils.buildRuntimeFilters(values, locations, reportingLocationConfig)
+      ).to.deep.equal({
+        module_id: ["primeromodule-cp"],
+        owned_by_location1: ["GH01"],
+        registration_date: { from: "2020-01-01" }
+      });
+    });
+
+    it("returns no filters when no value was chosen", () => {
+      expect(
+        utils.buildRuntimeFilters(
+          { ...values, moduleId: "", location: "", from: "" },
+          locations,
+          reportingLocationConfig
+        )
+      ).to.be.empty;
+    });
+  });
+
+  describe("describeRuntimeFilters", () => {
+    it("describes the filters with the labels of the values", () => {
+      expect(
+        utils.describeRuntimeFilters(values, {
+          modules: List([
+            PrimeroModuleRecord({
+              unique_id: "primeromodule-cp",
+              name: "CP"
+            })
+          ]),
+          locations,
+          dateFields: List([
+            FieldRecord({
+              name: "registration_date",
+              display_name: { en: "Date of registration" }
+            })
+          ]),
+          i18n
+        })
+      ).to.deep.equal([
+        "report.runtime_filters.module: CP",
+        "location.label: Ashanti",
+        "Date of registration: 2020-01-01 - "
+      ]);
+    });
+  });
+});
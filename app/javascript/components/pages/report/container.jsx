@@ -1,21 +1,58 @@
-import React, { useEffect } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import { useSelector, useDispatch } from "react-redux";
 import PropTypes from "prop-types";
-import { IconButton, Paper } from "@material-ui/core";
+import {
+  Button,
+  IconButton,
+  Menu,
+  MenuItem,
+  Paper,
+  Tooltip
+} from "@material-ui/core";
 import { withRouter, Link } from "react-router-dom";
 import TableChartIcon from "@material-ui/icons/TableChart";
 import BarChartIcon from "@material-ui/icons/BarChart";
+import CreateIcon from "@material-ui/icons/Create";
+import PictureAsPdfIcon from "@material-ui/icons/PictureAsPdf";
 import makeStyles from "@material-ui/styles/makeStyles";
+import { format } from "date-fns";
+import { push } from "connected-react-router";
 
-import { BarChart as BarChartGraphic, TableValues } from "../../charts";
+import { TableValues } from "../../charts";
 import { getLoading, getErrors } from "../../index-table/selectors";
 import LoadingIndicator from "../../loading-indicator";
 import { useI18n } from "../../i18n";
 import { PageContainer, PageContent, PageHeading } from "../../page";
+import { ActionsMenu } from "../../form";
+import ActionDialog from "../../action-dialog";
+import { getPermissionsByRecord } from "../../user/selectors";
+import { DATE_TIME_FORMAT, ROUTES } from "../../../config";
+import { compare, downloadFile } from "../../../libs";
+import {
+  RESOURCES,
+  WRITE_RECORDS,
+  checkPermissions
+} from "../../../libs/permissions";
+import { getReportableFields } from "../report-form/selectors";
 
+import { ReportGraph, RuntimeFilters } from "./components";
+import {
+  buildDrillDownLocation,
+  getGraphRowPaths,
+  getRecordPath
+} from "./drill-down";
+import {
+  buildExportTable,
+  buildGraphCanvas,
+  describeFilters,
+  getFileName,
+  toCSV,
+  toPrintableHTML,
+  toXLSX
+} from "./exporters";
 import { buildDataForGraph, buildDataForTable } from "./utils";
 import { getReport } from "./selectors";
-import { fetchReport } from "./action-creators";
+import { deleteReport, fetchReport } from "./action-creators";
 import namespace from "./namespace";
 import styles from "./styles.css";
 
@@ -24,6 +61,13 @@ const Report = ({ match }) => {
   const { params } = match;
   const i18n = useI18n();
   const dispatch = useDispatch();
+  const [openDeleteDialog, setOpenDeleteDialog] = useState(false);
+  const [exportMenuAnchor, setExportMenuAnchor] = useState(null);
+  const [runtimeFilters, setRuntimeFilters] = useState({});
+  const [runtimeFiltersDescription, setRuntimeFiltersDescription] = useState(
+    []
+  );
+  const graphRef = useRef();
 
   useEffect(() => {
     dispatch(fetchReport(params.id));
@@ -32,11 +76,124 @@ const Report = ({ match }) => {
   const errors = useSelector(state => getErrors(state, namespace));
   const loading = useSelector(state => getLoading(state, namespace));
   const report = useSelector(state => getReport(state));
+  const reportPermissions = useSelector(
+    state => getPermissionsByRecord(state, RESOURCES.reports),
+    compare
+  );
+  const fields = useSelector(
+    state =>
+      getReportableFields(state, {
+        recordType: report.get("record_type"),
+        primeroModule: report.get("module_id")
+      }),
+    compare
+  );
+  const hasData = !!report.get("report_data", false);
+  const dateFields = fields.filter(({ type }) => type === "date_field");
+  const canDrillDown = Boolean(getRecordPath(report.get("record_type")));
+  // The reports seeded with the system can not be changed
+  const canEditReport =
+    report.get("editable", false) &&
+    checkPermissions(reportPermissions, WRITE_RECORDS);
+
+  const handleDelete = () => {
+    dispatch(
+      deleteReport({
+        id: report.get("id"),
+        message: i18n.t("report.messages.delete_success")
+      })
+    );
+    setOpenDeleteDialog(false);
+  };
+
+  const handleApplyRuntimeFilters = (filters, description) => {
+    setRuntimeFilters(filters);
+    setRuntimeFiltersDescription(description);
+    dispatch(fetchReport(params.id, filters));
+  };
+
+  const handleDrillDown = (rowPath, column) => {
+    const location = buildDrillDownLocation(report, {
+      rowPath,
+      column,
+      runtimeFilters,
+      i18n
+    });
+
+    if (location) {
+      dispatch(push(location));
+    }
+  };
+
+  const handleGraphClick = (index, datasetIndex) => {
+    const rowPath = getGraphRowPaths(report, i18n)[index];
+    const { datasets } = buildDataForGraph(report, i18n).data;
+
+    if (rowPath) {
+      handleDrillDown(rowPath, datasets[datasetIndex]?.label);
+    }
+  };
+
+  const graphCanvas = () => graphRef.current?.querySelector("canvas");
+
+  const handleExportData = extension => async () => {
+    const table = buildExportTable(report, i18n);
+    const fileName = getFileName(report, i18n.locale, extension);
+
+    if (extension === "csv") {
+      // The byte order mark lets the spreadsheets detect the UTF-8 encoding
+      downloadFile(`\uFEFF${toCSV(table)}`, fileName, "text/csv");
+    } else {
+      downloadFile(
+        await toXLSX(table, report.getIn(["name", i18n.locale]) || ""),
+        fileName,
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+    }
+    setExportMenuAnchor(null);
+  };
+
+  const handleExportGraph = () => {
+    const canvas = graphCanvas();
+
+    if (canvas) {
+      buildGraphCanvas(canvas).toBlob(blob =>
+        downloadFile(blob, getFileName(report, i18n.locale, "png"), "image/png")
+      );
+    }
+  };
+
+  const handlePrint = () => {
+    const canvas = graphCanvas();
+    const printWindow = window.open("", "_blank");
+
+    if (!printWindow) {
+      return;
+    }
+
+    printWindow.document.write(
+      toPrintableHTML({
+        title: report.getIn(["name", i18n.locale]) || "",
+        description: report.getIn(["description", i18n.locale]),
+        generatedOn: i18n.t("report.export.generated_on", {
+          date: format(new Date(), DATE_TIME_FORMAT)
+        }),
+        filtersTitle: i18n.t("report.filters.label"),
+        filters: [
+          ...describeFilters(report.get("filters"), fields, i18n).toArray(),
+          ...runtimeFiltersDescription
+        ],
+        graph: canvas && buildGraphCanvas(canvas).toDataURL("image/png"),
+        table: buildExportTable(report, i18n)
+      })
+    );
+    printWindow.document.close();
+  };
 
   const loadingIndicatorProps = {
     overlay: true,
     emptyMessage: i18n.t("report.no_data"),
-    hasData: !!report.get("report_data", false),
+    hasData,
     type: namespace,
     loading,
     errors
@@ -47,26 +204,95 @@ const Report = ({ match }) => {
       <PageHeading
         title={report.get("name") ? report.get("name").get(i18n.locale) : ""}
       >
-        <IconButton to="/reports" component={Link} className={css.exportButton}>
-          <BarChartIcon />
-        </IconButton>
-        <IconButton to="/reports" component={Link} className={css.exportButton}>
-          <TableChartIcon />
-        </IconButton>
+        {hasData && (
+          <>
+            {report.get("graph") && (
+              <Tooltip title={i18n.t("report.export.image")}>
+                <IconButton
+                  className={css.exportButton}
+                  onClick={handleExportGraph}
+                >
+                  <BarChartIcon />
+                </IconButton>
+              </Tooltip>
+            )}
+            <Tooltip title={i18n.t("report.export.data")}>
+              <IconButton
+                className={css.exportButton}
+                onClick={event => setExportMenuAnchor(event.currentTarget)}
+                aria-haspopup="true"
+              >
+                <TableChartIcon />
+              </IconButton>
+            </Tooltip>
+            <Menu
+              anchorEl={exportMenuAnchor}
+              open={Boolean(exportMenuAnchor)}
+              onClose={() => setExportMenuAnchor(null)}
+            >
+              <MenuItem onClick={handleExportData("csv")}>
+                {i18n.t("report.export.csv")}
+              </MenuItem>
+              <MenuItem onClick={handleExportData("xlsx")}>
+                {i18n.t("report.export.excel")}
+              </MenuItem>
+            </Menu>
+            <Tooltip title={i18n.t("report.export.pdf")}>
+              <IconButton className={css.exportButton} onClick={handlePrint}>
+                <PictureAsPdfIcon />
+              </IconButton>
+            </Tooltip>
+          </>
+        )}
+        {canEditReport && (
+          <>
+            <Button
+              to={`${ROUTES.reports}/${report.get("id")}/edit`}
+              component={Link}
+              startIcon={<CreateIcon />}
+              size="small"
+            >
+              {i18n.t("buttons.edit")}
+            </Button>
+            <ActionsMenu
+              actionItems={[
+                {
+                  name: i18n.t("buttons.delete"),
+                  action: () => setOpenDeleteDialog(true)
+                }
+              ]}
+            />
+          </>
+        )}
       </PageHeading>
       <PageContent>
+        <RuntimeFilters
+          dateFields={dateFields}
+          onApply={handleApplyRuntimeFilters}
+        />
         <LoadingIndicator {...loadingIndicatorProps}>
           {report.get("graph") && (
-            <Paper>
-              <BarChartGraphic
-                {...buildDataForGraph(report, i18n)}
-                showDetails
+            <Paper ref={graphRef}>
+              <ReportGraph
+                report={report}
+                onElementClick={canDrillDown ? handleGraphClick : null}
               />
             </Paper>
           )}
-          <TableValues {...buildDataForTable(report, i18n)} />
+          <TableValues
+            {...buildDataForTable(report, i18n)}
+            onCellClick={canDrillDown ? handleDrillDown : null}
+          />
         </LoadingIndicator>
       </PageContent>
+      <ActionDialog
+        open={openDeleteDialog}
+        successHandler={handleDelete}
+        cancelHandler={() => setOpenDeleteDialog(false)}
+        dialogTitle={i18n.t("reports.actions.delete")}
+        dialogText={i18n.t("reports.messages.confirmation")}
+        confirmButtonLabel={i18n.t("buttons.ok")}
+      />
     </PageContainer>
   );
 };
@@ -1,10 +1,17 @@
 import { fromJS } from "immutable";
+import { Button, MenuItem, TableCell } from "@material-ui/core";
+import TableChartIcon from "@material-ui/icons/TableChart";
+import PictureAsPdfIcon from "@material-ui/icons/PictureAsPdf";
 
 import { PageContainer, PageContent, PageHeading } from "../../page";
-import { setupMountedComponent } from "../../../test";
+import { setupMountedComponent, stub } from "../../../test";
 import { TableValues } from "../../charts";
 import LoadingIndicator from "../../loading-indicator";
+import { ActionsMenu } from "../../form";
+import ActionDialog from "../../action-dialog";
 
+import { RuntimeFilters } from "./components";
+import { FETCH_REPORT } from "./actions";
 import Report from "./container";
 
 describe("<Report />", () => {
@@ -66,6 +73,125 @@ describe("<Report />", () => {
     expect(component.find(TableValues)).to.have.lengthOf(1);
   });
 
+  it("does not render the edit and delete actions of a seeded report", () => {
+    expect(component.find(ActionsMenu)).to.have.lengthOf(0);
+  });
+
+  describe("export actions", () => {
+    beforeEach(() => {
+      window.URL.createObjectURL = stub().returns("blob:report");
+      window.URL.revokeObjectURL = stub();
+      stub(window.HTMLAnchorElement.prototype, "click");
+    });
+
+    afterEach(() => {
+      delete window.URL.createObjectURL;
+      delete window.URL.revokeObjectURL;
+      window.HTMLAnchorElement.prototype.click.restore();
+    });
+
+    it("downloads the data of the report as CSV and Excel", () => {
+      component.find(TableChartIcon).closest("button").simulate("click");
+
+      const items = component.find(MenuItem);
+
+      expect(items.map(item => item.text())).to.deep.equal([
+        "report.export.csv",
+        "report.export.excel"
+      ]);
+
+      items.first().simulate("click");
+      expect(window.URL.createObjectURL.firstCall.args[0].type).to.equal(
+        "text/csv"
+      );
+    });
+
+    it("writes the printable report to a new window", () => {
+      const printWindow = { document: { write: stub(), close: stub() } };
+
+      stub(window, "open").returns(printWindow);
+      component.find(PictureAsPdfIcon).closest("button").simulate("click");
+      window.open.restore();
+
+      expect(printWindow.document.write.firstCall.args[0]).to.contain(
+        "Registration CP"
+      );
+      expect(printWindow.document.close).to.have.been.calledOnce;
+    });
+  });
+
+  describe("runtime filters and drill-down", () => {
+    let store;
+    let drillDownComponent;
+
+    beforeEach(() => {
+      drillDownComponent = setupMountedComponent(
+        Report,
+        {},
+        initialState.setIn(
+          ["records", "reports", "selectedReport", "record_type"],
+          "case"
+        )
+      ).component;
+      ({ store } = drillDownComponent.props());
+    });
+
+    it("renders the runtime filters", () => {
+      expect(drillDownComponent.find(RuntimeFilters)).to.have.lengthOf(1);
+    });
+
+    it("fetches the report again with the runtime filters", () => {
+      drillDownComponent
+        .find(RuntimeFilters)
+        .find(Button)
+        .first()
+        .simulate("click");
+
+      const action = store.getActions().slice(-1)[0];
+
+      expect(action.type).to.equal(FETCH_REPORT);
+      expect(action.api).to.not.have.property("params");
+    });
+
+    it("lists the records counted in a cell of the table", () => {
+      stub(window.history, "pushState");
+      drillDownComponent
+        .find(TableValues)
+        .find(TableCell)
+        .last()
+        .simulate("click");
+      const [, , url] = window.history.pushState.firstCall.args;
+
+      window.history.pushState.restore();
+
+      expect(url).to.equal("/cases?registration_date%5B0%5D=Feb-2020");
+    });
+  });
+
+  describe("When the report is editable", () => {
+    let editableComponent;
+
+    before(() => {
+      editableComponent = setupMountedComponent(
+        Report,
+        {},
+        initialState
+          .setIn(["records", "reports", "selectedReport", "editable"], true)
+          .setIn(["user", "permissions", "reports"], fromJS(["manage"]))
+      ).component;
+    });
+
+    it("renders the edit and delete actions", () => {
+      expect(
+        editableComponent
+          .find("a")
+          .filterWhere(link => link.prop("href") === "/reports/1/edit")
+      ).to.have.lengthOf(1);
+      expect(editableComponent.find(ActionsMenu)).to.have.lengthOf(1);
+      expect(editableComponent.find(ActionDialog).prop("open")).to.be.false;
+    });
+  });
+
   describe("When data still loading", () => {
     let loadingComponent;
     const loadingInitialState = fromJS({
@@ -89,6 +215,7 @@ describe("<Report />", () => {
     it("renders LoadingIndicator", () => {
       expect(loadingComponent.find(LoadingIndicator)).to.have.lengthOf(1);
       expect(loadingComponent.find(TableValues)).to.have.lengthOf(0);
+      expect(loadingComponent.find(PictureAsPdfIcon)).to.have.lengthOf(0);
     });
   });
 });
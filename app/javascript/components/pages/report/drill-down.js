@@ -0,0 +1,172 @@
+import { List } from "immutable";
+import qs from "qs";
+import { endOfMonth, endOfYear, format, isValid, parse } from "date-fns";
+
+import { RECORD_TYPES } from "../../../config";
+import { ageParser } from "../../index-filters/components/filter-types/utils";
+import {
+  CONSTRAINTS,
+  NOT_NULL
+} from "../report-form/components/report-filter/constants";
+
+import { buildDataForTable, flattenTableRows } from "./utils";
+
+const API_DATE_FORMAT = "yyyy-MM-dd";
+const REPORT_DATE_FORMAT = "dd-MMM-yyyy";
+const MIN_DATE = "0001-01-01";
+const AGE_RANGE = /^\d+ - \d+$|^\d+\+$/;
+
+const toAPIDate = date => format(date, API_DATE_FORMAT);
+
+const parseReportDate = (value, dateFormat) =>
+  parse(value, dateFormat, new Date());
+
+// The dates of the report are grouped with the formats of Reports::DateRange
+const dateRange = (key, groupDatesBy) => {
+  switch (groupDatesBy) {
+    case "week":
+      return key
+        .split(" - ")
+        .map(date => parseReportDate(date, REPORT_DATE_FORMAT));
+    case "month": {
+      const date = parseReportDate(key, "MMM-yyyy");
+
+      return [date, endOfMonth(date)];
+    }
+    case "year": {
+      const date = parseReportDate(key, "yyyy");
+
+      return [date, endOfYear(date)];
+    }
+    default: {
+      const date = parseReportDate(key, REPORT_DATE_FORMAT);
+
+      return [date, date];
+    }
+  }
+};
+
+const optionId = (field, key, locale) => {
+  const option = (field.getIn(["option_labels", locale]) || List()).find(
+    label => label.get("display_text") === key
+  );
+
+  return option ? option.get("id") : key;
+};
+
+const lowerBound = value => (/^\d+$/.test(String(value)) ? 0 : MIN_DATE);
+
+const keyParams = (report, field, key, locale) => {
+  const name = field.get("name");
+
+  if (field.get("option_strings_source") === "Location") {
+    return { [`${name}${field.get("admin_level") || 0}`]: [key] };
+  }
+
+  if (
+    field.get("type") === "numeric_field" &&
+    report.get("group_ages") &&
+    AGE_RANGE.test(key)
+  ) {
+    return { [name]: [ageParser(key)] };
+  }
+
+  if (field.get("type") === "date_field") {
+    const [from, to] = dateRange(key, report.get("group_dates_by"));
+
+    return isValid(from) && isValid(to)
+      ? { [name]: { from: toAPIDate(from), to: toAPIDate(to) } }
+      : {};
+  }
+
+  return { [name]: [optionId(field, key, locale)] };
+};
+
+// The record list only filters ranges with a start
+const completeRanges = filters =>
+  Object.entries(filters || {}).reduce(
+    (params, [attribute, value]) => ({
+      ...params,
+      [attribute]:
+        !Array.isArray(value) && value.to && !value.from
+          ? { ...value, from: lowerBound(value.to) }
+          : value
+    }),
+    {}
+  );
+
+// The filters saved with the report in the params of the record list
+export const reportFiltersToParams = filters =>
+  (filters || List()).reduce((params, filter) => {
+    const attribute = filter.get("attribute");
+    const value = filter.get("value");
+
+    if (List.isList(value)) {
+      const values = value.filter(option => option !== NOT_NULL).toArray();
+
+      return values.length ? { ...params, [attribute]: values } : params;
+    }
+
+    switch (filter.get("constraint")) {
+      case CONSTRAINTS.greater_than:
+        return { ...params, [attribute]: { from: value } };
+      case CONSTRAINTS.less_than:
+        return {
+          ...params,
+          [attribute]: { from: lowerBound(value), to: value }
+        };
+      default:
+        return value ? { ...params, [attribute]: [value] } : params;
+    }
+  }, {});
+
+export const getRecordPath = recordType =>
+  Object.keys(RECORD_TYPES).find(
+    path => path !== "all" && RECORD_TYPES[path] === recordType
+  );
+
+// The location of the record list with the records counted in a cell of the
+// report. rowPath has the labels of the row and its parents as displayed.
+export const buildDrillDownLocation = (
+  report,
+  { rowPath, column, runtimeFilters, i18n }
+) => {
+  const recordPath = getRecordPath(report.get("record_type"));
+
+  if (!recordPath) {
+    return null;
+  }
+
+  const keys =
+    column && column !== i18n.t("report.total")
+      ? [...rowPath, column]
+      : rowPath;
+  const fields = report.get("fields") || List();
+
+  const params = keys.reduce((result, key, index) => {
+    const field = fields.get(index);
+
+    return field
+      ? { ...result, ...keyParams(report, field, key, i18n.locale) }
+      : result;
+  }, {});
+
+  return {
+    pathname: `/${recordPath}`,
+    search: qs.stringify({
+      ...reportFiltersToParams(report.get("filters")),
+      ...completeRanges(runtimeFilters),
+      ...params
+    })
+  };
+};
+
+// The values of the graph are the values of the rows of the table without rows
+// below them.
+export const getGraphRowPaths = (report, i18n) => {
+  const rows = flattenTableRows(buildDataForTable(report, i18n).values);
+
+  return rows
+    .filter((row, index) => !(rows[index + 1]?.level > row.level))
+    .map(({ path }) => path);
+};
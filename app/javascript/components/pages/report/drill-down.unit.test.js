@@ -0,0 +1,152 @@
+import { fromJS } from "immutable";
+import qs from "qs";
+
+import * as drillDown from "./drill-down";
+
+describe("<Report /> - drill-down", () => {
+  const i18n = { t: () => "Total", locale: "en" };
+  const report = fromJS({
+    record_type: "case",
+    group_ages: true,
+    group_dates_by: "month",
+    filters: [
+      { attribute: "status", constraint: "=", value: ["open", "not_null"] },
+      { attribute: "record_state", value: ["not_null"] },
+      { attribute: "age", constraint: "<", value: "18" }
+    ],
+    fields: [
+      {
+        name: "sex",
+        type: "select_box",
+        position: { type: "horizontal", order: 0 },
+        option_labels: {
+          en: [
+            { id: "female", display_text: "Female" },
+            { id: "male", display_text: "Male" }
+          ]
+        }
+      },
+      {
+        name: "age",
+        type: "numeric_field",
+        position: { type: "horizontal", order: 1 }
+      },
+      {
+        name: "registration_date",
+        type: "date_field",
+        position: { type: "vertical", order: 0 }
+      }
+    ],
+    report_data: {
+      female: {
+        "0 - 5": { "Jan-2020": { _total: 1 }, _total: 1 },
+        "18+": { "Jan-2020": { _total: 2 }, _total: 2 },
+        _total: 3
+      }
+    }
+  });
+
+  it("should have known exports", () => {
+    const clone = { ...drillDown };
+
+    [
+      "buildDrillDownLocation",
+      "getGraphRowPaths",
+      "getRecordPath",
+      "reportFiltersToParams"
+    ].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("getRecordPath", () => {
+    it("returns the path of the records of a record type", () => {
+      expect(drillDown.getRecordPath("case")).to.equal("cases");
+      expect(drillDown.getRecordPath("tracing_request")).to.equal(
+        "tracing_requests"
+      );
+      expect(drillDown.getRecordPath("reportable_service")).to.be.undefined;
+    });
+  });
+
+  describe("reportFiltersToParams", () => {
+    it("converts the filters of the report to the filters of the records", () => {
+      expect(
+        drillDown.reportFiltersToParams(report.get("filters"))
+      ).to.deep.equal({
+        status: ["open"],
+        age: { from: 0, to: "18" }
+      });
+      expect(
+        drillDown.reportFiltersToParams(
+          fromJS([
+            { attribute: "created_at", constraint: ">", value: "2020-01-01" },
+            { attribute: "sex", constraint: "=", value: "female" }
+          ])
+        )
+      ).to.deep.equal({
+        created_at: { from: "2020-01-01" },
+        sex: ["female"]
+      });
+    });
+  });
+
+  describe("buildDrillDownLocation", () => {
+    it("filters the records by the keys of the row and the column", () => {
+      const location = drillDown.buildDrillDownLocation(report, {
+        rowPath: ["Female", "18+"],
+        column: "Jan-2020",
+        runtimeFilters: {
+          module_id: ["primeromodule-cp"],
+          created_at: { to: "2020-02-01" }
+        },
+        i18n
+      });
+
+      expect(location.pathname).to.equal("/cases");
+      expect(qs.parse(location.search)).to.deep.equal({
+        status: ["open"],
+        age: ["18..999"],
+        sex: ["female"],
+        module_id: ["primeromodule-cp"],
+        created_at: { from: "0001-01-01", to: "2020-02-01" },
+        registration_date: { from: "2020-01-01", to: "2020-01-31" }
+      });
+    });
+
+    it("does not filter by the column of the totals", () => {
+      const location = drillDown.buildDrillDownLocation(report, {
+        rowPath: ["Female"],
+        column: "Total",
+        i18n
+      });
+
+      expect(qs.parse(location.search)).to.deep.equal({
+        status: ["open"],
+        age: { from: "0", to: "18" },
+        sex: ["female"]
+      });
+    });
+
+    it("returns null when the records of the report have no list", () => {
+      expect(
+        drillDown.buildDrillDownLocation(
+          report.set("record_type", "reportable_service"),
+          { rowPath: ["Female"], i18n }
+        )
+      ).to.be.null;
+    });
+  });
+
+  describe("getGraphRowPaths", () => {
+    it("returns the paths of the rows without rows below them", () => {
+      expect(drillDown.getGraphRowPaths(report, i18n)).to.deep.equal([
+        ["Female", "0 - 5"],
+        ["Female", "18+"]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import { List } from "immutable";
+import { Workbook } from "exceljs";
+
+import {
+  CONSTRAINTS,
+  NOT_NULL
+} from "../report-form/components/report-filter/constants";
+
+import { buildDataForTable, flattenTableRows } from "./utils";
+
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// The spreadsheets run the cells starting with these characters as formulas,
+// they are prefixed with a quote to be read as text.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeXML = value =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const escapeCSV = value => {
+  const text =
+    typeof value === "string" && FORMULA_PREFIX.test(value)
+      ? `'${value}`
+      : String(value ?? "");
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const sheetName = name =>
+  (name.replace(/[[\]:*?/\\]/g, " ").trim() || "Report").substring(
+    0,
+    MAX_SHEET_NAME_LENGTH
+  );
+
+const filterValues = (filter, field, i18n) => {
+  const options = field ? field.get("option_strings_text")?.[i18n.locale] : [];
+  const values = List.isList(filter.get("value"))
+    ? filter.get("value").toArray()
+    : [filter.get("value")];
+
+  return values
+    .map(value => {
+      if (value === NOT_NULL) {
+        return i18n.t("report.filters.not_null");
+      }
+
+      if (field?.type === "tick_box") {
+        return i18n.t(value);
+      }
+
+      const option = Array.isArray(options)
+        ? options.find(({ id }) => id === value)
+        : null;
+
+      return option ? option.display_text : value;
+    })
+    .join(", ");
+};
+
+export const getFileName = (report, locale, extension) =>
+  `${(report.getIn(["name", locale]) || "report")
+    .trim()
+    .replace(/[^\w-]+/g, "_")}.${extension}`;
+
+// Every level of rows gets its own label column so the hierarchy of the
+// report is kept in the spreadsheets.
+export const buildExportTable = (report, i18n) => {
+  const { columns, values } = buildDataForTable(report, i18n);
+  const rows = flattenTableRows(values);
+  const rowFields = (report.get("fields") || List()).filter(
+    field => field.getIn(["position", "type"]) === "horizontal"
+  );
+  const levels = Math.max(1, ...rows.map(({ level }) => level + 1));
+  const rowLabels = Array.from(
+    { length: levels },
+    (_, index) => rowFields.getIn([index, "display_name", i18n.locale]) || ""
+  );
+
+  return {
+    header: [...rowLabels, ...columns.slice(1)],
+    rows: rows.map(({ level, cells }, index) => {
+      const [label, ...cellValues] = cells;
+      const labels = rowLabels.map((_, labelIndex) =>
+        labelIndex === level ? label : ""
+      );
+
+      return {
+        level,
+        parent: rows[index + 1]?.level > level,
+        cells: [...labels, ...cellValues]
+      };
+    })
+  };
+};
+
+export const toCSV = ({ header, rows }) =>
+  [header, ...rows.map(({ cells }) => cells)]
+    .map(cells => cells.map(escapeCSV).join(","))
+    .join("\n");
+
+// The parent rows are bold and the child rows are grouped under them
+export const toXLSX = ({ header, rows }, name) => {
+  const workbook = new Workbook();
+  const sheet = workbook.addWorksheet(sheetName(name), {
+    properties: { outlineProperties: { summaryBelow: false } }
+  });
+  const emptyAsBlank = cells =>
+    cells.map(value => (value === "" || value === undefined ? null : value));
+
+  sheet.addRow(emptyAsBlank(header)).font = { bold: true };
+  rows.forEach(({ cells, level, parent }) => {
+    const row = sheet.addRow(emptyAsBlank(cells));
+
+    row.outlineLevel = level;
+
+    if (parent) {
+      row.font = { bold: true };
+    }
+  });
+
+  return workbook.xlsx.writeBuffer();
+};
+
+export const describeFilters = (filters, fields, i18n) =>
+  (filters || List()).map(filter => {
+    const attribute = filter.get("attribute");
+    const field = fields.find(({ name }) => name === attribute);
+    const constraint = Object.keys(CONSTRAINTS).find(
+      key =>
+        CONSTRAINTS[key] === (filter.get("constraint") || CONSTRAINTS.equal)
+    );
+
+    return [
+      `${field?.get("display_name")?.[i18n.locale] || attribute}:`,
+      constraint ? i18n.t(`report.filters.constraints.${constraint}`) : "",
+      filterValues(filter, field, i18n)
+    ]
+      .filter(Boolean)
+      .join(" ");
+  });
+
+// The canvas of the chart is transparent, the exported image gets a white
+// background to be readable in any viewer.
+export const buildGraphCanvas = canvas => {
+  const imageCanvas = document.createElement("canvas");
+  const context = imageCanvas.getContext("2d");
+
+  imageCanvas.width = canvas.width;
+  imageCanvas.height = canvas.height;
+  context.fillStyle = "#fff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(canvas, 0, 0);
+
+  return imageCanvas;
+};
+
+export const toPrintableHTML = ({
+  title,
+  description,
+  generatedOn,
+  filtersTitle,
+  filters,
+  graph,
+  table
+}) =>
+  [
+    "<!DOCTYPE html>",
+    '<html><head><meta charset="utf-8">',
+    `<title>${escapeXML(title)}</title>`,
+    "<style>",
+    "body { font-family: sans-serif; margin: 2em; }",
+    "img { display: block; max-width: 100%; margin: 1em 0; }",
+    "table { border-collapse: collapse; width: 100%; page-break-inside: auto; }",
+    "tr { page-break-inside: avoid; }",
+    "th, td { border: 1px solid #ccc; padding: .3em .5em; text-align: left; }",
+    ".parent td { font-weight: bold; }",
+    "</style>",
+    '</head><body onload="window.print()">',
+    `<h1>${escapeXML(title)}</h1>`,
+    description ? `<p>${escapeXML(description)}</p>` : "",
+    `<p>${escapeXML(generatedOn)}</p>`,
+    filters.length
+      ? `<h2>${escapeXML(filtersTitle)}</h2><ul>${filters
+          .map(filter => `<li>${escapeXML(filter)}</li>`)
+          .join("")}</ul>`
+      : "",
+    graph ? `<img src="${graph}" alt="${escapeXML(title)}">` : "",
+    "<table><thead><tr>",
+    table.header.map(cell => `<th>${escapeXML(cell)}</th>`).join(""),
+    "</tr></thead><tbody>",
+    ...table.rows.map(
+      ({ cells, parent }) =>
+        `<tr${parent ? ' class="parent"' : ""}>${cells
+          .map(cell => `<td>${escapeXML(cell ?? "")}</td>`)
+          .join("")}</tr>`
+    ),
+    "</tbody></table>",
+    "</body></html>"
+  ].join("\n");
@@ -0,0 +1,174 @@
+import { fromJS, List } from "immutable";
+import { Workbook } from "exceljs";
+
+import { FieldRecord } from "../../record-form/records";
+
+import * as exporters from "./exporters";
+
+describe("<Report /> - exporters", () => {
+  const i18n = { t: value => value, locale: "en" };
+  const report = fromJS({
+    name: { en: "Cases by sex/age" },
+    fields: [
+      {
+        name: "sex",
+        display_name: { en: "Sex" },
+        position: { type: "horizontal", order: 0 }
+      },
+      {
+        name: "age",
+        display_name: { en: "Age" },
+        position: { type: "horizontal", order: 1 }
+      },
+      {
+        name: "nationality",
+        display_name: { en: "Nationality" },
+        position: { type: "vertical", order: 0 }
+      }
+    ],
+    report_data: {
+      female: {
+        "0-5": { uk: { _total: 1 }, fr: { _total: 1 }, _total: 2 },
+        _total: 2
+      },
+      male: {
+        "0-5": { uk: { _total: 3 }, fr: { _total: 0 }, _total: 3 },
+        _total: 3
+      }
+    }
+  });
+
+  it("should have known exports", () => {
+    const clone = { ...exporters };
+
+    [
+      "buildExportTable",
+      "buildGraphCanvas",
+      "describeFilters",
+      "getFileName",
+      "toCSV",
+      "toPrintableHTML",
+      "toXLSX"
+    ].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("getFileName", () => {
+    it("uses the name of the report", () => {
+      expect(exporters.getFileName(report, "en", "csv")).to.equal(
+        "Cases_by_sex_age.csv"
+      );
+      expect(exporters.getFileName(fromJS({}), "en", "xlsx")).to.equal(
+        "report.xlsx"
+      );
+    });
+  });
+
+  describe("buildExportTable", () => {
+    it("puts every level of rows in its own column", () => {
+      const table = exporters.buildExportTable(report, i18n);
+
+      expect(table.header).to.deep.equal([
+        "Sex",
+        "Age",
+        "uk",
+        "fr",
+        "report.total"
+      ]);
+      expect(table.rows).to.deep.equal([
+        { level: 0, parent: true, cells: ["female", "", "", "", 2] },
+        { level: 1, parent: false, cells: ["", "0-5", 1, 1, 2] },
+        { level: 0, parent: true, cells: ["male", "", "", "", 3] },
+        { level: 1, parent: false, cells: ["", "0-5", 3, 0, 3] }
+      ]);
+    });
+  });
+
+  describe("toCSV", () => {
+    it("returns the header and the rows of the table", () => {
+      expect(
+        exporters.toCSV({
+          header: ["Sex", "Total"],
+          rows: [{ level: 0, cells: ['Female, "F"', 3] }]
+        })
+      ).to.equal('Sex,Total\n"Female, ""F""",3');
+    });
+
+    it("prefixes the values that would run as formulas", () => {
+      expect(
+        exporters.toCSV({
+          header: ["=Sex", "@Total"],
+          rows: [
+            { level: 0, cells: ["+1", -3] },
+            { level: 0, cells: ["-1,2", 0] }
+          ]
+        })
+      ).to.equal("'=Sex,'@Total\n'+1,-3\n\"'-1,2\",0");
+    });
+  });
+
+  describe("toXLSX", () => {
+    it("returns a workbook with the outline levels of the rows", async () => {
+      const workbook = new Workbook();
+
+      await workbook.xlsx.load(
+        await exporters.toXLSX(exporters.buildExportTable(report, i18n), "A/B")
+      );
+
+      const sheet = workbook.getWorksheet("A B");
+
+      expect(sheet.getRow(3).outlineLevel).to.equal(1);
+      expect(sheet.getCell("E2").value).to.equal(2);
+      expect(sheet.getCell("E2").font.bold).to.be.true;
+    });
+  });
+
+  describe("describeFilters", () => {
+    it("describes the filters with the labels of the fields", () => {
+      const fields = List([
+        FieldRecord({
+          name: "sex",
+          type: "select_box",
+          display_name: { en: "Sex" },
+          option_strings_text: {
+            en: [{ id: "female", display_text: "Female" }]
+          }
+        })
+      ]);
+      const filters = fromJS([
+        { attribute: "sex", constraint: "=", value: ["female", "not_null"] },
+        { attribute: "age", constraint: ">", value: "10" }
+      ]);
+
+      expect(
+        exporters.describeFilters(filters, fields, i18n).toArray()
+      ).to.deep.equal([
+        "Sex: report.filters.constraints.equal Female, report.filters.not_null",
+        "age: report.filters.constraints.greater_than 10"
+      ]);
+    });
+  });
+
+  describe("toPrintableHTML", () => {
+    it("combines the graph, the table, the filters and the date", () => {
+      const html = exporters.toPrintableHTML({
+        title: "Cases <sex>",
+        generatedOn: "Generated on 01-Mar-2020 10:00",
+        filtersTitle: "Report filters",
+        filters: ["Sex: Female"],
+        graph: "data:image/png;base64,AAAA",
+        table: { header: ["Sex", "Total"], rows: [{ cells: ["Female", 3] }] }
+      });
+
+      expect(html).to.contain("<h1>Cases &lt;sex&gt;</h1>");
+      expect(html).to.contain("Generated on 01-Mar-2020 10:00");
+      expect(html).to.contain("<li>Sex: Female</li>");
+      expect(html).to.contain('<img src="data:image/png;base64,AAAA"');
+      expect(html).to.contain("<tr><td>Female</td><td>3</td></tr>");
+    });
+  });
+});
@@ -2,13 +2,8 @@ import isEqual from "lodash/isEqual";
 import isEmpty from "lodash/isEmpty";
 import uniq from "lodash/uniq";
 
-const getColors = () => {
-  return ["#e0dfd6", "#595951", "#bcbcab", "green", "red", "yellow", "blue"];
-};
-
-const getColorsByIndex = index => {
-  return getColors()[index];
-};
+import { getChartColor } from "../../charts/utils";
+import { GRAPH_TYPES } from "../report-form/constants";
 
 const getColumnData = (column, data, i18n) => {
   const totalLabel = i18n.t("report.total");
@@ -60,14 +55,14 @@ const dataSet = (columns, data, i18n) => {
       dataResults.push({
         label: c,
         data: getColumnData(c, data, i18n),
-        backgroundColor: getColorsByIndex(i)
+        backgroundColor: getChartColor(i)
       });
     });
   } else {
     dataResults.push({
       label: totalLabel,
       data: Object.keys(data).map(column => data[column][totalLabel]),
-      backgroundColor: getColorsByIndex(0)
+      backgroundColor: getChartColor(0)
     });
   }
 
@@ -174,6 +169,67 @@ const translateData = (data, fields, i18n) => {
   return currentTranslations;
 };
 
+const sumAt = (datasets, index) =>
+  datasets.reduce((sum, { data }) => sum + (Number(data[index]) || 0), 0);
+
+const toPercentage = (value, total) =>
+  total ? Math.round(((Number(value) || 0) * 1000) / total) / 10 : 0;
+
+// A single series is divided by its total, several series by the total of
+// each label so every bar adds up to 100%.
+const toPercentages = datasets => {
+  if (datasets.length === 1) {
+    const [dataset] = datasets;
+    const total = dataset.data.reduce(
+      (sum, value) => sum + (Number(value) || 0),
+      0
+    );
+
+    return [
+      {
+        ...dataset,
+        data: dataset.data.map(value => toPercentage(value, total))
+      }
+    ];
+  }
+
+  return datasets.map(dataset => ({
+    ...dataset,
+    data: dataset.data.map((value, index) =>
+      toPercentage(value, sumAt(datasets, index))
+    )
+  }));
+};
+
+const formatGraphData = ({ labels, datasets }, graphType, i18n) => {
+  switch (graphType) {
+    case GRAPH_TYPES.line:
+      return {
+        labels,
+        datasets: datasets.map(dataset => ({
+          ...dataset,
+          borderColor: dataset.backgroundColor,
+          fill: false
+        }))
+      };
+    case GRAPH_TYPES.pie:
+      return {
+        labels,
+        datasets: [
+          {
+            label: i18n.t("report.total"),
+            data: labels.map((_, index) => sumAt(datasets, index)),
+            backgroundColor: labels.map((_, index) => getChartColor(index))
+          }
+        ]
+      };
+    case GRAPH_TYPES.percentage:
+      return { labels, datasets: toPercentages(datasets) };
+    default:
+      return { labels, datasets };
+  }
+};
+
 export const translateReportData = (report, i18n) => {
   const translatedReport = { ...report };
 
@@ -200,10 +256,14 @@ export const buildDataForGraph = (report, i18n) => {
     description: translatedReport.description
       ? translatedReport.description[i18n.locale]
       : "",
-    data: {
-      labels: getLabels(columns, translatedReport.report_data, i18n),
-      datasets: dataSet(columns, translatedReport.report_data, i18n)
-    }
+    data: formatGraphData(
+      {
+        labels: getLabels(columns, translatedReport.report_data, i18n),
+        datasets: dataSet(columns, translatedReport.report_data, i18n)
+      },
+      reportData.graph_type,
+      i18n
+    )
   };
 
   return graphData;
@@ -224,3 +284,23 @@ export const buildDataForTable = (report, i18n) => {
 
   return { columns, values };
 };
+
+// The nested arrays of the rows of buildDataForTable hold the rows of the level
+// below the row that precedes them.
+export const flattenTableRows = (rows, path = []) =>
+  rows.reduce((result, row) => {
+    if (!row.length) {
+      return result;
+    }
+
+    if (Array.isArray(row[0])) {
+      const parentPath = result.length ? result[result.length - 1].path : path;
+
+      return [...result, ...flattenTableRows(row, parentPath)];
+    }
+
+    return [
+      ...result,
+      { level: path.length, path: [...path, row[0]], cells: row }
+    ];
+  }, []);
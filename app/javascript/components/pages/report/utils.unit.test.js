@@ -0,0 +1,82 @@
+import { fromJS } from "immutable";
+
+import { CHART_COLORS } from "../../charts/constants";
+
+import { buildDataForGraph, flattenTableRows } from "./utils";
+
+describe("<Report /> - utils", () => {
+  describe("flattenTableRows", () => {
+    it("returns every row with its level and the labels of its parents", () => {
+      expect(
+        flattenTableRows([
+          ["female", "", 3],
+          [["0-5", 1, 1], [], ["6-11", 2, 2]],
+          ["male", "", 0],
+          [[]]
+        ])
+      ).to.deep.equal([
+        { level: 0, path: ["female"], cells: ["female", "", 3] },
+        { level: 1, path: ["female", "0-5"], cells: ["0-5", 1, 1] },
+        { level: 1, path: ["female", "6-11"], cells: ["6-11", 2, 2] },
+        { level: 0, path: ["male"], cells: ["male", "", 0] }
+      ]);
+    });
+  });
+
+  describe("buildDataForGraph", () => {
+    const i18n = { t: () => "Total", locale: "en" };
+    const report = fromJS({
+      fields: [
+        { name: "sex", position: { type: "horizontal", order: 0 } },
+        { name: "status", position: { type: "vertical", order: 0 } }
+      ],
+      report_data: {
+        female: { open: { _total: 1 }, closed: { _total: 3 }, _total: 4 },
+        male: { open: { _total: 2 }, closed: { _total: 0 }, _total: 2 }
+      }
+    });
+
+    it("returns a series for every column", () => {
+      const { data } = buildDataForGraph(report, i18n);
+
+      expect(data.labels).to.deep.equal(["female", "male"]);
+      expect(data.datasets.map(({ label }) => label)).to.deep.equal([
+        "open",
+        "closed"
+      ]);
+      expect(data.datasets[1].backgroundColor).to.equal(CHART_COLORS[1]);
+    });
+
+    it("returns the shares of the columns for the percentage graphs", () => {
+      const { data } = buildDataForGraph(
+        report.set("graph_type", "percentage"),
+        i18n
+      );
+
+      expect(data.datasets.map(dataset => dataset.data)).to.deep.equal([
+        [25, 100],
+        [75, 0]
+      ]);
+    });
+
+    it("returns the totals of the rows for the pie graphs", () => {
+      const { data } = buildDataForGraph(report.set("graph_type", "pie"), i18n);
+
+      expect(data.datasets).to.have.lengthOf(1);
+      expect(data.datasets[0].data).to.deep.equal([4, 2]);
+      expect(data.datasets[0].backgroundColor).to.deep.equal(
+        CHART_COLORS.slice(0, 2)
+      );
+    });
+
+    it("returns lines without fill for the line graphs", () => {
+      const { data } = buildDataForGraph(
+        report.set("graph_type", "line"),
+        i18n
+      );
+
+      expect(data.datasets[0].fill).to.be.false;
+      expect(data.datasets[0].borderColor).to.equal(CHART_COLORS[0]);
+    });
+  });
+});
@@ -3,9 +3,11 @@ import {
   Card,
   CardContent,
   CardActionArea,
+  IconButton,
   TablePagination,
   Box
 } from "@material-ui/core";
+import AddIcon from "@material-ui/icons/Add";
 import { withRouter, Link } from "react-router-dom";
 import { useDispatch, useSelector } from "react-redux";
 import makeStyles from "@material-ui/styles/makeStyles";
@@ -13,6 +15,9 @@ import makeStyles from "@material-ui/styles/makeStyles";
 import { PageContainer, PageHeading, PageContent } from "../../page";
 import { useI18n } from "../../i18n";
 import LoadingIndicator from "../../loading-indicator";
+import Permission from "../../application/permission";
+import { ROUTES } from "../../../config";
+import { CREATE_REPORTS, RESOURCES } from "../../../libs/permissions";
 
 import { fetchReports } from "./action-creators";
 import styles from "./styles.css";
@@ -33,24 +38,6 @@ const Reports = () => {
     selectReportsPagination(state)
   );
 
-  // const actionMenuItems = fromJS([
-  //   {
-  //     id: "add-new",
-  //     label: "Add New",
-  //     onClick: () => console.log("Do Something")
-  //   },
-  //   {
-  //     id: "arrange-items",
-  //     label: "Arrange Items",
-  //     onClick: () => console.log("Do Something")
-  //   },
-  //   {
-  //     id: "refresh-data",
-  //     label: "Refresh Data",
-  //     onClick: () => console.log("Do Something")
-  //   }
-  // ]);
-
   const defaultFilters = {
     page: 1,
     per: 20
@@ -74,7 +61,17 @@ const Reports = () => {
   return (
     <div>
       <PageContainer>
-        <PageHeading title={i18n.t("reports.label")} />
+        <PageHeading title={i18n.t("reports.label")}>
+          <Permission resources={RESOURCES.reports} actions={CREATE_REPORTS}>
+            <IconButton
+              to={ROUTES.reports_new}
+              component={Link}
+              color="primary"
+            >
+              <AddIcon />
+            </IconButton>
+          </Permission>
+        </PageHeading>
         <PageContent>
           <LoadingIndicator
             hasData={reports.size > 0}
@@ -77,10 +77,9 @@ describe("<Reports /> - Component", () => {
     expect(component.find(TablePagination)).to.have.lengthOf(1);
   });
 
-  // TODO: Should test if we have a clickable button, but removing button temporarly till this feature is implemented
-  // it("should render <AddIcon>", () => {
-  //   expect(component.find(AddIcon)).to.have.lengthOf(1);
-  // });
+  it("should render <AddIcon>", () => {
+    expect(component.find(AddIcon)).to.have.lengthOf(1);
+  });
 
   describe("When doesn't have permission to create report", () => {
     beforeEach(() => {
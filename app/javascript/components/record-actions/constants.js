@@ -6,3 +6,4 @@ export const REFER_DIALOG = "referral";
 export const TRANSFER_DIALOG = "transfer";
 export const ASSIGN_DIALOG = "assign";
 export const EXPORT_DIALOG = "export";
+export const PREPARE_OFFLINE_DIALOG = "prepareOffline";
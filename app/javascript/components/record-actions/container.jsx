@@ -5,6 +5,7 @@ import { IconButton, Menu, MenuItem } from "@material-ui/core";
 import MoreVertIcon from "@material-ui/icons/MoreVert";
 
 import { RECORD_TYPES, RECORD_PATH } from "../../config";
+import { IDB_SAVEABLE_RECORD_TYPES } from "../../db";
 import { useI18n } from "../i18n";
 import { getPermissionsByRecord } from "../user/selectors";
 import { getFiltersValuesByRecordType } from "../index-filters/selectors";
@@ -31,7 +32,8 @@ import {
   REFER_DIALOG,
   TRANSFER_DIALOG,
   ASSIGN_DIALOG,
-  EXPORT_DIALOG
+  EXPORT_DIALOG,
+  PREPARE_OFFLINE_DIALOG
 } from "./constants";
 import { NAME } from "./config";
 import Notes from "./notes";
@@ -42,6 +44,7 @@ import AddIncident from "./add-incident";
 import AddService from "./add-service";
 import RequestApproval from "./request-approval";
 import Exports from "./exports";
+import PrepareOffline from "./prepare-offline";
 import { selectDialog, selectDialogPending } from "./selectors";
 
 const Container = ({
@@ -78,6 +81,9 @@ const Container = ({
   const openExportsDialog = useSelector(state =>
     selectDialog(EXPORT_DIALOG, state)
   );
+  const openPrepareOfflineDialog = useSelector(state =>
+    selectDialog(PREPARE_OFFLINE_DIALOG, state)
+  );
   const setRequestDialog = open => {
     dispatch(setDialog({ dialog: REQUEST_APPROVAL_DIALOG, open }));
   };
@@ -99,6 +105,9 @@ const Container = ({
   const setOpenExportsDialog = open => {
     dispatch(setDialog({ dialog: EXPORT_DIALOG, open }));
   };
+  const setOpenPrepareOfflineDialog = open => {
+    dispatch(setDialog({ dialog: PREPARE_OFFLINE_DIALOG, open }));
+  };
 
   const enableState =
     record && record.get("record_state") ? "disable" : "enable";
@@ -365,6 +374,13 @@ const Container = ({
       recordType: RECORD_TYPES.all,
       recordListAction: true,
       condition: canShowExports
+    },
+    {
+      name: i18n.t("prepare_offline.title"),
+      action: () => setOpenPrepareOfflineDialog(true),
+      recordType: IDB_SAVEABLE_RECORD_TYPES,
+      recordListAction: true,
+      selectionOptional: true
     }
   ];
 
@@ -409,7 +425,8 @@ const Container = ({
       showListActions &&
       selectedRecords &&
       !Object.keys(selectedRecords).length &&
-      action.name !== "Export";
+      action.name !== "Export" &&
+      !action.selectionOptional;
 
     return (
       <DisableOffline>
@@ -577,6 +594,17 @@ const Container = ({
           setPending={setDialogPending}
         />
       </Permission>
+
+      <PrepareOffline
+        openPrepareOfflineDialog={openPrepareOfflineDialog}
+        close={() => setOpenPrepareOfflineDialog(false)}
+        recordType={recordType}
+        record={record}
+        currentPage={currentPage}
+        selectedRecords={selectedRecords}
+        pending={dialogPending}
+        setPending={setDialogPending}
+      />
     </>
   );
 };
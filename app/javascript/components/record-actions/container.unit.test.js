@@ -12,6 +12,7 @@ import ToggleOpen from "./toggle-open";
 import RequestApproval from "./request-approval";
 import Transitions from "./transitions";
 import Exports from "./exports";
+import PrepareOffline from "./prepare-offline";
 
 describe("<RecordActions />", () => {
   const forms = {
@@ -235,7 +236,7 @@ describe("<RecordActions />", () => {
       });
 
       it("renders MenuItem", () => {
-        expect(component.find(MenuItem)).to.have.length(11);
+        expect(component.find(MenuItem)).to.have.length(12);
       });
 
       it("renders MenuItem with Refer Cases option", () => {
@@ -294,8 +295,10 @@ describe("<RecordActions />", () => {
         expect(component.find(Menu)).to.have.length(1);
       });
 
-      it("renders MenuItem", () => {
-        expect(component.find(MenuItem)).to.be.empty;
+      it("renders only the MenuItem to prepare for offline", () => {
+        expect(component.find("li").map(l => l.text())).to.deep.equal([
+          "prepare_offline.title"
+        ]);
       });
 
       it("renders MenuItem without Refer Cases option", () => {
@@ -362,6 +365,20 @@ describe("<RecordActions />", () => {
     });
   });
 
+  describe("Component PrepareOffline", () => {
+    beforeEach(() => {
+      ({ component } = setupMountedComponent(
+        RecordActions,
+        props,
+        defaultState
+      ));
+    });
+
+    it("renders PrepareOffline", () => {
+      expect(component.find(PrepareOffline)).to.have.lengthOf(1);
+    });
+  });
+
   describe("when record is selected", () => {
     const propsRecordSelected = {
       ...props,
@@ -436,5 +453,12 @@ describe("<RecordActions />", () => {
 
       expect(incidentItemProps.disabled).to.be.true;
     });
+
+    it("renders prepare for offline menu enabled", () => {
+      const prepareOfflineItem = component.find(MenuItem).at(3);
+
+      expect(prepareOfflineItem.text()).to.equal("prepare_offline.title");
+      expect(prepareOfflineItem.props().disabled).to.be.false;
+    });
   });
 });
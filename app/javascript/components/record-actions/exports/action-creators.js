@@ -1,8 +1,9 @@
-/* eslint-disable import/prefer-default-export */
 import { ENQUEUE_SNACKBAR, generate } from "../../notifier";
 import { SET_DIALOG, SET_DIALOG_PENDING } from "..";
+import exportListActions from "../../pages/export-list/actions";
 
 import actions from "./actions";
+import { EXPORT_TEMPLATES_URL } from "./constants";
 
 export const saveExport = (body, message, actionLabel, dialogName) => ({
   type: actions.EXPORT,
@@ -23,6 +24,7 @@ export const saveExport = (body, message, actionLabel, dialogName) => ({
           actionUrl: "/exports"
         }
       },
+      exportListActions.TRACK_EXPORT,
       {
         action: SET_DIALOG,
         payload: {
@@ -39,3 +41,20 @@ export const saveExport = (body, message, actionLabel, dialogName) => ({
     ]
   }
 });
+
+export const fetchExportTemplates = recordType => ({
+  type: actions.FETCH_EXPORT_TEMPLATES,
+  api: {
+    path: EXPORT_TEMPLATES_URL,
+    params: { record_type: recordType }
+  }
+});
+
+export const saveExportTemplate = body => ({
+  type: actions.SAVE_EXPORT_TEMPLATE,
+  api: {
+    path: EXPORT_TEMPLATES_URL,
+    method: "POST",
+    body
+  }
+});
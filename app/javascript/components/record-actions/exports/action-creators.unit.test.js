@@ -1,6 +1,7 @@
 import { stub } from "../../../test";
 import { ENQUEUE_SNACKBAR, generate } from "../../notifier";
 import { EXPORT_URL } from "../../pages/export-list/constants";
+import exportListActions from "../../pages/export-list/actions";
 import { EXPORT_DIALOG } from "../constants";
 import { SET_DIALOG, SET_DIALOG_PENDING } from "..";
 
@@ -14,14 +15,39 @@ describe("<RecordActions /> - exports/action-creators", () => {
   it("should have known action creators", () => {
     const creators = { ...actionCreators };
 
-    ["saveExport"].forEach(property => {
-      expect(creators).to.have.property(property);
-      delete creators[property];
-    });
+    ["fetchExportTemplates", "saveExport", "saveExportTemplate"].forEach(
+      property => {
+        expect(creators).to.have.property(property);
+        delete creators[property];
+      }
+    );
 
     expect(creators).to.be.empty;
   });
 
+  it("should check the 'fetchExportTemplates' action creator to return the templates of a record type", () => {
+    expect(actionCreators.fetchExportTemplates("case")).to.deep.equal({
+      type: actions.FETCH_EXPORT_TEMPLATES,
+      api: {
+        path: "export_templates",
+        params: { record_type: "case" }
+      }
+    });
+  });
+
+  it("should check the 'saveExportTemplate' action creator to return the correct object", () => {
+    const body = { data: { name: "Template 1", export_format: "xls" } };
+
+    expect(actionCreators.saveExportTemplate(body)).to.deep.equal({
+      type: actions.SAVE_EXPORT_TEMPLATE,
+      api: {
+        path: "export_templates",
+        method: "POST",
+        body
+      }
+    });
+  });
+
   it("should check the 'saveExport' action creator to return the correct object, when creating an export", () => {
     const data = {
       format: "csv",
@@ -57,6 +83,7 @@ describe("<RecordActions /> - exports/action-creators", () => {
               actionUrl: `/${EXPORT_URL}`
             }
           },
+          exportListActions.TRACK_EXPORT,
           {
             action: SET_DIALOG,
             payload: {
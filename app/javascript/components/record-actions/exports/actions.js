@@ -2,4 +2,10 @@ import { namespaceActions } from "../../../libs";
 
 import NAMESPACE from "./namespace";
 
-export default namespaceActions(NAMESPACE, ["EXPORT"]);
+export default namespaceActions(NAMESPACE, [
+  "EXPORT",
+  "FETCH_EXPORT_TEMPLATES",
+  "FETCH_EXPORT_TEMPLATES_SUCCESS",
+  "SAVE_EXPORT_TEMPLATE",
+  "SAVE_EXPORT_TEMPLATE_SUCCESS"
+]);
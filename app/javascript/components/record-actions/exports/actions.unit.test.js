@@ -5,7 +5,13 @@ describe("<RecordActions /> - exports/actions", () => {
 
   it("should have known actions", () => {
     expect(clone).to.be.an("object");
-    ["EXPORT"].forEach(property => {
+    [
+      "EXPORT",
+      "FETCH_EXPORT_TEMPLATES",
+      "FETCH_EXPORT_TEMPLATES_SUCCESS",
+      "SAVE_EXPORT_TEMPLATE",
+      "SAVE_EXPORT_TEMPLATE_SUCCESS"
+    ].forEach(property => {
       expect(clone).to.have.property(property);
       delete clone[property];
     });
@@ -1,27 +1,45 @@
-import React, { useRef } from "react";
+import React, { useEffect, useRef } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import PropTypes from "prop-types";
-import { List } from "immutable";
-import { object, string } from "yup";
 import { withRouter, useLocation } from "react-router-dom";
 import qs from "qs";
 
 import { useI18n } from "../../i18n";
 import ActionDialog from "../../action-dialog";
-import Form, {
-  FieldRecord,
-  FormSectionRecord,
-  FORM_MODE_DIALOG
-} from "../../form";
+import Form, { FORM_MODE_DIALOG } from "../../form";
 import submitForm from "../../../libs/submit-form";
 import { RECORD_TYPES } from "../../../config";
 import { getFiltersValuesByRecordType } from "../../index-filters/selectors";
 import { getRecords } from "../../index-table";
 import { EXPORT_DIALOG } from "../constants";
+import { compare } from "../../../libs";
 
-import { NAME, ALL_EXPORT_TYPES } from "./constants";
-import { allowedExports, formatFileName, exporterFilters } from "./utils";
-import { saveExport } from "./action-creators";
+import {
+  NAME,
+  ALL_EXPORT_TYPES,
+  CASE_PDF_EXPORT,
+  CASE_PDF_FIELDS,
+  CUSTOM_EXPORT,
+  CUSTOM_EXPORT_FIELDS,
+  CUSTOM_EXPORT_INITIAL_VALUES,
+  SUBFORM_EXPORT_MODES
+} from "./constants";
+import {
+  allowedExports,
+  buildCasePdfParams,
+  buildCustomExportParams,
+  exportableFieldOptions,
+  exportableFormOptions,
+  formatFileName,
+  exporterFilters
+} from "./utils";
+import {
+  fetchExportTemplates,
+  saveExportTemplate,
+  saveExport
+} from "./action-creators";
+import { getExportableForms, getExportTemplates } from "./selectors";
+import { exportsForm, validationSchema } from "./forms";
 
 const Component = ({
   openExportsDialog,
@@ -49,6 +67,29 @@ const Component = ({
   );
   const location = useLocation();
   const queryParams = qs.parse(location.search.replace("?", ""));
+  const exportTypes = allowedExports(
+    userPermissions,
+    i18n,
+    isShowPage,
+    RECORD_TYPES[recordType]
+  );
+  const canExportCustom = exportTypes.some(({ id }) => id === CUSTOM_EXPORT);
+
+  const exportableForms = useSelector(
+    state =>
+      getExportableForms(state, {
+        recordType: RECORD_TYPES[recordType],
+        primeroModule: isShowPage ? record?.get("module_id") : null
+      }),
+    compare
+  );
+  const templates = useSelector(state => getExportTemplates(state), compare);
+
+  useEffect(() => {
+    if (openExportsDialog && canExportCustom) {
+      dispatch(fetchExportTemplates(RECORD_TYPES[recordType]));
+    }
+  }, [openExportsDialog, canExportCustom]);
 
   const selectedRecordsLength = Object.values(selectedRecords || {}).flat()
     ?.length;
@@ -58,11 +99,57 @@ const Component = ({
     records.size > 0 &&
     selectedRecordsLength === records.size;
 
+  // The selection of a template or of the inputs of the custom export. Only the
+  // touched inputs are submitted, the others keep their initial values.
+  const customExportSelection = submittedValues => {
+    const values = { ...CUSTOM_EXPORT_INITIAL_VALUES, ...submittedValues };
+    const template = templates.find(
+      current => current.get("id") === values[CUSTOM_EXPORT_FIELDS.TEMPLATE]
+    );
+
+    if (template) {
+      return {
+        format: template.get("export_format"),
+        formUniqueIds: template.get("form_unique_ids")?.toArray(),
+        fieldNames: template.get("field_names")?.toArray(),
+        flattenSubforms: template.get("flatten_subforms")
+      };
+    }
+
+    return {
+      format: values[CUSTOM_EXPORT_FIELDS.FORMAT],
+      formUniqueIds: values[CUSTOM_EXPORT_FIELDS.FORMS],
+      fieldNames: values[CUSTOM_EXPORT_FIELDS.FIELDS],
+      flattenSubforms:
+        values[CUSTOM_EXPORT_FIELDS.SUBFORMS] === SUBFORM_EXPORT_MODES.FLATTEN
+    };
+  };
+
+  const handleSaveTemplate = (name, selection) =>
+    dispatch(
+      saveExportTemplate({
+        data: {
+          name,
+          record_type: RECORD_TYPES[recordType],
+          export_format: selection.format,
+          form_unique_ids: selection.formUniqueIds || [],
+          field_names: selection.fieldNames || [],
+          flatten_subforms: Boolean(selection.flattenSubforms)
+        }
+      })
+    );
+
   const handleSubmit = values => {
     const { id, format, message } = ALL_EXPORT_TYPES.find(
       e => e.id === values.export_type
     );
-    const fileName = formatFileName(values.custom_export_file_name, format);
+    const isCustomExport = id === CUSTOM_EXPORT;
+    const isCasePdfExport = id === CASE_PDF_EXPORT;
+    const selection = isCustomExport ? customExportSelection(values) : null;
+    const fileName = formatFileName(
+      values.custom_export_file_name,
+      selection?.format || format
+    );
     const shortIds = records
       .toJS()
       .filter((_r, i) => selectedRecords[currentPage]?.includes(i))
@@ -81,13 +168,27 @@ const Component = ({
       export_format: id,
       record_type: RECORD_TYPES[recordType],
       file_name: fileName,
-      password: values.password
+      ...(values.password && { password: values.password }),
+      ...(isCustomExport && {
+        custom_export_params: buildCustomExportParams(
+          selection,
+          exportableForms
+        )
+      }),
+      ...(isCasePdfExport && {
+        custom_export_params: buildCasePdfParams(values, i18n.locale)
+      })
     };
 
     const data = { ...body, ...filters };
+    const templateName = values[CUSTOM_EXPORT_FIELDS.TEMPLATE_NAME];
 
     setPending(true);
 
+    if (isCustomExport && templateName) {
+      handleSaveTemplate(templateName, selection);
+    }
+
     dispatch(
       saveExport(
         { data },
@@ -100,45 +201,13 @@ const Component = ({
     );
   };
 
-  const validationSchema = object().shape({
-    export_type: string().required(i18n.t("encrypt.export_type")),
-    password: string().required(i18n.t("encrypt.password_label"))
+  const formSections = exportsForm(i18n, {
+    exportTypes,
+    templates,
+    formOptions: exportableFormOptions(exportableForms, i18n),
+    fieldOptions: exportableFieldOptions(exportableForms, i18n)
   });
 
-  const formSections = List([
-    FormSectionRecord({
-      unique_id: "exports",
-      fields: List([
-        FieldRecord({
-          display_name: i18n.t("encrypt.export_type"),
-          name: "export_type",
-          type: "select_box",
-          option_strings_text: {
-            [i18n.locale]: allowedExports(userPermissions, i18n, isShowPage)
-          },
-          multi_select: false,
-          required: true
-        }),
-        FieldRecord({
-          display_name: i18n.t("encrypt.password_label"),
-          name: "password",
-          type: "text_field",
-          required: true,
-          autoFocus: true,
-          help_text: {
-            [i18n.locale]: i18n.t("encrypt.password_extra_info")
-          },
-          password: true
-        }),
-        FieldRecord({
-          display_name: i18n.t("encrypt.file_name"),
-          name: "custom_export_file_name",
-          type: "textarea"
-        })
-      ])
-    })
-  ]);
-
   return (
     <ActionDialog
       open={openExportsDialog}
@@ -155,7 +224,11 @@ const Component = ({
         formSections={formSections}
         onSubmit={handleSubmit}
         ref={formRef}
-        validations={validationSchema}
+        validations={validationSchema(i18n)}
+        initialValues={{
+          ...CUSTOM_EXPORT_INITIAL_VALUES,
+          [CASE_PDF_FIELDS.LOCALE]: i18n.locale
+        }}
       />
     </ActionDialog>
   );
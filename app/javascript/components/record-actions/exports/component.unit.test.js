@@ -5,6 +5,13 @@ import ActionDialog from "../../action-dialog";
 import Form from "../../form";
 import { RECORD_PATH } from "../../../config";
 
+import actions from "./actions";
+import {
+  CASE_PDF_EXPORT,
+  CASE_PDF_FIELDS,
+  CUSTOM_EXPORT,
+  CUSTOM_EXPORT_FIELDS
+} from "./constants";
 import Exports from "./component";
 
 describe("<RecordActions /> - <Exports />", () => {
@@ -86,4 +93,80 @@ describe("<RecordActions /> - <Exports />", () => {
     });
     expect(exportProps).to.be.empty;
   });
+
+  it("fetches the export templates when the user can export custom exports", () => {
+    const { component } = setupMountedComponent(Exports, props, state);
+
+    expect(
+      component
+        .props()
+        .store.getActions()
+        .map(({ type }) => type)
+    ).to.include(actions.FETCH_EXPORT_TEMPLATES);
+  });
+
+  it("does not fetch the export templates when the user can't export custom exports", () => {
+    const { component } = setupMountedComponent(
+      Exports,
+      { ...props, userPermissions: fromJS(["export_csv"]) },
+      state
+    );
+
+    expect(
+      component
+        .props()
+        .store.getActions()
+        .map(({ type }) => type)
+    ).to.not.include(actions.FETCH_EXPORT_TEMPLATES);
+  });
+
+  it("renders the inputs of the custom export when it is selected", () => {
+    const { component } = setupMountedComponent(Exports, props, state);
+    const templateNameInput = `input[name='${CUSTOM_EXPORT_FIELDS.TEMPLATE_NAME}']`;
+
+    expect(component.exists(templateNameInput)).to.be.false;
+
+    component
+      .find("FormContext")
+      .props()
+      .setValue("export_type", CUSTOM_EXPORT);
+    component.update();
+
+    expect(component.exists(templateNameInput)).to.be.true;
+  });
+
+  it("renders the options of the case pdf when it is selected", () => {
+    const { component } = setupMountedComponent(Exports, props, state);
+    const headerInput = `input[name='${CASE_PDF_FIELDS.HEADER}']`;
+
+    expect(component.exists(headerInput)).to.be.false;
+
+    component
+      .find("FormContext")
+      .props()
+      .setValue("export_type", CASE_PDF_EXPORT);
+    component.update();
+
+    expect(component.exists(headerInput)).to.be.true;
+  });
+
+  it("offers the incident recorder and MRM exports for incidents", () => {
+    const { component } = setupMountedComponent(
+      Exports,
+      { ...props, recordType: RECORD_PATH.incidents },
+      state.setIn(["records", "incidents", "data"], fromJS([]))
+    );
+    const exportTypeIds = component
+      .find(Form)
+      .props()
+      .formSections.first()
+      .fields.find(field => field.name === "export_type")
+      .option_strings_text.map(({ id }) => id);
+
+    expect(exportTypeIds).to.include.members([
+      "incident_recorder_xls",
+      "mrm_violation_xls"
+    ]);
+    expect(exportTypeIds).to.not.include(CASE_PDF_EXPORT);
+  });
 });
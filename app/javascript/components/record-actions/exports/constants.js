@@ -1,4 +1,5 @@
 import { ACTIONS } from "../../../libs/permissions";
+import { RECORD_TYPES } from "../../../config/constants";
 
 export const EXPORT_FORMAT = Object.freeze({
   JSON: "json",
@@ -8,6 +9,45 @@ export const EXPORT_FORMAT = Object.freeze({
 });
 
 export const NAME = "Exports";
+export const CUSTOM_EXPORT = "custom";
+export const CASE_PDF_EXPORT = "case_pdf";
+export const EXPORT_TEMPLATES_URL = "export_templates";
+export const PASSWORD_FORMAT = /^.{8,}$/;
+export const CUSTOM_EXPORT_FORMATS = Object.freeze([
+  EXPORT_FORMAT.EXCEL,
+  EXPORT_FORMAT.CSV,
+  EXPORT_FORMAT.JSON
+]);
+export const SUBFORM_EXPORT_MODES = Object.freeze({
+  SPLIT: "split",
+  FLATTEN: "flatten"
+});
+export const CUSTOM_EXPORT_FIELDS = Object.freeze({
+  TEMPLATE: "custom_export_template",
+  FORMAT: "custom_export_format",
+  FORMS: "custom_export_forms",
+  FIELDS: "custom_export_fields",
+  SUBFORMS: "custom_export_subforms",
+  TEMPLATE_NAME: "custom_export_template_name"
+});
+export const CUSTOM_EXPORT_INITIAL_VALUES = Object.freeze({
+  [CUSTOM_EXPORT_FIELDS.FORMAT]: EXPORT_FORMAT.EXCEL,
+  [CUSTOM_EXPORT_FIELDS.SUBFORMS]: SUBFORM_EXPORT_MODES.SPLIT
+});
+export const CASE_PDF_FIELDS = Object.freeze({
+  FORMS: "case_pdf_forms",
+  REDACT: "case_pdf_redact",
+  HEADER: "case_pdf_header",
+  FOOTER: "case_pdf_footer",
+  LOCALE: "case_pdf_locale"
+});
+// The exporters leave out the fields without values of their own
+export const NON_EXPORTABLE_FIELD_TYPES = Object.freeze([
+  "separator",
+  "photo_upload_box",
+  "audio_upload_box",
+  "document_upload_box"
+]);
 export const ALL_EXPORT_TYPES = Object.freeze([
   Object.freeze({
     id: "csv",
@@ -30,6 +70,12 @@ export const ALL_EXPORT_TYPES = Object.freeze([
     format: EXPORT_FORMAT.PDF,
     message: "exports.photowall.success_message"
   }),
+  Object.freeze({
+    id: CASE_PDF_EXPORT,
+    permission: ACTIONS.EXPORT_CASE_PDF,
+    format: EXPORT_FORMAT.PDF,
+    recordTypes: [RECORD_TYPES.cases]
+  }),
   Object.freeze({
     id: "unhcr_csv",
     permission: ACTIONS.EXPORT_UNHCR,
@@ -46,5 +92,22 @@ export const ALL_EXPORT_TYPES = Object.freeze([
     permission: ACTIONS.EXPORT_DUPLICATE_ID,
     format: EXPORT_FORMAT.CSV,
     showOnlyOnList: true
+  }),
+  Object.freeze({
+    id: "incident_recorder_xls",
+    permission: ACTIONS.EXPORT_INCIDENT_RECORDER,
+    format: EXPORT_FORMAT.EXCEL,
+    recordTypes: [RECORD_TYPES.incidents]
+  }),
+  Object.freeze({
+    id: "mrm_violation_xls",
+    permission: ACTIONS.EXPORT_MRM_VIOLATION_XLS,
+    format: EXPORT_FORMAT.EXCEL,
+    recordTypes: [RECORD_TYPES.incidents]
+  }),
+  Object.freeze({
+    id: CUSTOM_EXPORT,
+    permission: ACTIONS.EXPORT_CUSTOM,
+    format: EXPORT_FORMAT.EXCEL
   })
 ]);
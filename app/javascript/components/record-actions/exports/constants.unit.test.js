@@ -5,7 +5,21 @@ describe("<RecordActions /> - exports/constants", () => {
 
   it("should have known properties", () => {
     expect(clone).to.be.an("object");
-    ["NAME", "ALL_EXPORT_TYPES", "EXPORT_FORMAT"].forEach(property => {
+    [
+      "NAME",
+      "ALL_EXPORT_TYPES",
+      "CASE_PDF_EXPORT",
+      "CASE_PDF_FIELDS",
+      "CUSTOM_EXPORT",
+      "CUSTOM_EXPORT_FIELDS",
+      "CUSTOM_EXPORT_FORMATS",
+      "CUSTOM_EXPORT_INITIAL_VALUES",
+      "EXPORT_FORMAT",
+      "EXPORT_TEMPLATES_URL",
+      "NON_EXPORTABLE_FIELD_TYPES",
+      "PASSWORD_FORMAT",
+      "SUBFORM_EXPORT_MODES"
+    ].forEach(property => {
       expect(clone).to.have.property(property);
       delete clone[property];
     });
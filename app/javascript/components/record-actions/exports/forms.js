@@ -0,0 +1,242 @@
+import { List } from "immutable";
+import { array, object, string } from "yup";
+import isEmpty from "lodash/isEmpty";
+
+import {
+  FieldRecord,
+  FormSectionRecord,
+  SELECT_FIELD,
+  TEXT_AREA,
+  TEXT_FIELD,
+  TICK_FIELD
+} from "../../form";
+
+import {
+  CASE_PDF_EXPORT,
+  CASE_PDF_FIELDS,
+  CUSTOM_EXPORT,
+  CUSTOM_EXPORT_FIELDS,
+  CUSTOM_EXPORT_FORMATS,
+  EXPORT_FORMAT,
+  PASSWORD_FORMAT,
+  SUBFORM_EXPORT_MODES
+} from "./constants";
+
+const WATCHED_INPUTS = [
+  "export_type",
+  CUSTOM_EXPORT_FIELDS.TEMPLATE,
+  CUSTOM_EXPORT_FIELDS.FORMAT
+];
+
+const isCustomSelection = (exportType, template) =>
+  exportType === CUSTOM_EXPORT && !template;
+
+// The inputs of the custom export are only shown when it is selected. The
+// selection inputs are hidden when the selection of a template is exported.
+const customExportInputs = (values, name) => {
+  const { export_type: exportType } = values || {};
+  const template = values?.[CUSTOM_EXPORT_FIELDS.TEMPLATE];
+
+  switch (name) {
+    case CUSTOM_EXPORT_FIELDS.TEMPLATE:
+      return { visible: exportType === CUSTOM_EXPORT };
+    case CUSTOM_EXPORT_FIELDS.SUBFORMS:
+      return {
+        visible:
+          isCustomSelection(exportType, template) &&
+          values?.[CUSTOM_EXPORT_FIELDS.FORMAT] === EXPORT_FORMAT.EXCEL
+      };
+    default:
+      return { visible: isCustomSelection(exportType, template) };
+  }
+};
+
+const customExportField = props =>
+  FieldRecord({
+    ...props,
+    watchedInputs: WATCHED_INPUTS,
+    handleWatchedInputs: customExportInputs
+  });
+
+// The options of the case file are only shown when it is selected
+const casePdfInputs = values => {
+  const { export_type: exportType } = values || {};
+
+  return { visible: exportType === CASE_PDF_EXPORT };
+};
+
+const casePdfField = props =>
+  FieldRecord({
+    ...props,
+    watchedInputs: ["export_type"],
+    handleWatchedInputs: casePdfInputs
+  });
+
+const casePdfFields = (i18n, formOptions) => [
+  casePdfField({
+    display_name: i18n.t("exports.case_pdf.forms"),
+    name: CASE_PDF_FIELDS.FORMS,
+    type: SELECT_FIELD,
+    option_strings_text: formOptions,
+    multi_select: true,
+    help_text: i18n.t("exports.case_pdf.forms_help")
+  }),
+  casePdfField({
+    display_name: i18n.t("exports.case_pdf.redact"),
+    name: CASE_PDF_FIELDS.REDACT,
+    type: TICK_FIELD,
+    help_text: i18n.t("exports.case_pdf.redact_help")
+  }),
+  casePdfField({
+    display_name: i18n.t("exports.case_pdf.header"),
+    name: CASE_PDF_FIELDS.HEADER,
+    type: TEXT_FIELD,
+    help_text: i18n.t("exports.case_pdf.header_help")
+  }),
+  casePdfField({
+    display_name: i18n.t("exports.case_pdf.footer"),
+    name: CASE_PDF_FIELDS.FOOTER,
+    type: TEXT_FIELD
+  }),
+  casePdfField({
+    display_name: i18n.t("exports.case_pdf.locale"),
+    name: CASE_PDF_FIELDS.LOCALE,
+    type: SELECT_FIELD,
+    option_strings_text: i18n.applicationLocales?.toJS() || []
+  })
+];
+
+// The templates saved by the user can be exported instead of a selection
+const templateFields = (i18n, templates) =>
+  templates.isEmpty()
+    ? []
+    : [
+        customExportField({
+          display_name: i18n.t("exports.custom_exports.template"),
+          name: CUSTOM_EXPORT_FIELDS.TEMPLATE,
+          type: SELECT_FIELD,
+          option_strings_text: templates
+            .map(template => ({
+              id: template.get("id"),
+              display_text: template.get("name")
+            }))
+            .toArray(),
+          help_text: i18n.t("exports.custom_exports.template_help")
+        })
+      ];
+
+export const validationSchema = i18n =>
+  object().shape({
+    [CUSTOM_EXPORT_FIELDS.FORMAT]: string()
+      .nullable()
+      .when(["export_type", CUSTOM_EXPORT_FIELDS.TEMPLATE], {
+        is: isCustomSelection,
+        then: string()
+          .nullable()
+          .required(i18n.t("exports.custom_exports.empty_format"))
+      }),
+    [CUSTOM_EXPORT_FIELDS.FORMS]: array()
+      .nullable()
+      .when(
+        [
+          "export_type",
+          CUSTOM_EXPORT_FIELDS.TEMPLATE,
+          CUSTOM_EXPORT_FIELDS.FIELDS
+        ],
+        {
+          is: (exportType, template, fields) =>
+            isCustomSelection(exportType, template) && isEmpty(fields),
+          then: array()
+            .nullable()
+            .required(i18n.t("exports.custom_exports.empty_fields_forms"))
+        }
+      ),
+    export_type: string().required(i18n.t("encrypt.export_type")),
+    password: string().matches(PASSWORD_FORMAT, {
+      message: i18n.t("encrypt.password_optional"),
+      excludeEmptyString: true
+    })
+  });
+
+// The fields of the record forms are grouped by form in the options of the
+// fields to export.
+export const exportsForm = (
+  i18n,
+  { exportTypes, templates, formOptions, fieldOptions }
+) =>
+  List([
+    FormSectionRecord({
+      unique_id: "exports",
+      fields: List([
+        FieldRecord({
+          display_name: i18n.t("encrypt.export_type"),
+          name: "export_type",
+          type: SELECT_FIELD,
+          option_strings_text: exportTypes,
+          multi_select: false,
+          required: true
+        }),
+        ...templateFields(i18n, templates),
+        customExportField({
+          display_name: i18n.t("exports.custom_exports.format_label"),
+          name: CUSTOM_EXPORT_FIELDS.FORMAT,
+          type: SELECT_FIELD,
+          option_strings_text: CUSTOM_EXPORT_FORMATS.map(format => ({
+            id: format,
+            display_text: i18n.t(`exports.${format}.all`)
+          })),
+          required: true
+        }),
+        customExportField({
+          display_name: i18n.t("exports.custom_exports.forms"),
+          name: CUSTOM_EXPORT_FIELDS.FORMS,
+          type: SELECT_FIELD,
+          option_strings_text: formOptions,
+          multi_select: true
+        }),
+        customExportField({
+          display_name: i18n.t("exports.custom_exports.fields"),
+          name: CUSTOM_EXPORT_FIELDS.FIELDS,
+          type: SELECT_FIELD,
+          option_strings_text: fieldOptions,
+          multi_select: true,
+          groupBy: "form"
+        }),
+        customExportField({
+          display_name: i18n.t("exports.custom_exports.subforms"),
+          name: CUSTOM_EXPORT_FIELDS.SUBFORMS,
+          type: SELECT_FIELD,
+          option_strings_text: Object.values(SUBFORM_EXPORT_MODES).map(
+            mode => ({
+              id: mode,
+              display_text: i18n.t(
+                `exports.custom_exports.subform_modes.${mode}`
+              )
+            })
+          )
+        }),
+        customExportField({
+          display_name: i18n.t("exports.custom_exports.template_name"),
+          name: CUSTOM_EXPORT_FIELDS.TEMPLATE_NAME,
+          type: TEXT_FIELD,
+          help_text: i18n.t("exports.custom_exports.template_name_help")
+        }),
+        ...casePdfFields(i18n, formOptions),
+        FieldRecord({
+          display_name: i18n.t("encrypt.password_label"),
+          name: "password",
+          type: TEXT_FIELD,
+          autoFocus: true,
+          help_text: {
+            [i18n.locale]: i18n.t("encrypt.password_optional")
+          },
+          password: true
+        }),
+        FieldRecord({
+          display_name: i18n.t("encrypt.file_name"),
+          name: "custom_export_file_name",
+          type: TEXT_AREA
+        })
+      ])
+    })
+  ]);
@@ -0,0 +1,200 @@
+import { fromJS } from "immutable";
+
+import {
+  CASE_PDF_EXPORT,
+  CASE_PDF_FIELDS,
+  CUSTOM_EXPORT,
+  CUSTOM_EXPORT_FIELDS
+} from "./constants";
+import { exportsForm, validationSchema } from "./forms";
+
+describe("<RecordActions /> - exports/forms", () => {
+  const i18n = {
+    t: key => key,
+    locale: "en",
+    applicationLocales: fromJS([{ id: "en", display_text: "English" }])
+  };
+  const options = {
+    exportTypes: [{ id: CUSTOM_EXPORT, display_name: "Custom export" }],
+    templates: fromJS([]),
+    formOptions: [],
+    fieldOptions: []
+  };
+
+  const findField = (form, name) =>
+    form.fields.find(field => field.name === name);
+
+  describe("exportsForm", () => {
+    it("returns the fields of the custom export", () => {
+      const [form] = exportsForm(i18n, options).toArray();
+
+      Object.values(CUSTOM_EXPORT_FIELDS)
+        .filter(name => name !== CUSTOM_EXPORT_FIELDS.TEMPLATE)
+        .forEach(name => expect(findField(form, name)).to.exist);
+    });
+
+    it("returns the templates field when there are templates", () => {
+      const [form] = exportsForm(i18n, {
+        ...options,
+        templates: fromJS([{ id: 1, name: "Template 1" }])
+      }).toArray();
+      const field = findField(form, CUSTOM_EXPORT_FIELDS.TEMPLATE);
+
+      expect(field.option_strings_text).to.deep.equal([
+        { id: 1, display_text: "Template 1" }
+      ]);
+    });
+
+    it("groups the fields by form", () => {
+      const [form] = exportsForm(i18n, options).toArray();
+
+      expect(findField(form, CUSTOM_EXPORT_FIELDS.FIELDS).groupBy).to.equal(
+        "form"
+      );
+    });
+
+    it("only shows the inputs of the custom export when it is selected", () => {
+      const [form] = exportsForm(i18n, options).toArray();
+      const { handleWatchedInputs } = findField(
+        form,
+        CUSTOM_EXPORT_FIELDS.FORMS
+      );
+
+      expect(
+        handleWatchedInputs({ export_type: "csv" }, CUSTOM_EXPORT_FIELDS.FORMS)
+      ).to.deep.equal({ visible: false });
+      expect(
+        handleWatchedInputs(
+          { export_type: CUSTOM_EXPORT },
+          CUSTOM_EXPORT_FIELDS.FORMS
+        )
+      ).to.deep.equal({ visible: true });
+      expect(
+        handleWatchedInputs(
+          {
+            export_type: CUSTOM_EXPORT,
+            [CUSTOM_EXPORT_FIELDS.TEMPLATE]: 1
+          },
+          CUSTOM_EXPORT_FIELDS.FORMS
+        )
+      ).to.deep.equal({ visible: false });
+    });
+
+    it("only shows the subforms input for the Excel format", () => {
+      const [form] = exportsForm(i18n, options).toArray();
+      const { handleWatchedInputs } = findField(
+        form,
+        CUSTOM_EXPORT_FIELDS.SUBFORMS
+      );
+
+      expect(
+        handleWatchedInputs(
+          {
+            export_type: CUSTOM_EXPORT,
+            [CUSTOM_EXPORT_FIELDS.FORMAT]: "csv"
+          },
+          CUSTOM_EXPORT_FIELDS.SUBFORMS
+        )
+      ).to.deep.equal({ visible: false });
+      expect(
+        handleWatchedInputs(
+          {
+            export_type: CUSTOM_EXPORT,
+            [CUSTOM_EXPORT_FIELDS.FORMAT]: "xls"
+          },
+          CUSTOM_EXPORT_FIELDS.SUBFORMS
+        )
+      ).to.deep.equal({ visible: true });
+    });
+  });
+
+  describe("exportsForm - case pdf", () => {
+    it("returns the options of the case file", () => {
+      const [form] = exportsForm(i18n, options).toArray();
+
+      Object.values(CASE_PDF_FIELDS).forEach(
+        name => expect(findField(form, name)).to.exist
+      );
+      expect(
+        findField(form, CASE_PDF_FIELDS.LOCALE).option_strings_text
+      ).to.deep.equal([{ id: "en", display_text: "English" }]);
+    });
+
+    it("only shows the options of the case file when it is selected", () => {
+      const [form] = exportsForm(i18n, options).toArray();
+      const { handleWatchedInputs } = findField(form, CASE_PDF_FIELDS.REDACT);
+
+      expect(
+        handleWatchedInputs({ export_type: CUSTOM_EXPORT })
+      ).to.deep.equal({ visible: false });
+      expect(
+        handleWatchedInputs({ export_type: CASE_PDF_EXPORT })
+      ).to.deep.equal({ visible: true });
+    });
+  });
+
+  describe("validationSchema", () => {
+    const values = {
+      export_type: CUSTOM_EXPORT,
+      password: "password",
+      [CUSTOM_EXPORT_FIELDS.FORMAT]: "xls"
+    };
+
+    it("requires some forms or fields for a custom export", () => {
+      const schema = validationSchema(i18n);
+
+      expect(schema.isValidSync(values)).to.be.false;
+      expect(
+        schema.isValidSync({ ...values, [CUSTOM_EXPORT_FIELDS.FORMS]: [] })
+      ).to.be.false;
+      expect(
+        schema.isValidSync({
+          ...values,
+          [CUSTOM_EXPORT_FIELDS.FIELDS]: ["name_first"]
+        })
+      ).to.be.true;
+      expect(
+        schema.isValidSync({
+          ...values,
+          [CUSTOM_EXPORT_FIELDS.FORMS]: ["basic_identity"]
+        })
+      ).to.be.true;
+    });
+
+    it("does not require a selection when a template is exported", () => {
+      expect(
+        validationSchema(i18n).isValidSync({
+          export_type: CUSTOM_EXPORT,
+          password: "password",
+          [CUSTOM_EXPORT_FIELDS.TEMPLATE]: 1
+        })
+      ).to.be.true;
+    });
+
+    it("does not require a selection for the other exports", () => {
+      expect(
+        validationSchema(i18n).isValidSync({
+          export_type: "csv",
+          password: "password"
+        })
+      ).to.be.true;
+    });
+
+    it("does not require a password", () => {
+      expect(validationSchema(i18n).isValidSync({ export_type: "csv" })).to.be
+        .true;
+      expect(
+        validationSchema(i18n).isValidSync({ export_type: "csv", password: "" })
+      ).to.be.true;
+    });
+
+    it("requires a password of at least 8 characters when present", () => {
+      expect(
+        validationSchema(i18n).isValidSync({
+          export_type: "csv",
+          password: "weak"
+        })
+      ).to.be.false;
+    });
+  });
+});
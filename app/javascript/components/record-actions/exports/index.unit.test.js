@@ -1,9 +1,15 @@
-import index from "./index";
+import * as index from "./index";
 
 describe("<RecordActions /> - exports/index", () => {
   const clone = { ...index };
 
   it("should have known properties", () => {
     expect(clone).to.be.an("object");
+    ["default", "reducer"].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
   });
 });
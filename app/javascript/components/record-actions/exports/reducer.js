@@ -0,0 +1,23 @@
+import { fromJS, List } from "immutable";
+
+import actions from "./actions";
+import NAMESPACE from "./namespace";
+
+const DEFAULT_STATE = fromJS({});
+
+const reducer = (state = DEFAULT_STATE, { type, payload }) => {
+  switch (type) {
+    case actions.FETCH_EXPORT_TEMPLATES_SUCCESS:
+      return state.set("templates", fromJS(payload.data));
+    case actions.SAVE_EXPORT_TEMPLATE_SUCCESS:
+      return state.update("templates", List(), templates =>
+        templates
+          .push(fromJS(payload.data))
+          .sortBy(template => template.get("name"))
+      );
+    default:
+      return state;
+  }
+};
+
+export default { [NAMESPACE]: reducer };
@@ -0,0 +1,37 @@
+import { fromJS } from "immutable";
+
+import actions from "./actions";
+import reducers from "./reducer";
+
+describe("<RecordActions /> - exports/reducer", () => {
+  const reducer = reducers.exportable;
+
+  it("should handle FETCH_EXPORT_TEMPLATES_SUCCESS", () => {
+    const data = [{ id: 1, name: "Template 1" }];
+    const action = {
+      type: actions.FETCH_EXPORT_TEMPLATES_SUCCESS,
+      payload: { data }
+    };
+
+    expect(reducer(fromJS({}), action)).to.deep.equal(
+      fromJS({ templates: data })
+    );
+  });
+
+  it("should handle SAVE_EXPORT_TEMPLATE_SUCCESS", () => {
+    const action = {
+      type: actions.SAVE_EXPORT_TEMPLATE_SUCCESS,
+      payload: { data: { id: 2, name: "Follow ups" } }
+    };
+    const state = fromJS({ templates: [{ id: 1, name: "Services" }] });
+
+    expect(reducer(state, action)).to.deep.equal(
+      fromJS({
+        templates: [
+          { id: 2, name: "Follow ups" },
+          { id: 1, name: "Services" }
+        ]
+      })
+    );
+  });
+});
@@ -0,0 +1,25 @@
+import { List } from "immutable";
+
+import { getRecordForms } from "../../record-form/selectors";
+
+import NAMESPACE from "./namespace";
+
+export const getExportTemplates = state =>
+  state.getIn(["records", NAMESPACE, "templates"], List());
+
+// The forms of every module of the user, or only the module of the record when
+// a record is exported. The forms shared by several modules are listed once.
+export const getExportableForms = (state, { recordType, primeroModule }) => {
+  const modules = primeroModule
+    ? List([primeroModule])
+    : state.getIn(["user", "modules"], List());
+
+  return modules
+    .flatMap(
+      module =>
+        getRecordForms(state, { recordType, primeroModule: module }) || List()
+    )
+    .groupBy(form => form.unique_id)
+    .map(forms => forms.first())
+    .toList();
+};
@@ -0,0 +1,97 @@
+import { fromJS } from "immutable";
+
+import { mapEntriesToRecord } from "../../../libs";
+import { FieldRecord, FormSectionRecord } from "../../record-form/records";
+
+import * as selectors from "./selectors";
+
+describe("<RecordActions /> - exports/selectors", () => {
+  const form = (id, uniqueId, moduleIds, fields) => ({
+    id,
+    unique_id: uniqueId,
+    name: { en: uniqueId },
+    visible: true,
+    parent_form: "case",
+    module_ids: moduleIds,
+    fields
+  });
+  const state = fromJS({
+    user: { modules: ["primeromodule-cp", "primeromodule-gbv"] },
+    records: {
+      exportable: { templates: [{ id: 1, name: "Template 1" }] }
+    }
+  }).set(
+    "forms",
+    fromJS({
+      formSections: mapEntriesToRecord(
+        {
+          1: form(
+            1,
+            "basic_identity",
+            ["primeromodule-cp", "primeromodule-gbv"],
+            [1]
+          ),
+          2: form(2, "services", ["primeromodule-cp"], [2]),
+          3: form(3, "survivor", ["primeromodule-gbv"], [1])
+        },
+        FormSectionRecord,
+        true
+      ),
+      fields: mapEntriesToRecord(
+        {
+          1: { name: "name_first", type: "text_field" },
+          2: { name: "service_type", type: "select_box" }
+        },
+        FieldRecord,
+        true
+      )
+    })
+  );
+
+  it("should have known selectors", () => {
+    const clone = { ...selectors };
+
+    ["getExportableForms", "getExportTemplates"].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("getExportTemplates", () => {
+    it("returns the export templates", () => {
+      expect(selectors.getExportTemplates(state)).to.deep.equal(
+        fromJS([{ id: 1, name: "Template 1" }])
+      );
+    });
+
+    it("returns an empty list when there are no templates", () => {
+      expect(selectors.getExportTemplates(fromJS({}))).to.be.empty;
+    });
+  });
+
+  describe("getExportableForms", () => {
+    it("returns the forms of the modules of the user once", () => {
+      const forms = selectors.getExportableForms(state, { recordType: "case" });
+
+      expect(forms.map(current => current.unique_id).toArray()).to.deep.equal([
+        "basic_identity",
+        "services",
+        "survivor"
+      ]);
+    });
+
+    it("returns the forms of a module", () => {
+      const forms = selectors.getExportableForms(state, {
+        recordType: "case",
+        primeroModule: "primeromodule-gbv"
+      });
+
+      expect(forms.map(current => current.unique_id).toArray()).to.deep.equal([
+        "basic_identity",
+        "survivor"
+      ]);
+    });
+  });
+});
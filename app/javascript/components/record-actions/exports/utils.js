@@ -1,10 +1,23 @@
 import isEmpty from "lodash/isEmpty";
+import uniq from "lodash/uniq";
+import { List } from "immutable";
 
 import { ACTIONS } from "../../../libs/permissions";
 
-import { ALL_EXPORT_TYPES } from "./constants";
-
-export const allowedExports = (userPermissions, i18n, isShowPage) => {
+import {
+  ALL_EXPORT_TYPES,
+  CASE_PDF_FIELDS,
+  EXPORT_FORMAT,
+  NON_EXPORTABLE_FIELD_TYPES
+} from "./constants";
+
+// The exports limited to some record types declare them in recordTypes
+export const allowedExports = (
+  userPermissions,
+  i18n,
+  isShowPage,
+  recordType
+) => {
   const exportsTypes = [...ALL_EXPORT_TYPES];
   let allowedExportsOptions = [];
 
@@ -29,7 +42,9 @@ export const allowedExports = (userPermissions, i18n, isShowPage) => {
   }
 
   const allExports = allowedExportsOptions.filter(
-    item => Object.keys(item).length
+    item =>
+      Object.keys(item).length &&
+      (!item.recordTypes || item.recordTypes.includes(recordType))
   );
 
   if (isShowPage) {
@@ -100,3 +115,77 @@ export const exporterFilters = (
     filters: returnFilters
   };
 };
+
+export const exportableFormOptions = (forms, i18n) =>
+  forms
+    .map(form => ({
+      id: form.unique_id,
+      display_text: i18n.getI18nStringFromObject(form.name) || form.unique_id
+    }))
+    .toArray();
+
+// The options of the fields are sorted by form to be grouped. A field shared by
+// several forms is listed in the first one.
+export const exportableFieldOptions = (forms, i18n) =>
+  forms
+    .flatMap(form => {
+      const formName =
+        i18n.getI18nStringFromObject(form.name) || form.unique_id;
+
+      return List(form.fields)
+        .filter(field => !NON_EXPORTABLE_FIELD_TYPES.includes(field.type))
+        .map(field => ({
+          id: field.name,
+          display_text:
+            i18n.getI18nStringFromObject(field.display_name) || field.name,
+          form: formName
+        }));
+    })
+    .groupBy(option => option.id)
+    .map(options => options.first())
+    .toList()
+    .toArray();
+
+// When forms and fields are selected the exporter only exports the selected
+// fields of each form, so the fields of the selected forms are added.
+export const buildCustomExportParams = (
+  { format, formUniqueIds, fieldNames, flattenSubforms },
+  forms
+) => {
+  const selectedForms = formUniqueIds || [];
+  const selectedFields = fieldNames || [];
+  const formFields =
+    selectedForms.length && selectedFields.length
+      ? forms
+          .filter(form => selectedForms.includes(form.unique_id))
+          .flatMap(form => List(form.fields).map(field => field.name))
+          .toArray()
+      : [];
+
+  return {
+    format,
+    ...(selectedForms.length && { form_unique_ids: selectedForms }),
+    ...(selectedFields.length && {
+      field_names: uniq([...formFields, ...selectedFields])
+    }),
+    ...(format === EXPORT_FORMAT.EXCEL && {
+      flatten_subforms: Boolean(flattenSubforms)
+    })
+  };
+};
+
+// The case file is printed in the language of the user unless another one is
+// selected. The header and footer are only sent when entered.
+export const buildCasePdfParams = (values, locale) => {
+  const formUniqueIds = values[CASE_PDF_FIELDS.FORMS] || [];
+  const header = values[CASE_PDF_FIELDS.HEADER];
+  const footer = values[CASE_PDF_FIELDS.FOOTER];
+
+  return {
+    ...(formUniqueIds.length && { form_unique_ids: formUniqueIds }),
+    redact: Boolean(values[CASE_PDF_FIELDS.REDACT]),
+    ...(header && { header }),
+    ...(footer && { footer }),
+    locale: values[CASE_PDF_FIELDS.LOCALE] || locale
+  };
+};
@@ -1,9 +1,9 @@
-import { fromJS } from "immutable";
+import { fromJS, List } from "immutable";
 
 import { stub } from "../../../test";
 import { ACTIONS } from "../../../libs/permissions";
 
-import { ALL_EXPORT_TYPES, EXPORT_FORMAT } from "./constants";
+import { ALL_EXPORT_TYPES, CASE_PDF_FIELDS, EXPORT_FORMAT } from "./constants";
 import * as utils from "./utils";
 
 describe("<RecordActions /> - exports/utils", () => {
@@ -11,13 +11,19 @@ describe("<RecordActions /> - exports/utils", () => {
     it("should have known methods", () => {
       const clone = { ...utils };
 
-      ["allowedExports", "formatFileName", "exporterFilters"].forEach(
-        property => {
-          expect(clone).to.have.property(property);
-          expect(clone[property]).to.be.a("function");
-          delete clone[property];
-        }
-      );
+      [
+        "allowedExports",
+        "buildCasePdfParams",
+        "buildCustomExportParams",
+        "exportableFieldOptions",
+        "exportableFormOptions",
+        "formatFileName",
+        "exporterFilters"
+      ].forEach(property => {
+        expect(clone).to.have.property(property);
+        expect(clone[property]).to.be.a("function");
+        delete clone[property];
+      });
       expect(clone).to.be.empty;
     });
   });
@@ -32,16 +38,37 @@ describe("<RecordActions /> - exports/utils", () => {
 
       i18n.t.returns("test.label");
 
-      const expected = ALL_EXPORT_TYPES.map(a => {
+      const expected = ALL_EXPORT_TYPES.filter(
+        a => !a.recordTypes || a.recordTypes.includes("case")
+      ).map(a => {
         return {
           ...a,
           display_name: "test.label"
         };
       });
 
-      expect(utils.allowedExports(userPermission, i18n, false)).to.deep.equal(
-        expected
-      );
+      expect(
+        utils.allowedExports(userPermission, i18n, false, "case")
+      ).to.deep.equal(expected);
+    });
+
+    it("should return the exports of incidents only for incidents", () => {
+      const userPermission = fromJS([
+        ACTIONS.EXPORT_CSV,
+        ACTIONS.EXPORT_INCIDENT_RECORDER,
+        ACTIONS.EXPORT_MRM_VIOLATION_XLS
+      ]);
+      const exportIds = recordType =>
+        utils
+          .allowedExports(userPermission, i18n, false, recordType)
+          .map(({ id }) => id);
+
+      expect(exportIds("incident")).to.deep.equal([
+        "csv",
+        "incident_recorder_xls",
+        "mrm_violation_xls"
+      ]);
+      expect(exportIds("case")).to.deep.equal(["csv"]);
     });
 
     it("should return export types contained in userPermission", () => {
@@ -62,9 +89,9 @@ describe("<RecordActions /> - exports/utils", () => {
 
       const userPermission = fromJS([ACTIONS.EXPORT_CSV, ACTIONS.EXPORT_JSON]);
 
-      expect(utils.allowedExports(userPermission, i18n, false)).to.deep.equal(
-        expected
-      );
+      expect(
+        utils.allowedExports(userPermission, i18n, false, "case")
+      ).to.deep.equal(expected);
     });
   });
 
@@ -202,4 +229,138 @@ describe("<RecordActions /> - exports/utils", () => {
       }
     );
   });
+
+  describe("custom exports", () => {
+    const i18n = {
+      getI18nStringFromObject: value => value?.en
+    };
+    const forms = List([
+      {
+        unique_id: "basic_identity",
+        name: { en: "Basic Identity" },
+        fields: List([
+          {
+            name: "name_first",
+            type: "text_field",
+            display_name: { en: "First" }
+          },
+          {
+            name: "photos",
+            type: "photo_upload_box",
+            display_name: { en: "Photos" }
+          }
+        ])
+      },
+      {
+        unique_id: "services",
+        name: { en: "Services" },
+        fields: List([
+          {
+            name: "service_type",
+            type: "select_box",
+            display_name: { en: "Type" }
+          },
+          {
+            name: "name_first",
+            type: "text_field",
+            display_name: { en: "First" }
+          }
+        ])
+      }
+    ]);
+
+    describe("exportableFormOptions", () => {
+      it("returns an option for every form", () => {
+        expect(utils.exportableFormOptions(forms, i18n)).to.deep.equal([
+          { id: "basic_identity", display_text: "Basic Identity" },
+          { id: "services", display_text: "Services" }
+        ]);
+      });
+    });
+
+    describe("exportableFieldOptions", () => {
+      it("returns the exportable fields once with the name of their form", () => {
+        expect(utils.exportableFieldOptions(forms, i18n)).to.deep.equal([
+          { id: "name_first", display_text: "First", form: "Basic Identity" },
+          { id: "service_type", display_text: "Type", form: "Services" }
+        ]);
+      });
+    });
+
+    describe("buildCustomExportParams", () => {
+      it("returns the selected forms", () => {
+        expect(
+          utils.buildCustomExportParams(
+            { format: "csv", formUniqueIds: ["services"], fieldNames: [] },
+            forms
+          )
+        ).to.deep.equal({ format: "csv", form_unique_ids: ["services"] });
+      });
+
+      it("returns the selected fields", () => {
+        expect(
+          utils.buildCustomExportParams(
+            {
+              format: "xls",
+              fieldNames: ["service_type"],
+              flattenSubforms: true
+            },
+            forms
+          )
+        ).to.deep.equal({
+          format: "xls",
+          field_names: ["service_type"],
+          flatten_subforms: true
+        });
+      });
+
+      it("adds the fields of the selected forms to the selected fields", () => {
+        expect(
+          utils.buildCustomExportParams(
+            {
+              format: "xls",
+              formUniqueIds: ["basic_identity"],
+              fieldNames: ["service_type", "name_first"]
+            },
+            forms
+          )
+        ).to.deep.equal({
+          format: "xls",
+          form_unique_ids: ["basic_identity"],
+          field_names: ["name_first", "photos", "service_type"],
+          flatten_subforms: false
+        });
+      });
+    });
+  });
+
+  describe("buildCasePdfParams", () => {
+    it("returns the selected options of the case file", () => {
+      expect(
+        utils.buildCasePdfParams(
+          {
+            [CASE_PDF_FIELDS.FORMS]: ["basic_identity"],
+            [CASE_PDF_FIELDS.REDACT]: true,
+            [CASE_PDF_FIELDS.HEADER]: "Case file",
+            [CASE_PDF_FIELDS.FOOTER]: "Confidential",
+            [CASE_PDF_FIELDS.LOCALE]: "ar"
+          },
+          "en"
+        )
+      ).to.deep.equal({
+        form_unique_ids: ["basic_identity"],
+        redact: true,
+        header: "Case file",
+        footer: "Confidential",
+        locale: "ar"
+      });
+    });
+
+    it("prints all the forms without redaction in the locale of the user by default", () => {
+      expect(utils.buildCasePdfParams({}, "en")).to.deep.equal({
+        redact: false,
+        locale: "en"
+      });
+    });
+  });
 });
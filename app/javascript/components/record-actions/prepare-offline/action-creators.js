@@ -0,0 +1,69 @@
+/* eslint-disable import/prefer-default-export */
+import { DB_COLLECTIONS_NAMES, OFFLINE_SYNC_LIMIT } from "../../../db";
+import { loadApplicationResources } from "../../application";
+import { ENQUEUE_SNACKBAR, generate } from "../../notifier";
+import { SET_DIALOG, SET_DIALOG_PENDING } from "../actions";
+
+import actions from "./actions";
+
+// Downloads the records into IndexedDB, along with the forms, lookups and
+// locations needed to work with them offline. The records are downloaded in
+// pages of OFFLINE_SYNC_LIMIT until all of them are stored, the dialog is only
+// closed once the last page is received.
+export const prepareOffline = ({
+  recordType,
+  params,
+  message,
+  dialogName
+}) => async dispatch => {
+  dispatch(loadApplicationResources());
+
+  const fetchPages = async page => {
+    const json = await dispatch({
+      type: actions.PREPARE_OFFLINE,
+      api: {
+        path: recordType,
+        params: { ...params, page, per: OFFLINE_SYNC_LIMIT },
+        db: {
+          collection: DB_COLLECTIONS_NAMES.RECORDS,
+          recordType
+        }
+      }
+    });
+
+    if (!json?.data) {
+      return false;
+    }
+
+    return page * OFFLINE_SYNC_LIMIT < (json.metadata?.total || 0)
+      ? fetchPages(page + 1)
+      : true;
+  };
+
+  if (await fetchPages(1)) {
+    dispatch({
+      type: ENQUEUE_SNACKBAR,
+      payload: {
+        message,
+        options: {
+          variant: "success",
+          key: generate.messageKey()
+        }
+      }
+    });
+    dispatch({
+      type: SET_DIALOG,
+      payload: {
+        dialog: dialogName,
+        open: false
+      }
+    });
+  }
+
+  dispatch({
+    type: SET_DIALOG_PENDING,
+    payload: {
+      pending: false
+    }
+  });
+};
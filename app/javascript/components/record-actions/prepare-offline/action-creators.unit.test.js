@@ -0,0 +1,130 @@
+import configureStore from "redux-mock-store";
+import thunk from "redux-thunk";
+
+import { stub } from "../../../test";
+import { DB_COLLECTIONS_NAMES, OFFLINE_SYNC_LIMIT } from "../../../db";
+import { ENQUEUE_SNACKBAR, generate } from "../../notifier";
+import recordFormActions from "../../record-form/actions";
+import { PREPARE_OFFLINE_DIALOG } from "../constants";
+import { SET_DIALOG, SET_DIALOG_PENDING } from "..";
+
+import actions from "./actions";
+import * as actionCreators from "./action-creators";
+
+describe("<RecordActions /> - prepare-offline/action-creators", () => {
+  before(() => {
+    stub(generate, "messageKey").returns(4);
+  });
+
+  after(() => {
+    generate.messageKey.restore();
+  });
+
+  it("should have known action creators", () => {
+    const creators = { ...actionCreators };
+
+    ["prepareOffline"].forEach(property => {
+      expect(creators).to.have.property(property);
+      delete creators[property];
+    });
+
+    expect(creators).to.be.empty;
+  });
+
+  describe("prepareOffline", () => {
+    const prepare = async responses => {
+      const api = () => next => action => {
+        const result = next(action);
+
+        return action.type === actions.PREPARE_OFFLINE
+          ? Promise.resolve(responses.shift())
+          : result;
+      };
+      const store = configureStore([thunk, api])({});
+
+      await store.dispatch(
+        actionCreators.prepareOffline({
+          recordType: "cases",
+          params: { short_id: ["abc123"] },
+          message: "Test message",
+          dialogName: PREPARE_OFFLINE_DIALOG
+        })
+      );
+
+      return store.getActions();
+    };
+    const page = total => ({ data: [{ id: "1" }], metadata: { total } });
+
+    it("should download the records and the application resources", async () => {
+      const dispatched = await prepare([page(1)]);
+      const prepareAction = dispatched.find(
+        action => action.type === actions.PREPARE_OFFLINE
+      );
+
+      expect(dispatched.map(action => action.type)).to.include.members([
+        recordFormActions.RECORD_FORMS,
+        actions.PREPARE_OFFLINE
+      ]);
+      expect(prepareAction.api).to.deep.equal({
+        path: "cases",
+        params: { short_id: ["abc123"], page: 1, per: OFFLINE_SYNC_LIMIT },
+        db: {
+          collection: DB_COLLECTIONS_NAMES.RECORDS,
+          recordType: "cases"
+        }
+      });
+      expect(dispatched.slice(-3)).to.deep.equal([
+        {
+          type: ENQUEUE_SNACKBAR,
+          payload: {
+            message: "Test message",
+            options: {
+              variant: "success",
+              key: 4
+            }
+          }
+        },
+        {
+          type: SET_DIALOG,
+          payload: {
+            dialog: PREPARE_OFFLINE_DIALOG,
+            open: false
+          }
+        },
+        {
+          type: SET_DIALOG_PENDING,
+          payload: {
+            pending: false
+          }
+        }
+      ]);
+    });
+
+    it("should download every page of a selection larger than the limit", async () => {
+      const total = OFFLINE_SYNC_LIMIT * 2 + 1;
+      const dispatched = await prepare([page(total), page(total), page(total)]);
+
+      expect(
+        dispatched
+          .filter(action => action.type === actions.PREPARE_OFFLINE)
+          .map(action => action.api.params.page)
+      ).to.deep.equal([1, 2, 3]);
+      expect(dispatched.map(action => action.type)).to.include(SET_DIALOG);
+    });
+
+    it("should keep the dialog open when a page can't be downloaded", async () => {
+      const dispatched = await prepare([page(OFFLINE_SYNC_LIMIT + 1), null]);
+
+      expect(
+        dispatched.filter(action => action.type === actions.PREPARE_OFFLINE)
+      ).to.have.lengthOf(2);
+      expect(dispatched.map(action => action.type))
+        .to.not.include(ENQUEUE_SNACKBAR)
+        .and.not.include(SET_DIALOG);
+      expect(dispatched[dispatched.length - 1]).to.deep.equal({
+        type: SET_DIALOG_PENDING,
+        payload: { pending: false }
+      });
+    });
+  });
+});
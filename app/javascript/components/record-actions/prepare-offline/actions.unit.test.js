@@ -0,0 +1,15 @@
+import actions from "./actions";
+
+describe("<RecordActions /> - prepare-offline/actions", () => {
+  const clone = { ...actions };
+
+  it("should have known actions", () => {
+    expect(clone).to.be.an("object");
+    ["PREPARE_OFFLINE"].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+});
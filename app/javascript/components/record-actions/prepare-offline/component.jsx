@@ -0,0 +1,225 @@
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { useDispatch, useSelector } from "react-redux";
+import { List } from "immutable";
+import {
+  Button,
+  FormControlLabel,
+  MenuItem,
+  Radio,
+  RadioGroup,
+  TextField
+} from "@material-ui/core";
+import { makeStyles } from "@material-ui/styles";
+
+import { useI18n } from "../../i18n";
+import ActionDialog from "../../action-dialog";
+import { currentUser, getUserGroups } from "../../user";
+import { getRecords } from "../../index-table";
+import { fetchSavedSearches } from "../../saved-searches";
+import { selectSavedSearches } from "../../saved-searches/selectors";
+import { enqueueSnackbar } from "../../notifier";
+import { offlineSyncIndexedDB } from "../../../db";
+import { PREPARE_OFFLINE_DIALOG } from "../constants";
+
+import { prepareOffline } from "./action-creators";
+import { DEFAULT_EVICTION_DAYS, NAME, SYNC_PROFILES } from "./constants";
+import { formatBytes, syncProfileParams } from "./utils";
+import styles from "./styles.css";
+
+const Component = ({
+  openPrepareOfflineDialog,
+  close,
+  recordType,
+  record,
+  currentPage,
+  selectedRecords,
+  pending,
+  setPending
+}) => {
+  const i18n = useI18n();
+  const dispatch = useDispatch();
+  const css = makeStyles(styles)();
+  const [profile, setProfile] = useState(SYNC_PROFILES.MY_RECORDS);
+  const [savedSearchId, setSavedSearchId] = useState("");
+  const [days, setDays] = useState(DEFAULT_EVICTION_DAYS);
+  const [usage, setUsage] = useState(null);
+
+  const username = useSelector(state => currentUser(state));
+  const userGroups = useSelector(state => getUserGroups(state));
+  const savedSearches = useSelector(state =>
+    selectSavedSearches(state, recordType)
+  );
+  const records = useSelector(state => getRecords(state, recordType)).get(
+    "data",
+    List()
+  );
+
+  const shortIds = record
+    ? [record.get("short_id")]
+    : records
+        .toJS()
+        .filter((_r, i) => selectedRecords?.[currentPage]?.includes(i))
+        .map(r => r.short_id);
+  const savedSearch = savedSearches.find(
+    search => search.get("id") === savedSearchId
+  );
+
+  const loadUsage = () => offlineSyncIndexedDB.usage().then(setUsage);
+
+  useEffect(() => {
+    if (openPrepareOfflineDialog) {
+      dispatch(fetchSavedSearches());
+      loadUsage();
+    }
+  }, [openPrepareOfflineDialog]);
+
+  const canPrepare =
+    (profile !== SYNC_PROFILES.SAVED_SEARCH || Boolean(savedSearch)) &&
+    (profile !== SYNC_PROFILES.SELECTED_RECORDS || shortIds.length > 0);
+
+  const handleSubmit = () => {
+    setPending(true);
+    dispatch(
+      prepareOffline({
+        recordType,
+        params: syncProfileParams({
+          profile,
+          username,
+          userGroups: userGroups.toJS(),
+          savedSearch,
+          shortIds
+        }),
+        message: i18n.t("prepare_offline.success"),
+        dialogName: PREPARE_OFFLINE_DIALOG
+      })
+    );
+  };
+
+  const handleEvict = async () => {
+    const count = await offlineSyncIndexedDB.evict(days);
+
+    dispatch(
+      enqueueSnackbar(i18n.t("prepare_offline.evicted", { count }), "success")
+    );
+    loadUsage();
+  };
+
+  const storageUsage = usage && (
+    <div className={css.section}>
+      <div className={css.sectionTitle}>
+        {i18n.t("prepare_offline.storage")}
+      </div>
+      {usage.quota !== null && (
+        <div>
+          {i18n.t("prepare_offline.storage_used", {
+            usage: formatBytes(usage.usage),
+            quota: formatBytes(usage.quota)
+          })}
+        </div>
+      )}
+      {Object.entries(usage.records).map(([type, count]) => (
+        <div key={type}>
+          {i18n.t("prepare_offline.records_count", {
+            record_type: i18n.t(`${type}.label`),
+            count
+          })}
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <ActionDialog
+      open={openPrepareOfflineDialog}
+      successHandler={handleSubmit}
+      dialogTitle={i18n.t("prepare_offline.title")}
+      confirmButtonLabel={i18n.t("prepare_offline.download")}
+      onClose={close}
+      omitCloseAfterSuccess
+      cancelHandler={close}
+      pending={pending}
+      enabledSuccessButton={canPrepare}
+    >
+      <div className={css.section}>
+        <div className={css.sectionTitle}>
+          {i18n.t("prepare_offline.profile")}
+        </div>
+        <RadioGroup
+          name="profile"
+          value={profile}
+          onChange={event => setProfile(event.target.value)}
+        >
+          {Object.values(SYNC_PROFILES).map(name => (
+            <FormControlLabel
+              key={name}
+              value={name}
+              control={<Radio />}
+              label={i18n.t(`prepare_offline.profiles.${name}`)}
+              disabled={
+                name === SYNC_PROFILES.SELECTED_RECORDS && !shortIds.length
+              }
+            />
+          ))}
+        </RadioGroup>
+        {profile === SYNC_PROFILES.SAVED_SEARCH && (
+          <TextField
+            select
+            className={css.savedSearch}
+            label={i18n.t("prepare_offline.saved_search")}
+            value={savedSearchId}
+            onChange={event => setSavedSearchId(event.target.value)}
+          >
+            {savedSearches.map(search => (
+              <MenuItem key={search.get("id")} value={search.get("id")}>
+                {search.get("name")}
+              </MenuItem>
+            ))}
+          </TextField>
+        )}
+      </div>
+      {storageUsage}
+      <div className={css.section}>
+        <div className={css.sectionTitle}>
+          {i18n.t("prepare_offline.cleanup")}
+        </div>
+        <div className={css.cleanup}>
+          <TextField
+            type="number"
+            className={css.days}
+            label={i18n.t("prepare_offline.days")}
+            value={days}
+            inputProps={{ min: 1 }}
+            onChange={event => setDays(Number(event.target.value))}
+          />
+          <Button
+            variant="outlined"
+            onClick={handleEvict}
+            disabled={!(days > 0)}
+          >
+            {i18n.t("prepare_offline.evict")}
+          </Button>
+        </div>
+      </div>
+    </ActionDialog>
+  );
+};
+
+Component.displayName = NAME;
+
+Component.defaultProps = {
+  openPrepareOfflineDialog: false
+};
+
+Component.propTypes = {
+  close: PropTypes.func,
+  currentPage: PropTypes.number,
+  openPrepareOfflineDialog: PropTypes.bool,
+  pending: PropTypes.bool,
+  record: PropTypes.object,
+  recordType: PropTypes.string.isRequired,
+  selectedRecords: PropTypes.object,
+  setPending: PropTypes.func
+};
+
+export default Component;
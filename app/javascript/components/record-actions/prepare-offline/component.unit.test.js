@@ -0,0 +1,75 @@
+import { fromJS } from "immutable";
+import { Radio } from "@material-ui/core";
+
+import { setupMountedComponent, stub } from "../../../test";
+import ActionDialog from "../../action-dialog";
+import { offlineSyncIndexedDB } from "../../../db";
+
+import PrepareOffline from "./component";
+
+describe("<RecordActions /> - <PrepareOffline />", () => {
+  const state = fromJS({
+    records: {
+      cases: {
+        data: [{ id: "1", short_id: "abc123", name: "User 1" }]
+      },
+      savedSearches: { data: [] }
+    },
+    user: { username: "primero" }
+  });
+  const props = {
+    openPrepareOfflineDialog: true,
+    close: () => {},
+    recordType: "cases",
+    currentPage: 0,
+    selectedRecords: {},
+    pending: false,
+    setPending: () => {}
+  };
+
+  beforeEach(() => {
+    stub(offlineSyncIndexedDB, "usage").resolves({
+      usage: 1024,
+      quota: 2048,
+      records: { cases: 1 }
+    });
+  });
+
+  afterEach(() => {
+    offlineSyncIndexedDB.usage.restore();
+  });
+
+  it("renders ActionDialog", () => {
+    const { component } = setupMountedComponent(PrepareOffline, props, state);
+
+    expect(component.find(ActionDialog)).to.have.lengthOf(1);
+  });
+
+  it("renders a radio button for each sync profile", () => {
+    const { component } = setupMountedComponent(PrepareOffline, props, state);
+
+    expect(component.find(Radio)).to.have.lengthOf(4);
+  });
+
+  it("disables the selected records profile without selected records", () => {
+    const { component } = setupMountedComponent(PrepareOffline, props, state);
+
+    expect(component.find(Radio).last().props().disabled).to.be.true;
+  });
+
+  it("enables the selected records profile with selected records", () => {
+    const { component } = setupMountedComponent(
+      PrepareOffline,
+      { ...props, selectedRecords: { 0: [0] } },
+      state
+    );
+
+    expect(component.find(Radio).last().props().disabled).to.be.false;
+  });
+
+  it("loads the storage usage when it's opened", () => {
+    setupMountedComponent(PrepareOffline, props, state);
+
+    expect(offlineSyncIndexedDB.usage).to.have.been.calledOnce;
+  });
+});
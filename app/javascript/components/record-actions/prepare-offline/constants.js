@@ -0,0 +1,10 @@
+export const NAME = "PrepareOffline";
+
+export const SYNC_PROFILES = Object.freeze({
+  MY_RECORDS: "my_records",
+  TEAM_RECORDS: "team_records",
+  SAVED_SEARCH: "saved_search",
+  SELECTED_RECORDS: "selected_records"
+});
+
+export const DEFAULT_EVICTION_DAYS = 30;
@@ -0,0 +1,9 @@
+import index from "./index";
+
+describe("<RecordActions /> - prepare-offline/index", () => {
+  const clone = { ...index };
+
+  it("should have known properties", () => {
+    expect(clone).to.be.an("object");
+  });
+});
@@ -0,0 +1 @@
+export default "prepare_offline";
@@ -0,0 +1,44 @@
+import { buildFiltersState } from "../../saved-searches/utils";
+
+import { SYNC_PROFILES } from "./constants";
+
+const OPEN_RECORDS = { status: ["open"], record_state: ["true"] };
+const BYTE_UNITS = ["B", "KB", "MB", "GB"];
+
+// The caseload of the team are the records owned by or assigned to users of
+// the groups of the user.
+export const syncProfileParams = ({
+  profile,
+  username,
+  userGroups,
+  savedSearch,
+  shortIds
+}) => {
+  switch (profile) {
+    case SYNC_PROFILES.MY_RECORDS:
+      return {
+        ...OPEN_RECORDS,
+        or: { owned_by: username, assigned_user_names: username }
+      };
+    case SYNC_PROFILES.TEAM_RECORDS:
+      return { ...OPEN_RECORDS, associated_user_groups: userGroups };
+    case SYNC_PROFILES.SAVED_SEARCH:
+      return buildFiltersState(savedSearch?.get("filters")?.toJS() || []);
+    case SYNC_PROFILES.SELECTED_RECORDS:
+      return { short_id: shortIds };
+    default:
+      return {};
+  }
+};
+
+export const formatBytes = bytes => {
+  let value = bytes || 0;
+  let unit = 0;
+
+  while (value >= 1024 && unit < BYTE_UNITS.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+
+  return `${Math.round(value * 10) / 10} ${BYTE_UNITS[unit]}`;
+};
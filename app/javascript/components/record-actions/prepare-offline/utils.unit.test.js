@@ -0,0 +1,80 @@
+import { fromJS } from "immutable";
+
+import { SYNC_PROFILES } from "./constants";
+import * as utils from "./utils";
+
+describe("<RecordActions /> - prepare-offline/utils", () => {
+  it("should have known methods", () => {
+    const clone = { ...utils };
+
+    ["syncProfileParams", "formatBytes"].forEach(method => {
+      expect(clone).to.have.property(method);
+      delete clone[method];
+    });
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("syncProfileParams()", () => {
+    it("returns the open records owned by or assigned to the user", () => {
+      expect(
+        utils.syncProfileParams({
+          profile: SYNC_PROFILES.MY_RECORDS,
+          username: "primero"
+        })
+      ).to.deep.equal({
+        status: ["open"],
+        record_state: ["true"],
+        or: { owned_by: "primero", assigned_user_names: "primero" }
+      });
+    });
+
+    it("returns the open records of the groups of the user", () => {
+      expect(
+        utils.syncProfileParams({
+          profile: SYNC_PROFILES.TEAM_RECORDS,
+          userGroups: ["usergroup-primero-cp"]
+        })
+      ).to.deep.equal({
+        status: ["open"],
+        record_state: ["true"],
+        associated_user_groups: ["usergroup-primero-cp"]
+      });
+    });
+
+    it("returns the filters of the saved search", () => {
+      const savedSearch = fromJS({
+        id: 1,
+        filters: [
+          { name: "sex", value: ["female"] },
+          { name: "status", value: ["closed"] }
+        ]
+      });
+
+      expect(
+        utils.syncProfileParams({
+          profile: SYNC_PROFILES.SAVED_SEARCH,
+          savedSearch
+        })
+      ).to.deep.equal({ sex: ["female"], status: ["closed"] });
+    });
+
+    it("returns the selected records", () => {
+      expect(
+        utils.syncProfileParams({
+          profile: SYNC_PROFILES.SELECTED_RECORDS,
+          shortIds: ["abc123"]
+        })
+      ).to.deep.equal({ short_id: ["abc123"] });
+    });
+  });
+
+  describe("formatBytes()", () => {
+    it("returns the size in the largest unit", () => {
+      expect(utils.formatBytes(512)).to.equal("512 B");
+      expect(utils.formatBytes(1536)).to.equal("1.5 KB");
+      expect(utils.formatBytes(5 * 1024 * 1024)).to.equal("5 MB");
+      expect(utils.formatBytes(null)).to.equal("0 B");
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import isEmpty from "lodash/isEmpty";
+
+import { attachmentsIndexedDB, queueIndexedDB } from "../../db";
+import { SAVE_METHODS } from "../../config";
+import { fetchRecord, saveRecord } from "../records/action-creators";
+
+import actions from "./actions";
+
+export const addRecordConflict = payload => ({
+  type: actions.ADD_RECORD_CONFLICT,
+  payload
+});
+
+export const removeRecordConflict = fromQueue => ({
+  type: actions.REMOVE_RECORD_CONFLICT,
+  payload: { fromQueue }
+});
+
+export const resolveRecordConflict = (
+  conflict,
+  data,
+  message
+) => async dispatch => {
+  const { fromQueue, id, recordType } = conflict;
+
+  // The files added with the conflicting changes don't replace any value on
+  // the server, they are uploaded whatever the resolution.
+  await attachmentsIndexedDB.release(fromQueue, id);
+  await queueIndexedDB.delete(fromQueue);
+
+  dispatch(removeRecordConflict(fromQueue));
+
+  if (isEmpty(data)) {
+    dispatch(fetchRecord(recordType, id));
+  } else {
+    dispatch(
+      saveRecord(
+        recordType,
+        SAVE_METHODS.update,
+        { data },
+        id,
+        message,
+        message,
+        false
+      )
+    );
+  }
+};
@@ -0,0 +1,102 @@
+import configureStore from "redux-mock-store";
+import thunk from "redux-thunk";
+import sinon from "sinon";
+
+import { attachmentsIndexedDB, queueIndexedDB } from "../../db";
+
+import * as actionCreators from "./action-creators";
+import actions from "./actions";
+
+describe("<RecordConflicts /> - action-creators", () => {
+  const conflict = {
+    fromQueue: "queue-1",
+    id: "record-1",
+    recordType: "cases"
+  };
+
+  beforeEach(() => {
+    sinon.stub(queueIndexedDB, "delete").resolves();
+    sinon.stub(attachmentsIndexedDB, "release").resolves();
+  });
+
+  afterEach(() => {
+    queueIndexedDB.delete.restore();
+    attachmentsIndexedDB.release.restore();
+  });
+
+  it("should have known action creators", () => {
+    const creators = { ...actionCreators };
+
+    [
+      "addRecordConflict",
+      "removeRecordConflict",
+      "resolveRecordConflict"
+    ].forEach(property => {
+      expect(creators).to.have.property(property);
+      delete creators[property];
+    });
+
+    expect(creators).to.be.empty;
+  });
+
+  it("should check that 'addRecordConflict' action creator returns the correct object", () => {
+    expect(actionCreators.addRecordConflict(conflict)).to.deep.equal({
+      type: actions.ADD_RECORD_CONFLICT,
+      payload: conflict
+    });
+  });
+
+  it("should check that 'removeRecordConflict' action creator returns the correct object", () => {
+    expect(actionCreators.removeRecordConflict("queue-1")).to.deep.equal({
+      type: actions.REMOVE_RECORD_CONFLICT,
+      payload: { fromQueue: "queue-1" }
+    });
+  });
+
+  describe("resolveRecordConflict", () => {
+    it("deletes the queued request and saves the merged data", () => {
+      const store = configureStore([thunk])({});
+
+      return store
+        .dispatch(
+          actionCreators.resolveRecordConflict(
+            conflict,
+            { name_first: "Mine" },
+            "Merged"
+          )
+        )
+        .then(() => {
+          const storeActions = store.getActions();
+
+          expect(queueIndexedDB.delete).to.have.been.calledWith("queue-1");
+          expect(attachmentsIndexedDB.release).to.have.been.calledWith(
+            "queue-1",
+            "record-1"
+          );
+          expect(storeActions[0]).to.deep.equal({
+            type: actions.REMOVE_RECORD_CONFLICT,
+            payload: { fromQueue: "queue-1" }
+          });
+          expect(storeActions[1].type).to.equal("cases/SAVE_RECORD");
+          expect(storeActions[1].api.path).to.equal("cases/record-1");
+          expect(storeActions[1].api.method).to.equal("PATCH");
+          expect(storeActions[1].api.body).to.deep.equal({
+            data: { name_first: "Mine" }
+          });
+        });
+    });
+
+    it("refetches the record when the server values are kept", () => {
+      const store = configureStore([thunk])({});
+
+      return store
+        .dispatch(actionCreators.resolveRecordConflict(conflict, {}, "Merged"))
+        .then(() => {
+          const storeActions = store.getActions();
+
+          expect(storeActions[1].type).to.equal("cases/RECORD");
+          expect(storeActions[1].api.path).to.equal("cases/record-1");
+        });
+    });
+  });
+});
@@ -0,0 +1,8 @@
+import { namespaceActions } from "../../libs";
+
+import NAMESPACE from "./namespace";
+
+export default namespaceActions(NAMESPACE, [
+  "ADD_RECORD_CONFLICT",
+  "REMOVE_RECORD_CONFLICT"
+]);
@@ -0,0 +1,14 @@
+import actions from "./actions";
+
+describe("<RecordConflicts /> - actions", () => {
+  it("should have known actions", () => {
+    const clone = { ...actions };
+
+    ["ADD_RECORD_CONFLICT", "REMOVE_RECORD_CONFLICT"].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+});
@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Typography } from "@material-ui/core";
+import { Formik, Form } from "formik";
+
+import { useI18n } from "../i18n";
+import ActionDialog from "../action-dialog";
+
+import { ConflictField } from "./components";
+import { NAME, RESOLUTIONS } from "./constants";
+import { getConflictFields, getRecordConflicts } from "./selectors";
+import { buildResolvedData, getConflictingFields } from "./utils";
+import { removeRecordConflict, resolveRecordConflict } from "./action-creators";
+
+const Component = () => {
+  let submitForm = null;
+  const i18n = useI18n();
+  const dispatch = useDispatch();
+  const conflict = useSelector(state => getRecordConflicts(state)).first();
+
+  const changes = conflict ? conflict.changes.toJS() : {};
+  const record = conflict ? conflict.record.toJS() : {};
+  const conflictingFields = getConflictingFields(changes, record);
+
+  const fields = useSelector(state =>
+    getConflictFields(state, conflictingFields)
+  );
+  // Properties generated while offline (owner, type...) are not form fields
+  const names = conflictingFields.filter(name =>
+    fields.some(field => field.name === name)
+  );
+  const [resolutions, setResolutions] = useState({});
+
+  useEffect(() => {
+    setResolutions({});
+  }, [conflict?.fromQueue]);
+
+  if (!conflict) {
+    return null;
+  }
+
+  const recordId = record.short_id || conflict.id;
+
+  const handleResolution = (name, resolution) =>
+    setResolutions({ ...resolutions, [name]: resolution });
+
+  // The request stays in the queue, the conflict comes up again the next time
+  // the queue is sent
+  const handleDefer = () => dispatch(removeRecordConflict(conflict.fromQueue));
+
+  const handleSubmit = values => {
+    const data = buildResolvedData(names, resolutions, changes, values);
+
+    dispatch(
+      resolveRecordConflict(
+        conflict,
+        data,
+        i18n.t("record_conflicts.resolved", { record_id: recordId })
+      )
+    );
+  };
+
+  const initialValues = names.reduce(
+    (acc, name) => ({ ...acc, [name]: changes[name] }),
+    {}
+  );
+
+  return (
+    <ActionDialog
+      open
+      maxSize="md"
+      dialogTitle={i18n.t("record_conflicts.title", { record_id: recordId })}
+      confirmButtonLabel={i18n.t("record_conflicts.save")}
+      successHandler={() => submitForm && submitForm()}
+      omitCloseAfterSuccess
+      cancelHandler={handleDefer}
+      cancelButtonLabel={i18n.t("record_conflicts.defer")}
+      onClose={handleDefer}
+    >
+      <Typography>{i18n.t("record_conflicts.explanation")}</Typography>
+      <Formik
+        initialValues={initialValues}
+        enableReinitialize
+        onSubmit={handleSubmit}
+      >
+        {({ submitForm: boundSubmitForm }) => {
+          submitForm = boundSubmitForm;
+
+          return (
+            <Form noValidate autoComplete="off">
+              {names.map(name => (
+                <ConflictField
+                  key={name}
+                  field={fields.find(field => field.name === name)}
+                  mine={changes[name]}
+                  theirs={record[name]}
+                  resolution={resolutions[name] || RESOLUTIONS.mine}
+                  onResolution={handleResolution}
+                  recordId={conflict.id}
+                  recordType={conflict.recordType}
+                />
+              ))}
+            </Form>
+          );
+        }}
+      </Formik>
+    </ActionDialog>
+  );
+};
+
+Component.displayName = NAME;
+
+export default Component;
@@ -0,0 +1,132 @@
+import { fromJS, List, OrderedMap } from "immutable";
+import { Button, Dialog, DialogContent, Radio } from "@material-ui/core";
+
+import { setupMountedComponent, stub } from "../../test";
+import { attachmentsIndexedDB, queueIndexedDB } from "../../db";
+import ActionDialog from "../action-dialog";
+import { FieldRecord } from "../record-form/records";
+
+import actions from "./actions";
+import RecordConflicts from "./component";
+import { RecordConflictRecord } from "./records";
+
+describe("<RecordConflicts />", () => {
+  const forms = {
+    fields: OrderedMap({
+      1: FieldRecord({
+        name: "name_first",
+        type: "text_field",
+        display_name: { en: "First Name" },
+        visible: true
+      })
+    })
+  };
+
+  it("should not render a dialog without conflicts", () => {
+    const { component } = setupMountedComponent(
+      RecordConflicts,
+      {},
+      fromJS({ forms })
+    );
+
+    expect(component.find(ActionDialog)).to.have.lengthOf(0);
+  });
+
+  describe("with a conflict", () => {
+    let component;
+
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    const actionTypes = () =>
+      component
+        .props()
+        .store.getActions()
+        .map(({ type }) => type);
+
+    const clickButton = label =>
+      component
+        .find(ActionDialog)
+        .find(Button)
+        .filterWhere(button => button.text() === label)
+        .simulate("click");
+
+    beforeEach(() => {
+      stub(attachmentsIndexedDB, "release").resolves();
+      stub(queueIndexedDB, "delete").resolves();
+
+      ({ component } = setupMountedComponent(
+        RecordConflicts,
+        {},
+        fromJS({
+          forms,
+          recordConflicts: List([
+            RecordConflictRecord({
+              fromQueue: "queue-1",
+              id: "record-1",
+              recordType: "cases",
+              changes: fromJS({
+                name_first: "Mine",
+                sex: "male",
+                owned_by: "primero"
+              }),
+              record: fromJS({
+                short_id: "abc1234",
+                name_first: "Theirs",
+                sex: "male",
+                owned_by: "primero_cp"
+              })
+            })
+          ])
+        })
+      ));
+    });
+
+    it("should render the merge dialog", () => {
+      expect(component.find(ActionDialog)).to.have.lengthOf(1);
+    });
+
+    it("should list only the conflicting fields", () => {
+      const text = component.find(DialogContent).text();
+
+      expect(text).to.contain("First Name");
+      expect(text).to.contain("Theirs");
+      expect(text).to.contain("Mine");
+      expect(component.find(Radio)).to.have.lengthOf(3);
+    });
+
+    it("should save the merged record", async () => {
+      clickButton("record_conflicts.save");
+      await flush();
+
+      expect(queueIndexedDB.delete).to.have.been.calledWith("queue-1");
+      expect(actionTypes()).to.include.members([
+        actions.REMOVE_RECORD_CONFLICT,
+        "cases/SAVE_RECORD"
+      ]);
+    });
+
+    it("should leave the request in the queue to resolve it later", async () => {
+      clickButton("record_conflicts.defer");
+      await flush();
+
+      expect(queueIndexedDB.delete).to.not.have.been.called;
+      expect(actionTypes()).to.include(actions.REMOVE_RECORD_CONFLICT);
+      expect(actionTypes()).to.not.include("cases/SAVE_RECORD");
+    });
+
+    it("should resolve it later when the dialog is closed", () => {
+      component
+        .find(Dialog)
+        .props()
+        .onClose({ stopPropagation: () => {} });
+
+      expect(actionTypes()).to.include(actions.REMOVE_RECORD_CONFLICT);
+      expect(queueIndexedDB.delete).to.not.have.been.called;
+    });
+
+    afterEach(() => {
+      attachmentsIndexedDB.release.restore();
+      queueIndexedDB.delete.restore();
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { makeStyles } from "@material-ui/styles";
+import { FormControlLabel, Radio, RadioGroup } from "@material-ui/core";
+import isNil from "lodash/isNil";
+
+import { useI18n } from "../../i18n";
+import { FormSectionField } from "../../record-form";
+import {
+  CONFLICT_FIELD_NAME,
+  NOT_MANUALLY_RESOLVABLE,
+  RESOLUTIONS
+} from "../constants";
+import styles from "../styles.css";
+
+// Both values of a conflicting field and the choice of the one to keep. A new
+// value can be entered for the fields that are not files or subforms.
+const ConflictField = ({
+  field,
+  mine,
+  onResolution,
+  recordId,
+  recordType,
+  resolution,
+  theirs
+}) => {
+  const css = makeStyles(styles)();
+  const i18n = useI18n();
+  const { name } = field;
+  const label = field.display_name?.[i18n.locale] || name;
+  const canResolveManually = !NOT_MANUALLY_RESOLVABLE.includes(field.type);
+
+  const displayValue = value => {
+    if (isNil(value) || value === "") {
+      return "--";
+    }
+
+    if (Array.isArray(value)) {
+      return value.some(item => typeof item === "object")
+        ? i18n.t("record_conflicts.entries", { count: value.length })
+        : value.join(", ");
+    }
+
+    if (typeof value === "object") {
+      return JSON.stringify(value);
+    }
+
+    return value.toString();
+  };
+
+  return (
+    <div className={css.fieldRow}>
+      <div className={css.fieldName}>{label}</div>
+      <div className={css.values}>
+        <div>
+          <div className={css.valueLabel}>
+            {i18n.t("record_conflicts.theirs")}
+          </div>
+          <div className={css.value}>{displayValue(theirs)}</div>
+        </div>
+        <div>
+          <div className={css.valueLabel}>
+            {i18n.t("record_conflicts.mine")}
+          </div>
+          <div className={css.value}>{displayValue(mine)}</div>
+        </div>
+      </div>
+      <RadioGroup
+        row
+        value={resolution}
+        onChange={event => onResolution(name, event.target.value)}
+      >
+        {Object.values(RESOLUTIONS)
+          .filter(option => option !== RESOLUTIONS.manual || canResolveManually)
+          .map(option => (
+            <FormControlLabel
+              key={option}
+              value={option}
+              control={<Radio color="primary" />}
+              label={i18n.t(`record_conflicts.keep_${option}`)}
+            />
+          ))}
+      </RadioGroup>
+      {resolution === RESOLUTIONS.manual && canResolveManually && (
+        <FormSectionField
+          name={name}
+          field={field}
+          mode={{ isEdit: true }}
+          recordType={recordType}
+          recordID={recordId}
+        />
+      )}
+    </div>
+  );
+};
+
+ConflictField.displayName = CONFLICT_FIELD_NAME;
+
+ConflictField.propTypes = {
+  field: PropTypes.object.isRequired,
+  mine: PropTypes.any,
+  onResolution: PropTypes.func.isRequired,
+  recordId: PropTypes.string,
+  recordType: PropTypes.string,
+  resolution: PropTypes.string.isRequired,
+  theirs: PropTypes.any
+};
+
+export default ConflictField;
@@ -0,0 +1,2 @@
+// eslint-disable-next-line import/prefer-default-export
+export { default as ConflictField } from "./conflict-field";
@@ -0,0 +1,24 @@
+import {
+  AUDIO_FIELD,
+  DOCUMENT_FIELD,
+  PHOTO_FIELD,
+  SUBFORM_SECTION
+} from "../record-form/constants";
+
+export const NAME = "RecordConflicts";
+
+export const CONFLICT_FIELD_NAME = "ConflictField";
+
+export const RESOLUTIONS = Object.freeze({
+  theirs: "theirs",
+  mine: "mine",
+  manual: "manual"
+});
+
+// Field types that can only take the value of one side, never a manual one
+export const NOT_MANUALLY_RESOLVABLE = Object.freeze([
+  AUDIO_FIELD,
+  DOCUMENT_FIELD,
+  PHOTO_FIELD,
+  SUBFORM_SECTION
+]);
@@ -0,0 +1,19 @@
+import * as constants from "./constants";
+
+describe("<RecordConflicts /> - constants", () => {
+  it("should have known constants", () => {
+    const clone = { ...constants };
+
+    [
+      "CONFLICT_FIELD_NAME",
+      "NAME",
+      "NOT_MANUALLY_RESOLVABLE",
+      "RESOLUTIONS"
+    ].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+});
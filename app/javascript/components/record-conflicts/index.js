@@ -0,0 +1,9 @@
+export { default } from "./component";
+export { default as reducer } from "./reducer";
+export {
+  addRecordConflict,
+  removeRecordConflict,
+  resolveRecordConflict
+} from "./action-creators";
+export { getRecordConflicts } from "./selectors";
+export { isRecordConflict } from "./utils";
@@ -0,0 +1,21 @@
+import * as index from "./index";
+
+describe("<RecordConflicts /> - index", () => {
+  const indexValues = { ...index };
+
+  it("should have known properties", () => {
+    [
+      "addRecordConflict",
+      "default",
+      "getRecordConflicts",
+      "isRecordConflict",
+      "reducer",
+      "removeRecordConflict",
+      "resolveRecordConflict"
+    ].forEach(property => {
+      expect(indexValues).to.have.property(property);
+      delete indexValues[property];
+    });
+    expect(indexValues).to.be.empty;
+  });
+});
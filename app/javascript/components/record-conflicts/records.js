@@ -0,0 +1,11 @@
+/* eslint-disable import/prefer-default-export */
+
+import { Map, Record } from "immutable";
+
+export const RecordConflictRecord = Record({
+  fromQueue: "",
+  id: "",
+  recordType: "",
+  changes: Map({}),
+  record: Map({})
+});
@@ -0,0 +1,32 @@
+import { List, fromJS } from "immutable";
+
+import actions from "./actions";
+import NAMESPACE from "./namespace";
+import { RecordConflictRecord } from "./records";
+
+const DEFAULT_STATE = List([]);
+
+const reducer = (state = DEFAULT_STATE, { type, payload }) => {
+  switch (type) {
+    case actions.ADD_RECORD_CONFLICT: {
+      const conflict = RecordConflictRecord({
+        ...payload,
+        changes: fromJS(payload.changes || {}),
+        record: fromJS(payload.record || {})
+      });
+      const index = state.findIndex(
+        current => current.fromQueue === payload.fromQueue
+      );
+
+      return index === -1 ? state.push(conflict) : state.set(index, conflict);
+    }
+    case actions.REMOVE_RECORD_CONFLICT:
+      return state.filter(conflict => conflict.fromQueue !== payload.fromQueue);
+    case "user/LOGOUT_SUCCESS":
+      return DEFAULT_STATE;
+    default:
+      return state;
+  }
+};
+
+export default { [NAMESPACE]: reducer };
@@ -0,0 +1,54 @@
+import { fromJS, List } from "immutable";
+
+import reducer from "./reducer";
+import actions from "./actions";
+import { RecordConflictRecord } from "./records";
+
+describe("<RecordConflicts /> - reducer", () => {
+  const conflict = {
+    fromQueue: "queue-1",
+    id: "record-1",
+    recordType: "cases",
+    changes: { name_first: "Mine" },
+    record: { name_first: "Theirs" }
+  };
+
+  it("should handle ADD_RECORD_CONFLICT", () => {
+    const expected = List([
+      RecordConflictRecord({
+        ...conflict,
+        changes: fromJS(conflict.changes),
+        record: fromJS(conflict.record)
+      })
+    ]);
+
+    const newState = reducer.recordConflicts(List([]), {
+      type: actions.ADD_RECORD_CONFLICT,
+      payload: conflict
+    });
+
+    expect(newState).to.deep.equal(expected);
+  });
+
+  it("should not duplicate a conflict of the same queued request", () => {
+    const action = { type: actions.ADD_RECORD_CONFLICT, payload: conflict };
+    const newState = reducer.recordConflicts(
+      reducer.recordConflicts(List([]), action),
+      action
+    );
+
+    expect(newState.size).to.equal(1);
+  });
+
+  it("should handle REMOVE_RECORD_CONFLICT", () => {
+    const newState = reducer.recordConflicts(
+      List([RecordConflictRecord({ fromQueue: "queue-1" })]),
+      {
+        type: actions.REMOVE_RECORD_CONFLICT,
+        payload: { fromQueue: "queue-1" }
+      }
+    );
+
+    expect(newState).to.deep.equal(List([]));
+  });
+});
@@ -0,0 +1,14 @@
+import { List } from "immutable";
+
+import NAMESPACE from "./namespace";
+
+export const getRecordConflicts = state => state.getIn([NAMESPACE], List([]));
+
+export const getConflictFields = (state, names) =>
+  state
+    .getIn(["forms", "fields"], List([]))
+    .valueSeq()
+    .filter(field => names.includes(field.name))
+    .groupBy(field => field.name)
+    .map(fields => fields.first())
+    .toList();
@@ -0,0 +1,38 @@
+import { fromJS, List, OrderedMap } from "immutable";
+
+import { FieldRecord } from "../record-form/records";
+
+import { getConflictFields, getRecordConflicts } from "./selectors";
+import { RecordConflictRecord } from "./records";
+
+describe("<RecordConflicts /> - selectors", () => {
+  const state = fromJS({
+    recordConflicts: List([RecordConflictRecord({ fromQueue: "queue-1" })]),
+    forms: {
+      fields: OrderedMap({
+        1: FieldRecord({ name: "name_first", type: "text_field" }),
+        2: FieldRecord({ name: "sex", type: "select_box" }),
+        3: FieldRecord({ name: "name_first", type: "text_field" })
+      })
+    }
+  });
+
+  describe("getRecordConflicts", () => {
+    it("should return the conflicts", () => {
+      expect(getRecordConflicts(state).first().fromQueue).to.equal("queue-1");
+    });
+
+    it("should return an empty list when there are no conflicts", () => {
+      expect(getRecordConflicts(fromJS({}))).to.equal(List([]));
+    });
+  });
+
+  describe("getConflictFields", () => {
+    it("should return one field per name", () => {
+      const fields = getConflictFields(state, ["name_first"]);
+
+      expect(fields.size).to.equal(1);
+      expect(fields.first().name).to.equal("name_first");
+    });
+  });
+});
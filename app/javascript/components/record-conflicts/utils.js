@@ -0,0 +1,40 @@
+import isEqual from "lodash/isEqual";
+import isNil from "lodash/isNil";
+
+import { RESOLUTIONS } from "./constants";
+
+const toTime = value => new Date(value).getTime();
+
+export const isRecordConflict = (lastUpdatedAt, record) => {
+  const { last_updated_at: serverLastUpdatedAt } = record || {};
+
+  if (!lastUpdatedAt || !serverLastUpdatedAt) {
+    return false;
+  }
+
+  return toTime(serverLastUpdatedAt) > toTime(lastUpdatedAt);
+};
+
+export const getConflictingFields = (changes = {}, record = {}) =>
+  Object.keys(changes).filter(name => {
+    const mine = changes[name];
+    const theirs = record[name];
+
+    if ((isNil(mine) || mine === "") && (isNil(theirs) || theirs === "")) {
+      return false;
+    }
+
+    return !isEqual(mine, theirs);
+  });
+
+export const buildResolvedData = (names, resolutions, changes, values) =>
+  names.reduce((acc, name) => {
+    switch (resolutions[name]) {
+      case RESOLUTIONS.theirs:
+        return acc;
+      case RESOLUTIONS.manual:
+        return { ...acc, [name]: values[name] };
+      default:
+        return { ...acc, [name]: changes[name] };
+    }
+  }, {});
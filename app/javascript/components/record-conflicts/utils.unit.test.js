@@ -0,0 +1,73 @@
+import * as utils from "./utils";
+import { RESOLUTIONS } from "./constants";
+
+describe("<RecordConflicts /> - utils", () => {
+  describe("known properties", () => {
+    const clone = { ...utils };
+
+    it("should have known properties", () => {
+      ["buildResolvedData", "getConflictingFields", "isRecordConflict"].forEach(
+        property => {
+          expect(clone).to.have.property(property);
+          delete clone[property];
+        }
+      );
+      expect(clone).to.be.empty;
+    });
+  });
+
+  describe("isRecordConflict", () => {
+    const { isRecordConflict } = utils;
+
+    it("returns true when the server record was updated after caching", () => {
+      expect(
+        isRecordConflict("2020-05-01T10:00:00.000Z", {
+          last_updated_at: "2020-05-01T11:00:00.000Z"
+        })
+      ).to.be.true;
+    });
+
+    it("returns false when the server record did not change", () => {
+      expect(
+        isRecordConflict("2020-05-01T10:00:00.000Z", {
+          last_updated_at: "2020-05-01T10:00:00.000Z"
+        })
+      ).to.be.false;
+    });
+
+    it("returns false without a cached last_updated_at", () => {
+      expect(
+        isRecordConflict(undefined, {
+          last_updated_at: "2020-05-01T10:00:00.000Z"
+        })
+      ).to.be.false;
+    });
+  });
+
+  describe("getConflictingFields", () => {
+    it("returns the changed fields whose server value differs", () => {
+      expect(
+        utils.getConflictingFields(
+          { name_first: "Mine", sex: "male", age: "", ethnicity: ["a"] },
+          { name_first: "Theirs", sex: "male", age: null, ethnicity: ["a"] }
+        )
+      ).to.deep.equal(["name_first"]);
+    });
+  });
+
+  describe("buildResolvedData", () => {
+    it("picks the value chosen for each field", () => {
+      expect(
+        utils.buildResolvedData(
+          ["name_first", "name_last", "sex"],
+          {
+            name_first: RESOLUTIONS.theirs,
+            sex: RESOLUTIONS.manual
+          },
+          { name_first: "Mine", name_last: "Mine", sex: "male" },
+          { sex: "female" }
+        )
+      ).to.deep.equal({ name_last: "Mine", sex: "female" });
+    });
+  });
+});
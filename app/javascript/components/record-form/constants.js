@@ -10,6 +10,8 @@ export const RADIO_FIELD = "radio_button";
 export const PHOTO_FIELD = "photo_upload_box";
 export const DOCUMENT_FIELD = "document_upload_box";
 export const AUDIO_FIELD = "audio_upload_box";
+export const CALCULATED_FIELD = "calculated";
+export const GPS_FIELD = "gps";
 export const NAME_FIELD = "name";
 export const NAME = "RecordForms";
 export const URL_LOOKUPS = "lookups";
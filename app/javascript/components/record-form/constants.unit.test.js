@@ -6,8 +6,10 @@ describe("Verifying config constant", () => {
 
     [
       "AUDIO_FIELD",
+      "CALCULATED_FIELD",
       "DATE_FIELD",
       "DOCUMENT_FIELD",
+      "GPS_FIELD",
       "NAME",
       "NAME_FIELD",
       "NUMERIC_FIELD",
@@ -125,7 +125,9 @@ const Container = ({ match, mode }) => {
             params.id,
             message(),
             message(true),
-            redirect
+            redirect,
+            true,
+            true
           )
         );
         if (containerMode.isEdit) {
@@ -143,6 +145,7 @@ const Container = ({ match, mode }) => {
     selectedForm,
     forms,
     mode: containerMode,
+    primeroModule: selectedModule.primeroModule,
     record,
     recordType: params.recordType
   };
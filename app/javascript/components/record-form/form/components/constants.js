@@ -1,2 +1,4 @@
+export const DRAFT_SAVE_INTERVAL = 5000;
 export const GUIDING_QUESTIONS_NAME = "GuidingQuestions";
+export const RECORD_DRAFT_NAME = "RecordDraft";
 export const WORKFLOW_INDICATOR_NAME = "WorkflowIndicator";
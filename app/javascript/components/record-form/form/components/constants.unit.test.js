@@ -4,7 +4,12 @@ describe("Verifying config constant", () => {
   it("should have known constant", () => {
     const constants = { ...componentsConstants };
 
-    ["GUIDING_QUESTIONS_NAME", "WORKFLOW_INDICATOR_NAME"].forEach(property => {
+    [
+      "DRAFT_SAVE_INTERVAL",
+      "GUIDING_QUESTIONS_NAME",
+      "RECORD_DRAFT_NAME",
+      "WORKFLOW_INDICATOR_NAME"
+    ].forEach(property => {
       expect(constants).to.have.property(property);
       delete constants[property];
     });
@@ -1,2 +1,3 @@
 export { default as WorkflowIndicator } from "./workflow-indicator";
 export { default as GuidingQuestions } from "./guiding-questions";
+export { default as RecordDraft } from "./record-draft";
@@ -0,0 +1,123 @@
+import React, { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+
+import { draftsIndexedDB } from "../../../../db";
+import { useI18n } from "../../../i18n";
+import ActionDialog from "../../../action-dialog";
+
+import { DRAFT_SAVE_INTERVAL, RECORD_DRAFT_NAME } from "./constants";
+
+// Only one draft of a new record is kept per record type, it's offered in the
+// form of the module it was started in.
+const isRestorable = (draft, recordId, primeroModule) =>
+  Boolean(draft) &&
+  (Boolean(recordId) || draft.primeroModule === primeroModule);
+
+const RecordDraft = ({
+  dirty,
+  isSubmitting,
+  primeroModule,
+  recordId,
+  recordType,
+  setValues,
+  values
+}) => {
+  const i18n = useI18n();
+  const [draft, setDraft] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const formState = useRef();
+
+  formState.current = { dirty, isSubmitting, values };
+
+  useEffect(() => {
+    let mounted = true;
+
+    draftsIndexedDB
+      .get(recordType, recordId)
+      .catch(() => null)
+      .then(storedDraft => {
+        if (mounted) {
+          setDraft(
+            isRestorable(storedDraft, recordId, primeroModule)
+              ? storedDraft
+              : null
+          );
+          setLoaded(true);
+        }
+      });
+
+    return () => {
+      mounted = false;
+    };
+  }, [recordType, recordId]);
+
+  // The stored draft isn't replaced until the user restores or discards it
+  useEffect(() => {
+    if (!loaded || draft) {
+      return undefined;
+    }
+
+    let savedValues = null;
+
+    const interval = setInterval(() => {
+      const { current } = formState;
+
+      if (
+        current.dirty &&
+        !current.isSubmitting &&
+        current.values !== savedValues
+      ) {
+        savedValues = current.values;
+        draftsIndexedDB
+          .save({ recordType, recordId, primeroModule, values: savedValues })
+          // The database is locked once the session ends
+          .catch(() => {});
+      }
+    }, DRAFT_SAVE_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [loaded, draft]);
+
+  if (!draft) {
+    return null;
+  }
+
+  const handleRestore = () => {
+    setValues(draft.values);
+    setDraft(null);
+  };
+
+  const handleDiscard = () => {
+    draftsIndexedDB.delete(recordType, recordId);
+    setDraft(null);
+  };
+
+  return (
+    <ActionDialog
+      open
+      omitCloseAfterSuccess
+      successHandler={handleRestore}
+      cancelHandler={handleDiscard}
+      dialogTitle={i18n.t("drafts.title")}
+      dialogText={i18n.t("drafts.restore_message", {
+        date: i18n.l("time.formats.with_time", draft.savedAt)
+      })}
+      confirmButtonLabel={i18n.t("drafts.restore")}
+      cancelButtonLabel={i18n.t("drafts.discard")}
+    />
+  );
+};
+
+RecordDraft.displayName = RECORD_DRAFT_NAME;
+
+RecordDraft.propTypes = {
+  dirty: PropTypes.bool,
+  isSubmitting: PropTypes.bool,
+  primeroModule: PropTypes.string,
+  recordId: PropTypes.string,
+  recordType: PropTypes.string.isRequired,
+  setValues: PropTypes.func.isRequired,
+  values: PropTypes.object.isRequired
+};
+
+export default RecordDraft;
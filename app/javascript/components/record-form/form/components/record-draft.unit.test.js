@@ -0,0 +1,133 @@
+import { Button } from "@material-ui/core";
+
+import {
+  setupMountedComponent,
+  spy,
+  stub,
+  useFakeTimers
+} from "../../../../test";
+import { draftsIndexedDB } from "../../../../db";
+import ActionDialog from "../../../action-dialog";
+
+import { DRAFT_SAVE_INTERVAL } from "./constants";
+import RecordDraft from "./record-draft";
+
+describe("<RecordDraft />", () => {
+  const draft = {
+    id: "cases/record-1",
+    recordType: "cases",
+    recordId: "record-1",
+    primeroModule: "primeromodule-cp",
+    values: { name: "Jane" },
+    savedAt: "2020-04-01T10:00:00.000Z"
+  };
+  const props = {
+    dirty: true,
+    isSubmitting: false,
+    primeroModule: "primeromodule-cp",
+    recordId: "record-1",
+    recordType: "cases",
+    values: { name: "" }
+  };
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  const mount = async (storedDraft, extraProps = {}) => {
+    stub(draftsIndexedDB, "get").resolves(storedDraft);
+    const setValues = spy();
+    const { component } = setupMountedComponent(RecordDraft, {
+      ...props,
+      setValues,
+      ...extraProps
+    });
+
+    await flush();
+    component.update();
+
+    return { component, setValues };
+  };
+
+  beforeEach(() => {
+    stub(draftsIndexedDB, "save").resolves();
+    stub(draftsIndexedDB, "delete").resolves();
+  });
+
+  afterEach(() => {
+    draftsIndexedDB.get.restore();
+    draftsIndexedDB.save.restore();
+    draftsIndexedDB.delete.restore();
+  });
+
+  it("offers to restore the draft of the record", async () => {
+    const { component, setValues } = await mount(draft);
+
+    expect(component.find(ActionDialog)).to.have.lengthOf(1);
+
+    component.find(ActionDialog).props().successHandler();
+    component.update();
+
+    expect(setValues).to.have.been.calledWith({ name: "Jane" });
+    expect(draftsIndexedDB.delete).to.not.have.been.called;
+    expect(component.find(ActionDialog)).to.have.lengthOf(0);
+  });
+
+  it("discards the draft of the record", async () => {
+    const { component, setValues } = await mount(draft);
+
+    component.find(Button).last().simulate("click");
+
+    expect(draftsIndexedDB.delete).to.have.been.calledWith("cases", "record-1");
+    expect(setValues).to.not.have.been.called;
+  });
+
+  it("does not offer the draft of a new record of another module", async () => {
+    const { component } = await mount(
+      { ...draft, id: "cases/new", recordId: null },
+      { recordId: undefined, primeroModule: "primeromodule-gbv" }
+    );
+
+    expect(component.find(ActionDialog)).to.have.lengthOf(0);
+  });
+
+  describe("when the form changes", () => {
+    let clock;
+
+    beforeEach(() => {
+      clock = useFakeTimers({ toFake: ["setInterval", "clearInterval"] });
+    });
+
+    afterEach(() => {
+      clock.restore();
+    });
+
+    it("saves the values of the dirty form periodically", async () => {
+      stub(draftsIndexedDB, "get").resolves(undefined);
+      setupMountedComponent(RecordDraft, { ...props, setValues: spy() });
+      await flush();
+
+      clock.tick(DRAFT_SAVE_INTERVAL);
+      clock.tick(DRAFT_SAVE_INTERVAL);
+
+      expect(draftsIndexedDB.save).to.have.been.calledOnceWith({
+        recordType: "cases",
+        recordId: "record-1",
+        primeroModule: "primeromodule-cp",
+        values: { name: "" }
+      });
+    });
+
+    it("does not save the values of a pristine form", async () => {
+      stub(draftsIndexedDB, "get").resolves(undefined);
+      setupMountedComponent(RecordDraft, {
+        ...props,
+        dirty: false,
+        setValues: spy()
+      });
+      await flush();
+
+      clock.tick(DRAFT_SAVE_INTERVAL);
+
+      expect(draftsIndexedDB.save).to.not.have.been.called;
+    });
+  });
+});
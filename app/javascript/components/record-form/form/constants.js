@@ -1,7 +1,41 @@
 export const ATTACHMENT_FIELD_NAME = "AttachmentField";
+export const CALCULATED_FIELD_NAME = "CalculatedField";
+export const CALCULATIONS = {
+  avg: "avg",
+  concat: "concat",
+  count: "count",
+  dateDiff: "date_diff",
+  divide: "divide",
+  if: "if",
+  max: "max",
+  min: "min",
+  multiply: "multiply",
+  round: "round",
+  subtract: "subtract",
+  sum: "sum",
+  today: "today",
+  weights: "weights"
+};
+export const DATE_DIFF_UNITS = {
+  days: "days",
+  months: "months",
+  years: "years"
+};
 export const DATE_FIELD_NAME = "DateField";
+export const DISPLAY_CONDITIONS = {
+  and: "and",
+  eq: "eq",
+  gt: "gt",
+  gte: "gte",
+  in: "in",
+  lt: "lt",
+  lte: "lte",
+  notEmpty: "not_empty",
+  or: "or"
+};
 export const DOCUMENT_FIELD_NAME = "DocumentField";
 export const FORM_SECTION_FIELD_NAME = "FormSectionField";
+export const GPS_FIELD_NAME = "GpsField";
 export const RADIO_FIELD_NAME = "RadioField";
 export const RECORD_FORM_TOOLBAR_NAME = "RecordFormToolbar";
 export const RECORD_FORM_TOOLBAR_PAGE_HEADING_NAME = `${RECORD_FORM_TOOLBAR_NAME}PageHeading`;
@@ -10,6 +44,14 @@ export const SELECT_FIELD_NAME = "SelectField";
 export const SEPERATOR_NAME = "Seperator";
 export const TEXT_FIELD_NAME = "TextField";
 export const TICK_FIELD_NAME = "TickField";
+export const VALIDATION_RULES = {
+  maxLength: "max_length",
+  minLength: "min_length",
+  onOrAfter: "on_or_after",
+  onOrBefore: "on_or_before",
+  pattern: "pattern",
+  unique: "unique"
+};
 export const CUSTOM_STRINGS_SOURCE = {
   agency: "Agency",
   location: "Location",
@@ -6,10 +6,15 @@ describe("Verifying config constant", () => {
 
     [
       "ATTACHMENT_FIELD_NAME",
+      "CALCULATED_FIELD_NAME",
+      "CALCULATIONS",
       "CUSTOM_STRINGS_SOURCE",
+      "DATE_DIFF_UNITS",
       "DATE_FIELD_NAME",
+      "DISPLAY_CONDITIONS",
       "DOCUMENT_FIELD_NAME",
       "FORM_SECTION_FIELD_NAME",
+      "GPS_FIELD_NAME",
       "RADIO_FIELD_NAME",
       "RECORD_FORM_TOOLBAR_NAME",
       "RECORD_FORM_TOOLBAR_PAGE_HEADING_NAME",
@@ -17,7 +22,8 @@ describe("Verifying config constant", () => {
       "SELECT_FIELD_NAME",
       "SEPERATOR_NAME",
       "TEXT_FIELD_NAME",
-      "TICK_FIELD_NAME"
+      "TICK_FIELD_NAME",
+      "VALIDATION_RULES"
     ].forEach(property => {
       expect(constants).to.have.property(property);
       delete constants[property];
@@ -36,4 +42,72 @@ describe("Verifying config constant", () => {
 
     expect(constants).to.be.empty;
   });
+
+  it("should have known CALCULATIONS properties", () => {
+    const constants = { ...formConstants.CALCULATIONS };
+
+    [
+      "avg",
+      "concat",
+      "count",
+      "dateDiff",
+      "divide",
+      "if",
+      "max",
+      "min",
+      "multiply",
+      "round",
+      "subtract",
+      "sum",
+      "today",
+      "weights"
+    ].forEach(property => {
+      expect(constants).to.have.property(property);
+      delete constants[property];
+    });
+
+    expect(constants).to.be.empty;
+  });
+
+  it("should have known DATE_DIFF_UNITS properties", () => {
+    const constants = { ...formConstants.DATE_DIFF_UNITS };
+
+    ["days", "months", "years"].forEach(property => {
+      expect(constants).to.have.property(property);
+      delete constants[property];
+    });
+
+    expect(constants).to.be.empty;
+  });
+
+  it("should have known VALIDATION_RULES properties", () => {
+    const constants = { ...formConstants.VALIDATION_RULES };
+
+    [
+      "maxLength",
+      "minLength",
+      "onOrAfter",
+      "onOrBefore",
+      "pattern",
+      "unique"
+    ].forEach(property => {
+      expect(constants).to.have.property(property);
+      delete constants[property];
+    });
+
+    expect(constants).to.be.empty;
+  });
+
+  it("should have known DISPLAY_CONDITIONS properties", () => {
+    const constants = { ...formConstants.DISPLAY_CONDITIONS };
+
+    ["and", "eq", "gt", "gte", "in", "lt", "lte", "notEmpty", "or"].forEach(
+      property => {
+        expect(constants).to.have.property(property);
+        delete constants[property];
+      }
+    );
+
+    expect(constants).to.be.empty;
+  });
 });
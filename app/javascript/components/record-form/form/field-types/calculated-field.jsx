@@ -0,0 +1,45 @@
+import React from "react";
+import PropTypes from "prop-types";
+import { TextField } from "@material-ui/core";
+import { connect, getIn } from "formik";
+
+import { CALCULATED_FIELD_NAME } from "../constants";
+
+// The value is calculated by the record form from the values of other fields
+const CalculatedField = ({
+  name,
+  formik,
+  label,
+  helperText,
+  fullWidth,
+  InputProps,
+  InputLabelProps
+}) => {
+  const value = getIn(formik.values, name);
+
+  return (
+    <TextField
+      name={name}
+      value={value instanceof Date ? value.toLocaleDateString() : value ?? ""}
+      label={label}
+      helperText={helperText}
+      fullWidth={fullWidth}
+      InputProps={{ ...InputProps, readOnly: true }}
+      InputLabelProps={InputLabelProps}
+    />
+  );
+};
+
+CalculatedField.displayName = CALCULATED_FIELD_NAME;
+
+CalculatedField.propTypes = {
+  formik: PropTypes.object.isRequired,
+  fullWidth: PropTypes.bool,
+  helperText: PropTypes.string,
+  InputLabelProps: PropTypes.object,
+  InputProps: PropTypes.object,
+  label: PropTypes.string,
+  name: PropTypes.string.isRequired
+};
+
+export default connect(CalculatedField);
@@ -0,0 +1,153 @@
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { makeStyles } from "@material-ui/styles";
+import { Button, CircularProgress, TextField } from "@material-ui/core";
+import MyLocationIcon from "@material-ui/icons/MyLocation";
+import { connect, getIn } from "formik";
+
+import { useI18n } from "../../../../i18n";
+import { GPS_FIELD_NAME } from "../../constants";
+import styles from "../../styles.css";
+
+import { GEOLOCATION_ERRORS, GEOLOCATION_OPTIONS } from "./constants";
+import TileMap from "./tile-map";
+import {
+  formatCoordinates,
+  isValidPoint,
+  pointToValue,
+  positionToValue
+} from "./utils";
+
+// The value is the position of the device or a pin dropped on the map. The
+// map uses the cached tiles when there's no connection, on the show page it
+// only displays the recorded point.
+const GpsField = ({
+  name,
+  label,
+  helperText,
+  disabled,
+  mode,
+  formik,
+  fullWidth,
+  InputProps,
+  InputLabelProps
+}) => {
+  const css = makeStyles(styles)();
+  const i18n = useI18n();
+  const [locating, setLocating] = useState(false);
+  const [locationError, setLocationError] = useState(null);
+  const value = getIn(formik.values, name);
+  const point = isValidPoint(value) ? value : null;
+  const editable = !mode?.isShow && !disabled;
+  const fieldError = getIn(formik.errors, name);
+
+  const setValue = newValue => formik.setFieldValue(name, newValue, false);
+
+  const handleLocate = () => {
+    if (!navigator.geolocation) {
+      setLocationError(i18n.t("fields.gps.errors.unsupported"));
+
+      return;
+    }
+
+    setLocating(true);
+    setLocationError(null);
+    navigator.geolocation.getCurrentPosition(
+      position => {
+        setLocating(false);
+        setValue(positionToValue(position));
+      },
+      error => {
+        setLocating(false);
+        setLocationError(
+          i18n.t(
+            `fields.gps.errors.${
+              GEOLOCATION_ERRORS[error.code] || "position_unavailable"
+            }`
+          )
+        );
+      },
+      GEOLOCATION_OPTIONS
+    );
+  };
+
+  const handleSelect = location => {
+    setLocationError(null);
+    setValue(pointToValue(location));
+  };
+
+  const coordinates = point
+    ? [
+        formatCoordinates(point),
+        point.accuracy &&
+          i18n.t("fields.gps.accuracy", { accuracy: point.accuracy })
+      ]
+        .filter(Boolean)
+        .join(" ")
+    : "";
+
+  return (
+    <>
+      <TextField
+        name={name}
+        value={coordinates}
+        label={label}
+        error={Boolean(locationError || fieldError)}
+        helperText={
+          locationError ||
+          (typeof fieldError === "string" && fieldError) ||
+          helperText ||
+          (editable && i18n.t("fields.gps.help"))
+        }
+        fullWidth={fullWidth}
+        InputProps={{ ...InputProps, readOnly: true }}
+        InputLabelProps={InputLabelProps}
+      />
+      {editable && (
+        <div className={css.gpsActions}>
+          <Button
+            size="small"
+            variant="outlined"
+            startIcon={
+              locating ? <CircularProgress size={16} /> : <MyLocationIcon />
+            }
+            disabled={locating}
+            onClick={handleLocate}
+          >
+            {i18n.t(
+              locating ? "fields.gps.locating" : "fields.gps.use_location"
+            )}
+          </Button>
+          {point && (
+            <Button size="small" onClick={() => setValue(null)}>
+              {i18n.t("fields.gps.clear")}
+            </Button>
+          )}
+        </div>
+      )}
+      {(editable || point) && (
+        <TileMap
+          point={point}
+          accuracy={point?.accuracy}
+          onSelect={editable ? handleSelect : null}
+        />
+      )}
+    </>
+  );
+};
+
+GpsField.displayName = GPS_FIELD_NAME;
+
+GpsField.propTypes = {
+  disabled: PropTypes.bool,
+  formik: PropTypes.object.isRequired,
+  fullWidth: PropTypes.bool,
+  helperText: PropTypes.string,
+  InputLabelProps: PropTypes.object,
+  InputProps: PropTypes.object,
+  label: PropTypes.string,
+  mode: PropTypes.object,
+  name: PropTypes.string.isRequired
+};
+
+export default connect(GpsField);
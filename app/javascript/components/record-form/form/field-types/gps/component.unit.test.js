@@ -0,0 +1,124 @@
+import { Button, TextField } from "@material-ui/core";
+
+import { setupMountedComponent, spy } from "../../../../../test";
+
+import GpsField from "./component";
+import TileMap from "./tile-map";
+
+describe("<GpsField />", () => {
+  const props = {
+    name: "location_found",
+    label: "Location found",
+    mode: { isEdit: true }
+  };
+  const value = {
+    latitude: 9.0302,
+    longitude: 38.7402,
+    accuracy: 12,
+    source: "device",
+    captured_at: "2020-04-15T10:20:30.000Z"
+  };
+
+  const mount = (initialValue, extraProps = {}, state = {}) =>
+    setupMountedComponent(GpsField, { ...props, ...extraProps }, state, [], {
+      initialValues: { location_found: initialValue }
+    }).component;
+
+  const coordinatesOf = component => component.find(TextField).props().value;
+
+  afterEach(() => {
+    delete navigator.geolocation;
+  });
+
+  it("should render the coordinates and the accuracy", () => {
+    const component = mount(value);
+
+    expect(coordinatesOf(component)).to.equal(
+      `9.0302, 38.7402 fields.gps.accuracy`
+    );
+    expect(component.find(TileMap).props().point).to.deep.equal(value);
+  });
+
+  it("should set the position of the device", () => {
+    const getCurrentPosition = spy(success =>
+      success({
+        coords: { latitude: 9.0302, longitude: 38.7402, accuracy: 12 },
+        timestamp: Date.UTC(2020, 3, 15, 10, 20, 30)
+      })
+    );
+
+    Object.defineProperty(navigator, "geolocation", {
+      value: { getCurrentPosition },
+      configurable: true
+    });
+
+    const component = mount(null);
+
+    component.find(Button).first().simulate("click");
+
+    expect(getCurrentPosition).to.have.been.calledOnce;
+    expect(component.find(TileMap).props().point).to.deep.equal(value);
+  });
+
+  it("should show an error when the position is not available", () => {
+    Object.defineProperty(navigator, "geolocation", {
+      value: { getCurrentPosition: (success, error) => error({ code: 1 }) },
+      configurable: true
+    });
+
+    const component = mount(null);
+
+    component.find(Button).first().simulate("click");
+
+    expect(component.find(TextField).props().helperText).to.equal(
+      "fields.gps.errors.permission_denied"
+    );
+  });
+
+  it("should set the point dropped on the map", () => {
+    const component = mount(null);
+    const map = component.find(TileMap).childAt(0);
+
+    map.simulate("pointerdown", { clientX: 0, clientY: 0 });
+    map.simulate("pointerup", { clientX: 0, clientY: 0 });
+
+    expect(component.find(TileMap).props().point).to.include({
+      source: "map",
+      accuracy: null
+    });
+  });
+
+  it("should only save the map offline from the tile server of the system options", () => {
+    const saveOffline = component =>
+      component.find('button[aria-label="fields.gps.save_offline"]');
+
+    expect(saveOffline(mount(value))).to.be.empty;
+
+    const component = mount(
+      value,
+      {},
+      {
+        application: {
+          mapTiles: {
+            url: "https://tiles.primero.org/{z}/{x}/{y}.png",
+            attribution: "Primero",
+            offline_levels: 2
+          }
+        }
+      }
+    );
+
+    expect(saveOffline(component)).to.have.lengthOf(1);
+    expect(component.find("img").first().props().src).to.match(
+      /^https:\/\/tiles\.primero\.org\//
+    );
+  });
+
+  it("should only render the map with the point in show mode", () => {
+    const component = mount(value, { mode: { isShow: true } });
+
+    expect(component.find(Button)).to.be.empty;
+    expect(component.find(TileMap).props().onSelect).to.be.null;
+    expect(mount(null, { mode: { isShow: true } }).find(TileMap)).to.be.empty;
+  });
+});
@@ -0,0 +1,32 @@
+export const GPS_SOURCES = Object.freeze({
+  device: "device",
+  map: "map"
+});
+
+// The device position is requested every time, a cached one could be from
+// another place
+export const GEOLOCATION_OPTIONS = Object.freeze({
+  enableHighAccuracy: true,
+  maximumAge: 0,
+  timeout: 30 * 1000
+});
+
+// Codes of the GeolocationPositionError
+export const GEOLOCATION_ERRORS = Object.freeze({
+  1: "permission_denied",
+  2: "position_unavailable",
+  3: "timeout"
+});
+
+// Decimals of the coordinates of the points dropped on the map, about 10 cm
+export const COORDINATES_PRECISION = 6;
+
+export const DEFAULT_CENTER = Object.freeze({ latitude: 0, longitude: 0 });
+
+// The height of the map is set in styles.css
+export const MAP_HEIGHT = 300;
+
+// Distance (px) the pointer has to move to pan the map instead of dropping a pin
+export const DRAG_THRESHOLD = 4;
+
+export const TILE_MAP_NAME = "TileMap";
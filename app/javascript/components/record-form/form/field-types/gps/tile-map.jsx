@@ -0,0 +1,275 @@
+/* eslint-disable jsx-a11y/no-static-element-interactions */
+import React, { useEffect, useRef, useState } from "react";
+import PropTypes from "prop-types";
+import { useDispatch, useSelector } from "react-redux";
+import { makeStyles } from "@material-ui/styles";
+import { CircularProgress, IconButton } from "@material-ui/core";
+import AddIcon from "@material-ui/icons/Add";
+import RemoveIcon from "@material-ui/icons/Remove";
+import CloudDownloadIcon from "@material-ui/icons/CloudDownload";
+import RoomIcon from "@material-ui/icons/Room";
+import clsx from "clsx";
+
+import {
+  cacheTiles,
+  metersPerPixel,
+  project,
+  tileUrl,
+  unproject,
+  visibleTiles
+} from "../../../../../libs";
+import { getMapTilesConfig } from "../../../../application";
+import { useI18n } from "../../../../i18n";
+import { enqueueSnackbar } from "../../../../notifier";
+import styles from "../../styles.css";
+
+import {
+  DEFAULT_CENTER,
+  DRAG_THRESHOLD,
+  MAP_HEIGHT,
+  TILE_MAP_NAME
+} from "./constants";
+import { mapTilesOf } from "./utils";
+
+// A map of the tiles of the tile server. The map is panned by dragging it and
+// a pin is dropped by clicking it when there's an onSelect handler.
+const TileMap = ({ accuracy, onSelect, point }) => {
+  const css = makeStyles(styles)();
+  const i18n = useI18n();
+  const dispatch = useDispatch();
+  const mapTilesConfig = useSelector(state => getMapTilesConfig(state));
+  const container = useRef();
+  const drag = useRef(null);
+  const mapTiles = mapTilesOf(mapTilesConfig);
+  const [width, setWidth] = useState(0);
+  const [progress, setProgress] = useState(null);
+  const [view, setView] = useState({
+    center: point || DEFAULT_CENTER,
+    zoom: point ? mapTiles.defaultZoom : mapTiles.minZoom
+  });
+
+  const centerPixel = project(view.center, view.zoom);
+  const toViewPixel = location => {
+    const pixel = project(location, view.zoom);
+
+    return {
+      left: pixel.x - centerPixel.x + width / 2,
+      top: pixel.y - centerPixel.y + MAP_HEIGHT / 2
+    };
+  };
+
+  useEffect(() => {
+    const updateWidth = () => setWidth(container.current?.offsetWidth || 0);
+
+    updateWidth();
+    window.addEventListener("resize", updateWidth);
+
+    return () => window.removeEventListener("resize", updateWidth);
+  }, []);
+
+  // The map is moved to the new points that are out of the view
+  useEffect(() => {
+    if (point) {
+      const { left, top } = toViewPixel(point);
+
+      if (left < 0 || left > width || top < 0 || top > MAP_HEIGHT) {
+        setView(current => ({
+          center: point,
+          zoom: Math.max(current.zoom, mapTiles.defaultZoom)
+        }));
+      }
+    }
+  }, [point?.latitude, point?.longitude]);
+
+  const handleZoom = change => () =>
+    setView(current => ({
+      ...current,
+      zoom: Math.min(
+        Math.max(current.zoom + change, mapTiles.minZoom),
+        mapTiles.maxZoom
+      )
+    }));
+
+  const handleSaveOffline = async () => {
+    setProgress({ done: 0, total: 0 });
+
+    try {
+      const count = await cacheTiles(mapTiles, view.center, view.zoom, {
+        width,
+        height: MAP_HEIGHT,
+        levels: mapTiles.offlineLevels,
+        maxZoom: mapTiles.maxZoom,
+        onProgress: (done, total) => setProgress({ done, total })
+      });
+
+      dispatch(
+        count
+          ? enqueueSnackbar(
+              i18n.t("fields.gps.saved_offline", { count }),
+              "success"
+            )
+          : enqueueSnackbar(i18n.t("fields.gps.save_offline_error"), "error")
+      );
+    } catch (error) {
+      dispatch(
+        enqueueSnackbar(i18n.t("fields.gps.save_offline_error"), "error")
+      );
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const eventPixel = event => {
+    const rect = container.current.getBoundingClientRect();
+
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  };
+
+  const handlePointerDown = event => {
+    drag.current = {
+      start: eventPixel(event),
+      center: centerPixel,
+      moved: false
+    };
+  };
+
+  const handlePointerMove = event => {
+    if (!drag.current) {
+      return;
+    }
+
+    const { x, y } = eventPixel(event);
+    const [dx, dy] = [x - drag.current.start.x, y - drag.current.start.y];
+
+    if (drag.current.moved || Math.hypot(dx, dy) > DRAG_THRESHOLD) {
+      drag.current.moved = true;
+      setView(current => ({
+        ...current,
+        center: unproject(
+          { x: drag.current.center.x - dx, y: drag.current.center.y - dy },
+          current.zoom
+        )
+      }));
+    }
+  };
+
+  const handlePointerUp = event => {
+    if (drag.current && !drag.current.moved && onSelect) {
+      const { x, y } = eventPixel(event);
+
+      onSelect(
+        unproject(
+          {
+            x: centerPixel.x + x - width / 2,
+            y: centerPixel.y + y - MAP_HEIGHT / 2
+          },
+          view.zoom
+        )
+      );
+    }
+
+    drag.current = null;
+  };
+
+  const marker = point && toViewPixel(point);
+  const accuracyDiameter =
+    point && accuracy
+      ? (2 * accuracy) / metersPerPixel(point.latitude, view.zoom)
+      : 0;
+
+  return (
+    <div
+      ref={container}
+      className={clsx(css.gpsMap, { [css.gpsMapReadOnly]: !onSelect })}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerLeave={() => {
+        drag.current = null;
+      }}
+    >
+      {visibleTiles(view.center, view.zoom, width, MAP_HEIGHT).map(tile => (
+        <img
+          key={`${tile.left}-${tile.top}`}
+          className={css.gpsTile}
+          src={tileUrl(mapTiles.url, tile)}
+          style={{ left: tile.left, top: tile.top }}
+          alt=""
+          draggable={false}
+        />
+      ))}
+      {accuracyDiameter > 0 && (
+        <div
+          className={css.gpsAccuracy}
+          style={{
+            ...marker,
+            width: accuracyDiameter,
+            height: accuracyDiameter
+          }}
+        />
+      )}
+      {marker && <RoomIcon className={css.gpsMarker} style={marker} />}
+      <div
+        className={css.gpsControls}
+        onPointerDown={event => event.stopPropagation()}
+        onPointerUp={event => event.stopPropagation()}
+      >
+        <IconButton
+          size="small"
+          aria-label={i18n.t("fields.gps.zoom_in")}
+          disabled={view.zoom >= mapTiles.maxZoom}
+          onClick={handleZoom(1)}
+        >
+          <AddIcon />
+        </IconButton>
+        <IconButton
+          size="small"
+          aria-label={i18n.t("fields.gps.zoom_out")}
+          disabled={view.zoom <= mapTiles.minZoom}
+          onClick={handleZoom(-1)}
+        >
+          <RemoveIcon />
+        </IconButton>
+        {mapTiles.offlineLevels > 0 && (
+          <IconButton
+            size="small"
+            aria-label={i18n.t("fields.gps.save_offline")}
+            title={
+              progress
+                ? i18n.t("fields.gps.saving_offline", progress)
+                : i18n.t("fields.gps.save_offline")
+            }
+            disabled={Boolean(progress) || !window.caches}
+            onClick={handleSaveOffline}
+          >
+            {progress ? (
+              <CircularProgress
+                size={20}
+                variant="static"
+                value={
+                  progress.total ? (progress.done / progress.total) * 100 : 0
+                }
+              />
+            ) : (
+              <CloudDownloadIcon />
+            )}
+          </IconButton>
+        )}
+      </div>
+      <div className={css.gpsAttribution}>{mapTiles.attribution}</div>
+    </div>
+  );
+};
+
+TileMap.displayName = TILE_MAP_NAME;
+
+TileMap.propTypes = {
+  accuracy: PropTypes.number,
+  onSelect: PropTypes.func,
+  point: PropTypes.shape({
+    latitude: PropTypes.number,
+    longitude: PropTypes.number
+  })
+};
+
+export default TileMap;
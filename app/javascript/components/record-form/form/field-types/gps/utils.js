@@ -0,0 +1,44 @@
+import isNumber from "lodash/isNumber";
+
+import { MAP_TILES } from "../../../../../config";
+
+import { COORDINATES_PRECISION, GPS_SOURCES } from "./constants";
+
+const round = value => Number(value.toFixed(COORDINATES_PRECISION));
+
+export const isValidPoint = value =>
+  isNumber(value?.latitude) &&
+  isNumber(value?.longitude) &&
+  Math.abs(value.latitude) <= 90 &&
+  Math.abs(value.longitude) <= 180;
+
+export const positionToValue = ({ coords, timestamp }) => ({
+  latitude: coords.latitude,
+  longitude: coords.longitude,
+  accuracy: Math.round(coords.accuracy),
+  source: GPS_SOURCES.device,
+  captured_at: new Date(timestamp).toISOString()
+});
+
+// The accuracy of a point dropped on the map is unknown
+export const pointToValue = ({ latitude, longitude }) => ({
+  latitude: round(latitude),
+  longitude: round(((((longitude + 180) % 360) + 360) % 360) - 180),
+  accuracy: null,
+  source: GPS_SOURCES.map,
+  captured_at: new Date().toISOString()
+});
+
+export const formatCoordinates = ({ latitude, longitude }) =>
+  `${round(latitude)}, ${round(longitude)}`;
+
+// The tiles of the tile server of the system options replace the default ones
+export const mapTilesOf = config =>
+  config.get("url")
+    ? {
+        ...MAP_TILES,
+        url: config.get("url"),
+        attribution: config.get("attribution", ""),
+        offlineLevels: config.get("offline_levels", 0)
+      }
+    : MAP_TILES;
@@ -0,0 +1,108 @@
+import { fromJS } from "immutable";
+
+import { MAP_TILES } from "../../../../../config";
+
+import * as utils from "./utils";
+
+describe("<GpsField /> - utils", () => {
+  it("should have known exports", () => {
+    const clone = { ...utils };
+
+    [
+      "formatCoordinates",
+      "isValidPoint",
+      "mapTilesOf",
+      "pointToValue",
+      "positionToValue"
+    ].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("isValidPoint", () => {
+    it("should return true for the coordinates in range", () => {
+      expect(utils.isValidPoint({ latitude: 9.03, longitude: 38.74 })).to.be
+        .true;
+      expect(utils.isValidPoint({ latitude: -90, longitude: 180 })).to.be.true;
+    });
+
+    it("should return false for the other values", () => {
+      expect(utils.isValidPoint(null)).to.be.false;
+      expect(utils.isValidPoint({ latitude: "9", longitude: 38 })).to.be.false;
+      expect(utils.isValidPoint({ latitude: 91, longitude: 38 })).to.be.false;
+      expect(utils.isValidPoint({ latitude: 9, longitude: -181 })).to.be.false;
+    });
+  });
+
+  describe("positionToValue", () => {
+    it("should return the value of a position of the device", () => {
+      expect(
+        utils.positionToValue({
+          coords: { latitude: 9.0302, longitude: 38.7402, accuracy: 12.4 },
+          timestamp: Date.UTC(2020, 3, 15, 10, 20, 30)
+        })
+      ).to.deep.equal({
+        latitude: 9.0302,
+        longitude: 38.7402,
+        accuracy: 12,
+        source: "device",
+        captured_at: "2020-04-15T10:20:30.000Z"
+      });
+    });
+  });
+
+  describe("pointToValue", () => {
+    it("should return the value of a point of the map", () => {
+      const value = utils.pointToValue({
+        latitude: 9.03021234567,
+        longitude: 398.74
+      });
+
+      expect(value).to.include({
+        latitude: 9.030212,
+        longitude: 38.74,
+        accuracy: null,
+        source: "map"
+      });
+      expect(value.captured_at).to.be.a("string");
+    });
+  });
+
+  describe("formatCoordinates", () => {
+    it("should return the rounded coordinates", () => {
+      expect(
+        utils.formatCoordinates({
+          latitude: 9.03021234567,
+          longitude: -38.7
+        })
+      ).to.equal("9.030212, -38.7");
+    });
+  });
+
+  describe("mapTilesOf", () => {
+    it("should return the tiles of the tile server of the system options", () => {
+      expect(
+        utils.mapTilesOf(
+          fromJS({
+            url: "https://tiles.primero.org/{z}/{x}/{y}.png",
+            attribution: "Primero",
+            offline_levels: 2
+          })
+        )
+      ).to.deep.equal({
+        ...MAP_TILES,
+        url: "https://tiles.primero.org/{z}/{x}/{y}.png",
+        attribution: "Primero",
+        offlineLevels: 2
+      });
+    });
+
+    it("should not save the default tiles offline", () => {
+      expect(utils.mapTilesOf(fromJS({}))).to.equal(MAP_TILES);
+      expect(MAP_TILES.offlineLevels).to.equal(0);
+    });
+  });
+});
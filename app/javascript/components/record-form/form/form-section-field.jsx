@@ -4,7 +4,9 @@ import { makeStyles } from "@material-ui/styles";
 
 import { useI18n } from "../../i18n";
 import {
+  CALCULATED_FIELD,
   DATE_FIELD,
+  GPS_FIELD,
   SELECT_FIELD,
   TICK_FIELD,
   RADIO_FIELD,
@@ -23,6 +25,8 @@ import TickField from "./field-types/tick-field";
 import Seperator from "./field-types/seperator";
 import RadioField from "./field-types/radio-field";
 import AttachmentField from "./field-types/attachments";
+import CalculatedField from "./field-types/calculated-field";
+import GpsField from "./field-types/gps";
 import styles from "./styles.css";
 
 const FormSectionField = ({
@@ -102,6 +106,10 @@ const FormSectionField = ({
       case AUDIO_FIELD:
       case DOCUMENT_FIELD:
         return AttachmentField;
+      case CALCULATED_FIELD:
+        return CalculatedField;
+      case GPS_FIELD:
+        return GpsField;
       default:
         return TextField;
     }
@@ -1,24 +1,30 @@
 import React, { memo, useEffect } from "react";
 import { useDispatch } from "react-redux";
 import PropTypes from "prop-types";
-import { number, date, array, object, string } from "yup";
 import { Formik, Form } from "formik";
-import { addDays } from "date-fns";
 import isEmpty from "lodash/isEmpty";
 import some from "lodash/some";
 import { Box } from "@material-ui/core";
 import NavigationPrompt from "react-router-navigation-prompt";
 
+import { draftsIndexedDB } from "../../../db";
 import { useI18n } from "../../i18n";
 import { enqueueSnackbar } from "../../notifier";
 import ActionDialog from "../../action-dialog";
 import { constructInitialValues } from "../utils";
-import { NUMERIC_FIELD, DATE_FIELD, SUBFORM_SECTION } from "../constants";
+import { SUBFORM_SECTION } from "../constants";
 
+import { RecordDraft } from "./components";
 import RecordFormTitle from "./record-form-title";
 import { RECORD_FORM_NAME } from "./constants";
 import FormSectionField from "./form-section-field";
 import SubformField from "./subforms";
+import {
+  getCalculatedValues,
+  getClearedHiddenValues,
+  isFieldDisplayed
+} from "./utils";
+import { buildValidationSchema } from "./validations";
 
 const ValidationErrors = () => {
   const dispatch = useDispatch();
@@ -31,6 +37,38 @@ const ValidationErrors = () => {
   return null;
 };
 
+const ClearHiddenValues = ({ fields, setFieldValue, values }) => {
+  useEffect(() => {
+    Object.entries(
+      getClearedHiddenValues(fields, values)
+    ).forEach(([name, value]) => setFieldValue(name, value, false));
+  }, [values]);
+
+  return null;
+};
+
+ClearHiddenValues.propTypes = {
+  fields: PropTypes.array.isRequired,
+  setFieldValue: PropTypes.func.isRequired,
+  values: PropTypes.object.isRequired
+};
+
+const CalculateValues = ({ fields, setFieldValue, values }) => {
+  useEffect(() => {
+    Object.entries(
+      getCalculatedValues(fields, values)
+    ).forEach(([name, value]) => setFieldValue(name, value, false));
+  }, [values]);
+
+  return null;
+};
+
+CalculateValues.propTypes = {
+  fields: PropTypes.array.isRequired,
+  setFieldValue: PropTypes.func.isRequired,
+  values: PropTypes.object.isRequired
+};
+
 const RecordForm = ({
   bindSubmitForm,
   forms,
@@ -38,11 +76,13 @@ const RecordForm = ({
   mobileDisplay,
   mode,
   onSubmit,
+  primeroModule,
   record,
   recordType,
   selectedForm
 }) => {
   const i18n = useI18n();
+  const recordId = record?.get("id");
 
   let initialFormValues = constructInitialValues(forms.values());
 
@@ -50,67 +90,11 @@ const RecordForm = ({
     initialFormValues = { ...initialFormValues, ...record.toJS() };
   }
 
-  const fieldValidations = field => {
-    const { name, type, required } = field;
-    const validations = {};
-
-    if (NUMERIC_FIELD === type) {
-      if (name.match(/.*age$/)) {
-        validations[name] = number()
-          .nullable()
-          .transform(cv => (NaN.isNaN(cv) ? undefined : cv))
-          .positive()
-          .min(0, i18n.t("errors.models.child.age"))
-          .max(130, i18n.t("errors.models.child.age"));
-      } else {
-        validations[name] = number().nullable().min(0).max(2147483647);
-      }
-    } else if (DATE_FIELD === type) {
-      validations[name] = date().nullable();
-      if (field.date_validation === "default_date_validation") {
-        validations[name] = validations[name].max(
-          addDays(new Date(), 1),
-          i18n.t("fields.future_date_not_valid")
-        );
-      }
-    } else if (SUBFORM_SECTION === type) {
-      const subformSchema = field.subform_section_id.fields.map(sf => {
-        return fieldValidations(sf);
-      });
-
-      validations[name] = array().of(
-        object().shape(Object.assign({}, ...subformSchema))
-      );
-    }
-
-    if (required) {
-      validations[name] = (validations[name] || string()).required(
-        i18n.t("form_section.required_field", {
-          field: field.display_name[i18n.locale]
-        })
-      );
-    }
-
-    return validations;
-  };
-
-  const buildValidationSchema = formSections => {
-    const schema = formSections.reduce((obj, item) => {
-      return Object.assign(
-        {},
-        obj,
-        ...item.fields.map(f => fieldValidations(f))
-      );
-    }, {});
-
-    return object().shape(schema);
-  };
-
   useEffect(() => {
     document.getElementsByClassName("record-form-container")[0].scrollTop = 0;
   }, [selectedForm]);
 
-  const renderFormSections = fs =>
+  const renderFormSections = (fs, values) =>
     fs.map(form => {
       if (selectedForm === form.unique_id) {
         return (
@@ -126,10 +110,10 @@ const RecordForm = ({
                 field,
                 mode,
                 recordType,
-                recordID: record?.get("id")
+                recordID: recordId
               };
 
-              if (!field?.visible) {
+              if (!isFieldDisplayed(field, values)) {
                 return null;
               }
 
@@ -151,7 +135,8 @@ const RecordForm = ({
     });
 
   if (!isEmpty(initialFormValues) && !isEmpty(forms)) {
-    const validationSchema = buildValidationSchema(forms);
+    const validationSchema = buildValidationSchema(forms, i18n);
+    const fields = [...forms.values()].flatMap(form => [...form.fields]);
 
     return (
       <Formik
@@ -160,11 +145,18 @@ const RecordForm = ({
         validateOnBlur={false}
         validateOnChange={false}
         enableReinitialize
-        onSubmit={values => {
-          onSubmit(initialFormValues, values);
-        }}
+        onSubmit={values => onSubmit(initialFormValues, values)}
       >
-        {({ handleSubmit, submitForm, errors, dirty, isSubmitting }) => {
+        {({
+          handleSubmit,
+          submitForm,
+          errors,
+          dirty,
+          isSubmitting,
+          setFieldValue,
+          setValues,
+          values
+        }) => {
           bindSubmitForm(submitForm);
           const hasErrors = some(errors, e => !isEmpty(e));
 
@@ -174,7 +166,10 @@ const RecordForm = ({
                 {({ onConfirm, onCancel }) => (
                   <ActionDialog
                     open
-                    successHandler={onConfirm}
+                    successHandler={() => {
+                      draftsIndexedDB.delete(recordType, recordId);
+                      onConfirm();
+                    }}
                     cancelHandler={onCancel}
                     dialogTitle={i18n.t("record_panel.record_information")}
                     dialogText={i18n.t("messages.confirmation_message")}
@@ -183,7 +178,30 @@ const RecordForm = ({
                 )}
               </NavigationPrompt>
               {!isEmpty(hasErrors) && <ValidationErrors />}
-              {renderFormSections(forms)}
+              {!mode?.isShow && (
+                <>
+                  <RecordDraft
+                    dirty={dirty}
+                    isSubmitting={isSubmitting}
+                    primeroModule={primeroModule}
+                    recordId={recordId}
+                    recordType={recordType}
+                    setValues={setValues}
+                    values={values}
+                  />
+                  <ClearHiddenValues
+                    fields={fields}
+                    setFieldValue={setFieldValue}
+                    values={values}
+                  />
+                  <CalculateValues
+                    fields={fields}
+                    setFieldValue={setFieldValue}
+                    values={values}
+                  />
+                </>
+              )}
+              {renderFormSections(forms, values)}
             </Form>
           );
         }}
@@ -203,6 +221,7 @@ RecordForm.propTypes = {
   mobileDisplay: PropTypes.bool.isRequired,
   mode: PropTypes.object,
   onSubmit: PropTypes.func.isRequired,
+  primeroModule: PropTypes.string,
   record: PropTypes.object,
   recordType: PropTypes.string.isRequired,
   selectedForm: PropTypes.oneOfType([PropTypes.string, PropTypes.number])
@@ -1,4 +1,5 @@
 import { fromJS, Map } from "immutable";
+import { Formik } from "formik";
 
 import { getRecordForms } from "../selectors";
 import { RECORD_TYPES } from "../../../config";
@@ -28,7 +29,7 @@ describe("<RecordForm />", () => {
           visible: true,
           is_nested: false,
           parent_form: RECORD_TYPES.cases,
-          fields: [1, 2]
+          fields: [1, 2, 3, 4, 5]
         }
       }),
       fields: Map({
@@ -49,6 +50,40 @@ describe("<RecordForm />", () => {
           },
           type: TEXT_FIELD_NAME,
           visible: true
+        },
+        3: {
+          id: 3,
+          name: "field_3",
+          display_name: {
+            en: "Field 3"
+          },
+          type: TEXT_FIELD_NAME,
+          visible: true,
+          display_conditions: { eq: { field_1: "Value 1" } }
+        },
+        4: {
+          id: 4,
+          name: "field_4",
+          display_name: {
+            en: "Field 4"
+          },
+          type: TEXT_FIELD_NAME,
+          visible: true,
+          required: true,
+          display_conditions: { eq: { field_2: "Other value" } },
+          clear_hidden_value: true
+        },
+        5: {
+          id: 5,
+          name: "field_5",
+          display_name: {
+            en: "Field 5"
+          },
+          type: "calculated",
+          visible: true,
+          calculation: {
+            concat: [{ field: "field_1" }, " - ", { field: "field_2" }]
+          }
         }
       })
     })
@@ -75,7 +110,9 @@ describe("<RecordForm />", () => {
       onSubmit: () => {},
       record: fromJS({
         field_1: "Value 1",
-        field_2: "Value 2"
+        field_2: "Value 2",
+        field_3: "Value 3",
+        field_4: "Value 4"
       }),
       recordType: RECORD_TYPES.cases,
       selectedForm: "form_section_1"
@@ -84,7 +121,37 @@ describe("<RecordForm />", () => {
 
   it("renders the selected form and fields", () => {
     expect(component.find(RecordForm)).to.have.lengthOf(1);
-    expect(component.find(FormSectionField)).to.have.lengthOf(2);
+    expect(component.find(FormSectionField)).to.have.lengthOf(4);
+  });
+
+  it("does not render the fields whose display conditions do not match", () => {
+    expect(
+      component.find(FormSectionField).map(field => field.props().name)
+    ).to.deep.equal(["field_1", "field_2", "field_3", "field_5"]);
+  });
+
+  it("clears the value of the hidden fields configured to lose it", () => {
+    const { values } = component.find(Formik).instance().state;
+
+    expect(values.field_3).to.equal("Value 3");
+    expect(values.field_4).to.equal("");
+  });
+
+  it("calculates the values of the calculated fields", () => {
+    const { values } = component.find(Formik).instance().state;
+
+    expect(values.field_5).to.equal("Value 1 - Value 2");
+    expect(component.find("input[name='field_5']").props().readOnly).to.be.true;
+  });
+
+  it("requires the hidden fields only when they are displayed", async () => {
+    const formik = component.find(Formik).instance();
+    const { values } = formik.state;
+
+    expect(await formik.runValidations(values)).to.be.empty;
+    expect(
+      await formik.runValidations({ ...values, field_2: "Other value" })
+    ).to.have.all.keys("field_4");
   });
 
   afterEach(() => {
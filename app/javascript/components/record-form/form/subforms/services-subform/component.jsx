@@ -4,6 +4,7 @@ import { getIn } from "formik";
 import { Box } from "@material-ui/core";
 
 import FormSectionField from "../../form-section-field";
+import { isFieldDisplayed } from "../../utils";
 
 import { NAME } from "./constants";
 
@@ -42,6 +43,11 @@ const Component = ({ field, formik, index, mode }) => {
     }
   };
 
+  const entryValues = {
+    ...formik.values,
+    ...formik.values[field.name]?.[index]
+  };
+
   return (
     <>
       {field.subform_section_id.fields.map(f => {
@@ -58,6 +64,10 @@ const Component = ({ field, formik, index, mode }) => {
           }
         };
 
+        if (!isFieldDisplayed(f, entryValues)) {
+          return null;
+        }
+
         return (
           <Box my={3} key={f.name}>
             <FormSectionField {...fieldProps} />
@@ -15,7 +15,7 @@ import FormSectionField from "../../form-section-field";
 import { SUBFORM_DIALOG } from "../constants";
 import ServicesSubform from "../services-subform";
 import SubformMenu from "../subform-menu";
-import { serviceHasReferFields } from "../../utils";
+import { isFieldDisplayed, serviceHasReferFields } from "../../utils";
 
 const Component = ({
   index,
@@ -33,6 +33,10 @@ const Component = ({
   };
 
   if (index !== null) {
+    const entryValues = {
+      ...formik.values,
+      ...formik.values[field.name]?.[index]
+    };
     const actionButton =
       mode.isEdit || mode.isNew ? (
         <Button
@@ -83,6 +87,10 @@ const Component = ({
                 parentField: field
               };
 
+              if (!isFieldDisplayed(f, entryValues)) {
+                return null;
+              }
+
               return (
                 <Box my={3} key={f.name}>
                   <FormSectionField {...fieldProps} />
@@ -1,10 +1,330 @@
 import find from "lodash/find";
+import isEmpty from "lodash/isEmpty";
+import isEqual from "lodash/isEqual";
+import isPlainObject from "lodash/isPlainObject";
 import { fromJS } from "immutable";
+import {
+  differenceInCalendarDays,
+  differenceInMonths,
+  differenceInYears,
+  startOfDay
+} from "date-fns";
 
-import { SERVICE_SECTION_FIELDS } from "../../record-actions/transitions/components/referrals";
+import { SERVICE_SECTION_FIELDS } from "../../record-actions/transitions/components/referrals/constants";
 import { CODE_FIELD, NAME_FIELD, UNIQUE_ID_FIELD } from "../../../config";
+import { getFieldDefaultValue, parseDate } from "../utils";
+import { CALCULATED_FIELD, SUBFORM_SECTION } from "../constants";
 
-import { CUSTOM_STRINGS_SOURCE } from "./constants";
+import {
+  CALCULATIONS,
+  CUSTOM_STRINGS_SOURCE,
+  DATE_DIFF_UNITS,
+  DISPLAY_CONDITIONS
+} from "./constants";
+
+const isEmptyValue = value =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+// Multi-select values match when any of their options does
+const valueMatches = (value, operand) =>
+  Array.isArray(value)
+    ? value.some(current => String(current) === String(operand))
+    : !isEmptyValue(value) && String(value) === String(operand);
+
+const compareNumbers = (value, operand, comparator) =>
+  !isEmptyValue(value) &&
+  !Number.isNaN(Number(value)) &&
+  comparator(Number(value), Number(operand));
+
+// The subform entries already saved are destroyed instead of being dropped
+const clearedValue = (field, value) =>
+  field.type === SUBFORM_SECTION
+    ? (value || [])
+        // eslint-disable-next-line camelcase
+        .filter(entry => entry?.unique_id)
+        .map(entry => ({ _destroy: true, unique_id: entry.unique_id }))
+    : getFieldDefaultValue(field);
+
+// The conditions that are unknown or not well formed are ignored, so a field
+// misconfigured is displayed instead of breaking the form
+const comparisonMatches = (operator, operands, values) => {
+  if (!isPlainObject(operands)) {
+    return true;
+  }
+
+  return Object.entries(operands).every(([name, operand]) => {
+    const value = values?.[name];
+
+    switch (operator) {
+      case DISPLAY_CONDITIONS.eq:
+        return valueMatches(value, operand);
+      case DISPLAY_CONDITIONS.in:
+        return [operand].flat().some(option => valueMatches(value, option));
+      case DISPLAY_CONDITIONS.notEmpty:
+        return isEmptyValue(value) !== Boolean(operand);
+      case DISPLAY_CONDITIONS.gt:
+        return compareNumbers(value, operand, (a, b) => a > b);
+      case DISPLAY_CONDITIONS.gte:
+        return compareNumbers(value, operand, (a, b) => a >= b);
+      case DISPLAY_CONDITIONS.lt:
+        return compareNumbers(value, operand, (a, b) => a < b);
+      case DISPLAY_CONDITIONS.lte:
+        return compareNumbers(value, operand, (a, b) => a <= b);
+      default:
+        return true;
+    }
+  });
+};
+
+const conditionsMatch = (conditions, values) =>
+  !isPlainObject(conditions) ||
+  isEmpty(conditions) ||
+  Object.entries(conditions).every(([operator, operands]) => {
+    switch (operator) {
+      case DISPLAY_CONDITIONS.and:
+        return [operands]
+          .flat()
+          .every(condition => conditionsMatch(condition, values));
+      case DISPLAY_CONDITIONS.or:
+        return [operands]
+          .flat()
+          .some(condition => conditionsMatch(condition, values));
+      default:
+        return comparisonMatches(operator, operands, values);
+    }
+  });
+
+const isReference = node =>
+  isPlainObject(node) && ("field" in node || "subform" in node);
+
+// Tally fields keep a number for every group, e.g. { boys: 1, girls: 2 }
+const flattenValues = value => {
+  if (Array.isArray(value)) {
+    return value.flatMap(flattenValues);
+  }
+
+  if (isPlainObject(value)) {
+    return Object.values(value).flatMap(flattenValues);
+  }
+
+  return isEmptyValue(value) ? [] : [value];
+};
+
+const toNumbers = value =>
+  flattenValues(value)
+    .map(Number)
+    .filter(number => !Number.isNaN(number));
+
+const toNumber = value => (isEmptyValue(value) ? NaN : Number(value));
+
+const subformEntries = rows =>
+  (Array.isArray(rows) ? rows : []).filter(row => row && !row._destroy);
+
+// The fields of a subform entry are found in the entry first
+const resolveReference = ({ field, subform }, values, entry) => {
+  if (subform) {
+    const rows = subformEntries(values?.[subform]);
+
+    return field ? rows.map(row => row[field]) : rows;
+  }
+
+  return entry && field in entry ? entry[field] : values?.[field];
+};
+
+const conditionReferences = condition =>
+  Object.entries(isPlainObject(condition) ? condition : {}).flatMap(
+    ([operator, operands]) => {
+      if ([DISPLAY_CONDITIONS.and, DISPLAY_CONDITIONS.or].includes(operator)) {
+        return [operands].flat().flatMap(conditionReferences);
+      }
+
+      return isPlainObject(operands) ? Object.keys(operands) : [];
+    }
+  );
+
+const dateDifference = (from, to, unit = DATE_DIFF_UNITS.years) => {
+  const [start, end] = [parseDate(from), parseDate(to)];
+
+  if (!start || !end) {
+    return null;
+  }
+
+  switch (unit) {
+    case DATE_DIFF_UNITS.days:
+      return differenceInCalendarDays(end, start);
+    case DATE_DIFF_UNITS.months:
+      return differenceInMonths(end, start);
+    default:
+      return differenceInYears(end, start);
+  }
+};
+
+const calculate = (node, values, entry) => {
+  if (isReference(node)) {
+    return resolveReference(node, values, entry);
+  }
+
+  if (!isPlainObject(node)) {
+    return node;
+  }
+
+  const [[operator, operands]] = Object.entries(node);
+  const args = [operands].flat();
+  const results = () => args.map(arg => calculate(arg, values, entry));
+
+  switch (operator) {
+    case CALCULATIONS.sum:
+      return toNumbers(results()).reduce((total, number) => total + number, 0);
+    case CALCULATIONS.count:
+      return results().reduce(
+        (total, result) =>
+          total +
+          (Array.isArray(result)
+            ? result.length
+            : Number(!isEmptyValue(result))),
+        0
+      );
+    case CALCULATIONS.avg: {
+      const numbers = toNumbers(results());
+
+      return numbers.length
+        ? numbers.reduce((total, number) => total + number, 0) / numbers.length
+        : null;
+    }
+    case CALCULATIONS.min:
+    case CALCULATIONS.max: {
+      const numbers = toNumbers(results());
+
+      return numbers.length ? Math[operator](...numbers) : null;
+    }
+    case CALCULATIONS.subtract: {
+      const [minuend, subtrahend] = results().map(toNumber);
+
+      return minuend - subtrahend;
+    }
+    case CALCULATIONS.multiply:
+      return results()
+        .map(toNumber)
+        .reduce((total, number) => total * number, 1);
+    case CALCULATIONS.divide: {
+      const [dividend, divisor] = results().map(toNumber);
+
+      return divisor ? dividend / divisor : null;
+    }
+    case CALCULATIONS.round: {
+      const [value, digits = 0] = results().map(toNumber);
+      const factor = 10 ** digits;
+
+      return Math.round(value * factor) / factor;
+    }
+    case CALCULATIONS.concat:
+      return flattenValues(results()).join("").trim();
+    case CALCULATIONS.dateDiff:
+      return dateDifference(...results());
+    case CALCULATIONS.today:
+      return startOfDay(new Date());
+    case CALCULATIONS.weights: {
+      const [answer, weights] = args;
+
+      return toNumbers(
+        flattenValues(calculate(answer, values, entry)).map(
+          option => weights[option]
+        )
+      ).reduce((total, number) => total + number, 0);
+    }
+    case CALCULATIONS.if: {
+      const [condition, then, otherwise = null] = args;
+
+      return calculate(
+        conditionsMatch(condition, { ...values, ...entry }) ? then : otherwise,
+        values,
+        entry
+      );
+    }
+    default:
+      throw new Error(`Unknown calculation ${operator}`);
+  }
+};
+
+const calculationReferences = calculation => {
+  if (Array.isArray(calculation)) {
+    return calculation.flatMap(calculationReferences);
+  }
+
+  if (isReference(calculation)) {
+    return [calculation.subform, calculation.field].filter(Boolean);
+  }
+
+  if (!isPlainObject(calculation)) {
+    return [];
+  }
+
+  return Object.entries(calculation).flatMap(([operator, operands]) => {
+    const [first, ...rest] = [operands].flat();
+
+    switch (operator) {
+      case CALCULATIONS.if:
+        return [...conditionReferences(first), ...calculationReferences(rest)];
+      case CALCULATIONS.weights:
+        return calculationReferences(first);
+      default:
+        return calculationReferences([operands].flat());
+    }
+  });
+};
+
+const calculatedFields = fields =>
+  [...fields].flatMap(field => {
+    if (field.type === SUBFORM_SECTION && field.subform_section_id?.fields) {
+      return [...field.subform_section_id.fields]
+        .filter(subformField => subformField.type === CALCULATED_FIELD)
+        .map(subformField => ({ field: subformField, subform: field.name }));
+    }
+
+    return field.type === CALCULATED_FIELD ? [{ field }] : [];
+  });
+
+// Sorts the calculated fields so every field is calculated after the fields it
+// references. The fields with circular references are never calculated.
+const sortCalculatedFields = fields => {
+  const calculated = new Map(
+    calculatedFields(fields).map(current => [current.field.name, current])
+  );
+  const states = {};
+  const sorted = [];
+
+  const visit = name => {
+    if (states[name]) {
+      return states[name] === "calculated";
+    }
+
+    states[name] = "visiting";
+
+    const acyclic = calculationReferences(
+      calculated.get(name).field.calculation
+    )
+      .filter(reference => calculated.has(reference))
+      .every(visit);
+
+    states[name] = acyclic ? "calculated" : "circular";
+
+    if (acyclic) {
+      sorted.push(calculated.get(name));
+    }
+
+    return acyclic;
+  };
+
+  [...calculated.keys()].forEach(visit);
+
+  return sorted;
+};
+
+const calculationResult = value =>
+  value === undefined || value === null || Number.isNaN(value) ? "" : value;
 
 export const appendDisabledAgency = (agencies, agencyUniqueId) =>
   agencyUniqueId &&
@@ -192,3 +512,129 @@ export const serviceIsReferrable = (service, services, agencies, users) => {
 
   return false;
 };
+
+// The display conditions reference the values of other fields, e.g.
+// { and: [{ eq: { disability_yes_no: "true" } }, { gte: { age: 5 } }] }.
+// All the operators of a condition must match. A field without conditions is
+// always displayed.
+export const evaluateDisplayConditions = conditionsMatch;
+
+export const isFieldDisplayed = (field, values) =>
+  Boolean(field?.visible) &&
+  evaluateDisplayConditions(field.display_conditions, values);
+
+// Returns the values to set, keyed by their path, for the hidden fields
+// configured to lose their value. The fields of a subform entry are evaluated
+// against the values of the entry and the values of the record.
+export const getClearedHiddenValues = (fields, values) =>
+  [...fields].reduce((result, field) => {
+    const value = values?.[field.name];
+
+    if (
+      field.clear_hidden_value &&
+      !evaluateDisplayConditions(field.display_conditions, values)
+    ) {
+      const cleared = clearedValue(field, value);
+
+      return isEqual(value, cleared)
+        ? result
+        : { ...result, [field.name]: cleared };
+    }
+
+    if (field.type !== SUBFORM_SECTION || !Array.isArray(value)) {
+      return result;
+    }
+
+    return value.reduce((entries, entry, index) => {
+      if (!entry || entry._destroy) {
+        return entries;
+      }
+
+      return [...field.subform_section_id.fields].reduce(
+        (current, subformField) => {
+          const cleared = getFieldDefaultValue(subformField);
+
+          return subformField.clear_hidden_value &&
+            subformField.name in entry &&
+            !isEqual(entry[subformField.name], cleared) &&
+            !evaluateDisplayConditions(subformField.display_conditions, {
+              ...values,
+              ...entry
+            })
+            ? {
+                ...current,
+                [`${field.name}[${index}].${subformField.name}`]: cleared
+              }
+            : current;
+        },
+        entries
+      );
+    }, result);
+  }, {});
+
+// The calculations are expressions over the values of other fields, e.g.
+// { sum: [{ field: "tally_boys" }, { field: "tally_girls" }] } or
+// { avg: [{ subform: "family_details", field: "age" }] } to aggregate the
+// entries of a subform.
+// A calculation that is not valid has no value instead of breaking the form
+export const evaluateCalculation = (calculation, values, entry) => {
+  try {
+    return calculationResult(calculate(calculation, values, entry));
+  } catch (error) {
+    return calculationResult(null);
+  }
+};
+
+export const getCalculationReferences = calculationReferences;
+
+// Returns the values of the calculated fields that changed, keyed by their
+// path. The calculated fields of a subform are calculated for every entry.
+export const getCalculatedValues = (fields, values) =>
+  sortCalculatedFields(fields).reduce(
+    ({ current, changes }, { field, subform }) => {
+      if (!subform) {
+        const value = evaluateCalculation(field.calculation, current);
+
+        return isEqual(current[field.name], value)
+          ? { current, changes }
+          : {
+              current: { ...current, [field.name]: value },
+              changes: { ...changes, [field.name]: value }
+            };
+      }
+
+      const rows = current[subform];
+
+      return (Array.isArray(rows) ? rows : []).reduce(
+        (result, row, index) => {
+          if (!row || row._destroy) {
+            return result;
+          }
+
+          const value = evaluateCalculation(
+            field.calculation,
+            result.current,
+            row
+          );
+
+          if (isEqual(row[field.name], value)) {
+            return result;
+          }
+
+          const updatedRows = [...result.current[subform]];
+
+          updatedRows[index] = { ...row, [field.name]: value };
+
+          return {
+            current: { ...result.current, [subform]: updatedRows },
+            changes: {
+              ...result.changes,
+              [`${subform}[${index}].${field.name}`]: value
+            }
+          };
+        },
+        { current, changes }
+      );
+    },
+    { current: values, changes: {} }
+  ).changes;
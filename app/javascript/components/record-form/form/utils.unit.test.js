@@ -15,9 +15,15 @@ describe("Verifying utils", () => {
       "appendDisabledAgency",
       "appendDisabledUser",
       "buildCustomLookupsConfig",
+      "evaluateCalculation",
+      "evaluateDisplayConditions",
       "findOptionDisplayText",
+      "getCalculatedValues",
+      "getCalculationReferences",
+      "getClearedHiddenValues",
       "getConnectedFields",
       "handleChangeOnServiceUser",
+      "isFieldDisplayed",
       "translatedText",
       "serviceHasReferFields",
       "serviceIsReferrable"
@@ -227,3 +233,420 @@ describe("getConnectedFields", () => {
     });
   });
 });
+
+describe("evaluateDisplayConditions", () => {
+  const values = {
+    age: "12",
+    disability_type: ["physical", "mental"],
+    disability_yes_no: "true",
+    name: ""
+  };
+
+  it("should match the fields without conditions", () => {
+    expect(helpers.evaluateDisplayConditions(null, values)).to.be.true;
+    expect(helpers.evaluateDisplayConditions({}, values)).to.be.true;
+  });
+
+  it("should compare the values of the fields", () => {
+    expect(
+      helpers.evaluateDisplayConditions(
+        { eq: { disability_yes_no: "true" } },
+        values
+      )
+    ).to.be.true;
+    expect(
+      helpers.evaluateDisplayConditions(
+        { eq: { disability_type: "mental" } },
+        values
+      )
+    ).to.be.true;
+    expect(helpers.evaluateDisplayConditions({ eq: { name: "" } }, values)).to
+      .be.false;
+    expect(
+      helpers.evaluateDisplayConditions(
+        { in: { disability_yes_no: ["false", "unknown"] } },
+        values
+      )
+    ).to.be.false;
+  });
+
+  it("should check if the values are empty", () => {
+    expect(
+      helpers.evaluateDisplayConditions(
+        { not_empty: { disability_type: true, name: false } },
+        values
+      )
+    ).to.be.true;
+    expect(
+      helpers.evaluateDisplayConditions({ not_empty: { name: true } }, values)
+    ).to.be.false;
+  });
+
+  it("should compare the numeric values", () => {
+    expect(
+      helpers.evaluateDisplayConditions(
+        { gt: { age: 10 }, lte: { age: 12 } },
+        values
+      )
+    ).to.be.true;
+    expect(helpers.evaluateDisplayConditions({ lt: { age: 12 } }, values)).to.be
+      .false;
+    expect(helpers.evaluateDisplayConditions({ gte: { name: 0 } }, values)).to
+      .be.false;
+  });
+
+  it("should combine the conditions", () => {
+    const conditions = {
+      and: [
+        { eq: { disability_yes_no: "true" } },
+        { or: [{ gte: { age: 18 } }, { in: { disability_type: ["mental"] } }] }
+      ]
+    };
+
+    expect(helpers.evaluateDisplayConditions(conditions, values)).to.be.true;
+    expect(
+      helpers.evaluateDisplayConditions(conditions, {
+        ...values,
+        disability_type: ["physical"]
+      })
+    ).to.be.false;
+  });
+
+  it("should ignore the unknown operators and the malformed conditions", () => {
+    expect(helpers.evaluateDisplayConditions({ ne: { age: 12 } }, values)).to.be
+      .true;
+    expect(helpers.evaluateDisplayConditions({ eq: "age" }, values)).to.be.true;
+    expect(
+      helpers.evaluateDisplayConditions(
+        { and: { eq: { disability_yes_no: "false" } } },
+        values
+      )
+    ).to.be.false;
+    expect(helpers.evaluateDisplayConditions("age", values)).to.be.true;
+  });
+});
+
+describe("isFieldDisplayed", () => {
+  it("should not display the fields that are not visible", () => {
+    expect(helpers.isFieldDisplayed({ visible: false }, {})).to.be.false;
+  });
+
+  it("should display the visible fields whose conditions match", () => {
+    const field = {
+      visible: true,
+      display_conditions: { eq: { disability_yes_no: "true" } }
+    };
+
+    expect(helpers.isFieldDisplayed(field, { disability_yes_no: "true" })).to.be
+      .true;
+    expect(helpers.isFieldDisplayed(field, { disability_yes_no: "false" })).to
+      .be.false;
+  });
+});
+
+describe("getClearedHiddenValues", () => {
+  const conditions = { eq: { disability_yes_no: "true" } };
+  const fields = [
+    { name: "disability_yes_no", type: "radio_button" },
+    {
+      name: "disability_details",
+      type: "text_field",
+      display_conditions: conditions,
+      clear_hidden_value: true
+    },
+    {
+      name: "disability_notes",
+      type: "text_field",
+      display_conditions: conditions
+    },
+    {
+      name: "disabilities",
+      type: "subform",
+      display_conditions: conditions,
+      clear_hidden_value: true,
+      subform_section_id: { fields: [] }
+    },
+    {
+      name: "relatives",
+      type: "subform",
+      subform_section_id: {
+        fields: [
+          { name: "relation", type: "select_box" },
+          {
+            name: "relation_other",
+            type: "text_field",
+            display_conditions: { eq: { relation: "other" } },
+            clear_hidden_value: true
+          }
+        ]
+      }
+    }
+  ];
+
+  it("should return the values of the hidden fields to clear", () => {
+    const values = {
+      disability_yes_no: "false",
+      disability_details: "Details",
+      disability_notes: "Notes",
+      disabilities: [
+        { unique_id: "d-1", type: "physical" },
+        { type: "mental" }
+      ],
+      relatives: [
+        { relation: "mother", relation_other: "Aunt" },
+        { relation: "other", relation_other: "Cousin" },
+        { _destroy: true, unique_id: "r-1" }
+      ]
+    };
+
+    expect(helpers.getClearedHiddenValues(fields, values)).to.deep.equal({
+      disability_details: "",
+      disabilities: [{ _destroy: true, unique_id: "d-1" }],
+      "relatives[0].relation_other": ""
+    });
+  });
+
+  it("should not return the values already cleared or displayed", () => {
+    expect(
+      helpers.getClearedHiddenValues(fields, {
+        disability_yes_no: "false",
+        disability_details: "",
+        disabilities: [{ _destroy: true, unique_id: "d-1" }],
+        relatives: [{ relation: "mother", relation_other: "" }]
+      })
+    ).to.be.empty;
+    expect(
+      helpers.getClearedHiddenValues(fields, {
+        disability_yes_no: "true",
+        disability_details: "Details"
+      })
+    ).to.be.empty;
+  });
+});
+
+describe("evaluateCalculation", () => {
+  const values = {
+    name_first: "Jane",
+    name_last: "",
+    tally: { boys: 2, girls: "3" },
+    age: "12",
+    date_of_birth: "2008-05-10",
+    date_of_interview: new Date(2020, 4, 9),
+    risk_level: "high",
+    concerns: ["abuse", "neglect"],
+    family_details: [
+      { relation: "mother", relation_age: "40" },
+      { relation: "father", relation_age: "" },
+      { _destroy: true, unique_id: "f-1", relation_age: "90" }
+    ]
+  };
+
+  it("should add the numbers of the fields", () => {
+    expect(
+      helpers.evaluateCalculation(
+        { sum: [{ field: "tally" }, { field: "age" }, 1] },
+        values
+      )
+    ).to.equal(18);
+  });
+
+  it("should calculate the arithmetic operations", () => {
+    const calculation = {
+      round: [{ divide: [{ multiply: [{ field: "age" }, 10] }, 7] }, 2]
+    };
+
+    expect(helpers.evaluateCalculation(calculation, values)).to.equal(17.14);
+    expect(
+      helpers.evaluateCalculation({ subtract: [{ field: "age" }, 2] }, values)
+    ).to.equal(10);
+    expect(
+      helpers.evaluateCalculation({ divide: [{ field: "age" }, 0] }, values)
+    ).to.equal("");
+    expect(
+      helpers.evaluateCalculation(
+        { subtract: [{ field: "name_last" }, 2] },
+        values
+      )
+    ).to.equal("");
+  });
+
+  it("should calculate the difference between dates", () => {
+    expect(
+      helpers.evaluateCalculation(
+        {
+          date_diff: [
+            { field: "date_of_birth" },
+            { field: "date_of_interview" }
+          ]
+        },
+        values
+      )
+    ).to.equal(11);
+    expect(
+      helpers.evaluateCalculation(
+        {
+          date_diff: [
+            { field: "date_of_birth" },
+            { field: "date_of_interview" },
+            "months"
+          ]
+        },
+        values
+      )
+    ).to.equal(143);
+    expect(
+      helpers.evaluateCalculation(
+        { date_diff: [{ field: "date_of_death" }, { today: true }] },
+        values
+      )
+    ).to.equal("");
+  });
+
+  it("should add the weights of the selected options", () => {
+    const weights = { abuse: 3, neglect: 2, high: 5 };
+
+    expect(
+      helpers.evaluateCalculation(
+        {
+          sum: [
+            { weights: [{ field: "risk_level" }, weights] },
+            { weights: [{ field: "concerns" }, weights] }
+          ]
+        },
+        values
+      )
+    ).to.equal(10);
+  });
+
+  it("should concatenate the values", () => {
+    expect(
+      helpers.evaluateCalculation(
+        { concat: [{ field: "name_first" }, " ", { field: "name_last" }] },
+        values
+      )
+    ).to.equal("Jane");
+  });
+
+  it("should choose the value of a condition", () => {
+    const calculation = { if: [{ gte: { age: 18 } }, "adult", "child"] };
+
+    expect(helpers.evaluateCalculation(calculation, values)).to.equal("child");
+    expect(
+      helpers.evaluateCalculation(calculation, { ...values, age: 20 })
+    ).to.equal("adult");
+  });
+
+  it("should aggregate the entries of a subform", () => {
+    const entries = { subform: "family_details", field: "relation_age" };
+
+    expect(
+      helpers.evaluateCalculation(
+        { count: [{ subform: "family_details" }] },
+        values
+      )
+    ).to.equal(2);
+    expect(helpers.evaluateCalculation({ max: [entries] }, values)).to.equal(
+      40
+    );
+    expect(helpers.evaluateCalculation({ avg: [entries] }, values)).to.equal(
+      40
+    );
+    expect(
+      helpers.evaluateCalculation({ min: [{ field: "none" }] }, values)
+    ).to.equal("");
+  });
+
+  it("should find the fields of a subform entry first", () => {
+    expect(
+      helpers.evaluateCalculation(
+        { sum: [{ field: "relation_age" }, { field: "age" }] },
+        values,
+        values.family_details[0]
+      )
+    ).to.equal(52);
+  });
+
+  it("should not have a value when the calculation is not valid", () => {
+    expect(helpers.evaluateCalculation({ pow: [2, 3] }, values)).to.equal("");
+    expect(helpers.evaluateCalculation({ sum: [{}, 1] }, values)).to.equal("");
+  });
+});
+
+describe("getCalculationReferences", () => {
+  it("should return the fields referenced by the calculation", () => {
+    expect(
+      helpers.getCalculationReferences({
+        if: [
+          { and: [{ eq: { sex: "female" } }, { gte: { age: 18 } }] },
+          { sum: [{ subform: "family_details", field: "relation_age" }, 1] },
+          { weights: [{ field: "risk_level" }, { high: 3 }] }
+        ]
+      })
+    ).to.deep.equal([
+      "sex",
+      "age",
+      "family_details",
+      "relation_age",
+      "risk_level"
+    ]);
+  });
+});
+
+describe("getCalculatedValues", () => {
+  const fields = [
+    { name: "age", type: "numeric_field" },
+    {
+      name: "family_total_age",
+      type: "calculated",
+      calculation: {
+        sum: [{ subform: "family_details", field: "relation_age_in_months" }]
+      }
+    },
+    {
+      name: "family_details",
+      type: "subform",
+      subform_section_id: {
+        fields: [
+          { name: "relation_age", type: "numeric_field" },
+          {
+            name: "relation_age_in_months",
+            type: "calculated",
+            calculation: { multiply: [{ field: "relation_age" }, 12] }
+          }
+        ]
+      }
+    },
+    {
+      name: "circular_a",
+      type: "calculated",
+      calculation: { sum: [{ field: "circular_b" }, 1] }
+    },
+    {
+      name: "circular_b",
+      type: "calculated",
+      calculation: { sum: [{ field: "circular_a" }, { field: "age" }] }
+    }
+  ];
+
+  it("should return the values that changed in the order of their references", () => {
+    expect(
+      helpers.getCalculatedValues(fields, {
+        age: 10,
+        family_total_age: "",
+        family_details: [
+          { relation_age: "2", relation_age_in_months: 24 },
+          { relation_age: "3", relation_age_in_months: "" }
+        ]
+      })
+    ).to.deep.equal({
+      "family_details[1].relation_age_in_months": 36,
+      family_total_age: 60
+    });
+  });
+
+  it("should not calculate the fields with circular references", () => {
+    expect(
+      helpers.getCalculatedValues(fields, { age: 10, family_total_age: 0 })
+    ).to.be.empty;
+  });
+});
@@ -0,0 +1,214 @@
+import { number, date, array, object, string, lazy, mixed } from "yup";
+import { addDays, compareAsc } from "date-fns";
+
+import {
+  NUMERIC_FIELD,
+  DATE_FIELD,
+  GPS_FIELD,
+  SUBFORM_SECTION
+} from "../constants";
+import { parseDate } from "../utils";
+
+import { VALIDATION_RULES } from "./constants";
+import { isValidPoint } from "./field-types/gps/utils";
+import { evaluateDisplayConditions, translatedText } from "./utils";
+
+const isEmptyValue = value =>
+  value === undefined || value === null || String(value).trim() === "";
+
+const normalize = value => String(value).trim().toLowerCase();
+
+// The dates are compared with the date of another field, the rule is ignored
+// until both dates are entered
+const compareDates = (value, otherValue, compare) => {
+  const [current, other] = [parseDate(value), parseDate(otherValue)];
+
+  return !current || !other || compare(compareAsc(current, other));
+};
+
+// The patterns are compiled once. A pattern that is valid on the server but not
+// in JavaScript is ignored, it would break the validation of the whole form.
+const patterns = new Map();
+
+const compilePattern = source => {
+  if (!patterns.has(source)) {
+    try {
+      patterns.set(source, new RegExp(source));
+    } catch (error) {
+      patterns.set(source, null);
+    }
+  }
+
+  return patterns.get(source);
+};
+
+const ruleTest = ({ rule, value: ruleValue }, { field, siblings, values }) => {
+  switch (rule) {
+    case VALIDATION_RULES.pattern: {
+      const pattern = compilePattern(ruleValue);
+
+      return value => !pattern || pattern.test(String(value));
+    }
+    case VALIDATION_RULES.minLength:
+      return value => String(value).length >= Number(ruleValue);
+    case VALIDATION_RULES.maxLength:
+      return value => String(value).length <= Number(ruleValue);
+    case VALIDATION_RULES.onOrAfter:
+      return value =>
+        compareDates(value, values?.[ruleValue], result => result >= 0);
+    case VALIDATION_RULES.onOrBefore:
+      return value =>
+        compareDates(value, values?.[ruleValue], result => result <= 0);
+    case VALIDATION_RULES.unique:
+      return value =>
+        siblings.every(
+          sibling =>
+            isEmptyValue(sibling?.[field.name]) ||
+            normalize(sibling[field.name]) !== normalize(value)
+        );
+    default:
+      throw new Error(`Unknown validation rule ${rule}`);
+  }
+};
+
+// The messages are configured per rule and locale, the default message of the
+// rule is used when there is no translation
+const ruleMessage = (validationRule, { field, i18n, labels }) =>
+  translatedText(validationRule.message, i18n) ||
+  i18n.t(`fields.validations.${validationRule.rule}`, {
+    field: translatedText(field.display_name, i18n),
+    other_field: labels[validationRule.value] || validationRule.value,
+    value: validationRule.value
+  });
+
+const applyValidationRules = (schema, options) =>
+  (options.field.validation_rules || []).reduce((current, validationRule) => {
+    const test = ruleTest(validationRule, options);
+
+    return current.test(
+      validationRule.rule,
+      ruleMessage(validationRule, options),
+      value => isEmptyValue(value) || test(value)
+    );
+  }, schema);
+
+// The hidden fields are not validated, so they are never required. The
+// siblings are the other entries of the subform of the field.
+export const fieldValidations = (
+  field,
+  { i18n, labels = {}, siblings = [], values }
+) => {
+  const { name, type, required } = field;
+  const validations = {};
+
+  if (!evaluateDisplayConditions(field.display_conditions, values)) {
+    return validations;
+  }
+
+  if (NUMERIC_FIELD === type) {
+    if (name.match(/.*age$/)) {
+      validations[name] = number()
+        .nullable()
+        .transform(cv => (Number.isNaN(cv) ? undefined : cv))
+        .positive()
+        .min(0, i18n.t("errors.models.child.age"))
+        .max(130, i18n.t("errors.models.child.age"));
+    } else {
+      validations[name] = number().nullable().min(0).max(2147483647);
+    }
+  } else if (DATE_FIELD === type) {
+    validations[name] = date().nullable();
+    if (field.date_validation === "default_date_validation") {
+      validations[name] = validations[name].max(
+        addDays(new Date(), 1),
+        i18n.t("fields.future_date_not_valid")
+      );
+    }
+  } else if (GPS_FIELD === type) {
+    validations[name] = mixed()
+      .nullable()
+      .test(
+        "coordinates",
+        i18n.t("fields.gps.invalid", {
+          field: translatedText(field.display_name, i18n)
+        }),
+        value => isEmptyValue(value) || isValidPoint(value)
+      );
+  } else if (SUBFORM_SECTION === type) {
+    const entries = values?.[name] || [];
+
+    // The entry is the cast one, a new object when the subform has dates, so
+    // it's found in the entries by its position
+    validations[name] = array().of(
+      lazy((entry, { parent } = {}) => {
+        if (entry?._destroy) {
+          return object();
+        }
+
+        const position = Array.isArray(parent) ? parent.indexOf(entry) : -1;
+        const subformSchema = field.subform_section_id.fields.map(sf => {
+          return fieldValidations(sf, {
+            i18n,
+            labels,
+            siblings: entries.filter(
+              (other, index) => index !== position && !other?._destroy
+            ),
+            values: { ...values, ...entry }
+          });
+        });
+
+        return object().shape(Object.assign({}, ...subformSchema));
+      })
+    );
+  }
+
+  if (field.validation_rules?.length) {
+    validations[name] = applyValidationRules(validations[name] || string(), {
+      field,
+      i18n,
+      labels,
+      siblings,
+      values
+    });
+  }
+
+  if (required) {
+    validations[name] = (validations[name] || string()).required(
+      i18n.t("form_section.required_field", {
+        field: field.display_name[i18n.locale]
+      })
+    );
+  }
+
+  return validations;
+};
+
+// The schema depends on the values because of the display conditions and the
+// rules that compare the values of different fields
+export const buildValidationSchema = (formSections, i18n) => {
+  const fields = [...formSections.values()].flatMap(form => [...form.fields]);
+  const labels = fields
+    .flatMap(field =>
+      field.type === SUBFORM_SECTION && field.subform_section_id?.fields
+        ? [field, ...field.subform_section_id.fields]
+        : [field]
+    )
+    .reduce(
+      (result, field) => ({
+        ...result,
+        [field.name]: translatedText(field.display_name, i18n)
+      }),
+      {}
+    );
+
+  return lazy(values =>
+    object().shape(
+      Object.assign(
+        {},
+        ...fields.map(field =>
+          fieldValidations(field, { i18n, labels, values })
+        )
+      )
+    )
+  );
+};
@@ -0,0 +1,274 @@
+import * as validations from "./validations";
+
+describe("<RecordForm /> - validations", () => {
+  const i18n = {
+    locale: "en",
+    t: (key, values) => (values ? `${key} ${JSON.stringify(values)}` : key)
+  };
+
+  const errorsOf = async (schema, values) => {
+    try {
+      await schema.validate(values, { abortEarly: false });
+
+      return {};
+    } catch (error) {
+      return error.inner.reduce(
+        (result, { path, message }) => ({ ...result, [path]: message }),
+        {}
+      );
+    }
+  };
+
+  const buildSchema = fields =>
+    validations.buildValidationSchema([{ fields }], i18n);
+
+  it("should have known exports", () => {
+    const clone = { ...validations };
+
+    ["buildValidationSchema", "fieldValidations"].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("fieldValidations", () => {
+    it("should not validate the hidden fields", () => {
+      const field = {
+        name: "disability_details",
+        type: "text_field",
+        required: true,
+        display_name: { en: "Details" },
+        display_conditions: { eq: { disability_yes_no: "true" } }
+      };
+
+      expect(
+        validations.fieldValidations(field, {
+          i18n,
+          values: { disability_yes_no: "false" }
+        })
+      ).to.be.empty;
+      expect(
+        validations.fieldValidations(field, {
+          i18n,
+          values: { disability_yes_no: "true" }
+        })
+      ).to.have.all.keys("disability_details");
+    });
+  });
+
+  describe("buildValidationSchema", () => {
+    const textField = (name, validationRules) => ({
+      name,
+      type: "text_field",
+      display_name: { en: name },
+      validation_rules: validationRules
+    });
+
+    it("should validate the patterns", async () => {
+      const schema = buildSchema([
+        textField("unhcr_id", [
+          {
+            rule: "pattern",
+            value: "^\\d{3}-\\d{8}$",
+            message: { en: "Use the format 123-12345678" }
+          }
+        ]),
+        textField("phone", [{ rule: "pattern", value: "^\\+?[0-9 ]+$" }])
+      ]);
+
+      expect(
+        await errorsOf(schema, { unhcr_id: "123-1234", phone: "555 1234" })
+      ).to.deep.equal({ unhcr_id: "Use the format 123-12345678" });
+      expect(
+        await errorsOf(schema, { unhcr_id: "123-12345678", phone: "none" })
+      ).to.have.all.keys("phone");
+      expect(await errorsOf(schema, { unhcr_id: "", phone: "" })).to.be.empty;
+    });
+
+    it("should validate the length of the values", async () => {
+      const schema = buildSchema([
+        textField("nickname", [
+          { rule: "min_length", value: 2 },
+          { rule: "max_length", value: "5" }
+        ])
+      ]);
+
+      expect(await errorsOf(schema, { nickname: "J" })).to.deep.equal({
+        nickname: `fields.validations.min_length ${JSON.stringify({
+          field: "nickname",
+          other_field: 2,
+          value: 2
+        })}`
+      });
+      expect(await errorsOf(schema, { nickname: "Jonathan" })).to.have.all.keys(
+        "nickname"
+      );
+      expect(await errorsOf(schema, { nickname: "Jon" })).to.be.empty;
+    });
+
+    it("should compare the dates with the dates of other fields", async () => {
+      const schema = buildSchema([
+        {
+          name: "registration_date",
+          type: "date_field",
+          display_name: { en: "Registration date" }
+        },
+        {
+          name: "date_closure",
+          type: "date_field",
+          display_name: { en: "Closure date" },
+          validation_rules: [
+            { rule: "on_or_after", value: "registration_date" }
+          ]
+        },
+        {
+          name: "date_of_birth",
+          type: "date_field",
+          display_name: { en: "Date of birth" },
+          validation_rules: [
+            { rule: "on_or_before", value: "registration_date" }
+          ]
+        }
+      ]);
+      const errors = await errorsOf(schema, {
+        registration_date: "2020-03-10",
+        date_closure: new Date(2020, 2, 9),
+        date_of_birth: "2020-03-11"
+      });
+
+      expect(errors).to.have.all.keys("date_closure", "date_of_birth");
+      expect(errors.date_closure).to.contain(
+        '"other_field":"Registration date"'
+      );
+      expect(
+        await errorsOf(schema, {
+          registration_date: "2020-03-10",
+          date_closure: "2020-03-10",
+          date_of_birth: "2010-03-10"
+        })
+      ).to.be.empty;
+      expect(
+        await errorsOf(schema, {
+          registration_date: null,
+          date_closure: "2020-03-09"
+        })
+      ).to.be.empty;
+    });
+
+    it("should validate the unique values of the subform entries", async () => {
+      const schema = buildSchema([
+        {
+          name: "family_details",
+          type: "subform",
+          display_name: { en: "Family" },
+          subform_section_id: {
+            fields: [textField("relation_national_id", [{ rule: "unique" }])]
+          }
+        }
+      ]);
+
+      const errors = await errorsOf(schema, {
+        family_details: [
+          { relation_national_id: "A-100" },
+          { relation_national_id: "a-100 " },
+          { relation_national_id: "A-200" },
+          { _destroy: true, relation_national_id: "A-200" }
+        ]
+      });
+
+      expect(errors).to.have.all.keys(
+        "family_details[0].relation_national_id",
+        "family_details[1].relation_national_id"
+      );
+    });
+
+    it("should not count an entry as its own sibling when the subform has dates", async () => {
+      const schema = buildSchema([
+        {
+          name: "family_details",
+          type: "subform",
+          display_name: { en: "Family" },
+          subform_section_id: {
+            fields: [
+              textField("relation_national_id", [{ rule: "unique" }]),
+              {
+                name: "relation_date_of_birth",
+                type: "date_field",
+                display_name: { en: "Date of birth" }
+              }
+            ]
+          }
+        }
+      ]);
+
+      expect(
+        await errorsOf(schema, {
+          family_details: [
+            {
+              relation_national_id: "A-100",
+              relation_date_of_birth: "2010-03-10"
+            },
+            {
+              relation_national_id: "A-200",
+              relation_date_of_birth: "2012-03-10"
+            }
+          ]
+        })
+      ).to.be.empty;
+      expect(
+        await errorsOf(schema, {
+          family_details: [
+            { relation_national_id: "A-100" },
+            {
+              relation_national_id: "A-100",
+              relation_date_of_birth: "2012-03-10"
+            }
+          ]
+        })
+      ).to.have.all.keys(
+        "family_details[0].relation_national_id",
+        "family_details[1].relation_national_id"
+      );
+    });
+
+    it("should ignore the patterns that are not valid in JavaScript", async () => {
+      const schema = buildSchema([
+        textField("unhcr_id", [{ rule: "pattern", value: "^\\d++$" }])
+      ]);
+
+      expect(await errorsOf(schema, { unhcr_id: "123" })).to.be.empty;
+    });
+
+    it("should keep the required and numeric validations", async () => {
+      const schema = buildSchema([
+        { ...textField("name"), required: true },
+        { name: "age", type: "numeric_field", display_name: { en: "Age" } }
+      ]);
+
+      expect(await errorsOf(schema, { name: "", age: 150 })).to.have.all.keys(
+        "name",
+        "age"
+      );
+    });
+
+    it("should validate the coordinates of the gps fields", async () => {
+      const schema = buildSchema([
+        { name: "location_found", type: "gps", display_name: { en: "Found" } }
+      ]);
+
+      expect(
+        await errorsOf(schema, {
+          location_found: { latitude: 95, longitude: 38.74 }
+        })
+      ).to.have.all.keys("location_found");
+      expect(
+        await errorsOf(schema, {
+          location_found: { latitude: 9.03, longitude: 38.74 }
+        })
+      ).to.be.empty;
+      expect(await errorsOf(schema, { location_found: null })).to.be.empty;
+    });
+  });
+});
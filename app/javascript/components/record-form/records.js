@@ -19,7 +19,11 @@ export const FieldRecord = Record({
   date_include_time: false,
   selected_value: "",
   subform_sort_by: "",
-  show_on_minify_form: false
+  show_on_minify_form: false,
+  display_conditions: null,
+  clear_hidden_value: false,
+  calculation: null,
+  validation_rules: []
 });
 
 export const FormSectionRecord = Record({
@@ -324,9 +324,12 @@ describe("<RecordForm /> - Selectors", () => {
         }),
         fields: [
           {
+            calculation: null,
+            clear_hidden_value: false,
             date_include_time: false,
             date_validation: "default_date_validation",
             disabled: null,
+            display_conditions: null,
             display_name: {
               ar: "",
               "ar-LB": "",
@@ -349,6 +352,7 @@ describe("<RecordForm /> - Selectors", () => {
             subform_section_id: null,
             subform_sort_by: "",
             type: "text_field",
+            validation_rules: [],
             visible: true
           }
         ],
@@ -8,7 +8,7 @@ import {
   pickBy,
   identity
 } from "lodash";
-import { isDate, format } from "date-fns";
+import { isDate, isValid, format, parseISO } from "date-fns";
 
 import {
   SUBFORM_SECTION,
@@ -17,6 +17,7 @@ import {
   DOCUMENT_FIELD,
   SELECT_FIELD,
   DATE_FIELD,
+  GPS_FIELD,
   TICK_FIELD
 } from "./constants";
 
@@ -83,6 +84,38 @@ function difference(object, base, nested) {
 export const compactValues = (values, initialValues) =>
   difference(values, initialValues);
 
+// Dates are kept as Date objects in the form and as ISO strings in the records
+export const parseDate = value => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const date = isDate(value) ? value : parseISO(String(value));
+
+  return isValid(date) ? date : null;
+};
+
+export const getFieldDefaultValue = field => {
+  if (
+    [SUBFORM_SECTION, PHOTO_FIELD, AUDIO_FIELD, DOCUMENT_FIELD].includes(
+      field.type
+    ) ||
+    (field.type === SELECT_FIELD && field.multi_select)
+  ) {
+    return [];
+  }
+
+  if ([DATE_FIELD, GPS_FIELD].includes(field.type)) {
+    return null;
+  }
+
+  if (field.type === TICK_FIELD) {
+    return false;
+  }
+
+  return "";
+};
+
 export const constructInitialValues = formMap => {
   const [...forms] = formMap;
 
@@ -92,29 +125,7 @@ export const constructInitialValues = formMap => {
         ...forms.map(v =>
           Object.assign(
             {},
-            ...v.fields.map(f => {
-              let defaultValue;
-
-              if (
-                [
-                  SUBFORM_SECTION,
-                  PHOTO_FIELD,
-                  AUDIO_FIELD,
-                  DOCUMENT_FIELD
-                ].includes(f.type) ||
-                (f.type === SELECT_FIELD && f.multi_select)
-              ) {
-                defaultValue = [];
-              } else if ([DATE_FIELD].includes(f.type)) {
-                defaultValue = null;
-              } else if (f.type === TICK_FIELD) {
-                defaultValue = false;
-              } else {
-                defaultValue = "";
-              }
-
-              return { [f.name]: defaultValue };
-            })
+            ...v.fields.map(f => ({ [f.name]: getFieldDefaultValue(f) }))
           )
         )
       )
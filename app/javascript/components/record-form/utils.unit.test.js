@@ -98,4 +98,31 @@ describe("<RecordForms /> - utils", () => {
       );
     });
   });
+
+  describe("getFieldDefaultValue", () => {
+    it("returns the empty value of every type of field", () => {
+      expect(utils.getFieldDefaultValue({ type: "subform" })).to.deep.equal([]);
+      expect(
+        utils.getFieldDefaultValue({ type: "select_box", multi_select: true })
+      ).to.deep.equal([]);
+      expect(utils.getFieldDefaultValue({ type: "date_field" })).to.be.null;
+      expect(utils.getFieldDefaultValue({ type: "tick_box" })).to.be.false;
+      expect(utils.getFieldDefaultValue({ type: "text_field" })).to.equal("");
+    });
+  });
+
+  describe("parseDate", () => {
+    it("returns the dates of the values", () => {
+      const date = new Date(2020, 0, 15);
+
+      expect(utils.parseDate(date)).to.equal(date);
+      expect(utils.parseDate("2020-01-15")).to.deep.equal(date);
+    });
+
+    it("returns null for the empty and invalid values", () => {
+      expect(utils.parseDate("")).to.be.null;
+      expect(utils.parseDate(null)).to.be.null;
+      expect(utils.parseDate("not a date")).to.be.null;
+    });
+  });
 });
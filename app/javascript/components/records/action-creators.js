@@ -25,7 +25,8 @@ export const saveRecord = (
   message,
   messageForQueue,
   redirect,
-  queueAttachments = true
+  queueAttachments = true,
+  deleteDraft = false
 ) => async dispatch => {
   await dispatch({
     type: `${recordType}/${SAVE_RECORD}`,
@@ -52,7 +53,10 @@ export const saveRecord = (
         collection: DB_COLLECTIONS_NAMES.RECORDS,
         recordType
       },
-      queueAttachments
+      queueAttachments,
+      // The draft of the form is deleted once the record is saved on the
+      // server, it's kept while the request is queued or if it fails.
+      ...(deleteDraft && { draft: { recordType, recordId: id } })
     }
   });
 };
@@ -95,6 +95,39 @@ describe("records - Action Creators", () => {
           expect(actions[0].api.body).to.eql(body);
         });
     });
+
+    it("deletes the draft of the record once it's saved", async () => {
+      const store = configureStore([thunk])({});
+
+      await store.dispatch(
+        actionCreators.saveRecord(
+          "cases",
+          "update",
+          body,
+          "123",
+          "Saved",
+          "Queued",
+          false,
+          true,
+          true
+        )
+      );
+
+      expect(store.getActions()[0].api.draft).to.deep.equal({
+        recordType: "cases",
+        recordId: "123"
+      });
+    });
+
+    it("keeps the drafts by default", async () => {
+      const store = configureStore([thunk])({});
+
+      await store.dispatch(
+        actionCreators.saveRecord("cases", "update", body, "123", "Saved")
+      );
+
+      expect(store.getActions()[0].api).to.not.have.property("draft");
+    });
   });
 
   it("should check the 'fetchRecordsAlerts' action creator to return the correct object", () => {
@@ -4,7 +4,7 @@ import NAMESPACE from "./namespace";
 
 export const selectSavedSearches = (state, recordType) => {
   const savedSearches = state
-    .getIn(["records", NAMESPACE, "data"])
+    .getIn(["records", NAMESPACE, "data"], fromJS([]))
     .filter(f => f.record_type === recordType);
 
   return savedSearches.size ? savedSearches : fromJS([]);
@@ -12,7 +12,7 @@ export const selectSavedSearches = (state, recordType) => {
 
 export const selectSavedSearchesById = (state, recordType, id) => {
   const savedSearches = state
-    .getIn(["records", NAMESPACE, "data"])
+    .getIn(["records", NAMESPACE, "data"], fromJS([]))
     .filter(f => f.record_type === recordType && f.id === id);
 
   return savedSearches.size ? savedSearches : fromJS({});
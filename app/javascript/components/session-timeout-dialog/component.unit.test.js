@@ -24,6 +24,10 @@ describe("<SessionTimeoutDialog />", () => {
     ).component;
   });
 
+  after(() => {
+    clock.restore();
+  });
+
   it("should idle after 15 minutes", () => {
     const idleTimer = component.find(IdleTimer);
 
@@ -1,4 +1,4 @@
-import { DB_COLLECTIONS_NAMES } from "../../db";
+import DB, { DB_COLLECTIONS_NAMES } from "../../db";
 import { loadApplicationResources } from "../application";
 
 import Actions from "./actions";
@@ -45,7 +45,9 @@ export const attemptSignout = () => async dispatch => {
 export const checkUserAuthentication = () => async dispatch => {
   const user = JSON.parse(localStorage.getItem("user"));
 
-  if (user) {
+  // The key of the records stored offline only lives in memory, the user has
+  // to log in again after the page is reloaded.
+  if (user && (await DB.isUnlocked())) {
     dispatch(setAuthenticatedUser(user));
   }
 };
@@ -2,6 +2,7 @@ import configureStore from "redux-mock-store";
 import thunk from "redux-thunk";
 
 import { spy, stub } from "../../test";
+import DB from "../../db";
 import * as idpSelection from "../pages/login/idp-selection";
 
 import Actions from "./actions";
@@ -173,18 +174,29 @@ describe("User - Action Creators", () => {
     });
   });
 
-  it("should check the 'checkUserAuthentication' action creator to return the correct object", () => {
+  it("should check the 'checkUserAuthentication' action creator to return the correct object", async () => {
     global.localStorage.setItem("user", '{"id": 1, "username": "primero"}');
+    await DB.unlock("primero");
     const store = configureStore(middlewares)({});
 
     return store.dispatch(actionCreators.checkUserAuthentication()).then(() => {
       const actions = store.getActions();
 
+      DB.lock();
       expect(actions).to.have.lengthOf(7);
       expect(actions).to.be.deep.equal(expectedAsyncActions);
     });
   });
 
+  it("should not authenticate the user when the database is locked", () => {
+    global.localStorage.setItem("user", '{"id": 1, "username": "primero"}');
+    const store = configureStore(middlewares)({});
+
+    return store.dispatch(actionCreators.checkUserAuthentication()).then(() => {
+      expect(store.getActions()).to.be.empty;
+    });
+  });
+
   it("should check the 'refreshToken' action creator to return the correct object", () => {
     const store = configureStore()({});
     const dispatch = spy(store, "dispatch");
@@ -19,6 +19,7 @@ describe("User - index", () => {
       "setUser",
       "usePermissions",
       "getIsAuthenticated",
+      "getUserGroups",
       "getListHeaders"
     ].forEach(property => {
       expect(indexValues).to.have.property(property);
@@ -24,6 +24,7 @@ const reducer = (state = DEFAULT_STATE, { type, payload }) => {
         module_unique_ids: modules,
         permissions,
         role_unique_id: roleId,
+        user_group_unique_ids: userGroups,
         list_headers: listHeaders,
         filters
       } = payload;
@@ -33,6 +34,7 @@ const reducer = (state = DEFAULT_STATE, { type, payload }) => {
           modules,
           permissions: mapListToObject(permissions.list, "resource", "actions"),
           roleId,
+          userGroups,
           listHeaders: mapObjectPropertiesToRecords(
             listHeaders,
             ListHeaderRecord
@@ -56,6 +56,7 @@ describe("User - Reducers", () => {
         "actions"
       ),
       roleId: 19,
+      userGroups: ["usergroup-primero-cp"],
       listHeaders: mapObjectPropertiesToRecords(
         {
           cases: [
@@ -96,6 +97,7 @@ describe("User - Reducers", () => {
       email: "primero@primero.com",
       agency_id: 1,
       role_unique_id: 19,
+      user_group_unique_ids: ["usergroup-primero-cp"],
       module_unique_ids: ["primeromodule-cp", "primeromodule-gbv"],
       agency: 1,
       permissions: {
@@ -20,5 +20,8 @@ export const hasUserPermissions = state => {
 export const getIsAuthenticated = state =>
   state.getIn([NAMESPACE, "isAuthenticated"], false);
 
+export const getUserGroups = state =>
+  state.getIn([NAMESPACE, "userGroups"], List([]));
+
 export const getListHeaders = (state, resource) =>
   state.getIn([NAMESPACE, LIST_HEADERS, resource], List([]));
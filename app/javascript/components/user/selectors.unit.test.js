@@ -10,6 +10,7 @@ const stateWithUser = fromJS({
     isAuthenticated: true,
     username: "primero",
     modules: ["primeromodule-test1", "primeromodule-test2"],
+    userGroups: ["usergroup-primero-cp"],
     permissions: {
       incidents: [ACTIONS.MANAGE],
       tracing_requests: [ACTIONS.MANAGE],
@@ -86,6 +87,18 @@ describe("User - Selectors", () => {
     });
   });
 
+  describe("getUserGroups", () => {
+    it("should return the groups of the user", () => {
+      expect(selectors.getUserGroups(stateWithUser)).to.equal(
+        fromJS(["usergroup-primero-cp"])
+      );
+    });
+
+    it("should return an empty list when the groups are not set", () => {
+      expect(selectors.getUserGroups(stateWithoutUser)).to.be.empty;
+    });
+  });
+
   describe("getIsAuthenticated", () => {
     it("should return isAuthenticated", () => {
       const meta = selectors.getIsAuthenticated(stateWithUser);
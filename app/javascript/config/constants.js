@@ -15,6 +15,35 @@ export const IDLE_LOGOUT_TIMEOUT = 5 * 1000 * 60;
 // Time (ms) how often the backend is pinged to refresh the user's token
 export const TOKEN_REFRESH_INTERVAL = 30 * 1000 * 60;
 
+// Exponential backoff (ms) between retries of a queued offline request. The
+// delay doubles on every attempt up to `max`, `jitter` is the fraction of the
+// delay randomly removed so devices don't retry in lockstep
+export const QUEUE_BACKOFF = Object.freeze({
+  base: 5 * 1000,
+  factor: 2,
+  max: 10 * 1000 * 60,
+  jitter: 0.5
+});
+
+// Endpoint used to check if the server is reachable before replaying requests
+export const HEALTH_CHECK_PATH = "/health";
+
+// Tiles of the maps of the GPS fields, the url, attribution and offlineLevels
+// are replaced by the map_tiles of the system options. offlineLevels are the
+// zoom levels below the view that are cached when an area is saved for offline
+// use, the OpenStreetMap tile usage policy doesn't allow bulk downloads so the
+// areas can only be saved from a tile server set in the system options. The
+// cache name is passed to worker.js when it's registered.
+export const MAP_TILES = Object.freeze({
+  url: "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+  attribution: "© OpenStreetMap contributors",
+  cacheName: "map-tiles",
+  minZoom: 2,
+  maxZoom: 19,
+  defaultZoom: 15,
+  offlineLevels: 0
+});
+
 // Type of records available singular (key): plural (value)
 export const RECORD_TYPES = {
   cases: "case",
@@ -62,6 +91,7 @@ export const RECORD_PATH = {
   forms: "forms",
   incidents: "incidents",
   lookups: "lookups",
+  reports: "reports",
   roles: "roles",
   tasks: "tasks",
   tracing_requests: "tracing_requests",
@@ -110,7 +140,9 @@ export const ROUTES = {
   lookups: "/admin/lookups",
   matches: "/matches",
   not_authorized: "/not-authorized",
+  outbox: "/outbox",
   reports: "/reports",
+  reports_new: "/reports/new",
   support: "/support",
   tasks: "/tasks",
   tracing_requests: "/tracing_requests"
@@ -123,6 +155,7 @@ export const PERMITTED_URL = [
   ROUTES.login_redirect,
   ROUTES.logout,
   ROUTES.not_authorized,
+  ROUTES.outbox,
   ROUTES.support,
   ROUTES.cases,
   ROUTES.tracing_requests,
@@ -9,6 +9,9 @@ describe("Verifying config constant", () => {
     expect(constants).to.have.property("IDLE_TIMEOUT");
     expect(constants).to.have.property("IDLE_LOGOUT_TIMEOUT");
     expect(constants).to.have.property("TOKEN_REFRESH_INTERVAL");
+    expect(constants).to.have.property("QUEUE_BACKOFF");
+    expect(constants).to.have.property("HEALTH_CHECK_PATH");
+    expect(constants).to.have.property("MAP_TILES");
     expect(constants).to.have.property("RECORD_TYPES");
     expect(constants).to.have.property("AGE_MAX");
     expect(constants).to.have.property("PERMITTED_URL");
@@ -127,6 +130,9 @@ describe("Verifying config constant", () => {
     delete constants.METHODS;
     delete constants.SAVE_METHODS;
     delete constants.SAVING;
+    delete constants.QUEUE_BACKOFF;
+    delete constants.HEALTH_CHECK_PATH;
+    delete constants.MAP_TILES;
 
     expect(constants).to.deep.equal({});
   });
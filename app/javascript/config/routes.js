@@ -11,8 +11,10 @@ import Login, {
   LookupsList,
   NotAuthorized,
   NotFound,
+  Outbox,
   PotentialMatches,
   Report,
+  ReportForm,
   Reports,
   RolesForm,
   RolesList,
@@ -28,6 +30,7 @@ import RecordList from "../components/record-list";
 import { AppLayout, LoginLayout } from "../components/layouts";
 import {
   CREATE_RECORDS,
+  CREATE_REPORTS,
   RECORD_RESOURCES,
   READ_RECORDS,
   READ_REPORTS,
@@ -108,7 +111,25 @@ export default [
         actions: READ_REPORTS
       },
       {
-        path: `${ROUTES.reports}/:id`,
+        path: ROUTES.reports_new,
+        component: ReportForm,
+        resources: RESOURCES.reports,
+        extraProps: {
+          mode: MODES.new
+        },
+        actions: CREATE_REPORTS
+      },
+      {
+        path: `${ROUTES.reports}/:id(\\d+)/edit`,
+        component: ReportForm,
+        resources: RESOURCES.reports,
+        extraProps: {
+          mode: MODES.edit
+        },
+        actions: WRITE_RECORDS
+      },
+      {
+        path: `${ROUTES.reports}/:id(\\d+)`,
         component: Report,
         resources: RESOURCES.reports,
         actions: READ_REPORTS
@@ -135,6 +156,10 @@ export default [
         path: ROUTES.support,
         component: Support
       },
+      {
+        path: ROUTES.outbox,
+        component: Outbox
+      },
       {
         path: ROUTES.admin,
         component: Admin,
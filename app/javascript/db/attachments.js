@@ -0,0 +1,116 @@
+import uuid from "uuid/v4";
+
+import EventManager from "../libs/messenger";
+import { QUEUE_ATTACHMENT_PROGRESS } from "../libs/queue";
+import { METHODS as HTTP_METHODS } from "../config/constants";
+
+import { ATTACHMENT_CHUNK_SIZE, DB_STORES } from "./constants";
+import DB from "./db";
+import queueIndexedDB from "./queue";
+
+const splitChunks = (content = "") => {
+  const chunks = [];
+
+  for (let start = 0; start < content.length; start += ATTACHMENT_CHUNK_SIZE) {
+    chunks.push(content.slice(start, start + ATTACHMENT_CHUNK_SIZE));
+  }
+
+  return chunks.length ? chunks : [content];
+};
+
+const attachmentsIndexedDB = {
+  getAll: () => {
+    return DB.getAll(DB_STORES.OFFLINE_ATTACHMENTS);
+  },
+
+  get: id => {
+    return DB.getRecord(DB_STORES.OFFLINE_ATTACHMENTS, id);
+  },
+
+  // Stores the file content in chunks, apart from the metadata sent with
+  // every chunk. fromQueue links the attachment with the queued record request.
+  add: async ({ fromQueue, recordType, recordId, fieldName, attachment }) => {
+    const { attachment: content, ...data } = attachment;
+    const offlineAttachment = {
+      id: uuid(),
+      fromQueue: fromQueue || null,
+      recordType,
+      recordId,
+      data: { ...data, field_name: fieldName },
+      chunks: splitChunks(content),
+      uploadedChunks: 0
+    };
+
+    await DB.add(DB_STORES.OFFLINE_ATTACHMENTS, offlineAttachment);
+    EventManager.publish(QUEUE_ATTACHMENT_PROGRESS, offlineAttachment);
+
+    return offlineAttachment;
+  },
+
+  upload: offlineAttachment => {
+    const { id, recordType, recordId } = offlineAttachment;
+
+    return queueIndexedDB.add({
+      type: `${recordType}/SAVE_ATTACHMENT`,
+      api: {
+        path: `${recordType}/${recordId}/attachments`,
+        method: HTTP_METHODS.POST,
+        attachmentId: id
+      },
+      fromQueue: uuid()
+    });
+  },
+
+  // Uploads the attachments of a queued record request once the record
+  // was saved on the server.
+  release: async (fromQueue, recordId) => {
+    const offlineAttachments =
+      (await DB.getAllFromIndex(
+        DB_STORES.OFFLINE_ATTACHMENTS,
+        "fromQueue",
+        fromQueue
+      )) || [];
+
+    await Promise.all(
+      offlineAttachments.map(async offlineAttachment => {
+        const releasedAttachment = {
+          ...offlineAttachment,
+          fromQueue: null,
+          recordId: recordId || offlineAttachment.recordId
+        };
+
+        await DB.put(DB_STORES.OFFLINE_ATTACHMENTS, releasedAttachment);
+        await attachmentsIndexedDB.upload(releasedAttachment);
+      })
+    );
+  },
+
+  progress: async (offlineAttachment, uploadedChunks) => {
+    const updatedAttachment = { ...offlineAttachment, uploadedChunks };
+
+    await DB.put(DB_STORES.OFFLINE_ATTACHMENTS, updatedAttachment);
+    EventManager.publish(QUEUE_ATTACHMENT_PROGRESS, updatedAttachment);
+
+    return updatedAttachment;
+  },
+
+  delete: async id => {
+    await DB.delete(DB_STORES.OFFLINE_ATTACHMENTS, id);
+    EventManager.publish(QUEUE_ATTACHMENT_PROGRESS, { id });
+  },
+
+  deleteByRequest: async fromQueue => {
+    const offlineAttachments =
+      (await DB.getAllFromIndex(
+        DB_STORES.OFFLINE_ATTACHMENTS,
+        "fromQueue",
+        fromQueue
+      )) || [];
+
+    await Promise.all(
+      offlineAttachments.map(({ id }) => attachmentsIndexedDB.delete(id))
+    );
+  }
+};
+
+export default attachmentsIndexedDB;
@@ -0,0 +1,102 @@
+import sinon from "sinon";
+
+import DB from "./db";
+import attachmentsIndexedDB from "./attachments";
+import queueIndexedDB from "./queue";
+import { ATTACHMENT_CHUNK_SIZE } from "./constants";
+
+describe("db/attachments", () => {
+  const attachment = {
+    attachment: "a".repeat(ATTACHMENT_CHUNK_SIZE + 4),
+    file_name: "test.jpg"
+  };
+
+  before(async () => {
+    await DB.unlock("primero");
+  });
+
+  after(() => {
+    DB.lock();
+  });
+
+  beforeEach(() => {
+    sinon.stub(queueIndexedDB, "add").resolves();
+  });
+
+  afterEach(async () => {
+    queueIndexedDB.add.restore();
+
+    const offlineAttachments = await attachmentsIndexedDB.getAll();
+
+    await Promise.all(
+      offlineAttachments.map(({ id }) => attachmentsIndexedDB.delete(id))
+    );
+  });
+
+  it("stores the file content in chunks", async () => {
+    const { id } = await attachmentsIndexedDB.add({
+      recordType: "cases",
+      recordId: "record-1",
+      fieldName: "photos",
+      attachment
+    });
+    const offlineAttachment = await attachmentsIndexedDB.get(id);
+
+    expect(offlineAttachment.chunks).to.have.lengthOf(2);
+    expect(offlineAttachment.chunks[1]).to.equal("aaaa");
+    expect(offlineAttachment.uploadedChunks).to.equal(0);
+    expect(offlineAttachment.data).to.deep.equal({
+      file_name: "test.jpg",
+      field_name: "photos"
+    });
+  });
+
+  it("keeps the uploaded chunks", async () => {
+    const offlineAttachment = await attachmentsIndexedDB.add({
+      recordType: "cases",
+      recordId: "record-1",
+      fieldName: "photos",
+      attachment
+    });
+
+    await attachmentsIndexedDB.progress(offlineAttachment, 1);
+
+    expect(
+      (await attachmentsIndexedDB.get(offlineAttachment.id)).uploadedChunks
+    ).to.equal(1);
+  });
+
+  it("uploads the files of a queued request once the record is saved", async () => {
+    const { id } = await attachmentsIndexedDB.add({
+      fromQueue: "queue-1",
+      recordType: "cases",
+      recordId: "record-1",
+      fieldName: "photos",
+      attachment
+    });
+
+    await attachmentsIndexedDB.release("queue-1", "record-2");
+
+    expect(queueIndexedDB.add).to.have.been.calledOnce;
+    expect(queueIndexedDB.add.firstCall.args[0].api).to.deep.equal({
+      path: "cases/record-2/attachments",
+      method: "POST",
+      attachmentId: id
+    });
+    expect((await attachmentsIndexedDB.get(id)).fromQueue).to.be.null;
+  });
+
+  it("deletes the files of a queued request", async () => {
+    await attachmentsIndexedDB.add({
+      fromQueue: "queue-1",
+      recordType: "cases",
+      recordId: "record-1",
+      fieldName: "photos",
+      attachment
+    });
+
+    await attachmentsIndexedDB.deleteByRequest("queue-1");
+
+    expect(await attachmentsIndexedDB.getAll()).to.be.empty;
+  });
+});
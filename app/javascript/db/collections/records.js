@@ -1,14 +1,25 @@
 import DB from "../db";
+import offlineSyncIndexedDB from "../offline-sync";
+import { queryRecords } from "../query";
 
 const Records = {
-  find: async ({ collection, recordType, db }) => {
+  find: async ({ collection, recordType, db, json }) => {
     const { id } = db;
 
-    return {
-      data: id
-        ? await DB.getRecord(collection, id)
-        : await DB.getAllFromIndex(collection, "type", recordType)
-    };
+    if (id) {
+      const data = await DB.getRecord(collection, id);
+
+      if (data) {
+        await offlineSyncIndexedDB.touch([id]);
+      }
+
+      return { data };
+    }
+
+    return queryRecords(
+      await DB.getAllFromIndex(collection, "type", recordType),
+      json?.api?.params
+    );
   },
 
   save: async ({ collection, json, recordType }) => {
@@ -28,6 +39,10 @@ const Records = {
       });
     }
 
+    await offlineSyncIndexedDB.touch(
+      dataIsArray ? recordData.map(({ id }) => id) : [recordData.id]
+    );
+
     return {
       data: recordData,
       ...(dataIsArray && { metadata })
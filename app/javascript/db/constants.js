@@ -9,36 +9,27 @@ export const DB_STORES = Object.freeze({
   SYSTEM_SETTINGS: "system_settings",
   LOCATIONS: "locations",
   IDP: "idp",
-  OFFLINE_REQUESTS: "offline_requests"
+  MANIFESTS: "manifests",
+  OFFLINE_REQUESTS: "offline_requests",
+  DEAD_LETTER_REQUESTS: "dead_letter_requests",
+  OFFLINE_ATTACHMENTS: "offline_attachments",
+  KEYS: "keys",
+  RECORDS_ACCESS: "records_access",
+  DRAFTS: "drafts"
 });
 
-export const DB_COLLECTIONS = [
-  ["records", { keyPath: "id" }, ["type", "type", { multiEntry: true }]],
-  ["user", { keyPath: "user_name" }],
-  ["offline_requests", { keyPath: "fromQueue" }],
-  ["manifests", { keyPath: "collection" }],
-  "forms",
-  "fields",
-  "options",
-  "locations",
-  "system_settings",
-  "idp"
-];
-
 export const QUEUEABLE_ACTIONS = [
   RECORD_PATH.cases,
   RECORD_PATH.incidents,
   RECORD_PATH.tracing_requests
 ];
 
-export const DB_COLLECTIONS_NAMES = DB_COLLECTIONS.reduce((prev, current) => {
-  const obj = prev;
-  const name = Array.isArray(current) ? current[0] : current;
-
-  obj[name.toUpperCase()] = name;
-
-  return obj;
-}, {});
+// The stores, their key paths and indexes are created by the migrations
+// (migrations.js), only their names are kept here.
+export const DB_COLLECTIONS_NAMES = Object.values(DB_STORES).reduce(
+  (names, name) => ({ ...names, [name.toUpperCase()]: name }),
+  {}
+);
 
 export const IDB_SAVEABLE_RECORD_TYPES = [
   RECORD_PATH.cases,
@@ -46,7 +37,69 @@ export const IDB_SAVEABLE_RECORD_TYPES = [
   RECORD_PATH.tracing_requests
 ];
 
+// Failed attempts after which a queued request is moved to the dead letter store
+export const MAX_REQUEST_ATTEMPTS = 3;
+
+// Length of the base64 chunks in which attachments are uploaded. It must be a
+// multiple of 4 so every chunk is valid base64 on its own.
+export const ATTACHMENT_CHUNK_SIZE = 512 * 1024;
+
+// Stores holding record data, their values are encrypted. The fields listed are
+// kept in clear as they are the key path and indexes of the store.
+export const ENCRYPTED_STORES = Object.freeze({
+  records: ["id", "type"],
+  offline_requests: ["fromQueue"],
+  dead_letter_requests: ["fromQueue"],
+  offline_attachments: ["id", "fromQueue"],
+  drafts: ["id", "recordType"]
+});
+
+// Encrypted stores with the work of the user that is not on the server yet.
+// Their values are never dropped when the data key can't be recovered.
+export const PENDING_WORK_STORES = Object.freeze([
+  "offline_requests",
+  "dead_letter_requests",
+  "offline_attachments",
+  "drafts"
+]);
+
+export const ENCRYPTED_FIELD = "_encrypted";
+
+export const ENCRYPTION_KEY_LENGTH = 256;
+
+export const ENCRYPTION_IV_LENGTH = 12;
+
+export const ENCRYPTION_SALT_LENGTH = 16;
+
+export const PBKDF2_ITERATIONS = 100000;
+
 export const METHODS = Object.freeze({
   WRITE: "write",
   READ: "read"
 });
+
+// Params of the records list that are not filters, and their defaults when the
+// list is queried offline. They match the ones of the records API.
+export const RECORDS_QUERY_PARAMS = Object.freeze([
+  "fields",
+  "id_search",
+  "locale",
+  "order",
+  "order_by",
+  "page",
+  "per",
+  "query"
+]);
+
+export const RECORDS_QUERY_DEFAULTS = Object.freeze({
+  order: "desc",
+  order_by: "created_at",
+  page: 1,
+  per: 20
+});
+
+export const RECORDS_SEARCH_FIELDS = Object.freeze(["name", "short_id"]);
+
+// Records downloaded per request to prepare the device for offline use, the
+// selection is downloaded page by page
+export const OFFLINE_SYNC_LIMIT = 500;
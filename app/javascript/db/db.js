@@ -4,27 +4,35 @@ import { openDB } from "idb";
 
 import { DATABASE_NAME } from "../config/constants";
 
-import { DB_COLLECTIONS_NAMES, DB_COLLECTIONS } from "./constants";
+import {
+  DB_COLLECTIONS_NAMES,
+  DB_STORES,
+  ENCRYPTED_STORES,
+  ENCRYPTION_SALT_LENGTH,
+  PENDING_WORK_STORES
+} from "./constants";
+import {
+  decryptValue,
+  deriveWrappingKey,
+  encryptValue,
+  generateKey,
+  isEncrypted,
+  randomBytes,
+  unwrapKey,
+  wrapKey
+} from "./encryption";
+import { DB_VERSION, migrate } from "./migrations";
+
+// The key of the session is only kept in memory, the user logs in again to
+// unlock the database after the page is reloaded.
+let encryptionKey = Promise.resolve(null);
 
 class DB {
   constructor() {
     if (!DB.instance) {
-      this._db = openDB(DATABASE_NAME, 1, {
-        upgrade(db) {
-          DB_COLLECTIONS.forEach(collection => {
-            if (Array.isArray(collection)) {
-              const [name, options, index] = collection;
-
-              const store = db.createObjectStore(name, options);
-
-              if (index) store.createIndex(...index);
-            } else {
-              db.createObjectStore(collection, {
-                keyPath: "id",
-                autoIncrement: true
-              });
-            }
-          });
+      this._db = openDB(DATABASE_NAME, DB_VERSION, {
+        upgrade(db, oldVersion, newVersion, transaction) {
+          return migrate(db, transaction, oldVersion, newVersion);
         }
       });
       DB.instance = this;
@@ -45,20 +53,142 @@ class DB {
     );
   }
 
+  // Encrypts the values stored in clear and removes the ones encrypted with a
+  // key that is no longer available.
+  async resetEncryptedStores(key) {
+    const db = await this._db;
+
+    await this.asyncForEach(Object.keys(ENCRYPTED_STORES), async store => {
+      const values = await db.getAll(store);
+      const encrypted = await Promise.all(
+        values
+          .filter(value => !isEncrypted(value))
+          .map(value => encryptValue(key, value, ENCRYPTED_STORES[store]))
+      );
+      const tx = db.transaction(store, "readwrite");
+
+      await tx.store.clear();
+      encrypted.forEach(value => tx.store.put(value));
+      await tx.done;
+    });
+  }
+
+  async countPendingWork() {
+    const db = await this._db;
+    const counts = await Promise.all(
+      PENDING_WORK_STORES.map(
+        async store =>
+          (await db.getAll(store)).filter(value => isEncrypted(value)).length
+      )
+    );
+
+    return counts.reduce((total, count) => total + count, 0);
+  }
+
+  // Loads the key of the record data. It's stored wrapped with a key derived
+  // from the user's secret, sent by the server on login with a password or an
+  // identity provider. A new key is only generated when it can't be
+  // unwrapped, the encrypted values are dropped then unless they hold pending
+  // work.
+  async unlock(username, secret) {
+    const db = await this._db;
+    const stored = await db.get(DB_STORES.KEYS, username);
+    const salt = stored?.salt || randomBytes(ENCRYPTION_SALT_LENGTH);
+    const wrappingKey = secret && (await deriveWrappingKey(secret, salt));
+    let key = null;
+
+    if (stored?.wrappedKey && wrappingKey) {
+      key = await unwrapKey(stored.wrappedKey, wrappingKey).catch(() => null);
+    }
+
+    if (!key) {
+      if ((await this.countPendingWork()) > 0) {
+        throw new Error(
+          "Can't unlock the database, the key of the pending work is not available"
+        );
+      }
+
+      key = await generateKey();
+      await this.resetEncryptedStores(key);
+    }
+
+    if (!wrappingKey) {
+      await db.delete(DB_STORES.KEYS, username);
+      encryptionKey = Promise.resolve(key);
+
+      return;
+    }
+
+    const wrappedKey = await wrapKey(key, wrappingKey);
+
+    await db.put(DB_STORES.KEYS, { username, salt, wrappedKey });
+    encryptionKey = Promise.resolve(
+      await unwrapKey(wrappedKey, wrappingKey, false)
+    );
+  }
+
+  async lock() {
+    encryptionKey = Promise.resolve(null);
+  }
+
+  async isUnlocked() {
+    return Boolean(await encryptionKey);
+  }
+
+  async encrypt(store, item) {
+    if (!ENCRYPTED_STORES[store]) {
+      return item;
+    }
+
+    const key = await encryptionKey;
+
+    if (!key) {
+      throw new Error(`Can't write to ${store}, the database is locked`);
+    }
+
+    return encryptValue(key, item, ENCRYPTED_STORES[store]);
+  }
+
+  // Values that can't be decrypted (locked database or a key from another
+  // session) are handled as not stored.
+  async decrypt(item) {
+    if (!isEncrypted(item)) {
+      return item;
+    }
+
+    const key = await encryptionKey;
+
+    return key ? decryptValue(key, item).catch(() => undefined) : undefined;
+  }
+
+  async decryptAll(items) {
+    return (
+      await Promise.all((items || []).map(item => this.decrypt(item)))
+    ).filter(item => item !== undefined);
+  }
+
   async getRecord(store, key) {
-    return (await this._db).get(store, key);
+    return this.decrypt(await (await this._db).get(store, key));
   }
 
   async getAll(store) {
-    return (await this._db).getAll(store);
+    return this.decryptAll(await (await this._db).getAll(store));
   }
 
   async getAllFromIndex(store, index, key) {
-    return (await this._db).getAllFromIndex(store, index, key);
+    return this.decryptAll(
+      await (await this._db).getAllFromIndex(store, index, key)
+    );
+  }
+
+  async count(store, index, key) {
+    return (await this._db).countFromIndex(store, index, key);
   }
 
   async add(store, item) {
-    return (await this._db).add(store, item);
+    const encrypted = await this.encrypt(store, item);
+
+    return (await this._db).add(store, encrypted);
   }
 
   async delete(store, item) {
@@ -76,16 +206,21 @@ class DB {
       i.type = queryIndex.value;
     }
 
+    let value = { ...i, ...key };
+
     try {
-      const prev = await (await this._db).get(store, key || i.id);
+      const prev = await this.getRecord(store, key || i.id);
 
       if (prev) {
-        return (await this._db).put(store, merge(prev, { ...i, ...key }));
+        value = merge(prev, value);
       }
-      throw new Error("Record is new");
     } catch (e) {
-      return (await this._db).put(store, { ...i, ...key });
+      // The record is new
     }
+
+    const encrypted = await this.encrypt(store, value);
+
+    return (await this._db).put(store, encrypted);
   }
 
   async asyncForEach(array, callback) {
@@ -96,34 +231,24 @@ class DB {
 
   async bulkAdd(store, records, queryIndex) {
     const isDataArray = Array.isArray(records);
-    const tx = (await this._db).transaction(store, "readwrite");
-    const collection = tx.objectStore(store);
-
-    this.asyncForEach(
-      isDataArray ? records : Object.keys(records),
-      async record => {
-        const r = record;
+    const items = isDataArray ? records : Object.values(records);
 
-        if (queryIndex) {
-          r.type = queryIndex.value;
-        }
+    if (queryIndex) {
+      items.forEach(item => {
+        // eslint-disable-next-line no-param-reassign
+        item.type = queryIndex.value;
+      });
+    }
 
-        try {
-          const prev = (await this._db).get(
-            store,
-            isDataArray ? r.id : records[r]?.id
-          );
-
-          if (prev) {
-            await collection.put(
-              isDataArray ? merge(prev, r) : merge(prev, records[r])
-            );
-          }
-        } catch (e) {
-          await collection.put(isDataArray ? r : records[r]);
-        }
-      }
+    // Values are encrypted before the transaction is opened, it would be
+    // committed while waiting for the encryption otherwise.
+    const encrypted = await Promise.all(
+      items.map(item => this.encrypt(store, item))
     );
+    const tx = (await this._db).transaction(store, "readwrite");
+    const collection = tx.objectStore(store);
+
+    encrypted.forEach(item => collection.put(item));
 
     await tx.done;
   }
@@ -0,0 +1,120 @@
+import { openDB } from "idb";
+
+import { DATABASE_NAME } from "../config/constants";
+
+import { DB_STORES, ENCRYPTED_FIELD } from "./constants";
+import DB from "./db";
+
+describe("db/db", () => {
+  const record = { id: "record-1", type: "cases", name: "Test" };
+
+  const getStoredValue = async (store, key) => {
+    const db = await openDB(DATABASE_NAME);
+    const value = await db.get(store, key);
+
+    db.close();
+
+    return value;
+  };
+
+  afterEach(async () => {
+    await DB.clearDB();
+    await DB.lock();
+  });
+
+  it("stores the records encrypted", async () => {
+    await DB.unlock("primero", "secret");
+    await DB.put(DB_STORES.RECORDS, record);
+
+    const stored = await getStoredValue(DB_STORES.RECORDS, "record-1");
+
+    expect(stored).to.have.all.keys("id", "type", ENCRYPTED_FIELD);
+    expect(await DB.getRecord(DB_STORES.RECORDS, "record-1")).to.deep.equal(
+      record
+    );
+    expect(
+      await DB.getAllFromIndex(DB_STORES.RECORDS, "type", "cases")
+    ).to.deep.equal([record]);
+  });
+
+  it("reads the records again after logging in with the same secret", async () => {
+    await DB.unlock("primero", "secret");
+    await DB.put(DB_STORES.RECORDS, record);
+    await DB.lock();
+
+    expect(await DB.getRecord(DB_STORES.RECORDS, "record-1")).to.be.undefined;
+
+    await DB.unlock("primero", "secret");
+
+    expect(await DB.getRecord(DB_STORES.RECORDS, "record-1")).to.deep.equal(
+      record
+    );
+  });
+
+  it("drops the records encrypted with a key that is no longer available", async () => {
+    await DB.unlock("primero", "secret");
+    await DB.put(DB_STORES.RECORDS, record);
+    await DB.lock();
+    await DB.unlock("primero", "other-secret");
+
+    expect(await DB.getAll(DB_STORES.RECORDS)).to.be.empty;
+    expect(await getStoredValue(DB_STORES.RECORDS, "record-1")).to.be.undefined;
+  });
+
+  it("keeps the pending work encrypted with a key that is no longer available", async () => {
+    await DB.unlock("primero", "secret");
+    await DB.add(DB_STORES.OFFLINE_REQUESTS, { fromQueue: "queue-1" });
+    await DB.lock();
+
+    try {
+      await DB.unlock("primero", "other-secret");
+      expect.fail("The database was unlocked");
+    } catch (error) {
+      expect(error.message).to.match(/pending work/);
+    }
+
+    expect(await DB.isUnlocked()).to.be.false;
+    expect(
+      await getStoredValue(DB_STORES.OFFLINE_REQUESTS, "queue-1")
+    ).to.have.property(ENCRYPTED_FIELD);
+  });
+
+  it("only stores the key wrapped with the secret", async () => {
+    await DB.unlock("primero", "secret");
+
+    expect(await getStoredValue(DB_STORES.KEYS, "primero")).to.have.all.keys(
+      "username",
+      "salt",
+      "wrappedKey"
+    );
+
+    await DB.lock();
+
+    expect(await DB.isUnlocked()).to.be.false;
+  });
+
+  it("doesn't store the key of sessions without a secret", async () => {
+    await DB.unlock("primero", "secret");
+    await DB.lock();
+    await DB.unlock("primero");
+    await DB.put(DB_STORES.RECORDS, record);
+
+    expect(await getStoredValue(DB_STORES.KEYS, "primero")).to.be.undefined;
+
+    await DB.lock();
+    await DB.unlock("primero");
+
+    expect(await DB.getRecord(DB_STORES.RECORDS, "record-1")).to.be.undefined;
+  });
+
+  it("does not write records while locked", async () => {
+    try {
+      await DB.put(DB_STORES.RECORDS, record);
+      expect.fail("The record was written");
+    } catch (error) {
+      expect(error.message).to.match(/locked/);
+    }
+
+    expect(await DB.isUnlocked()).to.be.false;
+  });
+});
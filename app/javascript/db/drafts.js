@@ -0,0 +1,44 @@
+import { DB_STORES } from "./constants";
+import DB from "./db";
+
+// The drafts of the new records are kept per record type, only one can be
+// open at a time.
+const draftId = (recordType, recordId) => `${recordType}/${recordId || "new"}`;
+
+const draftsIndexedDB = {
+  getAll: () => {
+    return DB.getAll(DB_STORES.DRAFTS);
+  },
+
+  get: (recordType, recordId) => {
+    return DB.getRecord(DB_STORES.DRAFTS, draftId(recordType, recordId));
+  },
+
+  // The draft is replaced, DB.put would merge the subform entries of the
+  // previous values.
+  save: async ({ recordType, recordId, primeroModule, values }) => {
+    const draft = {
+      id: draftId(recordType, recordId),
+      recordType,
+      recordId: recordId || null,
+      primeroModule: primeroModule || null,
+      values,
+      savedAt: new Date().toISOString()
+    };
+
+    await DB.delete(DB_STORES.DRAFTS, draft.id);
+    await DB.add(DB_STORES.DRAFTS, draft);
+
+    return draft;
+  },
+
+  delete: (recordType, recordId) => {
+    return DB.delete(DB_STORES.DRAFTS, draftId(recordType, recordId));
+  },
+
+  clear: () => {
+    return DB.clear(DB_STORES.DRAFTS);
+  }
+};
+
+export default draftsIndexedDB;
@@ -0,0 +1,83 @@
+import DB from "./db";
+import draftsIndexedDB from "./drafts";
+
+describe("db/drafts", () => {
+  before(async () => {
+    await DB.unlock("primero", "secret");
+  });
+
+  after(() => {
+    DB.lock();
+  });
+
+  afterEach(async () => {
+    await draftsIndexedDB.clear();
+  });
+
+  it("stores the draft of a record by its type and id", async () => {
+    await draftsIndexedDB.save({
+      recordType: "cases",
+      recordId: "record-1",
+      primeroModule: "primeromodule-cp",
+      values: { name: "Jane" }
+    });
+
+    const draft = await draftsIndexedDB.get("cases", "record-1");
+
+    expect(draft).to.include({
+      id: "cases/record-1",
+      recordType: "cases",
+      recordId: "record-1",
+      primeroModule: "primeromodule-cp"
+    });
+    expect(draft.values).to.deep.equal({ name: "Jane" });
+    expect(draft).to.have.property("savedAt");
+    expect(await draftsIndexedDB.get("incidents", "record-1")).to.be.undefined;
+  });
+
+  it("keeps one draft of the new records of every type", async () => {
+    await draftsIndexedDB.save({ recordType: "cases", values: { name: "A" } });
+    await draftsIndexedDB.save({ recordType: "cases", values: { name: "B" } });
+
+    const drafts = await draftsIndexedDB.getAll();
+
+    expect(drafts).to.have.lengthOf(1);
+    expect(drafts[0]).to.include({ id: "cases/new", recordId: null });
+  });
+
+  it("replaces the values of the previous draft", async () => {
+    const save = family =>
+      draftsIndexedDB.save({
+        recordType: "cases",
+        recordId: "record-1",
+        values: { family }
+      });
+
+    await save([{ name: "A" }, { name: "B" }]);
+    await save([{ name: "C" }]);
+
+    expect(
+      (await draftsIndexedDB.get("cases", "record-1")).values
+    ).to.deep.equal({ family: [{ name: "C" }] });
+  });
+
+  it("encrypts the values of the drafts", async () => {
+    await draftsIndexedDB.save({
+      recordType: "cases",
+      recordId: "record-1",
+      values: { name: "Jane" }
+    });
+    DB.lock();
+
+    expect(await draftsIndexedDB.get("cases", "record-1")).to.be.undefined;
+
+    await DB.unlock("primero", "secret");
+  });
+
+  it("deletes the draft of a record", async () => {
+    await draftsIndexedDB.save({ recordType: "cases", recordId: "record-1" });
+    await draftsIndexedDB.delete("cases", "record-1");
+
+    expect(await draftsIndexedDB.getAll()).to.be.empty;
+  });
+});
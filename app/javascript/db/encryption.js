@@ -0,0 +1,86 @@
+import pick from "lodash/pick";
+
+import {
+  ENCRYPTED_FIELD,
+  ENCRYPTION_KEY_LENGTH,
+  ENCRYPTION_IV_LENGTH,
+  PBKDF2_ITERATIONS
+} from "./constants";
+
+const AES_GCM = { name: "AES-GCM", length: ENCRYPTION_KEY_LENGTH };
+const AES_KW = { name: "AES-KW", length: ENCRYPTION_KEY_LENGTH };
+const KEY_USAGES = ["encrypt", "decrypt"];
+const WRAPPING_KEY_USAGES = ["wrapKey", "unwrapKey"];
+
+const subtle = () => window.crypto.subtle;
+
+export const randomBytes = length =>
+  window.crypto.getRandomValues(new Uint8Array(length));
+
+// Key encryption key, derived from the secret the server sends on login
+export const deriveWrappingKey = async (secret, salt) => {
+  const material = await subtle().importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+
+  return subtle().deriveKey(
+    { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    material,
+    AES_KW,
+    false,
+    WRAPPING_KEY_USAGES
+  );
+};
+
+// The data key has to be extractable to be wrapped, the copy used in the
+// session is unwrapped as not extractable.
+export const generateKey = () =>
+  subtle().generateKey(AES_GCM, true, KEY_USAGES);
+
+export const wrapKey = (key, wrappingKey) =>
+  subtle().wrapKey("raw", key, wrappingKey, "AES-KW");
+
+export const unwrapKey = (wrappedKey, wrappingKey, extractable = true) =>
+  subtle().unwrapKey(
+    "raw",
+    wrappedKey,
+    wrappingKey,
+    "AES-KW",
+    AES_GCM,
+    extractable,
+    KEY_USAGES
+  );
+
+export const isEncrypted = value => Boolean(value?.[ENCRYPTED_FIELD]);
+
+// The clear fields are the key path and indexes of the store, they can't be
+// encrypted as IndexedDB needs them to find the value.
+export const encryptValue = async (key, value, clearFields = []) => {
+  const iv = randomBytes(ENCRYPTION_IV_LENGTH);
+  const data = await subtle().encrypt(
+    { name: AES_GCM.name, iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  return { ...pick(value, clearFields), [ENCRYPTED_FIELD]: { iv, data } };
+};
+
+export const decryptValue = async (key, value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const { iv, data } = value[ENCRYPTED_FIELD];
+  const decrypted = await subtle().decrypt(
+    { name: AES_GCM.name, iv },
+    key,
+    data
+  );
+
+  return JSON.parse(new TextDecoder().decode(decrypted));
+};
@@ -0,0 +1,94 @@
+import { ENCRYPTED_FIELD, ENCRYPTION_SALT_LENGTH } from "./constants";
+import * as encryption from "./encryption";
+
+describe("db/encryption", () => {
+  const record = { id: "record-1", type: "cases", name: "Test" };
+
+  it("encrypts and decrypts a value", async () => {
+    const key = await encryption.generateKey();
+    const encrypted = await encryption.encryptValue(key, record);
+
+    expect(encrypted).to.not.have.property("name");
+    expect(encryption.isEncrypted(encrypted)).to.be.true;
+    expect(await encryption.decryptValue(key, encrypted)).to.deep.equal(record);
+  });
+
+  it("keeps the clear fields unencrypted", async () => {
+    const key = await encryption.generateKey();
+    const encrypted = await encryption.encryptValue(key, record, [
+      "id",
+      "type"
+    ]);
+
+    expect(encrypted).to.have.all.keys("id", "type", ENCRYPTED_FIELD);
+    expect(encrypted.id).to.equal("record-1");
+  });
+
+  it("can't decrypt a value with another key", async () => {
+    const encrypted = await encryption.encryptValue(
+      await encryption.generateKey(),
+      record
+    );
+    const otherKey = await encryption.generateKey();
+
+    try {
+      await encryption.decryptValue(otherKey, encrypted);
+      expect.fail("The value was decrypted");
+    } catch (error) {
+      expect(error.message).to.not.equal("The value was decrypted");
+    }
+  });
+
+  it("returns values stored in clear", async () => {
+    const key = await encryption.generateKey();
+
+    expect(await encryption.decryptValue(key, record)).to.equal(record);
+  });
+
+  it("unwraps a key only with the same secret", async () => {
+    const salt = encryption.randomBytes(ENCRYPTION_SALT_LENGTH);
+    const key = await encryption.generateKey();
+    const wrappedKey = await encryption.wrapKey(
+      key,
+      await encryption.deriveWrappingKey("secret", salt)
+    );
+    const unwrappedKey = await encryption.unwrapKey(
+      wrappedKey,
+      await encryption.deriveWrappingKey("secret", salt)
+    );
+    const encrypted = await encryption.encryptValue(key, record);
+
+    expect(
+      await encryption.decryptValue(unwrappedKey, encrypted)
+    ).to.deep.equal(record);
+
+    try {
+      await encryption.unwrapKey(
+        wrappedKey,
+        await encryption.deriveWrappingKey("other", salt)
+      );
+      expect.fail("The key was unwrapped");
+    } catch (error) {
+      expect(error.message).to.not.equal("The key was unwrapped");
+    }
+  });
+
+  it("unwraps a key that can't be exported", async () => {
+    const wrappingKey = await encryption.deriveWrappingKey(
+      "secret",
+      encryption.randomBytes(ENCRYPTION_SALT_LENGTH)
+    );
+    const key = await encryption.generateKey();
+    const encrypted = await encryption.encryptValue(key, record);
+    const sessionKey = await encryption.unwrapKey(
+      await encryption.wrapKey(key, wrappingKey),
+      wrappingKey,
+      false
+    );
+
+    expect(sessionKey.extractable).to.be.false;
+    expect(await encryption.decryptValue(sessionKey, encrypted)).to.deep.equal(
+      record
+    );
+  });
+});
@@ -1,8 +1,12 @@
 export { default } from "./db";
 export { default as syncIndexedDB } from "./sync";
 export { default as queueIndexedDB } from "./queue";
+export { default as attachmentsIndexedDB } from "./attachments";
+export { default as offlineSyncIndexedDB } from "./offline-sync";
+export { default as draftsIndexedDB } from "./drafts";
 export {
   DB_COLLECTIONS_NAMES,
   IDB_SAVEABLE_RECORD_TYPES,
+  OFFLINE_SYNC_LIMIT,
   METHODS
 } from "./constants";
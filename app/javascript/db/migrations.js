@@ -0,0 +1,167 @@
+/* eslint-disable no-await-in-loop */
+
+import { DB_STORES } from "./constants";
+
+const createStore = (db, name, options, indexes = []) => {
+  if (db.objectStoreNames.contains(name)) {
+    return;
+  }
+
+  const store = db.createObjectStore(name, options);
+
+  indexes.forEach(index => store.createIndex(...index));
+};
+
+const deleteStore = (db, name) => {
+  if (db.objectStoreNames.contains(name)) {
+    db.deleteObjectStore(name);
+  }
+};
+
+const createIndex = (transaction, name, index) => {
+  const store = transaction.objectStore(name);
+
+  if (!store.indexNames.contains(index[0])) {
+    store.createIndex(...index);
+  }
+};
+
+const deleteIndex = (transaction, name, indexName) => {
+  const store = transaction.objectStore(name);
+
+  if (store.indexNames.contains(indexName)) {
+    store.deleteIndex(indexName);
+  }
+};
+
+// Updates every value of a store in place, transform returns the new value
+const transformStore = async (transaction, name, transform) => {
+  let cursor = await transaction.objectStore(name).openCursor();
+
+  while (cursor) {
+    await cursor.update(transform(cursor.value));
+    cursor = await cursor.continue();
+  }
+};
+
+export const migrationHelpers = Object.freeze({
+  createStore,
+  deleteStore,
+  createIndex,
+  deleteIndex,
+  transformStore
+});
+
+// Schema changes of the IndexedDB database. A migration runs once, when a
+// browser opens the database at a version higher than the stored one, so
+// existing migrations must never change: add a new one with the next version.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    up: db => {
+      createStore(db, DB_STORES.RECORDS, { keyPath: "id" }, [
+        ["type", "type", { multiEntry: true }]
+      ]);
+      createStore(db, DB_STORES.USER, { keyPath: "user_name" });
+      createStore(db, DB_STORES.OFFLINE_REQUESTS, { keyPath: "fromQueue" });
+      createStore(db, DB_STORES.MANIFESTS, { keyPath: "collection" });
+      [
+        DB_STORES.FORMS,
+        DB_STORES.FIELDS,
+        DB_STORES.OPTIONS,
+        DB_STORES.LOCATIONS,
+        DB_STORES.SYSTEM_SETTINGS,
+        DB_STORES.IDP
+      ].forEach(name =>
+        createStore(db, name, { keyPath: "id", autoIncrement: true })
+      );
+    }
+  },
+  {
+    version: 2,
+    up: async (db, transaction) => {
+      createStore(db, DB_STORES.DEAD_LETTER_REQUESTS, {
+        keyPath: "fromQueue"
+      });
+      await transformStore(
+        transaction,
+        DB_STORES.OFFLINE_REQUESTS,
+        request => ({ attempts: 0, queuedAt: null, ...request })
+      );
+    }
+  },
+  {
+    version: 3,
+    up: db => {
+      createStore(db, DB_STORES.OFFLINE_ATTACHMENTS, { keyPath: "id" }, [
+        ["fromQueue", "fromQueue"]
+      ]);
+    }
+  },
+  {
+    version: 4,
+    up: db => {
+      createStore(db, DB_STORES.KEYS, { keyPath: "username" });
+    }
+  },
+  {
+    version: 5,
+    up: async (db, transaction) => {
+      createStore(db, DB_STORES.RECORDS_ACCESS, { keyPath: "id" }, [
+        ["accessedAt", "accessedAt"]
+      ]);
+
+      // The records cached before count as accessed now
+      const accessedAt = new Date().toISOString();
+      let cursor = await transaction
+        .objectStore(DB_STORES.RECORDS)
+        .openCursor();
+
+      while (cursor) {
+        await transaction
+          .objectStore(DB_STORES.RECORDS_ACCESS)
+          .put({ id: cursor.key, accessedAt });
+        cursor = await cursor.continue();
+      }
+    }
+  },
+  {
+    version: 6,
+    up: db => {
+      createStore(db, DB_STORES.DRAFTS, { keyPath: "id" }, [
+        ["recordType", "recordType"]
+      ]);
+    }
+  },
+  {
+    version: 7,
+    up: db => {
+      createStore(db, "device_keys", { keyPath: "id" });
+    }
+  },
+  {
+    version: 8,
+    up: db => {
+      // The data key is no longer wrapped with a key stored in the browser
+      deleteStore(db, "device_keys");
+    }
+  }
+];
+
+export const migrate = async (
+  db,
+  transaction,
+  oldVersion,
+  newVersion,
+  migrations = MIGRATIONS
+) => {
+  const pending = migrations
+    .filter(({ version }) => version > oldVersion && version <= newVersion)
+    .sort((a, b) => a.version - b.version);
+
+  for (let index = 0; index < pending.length; index += 1) {
+    await pending[index].up(db, transaction);
+  }
+};
+
+export const DB_VERSION = Math.max(...MIGRATIONS.map(({ version }) => version));
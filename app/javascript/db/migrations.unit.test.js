@@ -0,0 +1,132 @@
+import { openDB, deleteDB } from "idb";
+
+import { DB_STORES } from "./constants";
+import * as migrations from "./migrations";
+
+const { DB_VERSION, MIGRATIONS, migrate, migrationHelpers } = migrations;
+
+describe("db/migrations", () => {
+  const DATABASE = "migrations-test";
+
+  const open = (version, steps = MIGRATIONS) =>
+    openDB(DATABASE, version, {
+      upgrade(db, oldVersion, newVersion, transaction) {
+        return migrate(db, transaction, oldVersion, newVersion, steps);
+      }
+    });
+
+  afterEach(async () => {
+    await deleteDB(DATABASE);
+  });
+
+  it("should have known exports", () => {
+    const clone = { ...migrations };
+
+    ["DB_VERSION", "MIGRATIONS", "migrate", "migrationHelpers"].forEach(
+      property => {
+        expect(clone).to.have.property(property);
+        delete clone[property];
+      }
+    );
+
+    expect(clone).to.be.empty;
+  });
+
+  it("uses the version of the last migration", () => {
+    expect(DB_VERSION).to.equal(MIGRATIONS[MIGRATIONS.length - 1].version);
+  });
+
+  it("creates every store on a new database", async () => {
+    const db = await open(DB_VERSION);
+
+    Object.values(DB_STORES).forEach(store => {
+      expect(db.objectStoreNames.contains(store)).to.be.true;
+    });
+    expect(db.transaction(DB_STORES.RECORDS).store.indexNames.contains("type"))
+      .to.be.true;
+    expect(
+      db
+        .transaction(DB_STORES.OFFLINE_ATTACHMENTS)
+        .store.indexNames.contains("fromQueue")
+    ).to.be.true;
+    expect(
+      db.transaction(DB_STORES.DRAFTS).store.indexNames.contains("recordType")
+    ).to.be.true;
+
+    db.close();
+  });
+
+  it("keeps the data when upgrading an existing database", async () => {
+    const db = await open(1);
+
+    await db.put(DB_STORES.RECORDS, { id: "record-1", type: "cases" });
+    await db.put(DB_STORES.OFFLINE_REQUESTS, { fromQueue: "queue-1" });
+    db.close();
+
+    const upgradedDB = await open(DB_VERSION);
+
+    expect(await upgradedDB.get(DB_STORES.RECORDS, "record-1")).to.deep.equal({
+      id: "record-1",
+      type: "cases"
+    });
+    expect(
+      await upgradedDB.get(DB_STORES.OFFLINE_REQUESTS, "queue-1")
+    ).to.deep.equal({ fromQueue: "queue-1", attempts: 0, queuedAt: null });
+    expect(upgradedDB.objectStoreNames.contains(DB_STORES.OFFLINE_ATTACHMENTS))
+      .to.be.true;
+    expect(
+      await upgradedDB.get(DB_STORES.RECORDS_ACCESS, "record-1")
+    ).to.have.property("accessedAt");
+
+    upgradedDB.close();
+  });
+
+  it("only runs the migrations newer than the stored version", async () => {
+    const runs = [];
+    const steps = [1, 2, 3].map(version => ({
+      version,
+      up: db => {
+        runs.push(version);
+        migrationHelpers.createStore(db, `store_${version}`, {
+          keyPath: "id"
+        });
+      }
+    }));
+
+    (await open(2, steps)).close();
+    (await open(3, steps)).close();
+
+    expect(runs).to.deep.equal([1, 2, 3]);
+  });
+
+  it("drops stores and indexes", async () => {
+    const steps = [
+      {
+        version: 1,
+        up: db =>
+          migrationHelpers.createStore(db, "old", { keyPath: "id" }, [
+            ["name", "name"]
+          ])
+      },
+      {
+        version: 2,
+        up: (db, transaction) =>
+          migrationHelpers.deleteIndex(transaction, "old", "name")
+      },
+      {
+        version: 3,
+        up: db => migrationHelpers.deleteStore(db, "old")
+      }
+    ];
+
+    const db = await open(2, steps);
+
+    expect(db.transaction("old").store.indexNames.contains("name")).to.be.false;
+    db.close();
+
+    const upgradedDB = await open(3, steps);
+
+    expect(upgradedDB.objectStoreNames.contains("old")).to.be.false;
+    upgradedDB.close();
+  });
+});
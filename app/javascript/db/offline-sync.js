@@ -0,0 +1,71 @@
+import fromPairs from "lodash/fromPairs";
+
+import {
+  DB_STORES,
+  IDB_SAVEABLE_RECORD_TYPES,
+  PENDING_WORK_STORES
+} from "./constants";
+import DB from "./db";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Records with pending work (queued or failed requests, drafts and
+// attachments waiting to be uploaded) can't be evicted, the changes would be
+// lost.
+const pendingRecordIds = async () => {
+  const values = await Promise.all(
+    PENDING_WORK_STORES.map(store => DB.getAll(store))
+  );
+
+  return values
+    .flat()
+    .map(value => value.recordId || value.api?.id || value.api?.body?.data?.id)
+    .filter(Boolean);
+};
+
+const offlineSyncIndexedDB = {
+  // Records the last time the cached records were synced or opened
+  touch: async ids => {
+    const accessedAt = new Date().toISOString();
+
+    await DB.bulkAdd(
+      DB_STORES.RECORDS_ACCESS,
+      ids.filter(Boolean).map(id => ({ id, accessedAt }))
+    );
+  },
+
+  usage: async () => {
+    const { usage = null, quota = null } =
+      (await navigator.storage?.estimate?.()) || {};
+    const records = await Promise.all(
+      IDB_SAVEABLE_RECORD_TYPES.map(async recordType => [
+        recordType,
+        await DB.count(DB_STORES.RECORDS, "type", recordType)
+      ])
+    );
+
+    return { usage, quota, records: fromPairs(records) };
+  },
+
+  // Removes the records that were not synced or opened within the given days
+  evict: async days => {
+    const cutoff = new Date(Date.now() - days * DAY).toISOString();
+    const pendingIds = await pendingRecordIds();
+    const expired = (await DB.getAll(DB_STORES.RECORDS_ACCESS))
+      .filter(
+        ({ id, accessedAt }) => accessedAt < cutoff && !pendingIds.includes(id)
+      )
+      .map(({ id }) => id);
+
+    await Promise.all(
+      expired.map(async id => {
+        await DB.delete(DB_STORES.RECORDS, id);
+        await DB.delete(DB_STORES.RECORDS_ACCESS, id);
+      })
+    );
+
+    return expired.length;
+  }
+};
+
+export default offlineSyncIndexedDB;
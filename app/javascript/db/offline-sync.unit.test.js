@@ -0,0 +1,106 @@
+import sinon from "sinon";
+
+import { DB_STORES, PENDING_WORK_STORES } from "./constants";
+import DB from "./db";
+import offlineSyncIndexedDB from "./offline-sync";
+
+describe("db/offline-sync", () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  let clock;
+
+  before(async () => {
+    await DB.unlock("primero");
+  });
+
+  after(() => {
+    DB.lock();
+  });
+
+  beforeEach(() => {
+    // Only the date is faked, IndexedDB relies on the timers
+    clock = sinon.useFakeTimers({
+      now: new Date("2020-01-01T00:00:00Z").getTime(),
+      toFake: ["Date"]
+    });
+  });
+
+  afterEach(async () => {
+    clock.restore();
+    await Promise.all(
+      [
+        DB_STORES.RECORDS,
+        DB_STORES.RECORDS_ACCESS,
+        ...PENDING_WORK_STORES
+      ].map(store => DB.clear(store))
+    );
+  });
+
+  const cacheRecords = async (...ids) => {
+    await DB.bulkAdd(
+      DB_STORES.RECORDS,
+      ids.map(id => ({ id, name: id })),
+      { index: "type", value: "cases" }
+    );
+    await offlineSyncIndexedDB.touch(ids);
+  };
+
+  it("counts the cached records of each type", async () => {
+    await cacheRecords("record-1", "record-2");
+
+    const { records } = await offlineSyncIndexedDB.usage();
+
+    expect(records).to.deep.equal({
+      cases: 2,
+      incidents: 0,
+      tracing_requests: 0
+    });
+  });
+
+  it("evicts the records not accessed within the given days", async () => {
+    await cacheRecords("record-1");
+    clock.tick(10 * DAY);
+    await cacheRecords("record-2");
+
+    expect(await offlineSyncIndexedDB.evict(5)).to.equal(1);
+    expect(await DB.getRecord(DB_STORES.RECORDS, "record-1")).to.be.undefined;
+    expect(await DB.getRecord(DB_STORES.RECORDS, "record-2")).to.deep.equal({
+      id: "record-2",
+      name: "record-2",
+      type: "cases"
+    });
+  });
+
+  it("keeps the records with pending work", async () => {
+    await DB.add(DB_STORES.OFFLINE_REQUESTS, {
+      fromQueue: "queue-1",
+      api: { id: "record-1" }
+    });
+    await DB.add(DB_STORES.DEAD_LETTER_REQUESTS, {
+      fromQueue: "queue-2",
+      api: { body: { data: { id: "record-2" } } }
+    });
+    await DB.add(DB_STORES.DRAFTS, {
+      id: "cases/record-3",
+      recordId: "record-3"
+    });
+    await DB.add(DB_STORES.OFFLINE_ATTACHMENTS, {
+      id: "attachment-1",
+      fromQueue: "queue-3",
+      recordId: "record-4"
+    });
+    await cacheRecords(
+      "record-1",
+      "record-2",
+      "record-3",
+      "record-4",
+      "record-5"
+    );
+    clock.tick(10 * DAY);
+
+    expect(await offlineSyncIndexedDB.evict(5)).to.equal(1);
+    expect(await DB.getRecord(DB_STORES.RECORDS, "record-5")).to.be.undefined;
+    expect(
+      (await DB.getAll(DB_STORES.RECORDS)).map(({ id }) => id)
+    ).to.have.members(["record-1", "record-2", "record-3", "record-4"]);
+  });
+});
@@ -0,0 +1,175 @@
+import isNil from "lodash/isNil";
+import isPlainObject from "lodash/isPlainObject";
+
+import {
+  RECORDS_QUERY_DEFAULTS,
+  RECORDS_QUERY_PARAMS,
+  RECORDS_SEARCH_FIELDS
+} from "./constants";
+
+const OR_FILTER = "or";
+const NOT_FILTER = "not";
+
+// Casts the values of the query string the same way the API does: booleans,
+// integers and ranges ("0..5") are sent as strings.
+const parseFilterValue = value => {
+  if (typeof value !== "string") {
+    return value;
+  }
+
+  if (/^(true|false)$/.test(value)) {
+    return value === "true";
+  }
+
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+
+  if (value.includes("..")) {
+    const [from, to] = value.split("..");
+
+    return { from: parseFilterValue(from), to: parseFilterValue(to) };
+  }
+
+  return value;
+};
+
+const isRange = value =>
+  isPlainObject(value) && ("from" in value || "to" in value);
+
+const inRange = (value, { from, to }) => {
+  const numeric = typeof from === "number" || typeof to === "number";
+  const cast = current =>
+    numeric ? Number(current) : new Date(current).getTime();
+  const current = cast(value);
+
+  if (isNil(value) || Number.isNaN(current)) {
+    return false;
+  }
+
+  return (
+    (isNil(from) || current >= cast(from)) && (isNil(to) || current <= cast(to))
+  );
+};
+
+const matchesValue = (value, filterValue) => {
+  if (Array.isArray(value)) {
+    return value.some(current => matchesValue(current, filterValue));
+  }
+
+  if (isRange(filterValue)) {
+    return inRange(value, filterValue);
+  }
+
+  return !isNil(value) && String(value) === String(filterValue);
+};
+
+const matchesFilter = (record, field, value) => {
+  if (field === OR_FILTER) {
+    return (Array.isArray(value) ? value : [value]).some(filters =>
+      Object.entries(filters).some(([name, current]) =>
+        matchesFilter(record, name, current)
+      )
+    );
+  }
+
+  if (field === NOT_FILTER) {
+    return !Object.entries(value).some(([name, current]) =>
+      matchesFilter(record, name, current)
+    );
+  }
+
+  if (Array.isArray(value)) {
+    return (
+      !value.length ||
+      value.some(current =>
+        matchesValue(record[field], parseFilterValue(current))
+      )
+    );
+  }
+
+  return matchesValue(record[field], parseFilterValue(value));
+};
+
+const filterRecords = (records, filters = {}) => {
+  const entries = Object.entries(filters).filter(
+    ([field, value]) =>
+      !RECORDS_QUERY_PARAMS.includes(field) && !isNil(value) && value !== ""
+  );
+
+  return records.filter(record =>
+    entries.every(([field, value]) => matchesFilter(record, field, value))
+  );
+};
+
+const searchRecords = (records, query) => {
+  const text = String(query || "")
+    .trim()
+    .toLowerCase();
+
+  if (!text) {
+    return records;
+  }
+
+  return records.filter(record =>
+    RECORDS_SEARCH_FIELDS.some(field =>
+      String(record[field] || "")
+        .toLowerCase()
+        .includes(text)
+    )
+  );
+};
+
+// Empty values go first in ascending order, as they do in the API
+const compareValues = (a, b) => {
+  if (isNil(a) || isNil(b)) {
+    return Number(!isNil(a)) - Number(!isNil(b));
+  }
+
+  if (typeof a === "number" && typeof b === "number") {
+    return a - b;
+  }
+
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+const sortRecords = (records, orderBy, order) => {
+  const direction = order === "asc" ? 1 : -1;
+
+  return [...records].sort(
+    (a, b) => direction * compareValues(a[orderBy], b[orderBy])
+  );
+};
+
+const paginateRecords = (records, page, per) =>
+  records.slice((page - 1) * per, page * per);
+
+// Queries the cached records with the params of the records API, so the list
+// looks the same offline.
+const queryRecords = (records, params = {}) => {
+  const { order, order_by: orderBy, page, per, query } = {
+    ...RECORDS_QUERY_DEFAULTS,
+    ...params
+  };
+  const currentPage = parseInt(page, 10) || RECORDS_QUERY_DEFAULTS.page;
+  const perPage = parseInt(per, 10) || RECORDS_QUERY_DEFAULTS.per;
+  const results = sortRecords(
+    searchRecords(filterRecords(records || [], params), query),
+    orderBy,
+    order
+  );
+
+  return {
+    data: paginateRecords(results, currentPage, perPage),
+    metadata: { total: results.length, per: perPage, page: currentPage }
+  };
+};
+
+export {
+  filterRecords,
+  paginateRecords,
+  parseFilterValue,
+  queryRecords,
+  searchRecords,
+  sortRecords
+};
@@ -0,0 +1,179 @@
+import * as query from "./query";
+
+describe("db/query", () => {
+  const records = [
+    {
+      id: "1",
+      short_id: "abc123",
+      name: "Maria Lopez",
+      status: "open",
+      record_state: true,
+      sex: "female",
+      age: 4,
+      owned_by: "primero",
+      assigned_user_names: ["primero_cp"],
+      registration_date: "2020-01-10",
+      created_at: "2020-01-10T10:00:00Z"
+    },
+    {
+      id: "2",
+      short_id: "def456",
+      name: "Juan Perez",
+      status: "closed",
+      record_state: true,
+      sex: "male",
+      age: 12,
+      owned_by: "primero_cp",
+      assigned_user_names: [],
+      registration_date: "2020-03-01",
+      created_at: "2020-03-01T10:00:00Z"
+    },
+    {
+      id: "3",
+      short_id: "ghi789",
+      name: "Ana Maria Ruiz",
+      status: "open",
+      record_state: false,
+      sex: "female",
+      age: 17,
+      owned_by: "primero_mgr",
+      registration_date: "2020-02-15",
+      created_at: "2020-02-15T10:00:00Z"
+    }
+  ];
+
+  const ids = results => results.map(({ id }) => id);
+
+  it("should have known exports", () => {
+    const clone = { ...query };
+
+    [
+      "filterRecords",
+      "paginateRecords",
+      "parseFilterValue",
+      "queryRecords",
+      "searchRecords",
+      "sortRecords"
+    ].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("parseFilterValue()", () => {
+    it("casts booleans, integers and ranges", () => {
+      expect(query.parseFilterValue("true")).to.be.true;
+      expect(query.parseFilterValue("12")).to.equal(12);
+      expect(query.parseFilterValue("0..5")).to.deep.equal({ from: 0, to: 5 });
+      expect(query.parseFilterValue("open")).to.equal("open");
+    });
+  });
+
+  describe("filterRecords()", () => {
+    it("filters by a list of values", () => {
+      expect(
+        ids(query.filterRecords(records, { status: ["open"] }))
+      ).to.deep.equal(["1", "3"]);
+    });
+
+    it("filters by boolean values sent as strings", () => {
+      expect(
+        ids(
+          query.filterRecords(records, {
+            status: ["open"],
+            record_state: ["true"]
+          })
+        )
+      ).to.deep.equal(["1"]);
+    });
+
+    it("filters by numeric ranges", () => {
+      expect(
+        ids(query.filterRecords(records, { age: ["0..5", "13..17"] }))
+      ).to.deep.equal(["1", "3"]);
+    });
+
+    it("filters by date ranges", () => {
+      expect(
+        ids(
+          query.filterRecords(records, {
+            registration_date: {
+              from: new Date("2020-02-01"),
+              to: "2020-03-31"
+            }
+          })
+        )
+      ).to.deep.equal(["2", "3"]);
+    });
+
+    it("filters by any of the fields of the or filter", () => {
+      expect(
+        ids(
+          query.filterRecords(records, {
+            or: { owned_by: "primero_cp", assigned_user_names: "primero_cp" }
+          })
+        )
+      ).to.deep.equal(["1", "2"]);
+    });
+
+    it("ignores the params that are not filters", () => {
+      expect(
+        query.filterRecords(records, { fields: "short", page: 2, per: 1 })
+      ).to.have.lengthOf(3);
+    });
+  });
+
+  describe("searchRecords()", () => {
+    it("searches the name and the short id", () => {
+      expect(ids(query.searchRecords(records, "maria"))).to.deep.equal([
+        "1",
+        "3"
+      ]);
+      expect(ids(query.searchRecords(records, "DEF4"))).to.deep.equal(["2"]);
+    });
+
+    it("returns every record without a query", () => {
+      expect(query.searchRecords(records, "")).to.have.lengthOf(3);
+    });
+  });
+
+  describe("sortRecords()", () => {
+    it("sorts by a field in both directions", () => {
+      expect(ids(query.sortRecords(records, "name", "asc"))).to.deep.equal([
+        "3",
+        "2",
+        "1"
+      ]);
+      expect(ids(query.sortRecords(records, "age", "desc"))).to.deep.equal([
+        "3",
+        "2",
+        "1"
+      ]);
+    });
+  });
+
+  describe("queryRecords()", () => {
+    it("sorts by the creation date and paginates by default", () => {
+      const { data, metadata } = query.queryRecords(records);
+
+      expect(ids(data)).to.deep.equal(["2", "3", "1"]);
+      expect(metadata).to.deep.equal({ total: 3, per: 20, page: 1 });
+    });
+
+    it("returns the requested page of the filtered records", () => {
+      const { data, metadata } = query.queryRecords(records, {
+        fields: "short",
+        status: ["open"],
+        order_by: "short_id",
+        order: "asc",
+        page: "2",
+        per: "1"
+      });
+
+      expect(ids(data)).to.deep.equal(["3"]);
+      expect(metadata).to.deep.equal({ total: 2, per: 1, page: 2 });
+    });
+  });
+});
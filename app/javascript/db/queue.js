@@ -1,7 +1,12 @@
 import EventManager from "../libs/messenger";
-import { QUEUE_ADD, QUEUE_FINISHED } from "../libs/queue";
+import {
+  QUEUE_ADD,
+  QUEUE_FAILED,
+  QUEUE_FINISHED,
+  getBackoffDelay
+} from "../libs/queue";
 
-import { DB_STORES } from "./constants";
+import { DB_STORES, MAX_REQUEST_ATTEMPTS } from "./constants";
 import DB from "./db";
 
 const queueIndexedDB = {
@@ -9,14 +14,91 @@ const queueIndexedDB = {
     return DB.getAll(DB_STORES.OFFLINE_REQUESTS);
   },
 
-  add: action => {
-    DB.add(DB_STORES.OFFLINE_REQUESTS, action);
-    EventManager.publish(QUEUE_ADD, action);
+  getAllFailed: () => {
+    return DB.getAll(DB_STORES.DEAD_LETTER_REQUESTS);
+  },
+
+  add: async action => {
+    const request = {
+      queuedAt: new Date().toISOString(),
+      attempts: 0,
+      ...action
+    };
+
+    await DB.add(DB_STORES.OFFLINE_REQUESTS, request);
+    EventManager.publish(QUEUE_ADD, request);
   },
 
   delete: async index => {
     await DB.delete(DB_STORES.OFFLINE_REQUESTS, index);
     EventManager.publish(QUEUE_FINISHED, index);
+  },
+
+  fail: async (index, error) => {
+    const request = await DB.getRecord(DB_STORES.OFFLINE_REQUESTS, index);
+
+    if (!request) {
+      EventManager.publish(QUEUE_FAILED, { fromQueue: index, dead: true });
+
+      return;
+    }
+
+    const attempts = (request.attempts || 0) + 1;
+    const now = Date.now();
+    const failedRequest = {
+      ...request,
+      attempts,
+      lastError: error || null,
+      lastAttemptAt: new Date(now).toISOString(),
+      nextAttemptAt: new Date(now + getBackoffDelay(attempts)).toISOString()
+    };
+    const dead = failedRequest.attempts >= MAX_REQUEST_ATTEMPTS;
+
+    if (dead) {
+      await DB.put(DB_STORES.DEAD_LETTER_REQUESTS, failedRequest);
+      await DB.delete(DB_STORES.OFFLINE_REQUESTS, index);
+    } else {
+      await DB.put(DB_STORES.OFFLINE_REQUESTS, failedRequest);
+    }
+
+    EventManager.publish(QUEUE_FAILED, {
+      fromQueue: index,
+      dead,
+      request: failedRequest
+    });
+  },
+
+  retry: async request => {
+    const retriedRequest = {
+      ...request,
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: null
+    };
+
+    await DB.put(DB_STORES.OFFLINE_REQUESTS, retriedRequest);
+    await DB.delete(DB_STORES.DEAD_LETTER_REQUESTS, request.fromQueue);
+    EventManager.publish(QUEUE_ADD, retriedRequest);
+  },
+
+  discard: async index => {
+    await DB.delete(DB_STORES.DEAD_LETTER_REQUESTS, index);
+    await queueIndexedDB.delete(index);
+  },
+
+  rebase: async (recordId, lastUpdatedAt) => {
+    const requests = (await DB.getAll(DB_STORES.OFFLINE_REQUESTS)) || [];
+
+    await Promise.all(
+      requests
+        .filter(request => request.api?.id === recordId)
+        .map(request =>
+          DB.put(DB_STORES.OFFLINE_REQUESTS, {
+            ...request,
+            api: { ...request.api, lastUpdatedAt }
+          })
+        )
+    );
   }
 };
 
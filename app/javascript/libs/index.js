@@ -1,5 +1,9 @@
 export { default as toBase64 } from "./base64";
+export { default as parseCSVRows } from "./parse-csv";
+export { default as downloadFile } from "./download-file";
+export { default as readFile, READ_AS } from "./read-file";
 export { default as useThemeHelper } from "./theme-helpers";
 export * from "./component-helpers";
 export * from "./reducer-helpers";
+export * from "./map-tiles";
 export { default as keyIn } from "./immutable-helpers";
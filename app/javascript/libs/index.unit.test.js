@@ -17,9 +17,13 @@ describe("libs/index", () => {
     });
 
     [
+      "READ_AS",
+      "TILE_SIZE",
       "arrayToObject",
+      "cacheTiles",
       "compare",
       "dataToJS",
+      "downloadFile",
       "keyIn",
       "listAttachmentFields",
       "listEntriesToRecord",
@@ -27,11 +31,18 @@ describe("libs/index", () => {
       "mapListToObject",
       "mapObjectPropertiesToRecords",
       "mergeRecord",
+      "metersPerPixel",
       "namespaceActions",
+      "parseCSVRows",
+      "project",
+      "readFile",
       "rejectKeys",
+      "tileUrl",
       "toBase64",
+      "unproject",
       "useThemeHelper",
-      "valuesToSearchableSelect"
+      "valuesToSearchableSelect",
+      "visibleTiles"
     ].forEach(property => {
       it(`exports '${property}'`, () => {
         expect(moduleToTest).to.have.property(property);
@@ -0,0 +1,156 @@
+// Web Mercator helpers of the slippy map tiles, the same scheme used by
+// OpenStreetMap and most tile servers.
+// https://wiki.openstreetmap.org/wiki/Slippy_map_tilenames
+
+const TILE_PIXELS = 256;
+
+const EARTH_CIRCUMFERENCE = 40075016.686;
+
+// Latitudes beyond this value can't be projected
+const MAX_LATITUDE = 85.0511287798;
+
+// Tiles downloaded at the same time when saving an area, the tile servers
+// block the clients that request too many at once.
+const CONCURRENT_DOWNLOADS = 2;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const mapSize = zoom => TILE_PIXELS * 2 ** zoom;
+
+const cacheTile = async (cache, url) => {
+  try {
+    const response = await window.fetch(url);
+
+    if (!response.ok) {
+      return false;
+    }
+
+    await cache.put(url, response);
+
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const TILE_SIZE = TILE_PIXELS;
+
+// Returns the pixel of the whole map at the zoom level
+export const project = ({ latitude, longitude }, zoom) => {
+  const sin = Math.sin(
+    (clamp(latitude, -MAX_LATITUDE, MAX_LATITUDE) * Math.PI) / 180
+  );
+
+  return {
+    x: ((longitude + 180) / 360) * mapSize(zoom),
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * mapSize(zoom)
+  };
+};
+
+export const unproject = ({ x, y }, zoom) => {
+  const n = Math.PI - (2 * Math.PI * y) / mapSize(zoom);
+
+  return {
+    latitude: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    longitude: (x / mapSize(zoom)) * 360 - 180
+  };
+};
+
+export const metersPerPixel = (latitude, zoom) =>
+  (EARTH_CIRCUMFERENCE * Math.cos((latitude * Math.PI) / 180)) / mapSize(zoom);
+
+export const tileUrl = (template, { x, y, z }) =>
+  template
+    .replace("{s}", "abc"[Math.abs(x + y) % 3])
+    .replace("{x}", x)
+    .replace("{y}", y)
+    .replace("{z}", z);
+
+// Tiles covering a view of the given size centered on a point. left and top
+// are the position of the tile in the view.
+export const visibleTiles = (center, zoom, width, height) => {
+  const centerPixel = project(center, zoom);
+  const origin = {
+    x: centerPixel.x - width / 2,
+    y: centerPixel.y - height / 2
+  };
+  const tilesCount = 2 ** zoom;
+  const [minX, maxX] = [
+    Math.floor(origin.x / TILE_SIZE),
+    Math.floor((origin.x + width) / TILE_SIZE)
+  ];
+  const [minY, maxY] = [
+    Math.max(Math.floor(origin.y / TILE_SIZE), 0),
+    Math.min(Math.floor((origin.y + height) / TILE_SIZE), tilesCount - 1)
+  ];
+  const tiles = [];
+
+  for (let y = minY; y <= maxY; y += 1) {
+    for (let x = minX; x <= maxX; x += 1) {
+      tiles.push({
+        // The map wraps around horizontally
+        x: ((x % tilesCount) + tilesCount) % tilesCount,
+        y,
+        z: zoom,
+        left: x * TILE_SIZE - origin.x,
+        top: y * TILE_SIZE - origin.y
+      });
+    }
+  }
+
+  return tiles;
+};
+
+// Stores the tiles of a view and of the zoom levels below it, so the area can
+// be browsed without connection. The service worker serves the cached tiles.
+// The tiles are downloaded a few at a time, onProgress is called with the
+// number of the tiles done and the total after each one. The tiles that can't
+// be downloaded are skipped, the number of the cached tiles is returned.
+export const cacheTiles = async (
+  { url, cacheName },
+  center,
+  zoom,
+  { width, height, levels, maxZoom, onProgress = () => {} }
+) => {
+  const urls = new Set();
+
+  for (
+    let level = zoom;
+    level <= Math.min(zoom + levels, maxZoom);
+    level += 1
+  ) {
+    const scale = 2 ** (level - zoom);
+
+    visibleTiles(center, level, width * scale, height * scale).forEach(tile =>
+      urls.add(tileUrl(url, tile))
+    );
+  }
+
+  const cache = await window.caches.open(cacheName);
+  const pending = [...urls];
+  let done = 0;
+  let cached = 0;
+
+  const download = async () => {
+    const tile = pending.shift();
+
+    if (!tile) {
+      return;
+    }
+
+    if (await cacheTile(cache, tile)) {
+      cached += 1;
+    }
+
+    done += 1;
+    onProgress(done, urls.size);
+
+    await download();
+  };
+
+  await Promise.all(
+    Array.from({ length: CONCURRENT_DOWNLOADS }, () => download())
+  );
+
+  return cached;
+};
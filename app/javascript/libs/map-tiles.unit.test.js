@@ -0,0 +1,181 @@
+import { spy } from "sinon";
+
+import * as mapTiles from "./map-tiles";
+
+describe("libs/map-tiles", () => {
+  it("should have known exports", () => {
+    const clone = { ...mapTiles };
+
+    [
+      "TILE_SIZE",
+      "cacheTiles",
+      "metersPerPixel",
+      "project",
+      "tileUrl",
+      "unproject",
+      "visibleTiles"
+    ].forEach(property => {
+      expect(clone).to.have.property(property);
+      delete clone[property];
+    });
+
+    expect(clone).to.be.empty;
+  });
+
+  describe("project", () => {
+    it("returns the pixel of the point in the map", () => {
+      expect(mapTiles.project({ latitude: 0, longitude: 0 }, 1)).to.deep.equal({
+        x: 256,
+        y: 256
+      });
+
+      const { x, y } = mapTiles.project({ latitude: 85, longitude: -180 }, 0);
+
+      expect(x).to.equal(0);
+      expect(y).to.be.closeTo(0, 1);
+    });
+
+    it("is reverted by unproject", () => {
+      const point = { latitude: 9.03, longitude: 38.74 };
+      const { latitude, longitude } = mapTiles.unproject(
+        mapTiles.project(point, 15),
+        15
+      );
+
+      expect(latitude).to.be.closeTo(point.latitude, 0.000001);
+      expect(longitude).to.be.closeTo(point.longitude, 0.000001);
+    });
+  });
+
+  describe("metersPerPixel", () => {
+    it("returns the resolution of the map at the latitude", () => {
+      expect(mapTiles.metersPerPixel(0, 0)).to.be.closeTo(156543, 1);
+      expect(mapTiles.metersPerPixel(60, 1)).to.be.closeTo(39135.8, 0.1);
+    });
+  });
+
+  describe("tileUrl", () => {
+    it("replaces the coordinates of the tile", () => {
+      expect(
+        mapTiles.tileUrl("https://{s}.tiles.org/{z}/{x}/{y}.png", {
+          x: 1,
+          y: 2,
+          z: 3
+        })
+      ).to.equal("https://a.tiles.org/3/1/2.png");
+    });
+  });
+
+  describe("visibleTiles", () => {
+    it("returns the tiles covering the view", () => {
+      const tiles = mapTiles.visibleTiles(
+        { latitude: 0, longitude: 0 },
+        1,
+        256,
+        256
+      );
+
+      expect(tiles).to.deep.equal([
+        { x: 0, y: 0, z: 1, left: -128, top: -128 },
+        { x: 1, y: 0, z: 1, left: 128, top: -128 },
+        { x: 0, y: 1, z: 1, left: -128, top: 128 },
+        { x: 1, y: 1, z: 1, left: 128, top: 128 }
+      ]);
+    });
+
+    it("wraps the tiles around the map", () => {
+      const tiles = mapTiles.visibleTiles(
+        { latitude: 0, longitude: 180 },
+        0,
+        256,
+        256
+      );
+
+      expect(tiles.map(({ x, left }) => [x, left])).to.deep.equal([
+        [0, -128],
+        [0, 128]
+      ]);
+    });
+  });
+
+  describe("cacheTiles", () => {
+    let put;
+    let originalFetch;
+
+    const cacheTiles = onProgress =>
+      mapTiles.cacheTiles(
+        { url: "/tiles/{z}/{x}/{y}.png", cacheName: "map-tiles" },
+        { latitude: 0, longitude: 0 },
+        0,
+        { width: 256, height: 256, levels: 1, maxZoom: 18, onProgress }
+      );
+
+    beforeEach(() => {
+      put = spy(() => Promise.resolve());
+      originalFetch = window.fetch;
+      window.fetch = spy(url => Promise.resolve({ ok: true, url }));
+      window.caches = { open: spy(() => Promise.resolve({ put })) };
+    });
+
+    afterEach(() => {
+      window.fetch = originalFetch;
+      delete window.caches;
+    });
+
+    it("stores the tiles of the view and the zoom levels below", async () => {
+      const count = await cacheTiles();
+
+      expect(window.caches.open).to.have.been.calledWith("map-tiles");
+      expect(count).to.equal(5);
+      expect(put.args.map(([url]) => url)).to.include.members([
+        "/tiles/0/0/0.png",
+        "/tiles/1/0/0.png",
+        "/tiles/1/1/1.png"
+      ]);
+    });
+
+    it("skips the tiles that can't be downloaded", async () => {
+      window.fetch = spy(url =>
+        url === "/tiles/1/0/0.png"
+          ? Promise.reject(new TypeError("Failed to fetch"))
+          : Promise.resolve({ ok: url !== "/tiles/1/1/1.png", url })
+      );
+
+      expect(await cacheTiles()).to.equal(3);
+      expect(put).to.have.been.calledThrice;
+    });
+
+    it("downloads two tiles at a time", async () => {
+      let downloading = 0;
+      let maxDownloading = 0;
+
+      window.fetch = spy(async url => {
+        downloading += 1;
+        maxDownloading = Math.max(maxDownloading, downloading);
+        await new Promise(resolve => setTimeout(resolve, 1));
+        downloading -= 1;
+
+        return { ok: true, url };
+      });
+
+      await cacheTiles();
+
+      expect(window.fetch).to.have.callCount(5);
+      expect(maxDownloading).to.equal(2);
+    });
+
+    it("reports the progress after each tile", async () => {
+      const onProgress = spy();
+
+      await cacheTiles(onProgress);
+
+      expect(onProgress.args).to.deep.equal([
+        [1, 5],
+        [2, 5],
+        [3, 5],
+        [4, 5],
+        [5, 5]
+      ]);
+    });
+  });
+});
@@ -33,7 +33,7 @@ class EventManager {
 
     const handlerIdx = handlers.indexOf(handler);
 
-    handlers.splice(handlerIdx);
+    if (handlerIdx !== -1) handlers.splice(handlerIdx, 1);
   }
 }
 
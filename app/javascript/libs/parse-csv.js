@@ -0,0 +1,36 @@
+// Splits a CSV text into rows of values. Quoted values can contain commas,
+// line breaks and escaped quotes.
+export default text => {
+  const rows = [];
+  let row = [];
+  let value = "";
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        value += char;
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(value);
+      value = "";
+    } else if (char === "\n") {
+      rows.push([...row, value.replace(/\r$/, "")]);
+      row = [];
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+
+  return value || row.length ? [...rows, [...row, value]] : rows;
+};
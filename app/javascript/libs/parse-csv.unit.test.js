@@ -0,0 +1,17 @@
+import parseCSVRows from "./parse-csv";
+
+describe("libs/parse-csv", () => {
+  it("splits the text in rows of values", () => {
+    expect(parseCSVRows("a,b\r\n1,2\n3,")).to.deep.equal([
+      ["a", "b"],
+      ["1", "2"],
+      ["3", ""]
+    ]);
+  });
+
+  it("keeps the commas, line breaks and quotes of the quoted values", () => {
+    expect(parseCSVRows('"a, b","line\nbreak","say ""hi"""\n')).to.deep.equal([
+      ["a, b", "line\nbreak", 'say "hi"']
+    ]);
+  });
+});
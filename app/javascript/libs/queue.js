@@ -1,6 +1,7 @@
 import head from "lodash/head";
 
 import DB from "../db/db";
+import { HEALTH_CHECK_PATH, QUEUE_BACKOFF } from "../config/constants";
 
 import EventManager from "./messenger";
 
@@ -8,39 +9,73 @@ const QUEUE_ADD = "queue-add";
 const QUEUE_FINISHED = "queue-finished";
 const QUEUE_FAILED = "queue-failed";
 const QUEUE_SKIP = "queue-skip";
+const QUEUE_ATTACHMENT_PROGRESS = "queue-attachment-progress";
+
+const isNavigatorOnline = () =>
+  typeof navigator === "undefined" || navigator.onLine !== false;
+
+const getBackoffDelay = (attempts, backoff = QUEUE_BACKOFF) => {
+  const { base, factor, max, jitter } = backoff;
+  const delay = Math.min(max, base * factor ** Math.max(attempts - 1, 0));
+
+  return Math.round(delay * (1 - jitter * Math.random()));
+};
+
+const checkConnectivity = async () => {
+  try {
+    const response = await window.fetch(HEALTH_CHECK_PATH, {
+      cache: "no-store",
+      credentials: "same-origin"
+    });
+
+    return response.ok;
+  } catch {
+    return false;
+  }
+};
 
 class Queue {
   constructor() {
     this.queue = [];
-    this.tries = 0;
+    this.ready = false;
     this.working = false;
+    this.online = isNavigatorOnline();
+    this.timer = null;
+    this.connectivityAttempts = 0;
 
     EventManager.subscribe(QUEUE_ADD, action => {
       this.add([action]);
     });
 
-    EventManager.subscribe(QUEUE_SKIP, () => {
-      this.tries = 0;
-      this.queue.shift();
-
-      if (!this.working) this.process();
+    EventManager.subscribe(QUEUE_SKIP, id => {
+      this.finished(id);
     });
 
-    EventManager.subscribe(QUEUE_FAILED, () => {
-      this.tries += 1;
-
-      if (this.tries === 3) {
-        this.queue.shift();
-        this.tries = 0;
+    // Failed requests are kept in the queue with the attempt state persisted
+    // by queueIndexedDB. Requests that reached the maximum attempts were moved
+    // to the dead letter store, they are no longer part of the queue.
+    EventManager.subscribe(
+      QUEUE_FAILED,
+      ({ fromQueue, dead, request } = {}) => {
+        this.queue = dead
+          ? this.queue.filter(item => item.fromQueue !== fromQueue)
+          : this.queue.map(item =>
+              request && item.fromQueue === fromQueue ? request : item
+            );
+        this.working = false;
+        this.process();
       }
-
-      if (!this.working) this.process();
-    });
+    );
 
     EventManager.subscribe(QUEUE_FINISHED, id => {
       this.finished(id);
     });
 
+    if (typeof window !== "undefined" && window.addEventListener) {
+      window.addEventListener("online", () => this.setOnline(true));
+      window.addEventListener("offline", () => this.setOnline(false));
+    }
+
     this.fromDB();
 
     return Queue.instance;
@@ -53,37 +88,107 @@ class Queue {
   }
 
   start() {
-    if (!this.working) this.process();
+    this.connectivityAttempts = 0;
+    this.clearTimer();
+    this.process();
+  }
+
+  setOnline(online) {
+    this.online = online;
+
+    if (online) {
+      this.start();
+    } else {
+      // An in-flight request keeps the queue working until it finished or
+      // failed, otherwise it could be sent again once the connection is back.
+      // The queue pauses after it settles and resumes from the next request.
+      this.clearTimer();
+    }
   }
 
   add(actions) {
-    this.queue.push(...actions);
+    this.queue.push(
+      ...actions.filter(
+        action => !this.queue.some(item => item.fromQueue === action.fromQueue)
+      )
+    );
 
-    if (!this.working.process) {
-      this.process();
+    this.process();
+  }
+
+  finished(id) {
+    const inProgress = head(this.queue)?.fromQueue === id;
+
+    this.queue = this.queue.filter(item => item.fromQueue !== id);
+
+    if (inProgress) {
+      this.working = false;
     }
+
+    this.process();
   }
 
-  finished() {
-    this.queue.shift();
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
 
-    if (!this.working) this.process();
+  schedule(delay) {
+    this.clearTimer();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.process();
+    }, delay);
   }
 
-  process() {
-    if (this.ready) {
-      this.working = true;
+  canProcess() {
+    return (
+      Boolean(this.ready && this.dispatch) &&
+      this.online &&
+      !this.working &&
+      !this.timer
+    );
+  }
 
-      const item = head(this.queue);
+  async process() {
+    const item = head(this.queue);
 
-      if (item) {
-        const action = item;
+    if (!item || !this.canProcess()) {
+      return;
+    }
 
-        this.dispatch(action);
-      }
+    const wait = Date.parse(item.nextAttemptAt) - Date.now();
 
+    if (wait > 0) {
+      this.schedule(wait);
+
+      return;
+    }
+
+    this.working = true;
+
+    // A request that already failed is only replayed once the server is
+    // reachable, otherwise the queue pauses and checks again later.
+    if (item.attempts > 0 && !(await checkConnectivity())) {
+      this.working = false;
+      this.connectivityAttempts += 1;
+      this.schedule(getBackoffDelay(this.connectivityAttempts));
+
+      return;
+    }
+
+    this.connectivityAttempts = 0;
+
+    if (!this.ready || !this.online || head(this.queue) !== item) {
       this.working = false;
+      this.process();
+
+      return;
     }
+
+    this.dispatch(item);
   }
 }
 
@@ -91,4 +196,11 @@ const instance = new Queue();
 
 export default instance;
 
-export { QUEUE_ADD, QUEUE_FINISHED, QUEUE_FAILED, QUEUE_SKIP };
+export {
+  QUEUE_ADD,
+  QUEUE_FINISHED,
+  QUEUE_FAILED,
+  QUEUE_SKIP,
+  QUEUE_ATTACHMENT_PROGRESS,
+  getBackoffDelay
+};
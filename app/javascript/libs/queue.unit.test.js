@@ -0,0 +1,163 @@
+import sinon from "sinon";
+
+import { QUEUE_BACKOFF } from "../config/constants";
+
+import EventManager from "./messenger";
+import Queue, { QUEUE_FAILED, QUEUE_FINISHED, getBackoffDelay } from "./queue";
+
+describe("libs/queue", () => {
+  let clock;
+  let originalFetch;
+  const pending = { fromQueue: "queue-1", attempts: 0 };
+  const failed = { fromQueue: "queue-2", attempts: 2 };
+
+  beforeEach(() => {
+    clock = sinon.useFakeTimers(new Date("2020-03-01T10:00:00.000Z"));
+    originalFetch = window.fetch;
+    window.fetch = sinon.stub().resolves({ ok: true });
+    sinon.stub(Math, "random").returns(0);
+
+    Queue.clearTimer();
+    Queue.queue = [];
+    Queue.working = false;
+    Queue.online = true;
+    Queue.ready = true;
+    Queue.dispatch = sinon.spy();
+  });
+
+  afterEach(() => {
+    Queue.clearTimer();
+    Queue.queue = [];
+    Queue.ready = false;
+    Queue.working = false;
+    window.fetch = originalFetch;
+    Math.random.restore();
+    clock.restore();
+  });
+
+  describe("getBackoffDelay", () => {
+    it("doubles the delay on every attempt", () => {
+      expect(getBackoffDelay(1)).to.equal(QUEUE_BACKOFF.base);
+      expect(getBackoffDelay(2)).to.equal(QUEUE_BACKOFF.base * 2);
+      expect(getBackoffDelay(3)).to.equal(QUEUE_BACKOFF.base * 4);
+    });
+
+    it("never exceeds the maximum delay", () => {
+      expect(getBackoffDelay(100)).to.equal(QUEUE_BACKOFF.max);
+    });
+
+    it("removes a random fraction of the delay", () => {
+      Math.random.returns(1);
+
+      expect(getBackoffDelay(1)).to.equal(
+        QUEUE_BACKOFF.base * (1 - QUEUE_BACKOFF.jitter)
+      );
+    });
+  });
+
+  it("dispatches the first request of the queue", () => {
+    Queue.add([pending]);
+
+    expect(Queue.dispatch).to.have.been.calledOnceWith(pending);
+  });
+
+  it("does not dispatch while offline", () => {
+    Queue.setOnline(false);
+    Queue.add([pending]);
+
+    expect(Queue.dispatch).to.not.have.been.called;
+  });
+
+  it("resumes when the connection is back", () => {
+    Queue.setOnline(false);
+    Queue.add([pending]);
+    Queue.setOnline(true);
+
+    expect(Queue.dispatch).to.have.been.calledOnceWith(pending);
+  });
+
+  it("does not send the in-flight request again when the connection is back", () => {
+    const next = { fromQueue: "queue-3", attempts: 0 };
+
+    Queue.add([pending, next]);
+    Queue.setOnline(false);
+    Queue.setOnline(true);
+
+    expect(Queue.dispatch).to.have.been.calledOnceWith(pending);
+
+    EventManager.publish(QUEUE_FINISHED, pending.fromQueue);
+
+    expect(Queue.dispatch).to.have.been.calledTwice;
+    expect(Queue.dispatch.secondCall).to.have.been.calledWith(next);
+  });
+
+  it("pauses once the in-flight request failed while offline", () => {
+    Queue.add([pending]);
+    Queue.setOnline(false);
+    EventManager.publish(QUEUE_FAILED, { fromQueue: pending.fromQueue });
+
+    expect(Queue.working).to.be.false;
+    expect(Queue.dispatch).to.have.been.calledOnce;
+
+    Queue.setOnline(true);
+
+    expect(Queue.dispatch).to.have.been.calledTwice;
+  });
+
+  it("waits until the next attempt of a failed request", () => {
+    Queue.add([
+      { ...failed, nextAttemptAt: new Date(Date.now() + 10000).toISOString() }
+    ]);
+
+    expect(window.fetch).to.not.have.been.called;
+
+    clock.tick(10000);
+
+    expect(window.fetch).to.have.been.calledOnce;
+  });
+
+  it("pauses when the server is not reachable", async () => {
+    window.fetch.rejects(new TypeError("Failed to fetch"));
+
+    Queue.ready = false;
+    Queue.add([failed]);
+    Queue.ready = true;
+    await Queue.process();
+
+    expect(Queue.dispatch).to.not.have.been.called;
+    expect(Queue.connectivityAttempts).to.equal(1);
+    expect(Queue.timer).to.not.be.null;
+  });
+
+  it("keeps the attempt state of a failed request", () => {
+    const retried = { ...pending, attempts: 1, nextAttemptAt: "x" };
+
+    Queue.add([pending]);
+    EventManager.publish(QUEUE_FAILED, {
+      fromQueue: pending.fromQueue,
+      request: retried
+    });
+
+    expect(Queue.queue).to.deep.equal([retried]);
+  });
+
+  it("removes dead requests from the queue", () => {
+    Queue.add([pending]);
+    EventManager.publish(QUEUE_FAILED, {
+      fromQueue: pending.fromQueue,
+      dead: true
+    });
+
+    expect(Queue.queue).to.be.empty;
+  });
+
+  it("dispatches the next request once the current one finished", () => {
+    const next = { fromQueue: "queue-3", attempts: 0 };
+
+    Queue.add([pending, next]);
+    EventManager.publish(QUEUE_FINISHED, pending.fromQueue);
+
+    expect(Queue.dispatch).to.have.been.calledTwice;
+    expect(Queue.dispatch.secondCall).to.have.been.calledWith(next);
+  });
+});
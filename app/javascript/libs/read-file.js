@@ -0,0 +1,14 @@
+export const READ_AS = Object.freeze({
+  arrayBuffer: "readAsArrayBuffer",
+  text: "readAsText"
+});
+
+// Reads the content of a file selected by the user, as text by default
+export default (file, readAs = READ_AS.text) =>
+  new Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader[readAs](file);
+  });
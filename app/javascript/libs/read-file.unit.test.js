@@ -0,0 +1,15 @@
+import readFile, { READ_AS } from "./read-file";
+
+describe("libs/read-file", () => {
+  const file = new Blob(["first,second"], { type: "text/csv" });
+
+  it("reads the file as text", async () => {
+    expect(await readFile(file)).to.equal("first,second");
+  });
+
+  it("reads the file as an array buffer", async () => {
+    const content = await readFile(file, READ_AS.arrayBuffer);
+
+    expect(new TextDecoder().decode(content)).to.equal("first,second");
+  });
+});
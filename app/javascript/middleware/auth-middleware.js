@@ -8,22 +8,51 @@ import {
   attemptSignout,
   setAuthenticatedUser
 } from "../components/user";
-import DB from "../db";
+import { ENQUEUE_SNACKBAR, generate } from "../components/notifier";
+import { selectUserIdle } from "../components/application";
+import DB, { draftsIndexedDB } from "../db";
 import { ROUTES } from "../config";
 
 import { startSignout } from "./utils";
 
+// The drafts are only purged when the user logs out, they are kept when the
+// session times out so the user can restore them after logging in again.
+let loggedOutByUser = false;
+
 function redirectTo(store, path) {
   store.dispatch(push(path));
 }
 
-function logoutSuccessHandler(store) {
+async function clearDrafts() {
+  if (loggedOutByUser) {
+    loggedOutByUser = false;
+    await draftsIndexedDB.clear();
+  }
+}
+
+async function logoutHandler(store) {
+  const state = store.getState();
+
+  loggedOutByUser = !selectUserIdle(state);
+
+  // The identity provider leaves the application, the logout never finishes
+  if (state.getIn(["idp", "use_identity_provider"])) {
+    await clearDrafts();
+  }
+
+  await DB.lock();
+  startSignout(store, attemptSignout, signOut);
+}
+
+async function logoutSuccessHandler(store) {
+  await clearDrafts();
+  await DB.lock();
   localStorage.removeItem("user");
   redirectTo(store, "/login");
 }
 
 async function loginSuccessHandler(store, user) {
-  const { user_name: username, id } = user;
+  const { user_name: username, id, offline_secret: offlineSecret } = user;
 
   const userFromDB = await DB.getRecord("user", username);
 
@@ -31,6 +60,24 @@ async function loginSuccessHandler(store, user) {
     await DB.clearDB();
   }
 
+  // The secret sent by the server unlocks the key of the records stored in
+  // IndexedDB. The database stays locked when the key of the queued changes
+  // can't be recovered, they are kept until it's available again.
+  try {
+    await DB.unlock(username, offlineSecret);
+  } catch (error) {
+    store.dispatch({
+      type: ENQUEUE_SNACKBAR,
+      payload: {
+        messageKey: "outbox.locked",
+        options: {
+          variant: "error",
+          key: generate.messageKey()
+        }
+      }
+    });
+  }
+
   localStorage.setItem("user", JSON.stringify({ username, id }));
   store.dispatch(setAuthenticatedUser({ username, id }));
   redirectTo(store, ROUTES.dashboard);
@@ -47,7 +94,7 @@ const authMiddleware = store => next => action => {
     .getIn(["user", "isAuthenticated"], false);
 
   if (routeChanged && location === "/logout") {
-    startSignout(store, attemptSignout, signOut);
+    logoutHandler(store);
   }
 
   if (["/login", "/"].includes(location) && isAuthenticated) {
@@ -0,0 +1,69 @@
+import sinon from "sinon";
+import { fromJS } from "immutable";
+
+import { Actions } from "../components/user";
+import { draftsIndexedDB } from "../db";
+
+import authMiddleware from "./auth-middleware";
+
+describe("middleware/auth-middleware", () => {
+  const logoutRoute = {
+    type: "@@router/LOCATION_CHANGE",
+    payload: { location: { pathname: "/logout" } }
+  };
+  const logoutFinished = { type: Actions.LOGOUT_FINISHED };
+  const waitFor = async condition => {
+    while (!condition()) {
+      // eslint-disable-next-line no-await-in-loop
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  let clear;
+
+  const run = async (userIdle, actions) => {
+    const store = {
+      getState: () =>
+        fromJS({ application: { userIdle }, user: { isAuthenticated: true } }),
+      dispatch: sinon.spy()
+    };
+    const middleware = authMiddleware(store)(() => {});
+
+    await actions.reduce(async (previous, action) => {
+      await previous;
+      const { callCount } = store.dispatch;
+
+      middleware(action);
+      await waitFor(() => store.dispatch.callCount > callCount);
+    }, Promise.resolve());
+
+    return store;
+  };
+
+  beforeEach(() => {
+    clear = sinon.stub(draftsIndexedDB, "clear").resolves();
+  });
+
+  afterEach(() => {
+    draftsIndexedDB.clear.restore();
+  });
+
+  it("clears the drafts before the logout finishes", async () => {
+    const store = await run(false, [logoutRoute, logoutFinished]);
+
+    expect(clear).to.have.been.calledOnce;
+    expect(clear).to.have.been.calledBefore(store.dispatch.lastCall);
+  });
+
+  it("keeps the drafts when the session times out", async () => {
+    await run(true, [logoutRoute, logoutFinished]);
+
+    expect(clear).to.not.have.been.called;
+  });
+
+  it("keeps the drafts when the session expires", async () => {
+    await run(false, [logoutFinished]);
+
+    expect(clear).to.not.have.been.called;
+  });
+});
@@ -1,12 +1,14 @@
 import uuid from "uuid/v4";
 
-import { syncIndexedDB, queueIndexedDB, METHODS } from "../db";
+import DB, { syncIndexedDB, queueIndexedDB, METHODS } from "../db";
 import { QUEUEABLE_ACTIONS, DB_STORES } from "../db/constants";
 
 import {
   handleRestCallback,
   generateRecordProperties,
-  isOnline
+  isOnline,
+  partitionObject,
+  processAttachments
 } from "./utils";
 
 const withGeneratedProperties = (action, store, db) => {
@@ -57,10 +59,65 @@ const retreiveData = async ({ store, db, action, type }) => {
   }
 };
 
+// Keeps the last_updated_at of the cached record so the queue can tell, when
+// replaying the request, whether the record was changed on the server meanwhile.
+const withLastUpdatedAt = async (action, db) => {
+  const { api } = action;
+
+  if (db?.collection !== DB_STORES.RECORDS || !api?.id) {
+    return action;
+  }
+
+  const { last_updated_at: lastUpdatedAt } =
+    (await DB.getRecord(DB_STORES.RECORDS, api.id)) || {};
+
+  if (!lastUpdatedAt) {
+    return action;
+  }
+
+  return { ...action, api: { ...api, lastUpdatedAt } };
+};
+
+// Files are not kept in the queued request, they are moved to the attachments
+// store and uploaded once the record is saved on the server.
+const withoutAttachments = (action, store) => {
+  const { api } = action;
+
+  if (!api?.queueAttachments || !api?.body?.data) {
+    return [action, {}];
+  }
+
+  const attachmentFields = store
+    .getState()
+    .getIn(["forms", "attachmentFields"], []);
+  const [attachments, data] = partitionObject(api.body.data, (value, key) =>
+    attachmentFields.includes(key)
+  );
+
+  return [
+    {
+      ...action,
+      api: { ...api, body: { ...api.body, data }, queueAttachments: false }
+    },
+    attachments
+  ];
+};
+
 const queueData = async ({ store, db, action, type }) => {
+  const fromQueue = uuid();
   const touchedAction = withGeneratedProperties(action, store, db);
+  const [queuedAction, attachments] = withoutAttachments(
+    await withLastUpdatedAt(touchedAction, db),
+    store
+  );
 
-  await queueIndexedDB.add({ ...touchedAction, fromQueue: uuid() });
+  await queueIndexedDB.add({ ...queuedAction, fromQueue });
+  await processAttachments({
+    attachments,
+    id: queuedAction.api.id || queuedAction.api.body?.data?.id,
+    recordType: db?.recordType,
+    fromQueue
+  });
 
   try {
     const payloadFromDB = await syncIndexedDB(db, touchedAction?.api?.body);
@@ -2,10 +2,21 @@ import qs from "qs";
 
 import { attemptSignout } from "../components/user";
 import { FETCH_TIMEOUT } from "../config";
-import DB, { syncIndexedDB, queueIndexedDB, METHODS } from "../db";
+import DB, {
+  attachmentsIndexedDB,
+  draftsIndexedDB,
+  syncIndexedDB,
+  queueIndexedDB,
+  DB_COLLECTIONS_NAMES,
+  METHODS
+} from "../db";
+import {
+  addRecordConflict,
+  isRecordConflict
+} from "../components/record-conflicts";
 import { signOut } from "../components/pages/login/idp-selection";
 import EventManager from "../libs/messenger";
-import { QUEUE_FAILED, QUEUE_SKIP } from "../libs/queue";
+import { QUEUE_SKIP } from "../libs/queue";
 
 import {
   handleRestCallback,
@@ -52,11 +63,22 @@ const deleteFromQueue = fromQueue => {
 };
 
 async function handleSuccess(store, payload) {
-  const { type, json, db, fromQueue } = payload;
+  const { type, json, db, fromQueue, draft } = payload;
   const payloadFromDB = await syncIndexedDB(db, json);
 
   deleteFromQueue(fromQueue);
 
+  if (draft) {
+    await draftsIndexedDB.delete(draft.recordType, draft.recordId);
+  }
+
+  if (fromQueue && db?.collection === DB_COLLECTIONS_NAMES.RECORDS) {
+    const { id, last_updated_at: lastUpdatedAt } = json?.data || {};
+
+    await queueIndexedDB.rebase(id, lastUpdatedAt);
+    await attachmentsIndexedDB.release(fromQueue, id);
+  }
+
   store.dispatch({
     type: `${type}_SUCCESS`,
     payload: payloadFromDB
@@ -67,18 +89,115 @@ const getToken = () => {
   return sessionStorage.getItem("msal.idtoken");
 };
 
-const messageQueueFailed = fromQueue => {
+const messageQueueFailed = (fromQueue, error) => {
   if (fromQueue) {
-    EventManager.publish(QUEUE_FAILED);
+    queueIndexedDB.fail(fromQueue, error);
   }
 };
 
+const responseError = (response, json) =>
+  json?.errors?.map(error => error.message).join(", ") ||
+  `${response.status} ${response.statusText}`.trim();
+
 const messageQueueSkip = fromQueue => {
   if (fromQueue) {
-    EventManager.publish(QUEUE_SKIP);
+    EventManager.publish(QUEUE_SKIP, fromQueue);
   }
 };
 
+// Fetches the server copy of a record before replaying a queued update and
+// returns it when it changed since the record was cached.
+async function fetchRecordConflict(action, options, fetchOptions) {
+  const {
+    api: { path, db },
+    fromQueue
+  } = action;
+
+  if (!fromQueue || db?.collection !== DB_COLLECTIONS_NAMES.RECORDS) {
+    return null;
+  }
+
+  const queuedAction = await DB.getRecord(
+    DB_COLLECTIONS_NAMES.OFFLINE_REQUESTS,
+    fromQueue
+  );
+  const lastUpdatedAt = queuedAction?.api?.lastUpdatedAt;
+
+  if (!lastUpdatedAt) {
+    return null;
+  }
+
+  const response = await window.fetch(buildPath(path, options), {
+    ...fetchOptions,
+    method: "GET",
+    body: undefined
+  });
+
+  if (!response.ok) {
+    return null;
+  }
+
+  const json = await response.json();
+
+  return isRecordConflict(lastUpdatedAt, json?.data) ? json.data : null;
+}
+
+function fetchChunk(fetchPath, fetchOptions, body) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+  return window
+    .fetch(fetchPath, { ...fetchOptions, body, signal: controller.signal })
+    .finally(() => clearTimeout(timeout));
+}
+
+// Sends the chunks of an attachment one at a time and returns the response of
+// the last one. The uploaded chunks are persisted, so a failed upload resumes
+// from the first chunk not received by the server.
+async function uploadAttachment(offlineAttachment, fetchPath, fetchOptions) {
+  const { id, data, chunks } = offlineAttachment;
+  const lastChunk = chunks.length - 1;
+  const chunkBody = index =>
+    JSON.stringify({
+      data: {
+        ...data,
+        attachment: chunks[index],
+        ...(lastChunk > 0 && {
+          upload_id: id,
+          chunk_index: index,
+          chunk_total: chunks.length
+        })
+      }
+    });
+
+  let uploadedAttachment = offlineAttachment;
+
+  for (
+    let index = offlineAttachment.uploadedChunks;
+    index < lastChunk;
+    index += 1
+  ) {
+    // eslint-disable-next-line no-await-in-loop
+    const response = await fetchChunk(
+      fetchPath,
+      fetchOptions,
+      chunkBody(index)
+    );
+
+    if (!response.ok) {
+      return response;
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    uploadedAttachment = await attachmentsIndexedDB.progress(
+      uploadedAttachment,
+      index + 1
+    );
+  }
+
+  return fetchChunk(fetchPath, fetchOptions, chunkBody(lastChunk));
+}
+
 function fetchPayload(action, store, options) {
   const controller = new AbortController();
 
@@ -100,7 +219,9 @@ function fetchPayload(action, store, options) {
       failureCallback,
       db,
       external,
-      queueAttachments
+      queueAttachments,
+      attachmentId,
+      draft
     },
     fromQueue
   } = action;
@@ -138,7 +259,41 @@ function fetchPayload(action, store, options) {
     fetchStatus({ store, type }, "STARTED", true);
 
     try {
-      const response = await window.fetch(fetchPath, fetchOptions);
+      const serverRecord = await fetchRecordConflict(
+        action,
+        options,
+        fetchOptions
+      );
+
+      if (serverRecord) {
+        store.dispatch(
+          addRecordConflict({
+            fromQueue,
+            id,
+            recordType,
+            changes: body?.data,
+            record: serverRecord
+          })
+        );
+        messageQueueSkip(fromQueue);
+        fetchStatus({ store, type }, "FINISHED", false);
+
+        return null;
+      }
+
+      const offlineAttachment =
+        attachmentId && (await attachmentsIndexedDB.get(attachmentId));
+
+      if (attachmentId && !offlineAttachment) {
+        deleteFromQueue(fromQueue);
+        fetchStatus({ store, type }, "FINISHED", false);
+
+        return null;
+      }
+
+      const response = offlineAttachment
+        ? await uploadAttachment(offlineAttachment, fetchPath, fetchOptions)
+        : await window.fetch(fetchPath, fetchOptions);
       const json = await response.json();
 
       if (!response.ok) {
@@ -148,10 +303,10 @@ function fetchPayload(action, store, options) {
           deleteFromQueue(fromQueue);
           messageQueueSkip();
         } else if (failureCallback) {
-          messageQueueFailed(fromQueue);
+          messageQueueFailed(fromQueue, responseError(response, json));
           handleRestCallback(store, failureCallback, response, json);
         } else {
-          messageQueueFailed(fromQueue);
+          messageQueueFailed(fromQueue, responseError(response, json));
           defaultErrorCallback(store, response, json);
         }
 
@@ -165,9 +320,14 @@ function fetchPayload(action, store, options) {
           normalizeFunc,
           path,
           db,
-          fromQueue
+          fromQueue,
+          draft
         });
 
+        if (offlineAttachment) {
+          await attachmentsIndexedDB.delete(attachmentId);
+        }
+
         if (attachments) {
           processAttachments({
             attachments,
@@ -179,11 +339,14 @@ function fetchPayload(action, store, options) {
         handleRestCallback(store, successCallback, response, json, fromQueue);
       }
       fetchStatus({ store, type }, "FINISHED", false);
+
+      // The response is returned to the action creators that chain requests
+      return response.ok ? json : null;
     } catch (e) {
       // eslint-disable-next-line no-console
       console.warn(e);
 
-      messageQueueFailed(fromQueue);
+      messageQueueFailed(fromQueue, e.message);
 
       fetchStatus({ store, type }, "FAILURE", false);
 
@@ -192,6 +355,8 @@ function fetchPayload(action, store, options) {
       } else {
         defaultErrorCallback(store, {}, {});
       }
+
+      return null;
     }
   };
 
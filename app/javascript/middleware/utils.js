@@ -1,7 +1,7 @@
 import { push } from "connected-react-router";
 import uuid from "uuid/v4";
 
-import { queueIndexedDB } from "../db";
+import { attachmentsIndexedDB, queueIndexedDB } from "../db";
 import { METHODS } from "../config";
 import { ENQUEUE_SNACKBAR, SNACKBAR_VARIANTS } from "../components/notifier";
 import { SET_DIALOG_PENDING } from "../components/record-actions/actions";
@@ -103,7 +103,8 @@ export const generateRecordProperties = (store, api, recordType, isRecord) => {
   const shortID = id.substr(id.length - 7);
 
   return {
-    ...(!api?.body?.id && { id, short_id: shortID, case_id_display: shortID }),
+    ...(!api?.id &&
+      !api?.body?.id && { id, short_id: shortID, case_id_display: shortID }),
     // eslint-disable-next-line camelcase
     ...(!api?.body?.owned_by && isRecord && { owned_by: username }),
     ...(!api?.body?.type && isRecord && { type: recordType }),
@@ -122,38 +123,55 @@ export const partitionObject = (obj, filterFn) =>
     [{}, {}]
   );
 
-export const processAttachments = ({ attachments, id, recordType }) => {
-  const actions = Object.keys(attachments).reduce((prev, current) => {
-    attachments[current].forEach(attachment => {
-      const method = attachment?._destroy ? METHODS.DELETE : METHODS.POST;
-      const isDelete = method === "DELETE";
-
-      const path = `${recordType}/${id}/attachments${
-        isDelete ? `/${attachment?._destroy}` : ""
-      }`;
-
-      const action = isDelete ? "DELETE_ATTACHMENT" : "SAVE_ATTACHMENT";
-
-      // eslint-disable-next-line camelcase
-      if (!attachment?.attachment_url) {
-        prev.push({
-          type: `${recordType}/${action}`,
-          api: {
-            path,
-            method,
-            ...(!isDelete && {
-              body: { data: { ...attachment, field_name: current } }
+// New files are kept in the attachments store and uploaded in chunks, the
+// removals are queued right away. fromQueue is set when the record itself is
+// still queued, the files are then uploaded once the record is saved.
+export const processAttachments = ({
+  attachments,
+  id,
+  recordType,
+  fromQueue
+}) =>
+  Promise.all(
+    Object.keys(attachments).reduce((prev, fieldName) => {
+      attachments[fieldName].forEach(attachment => {
+        // eslint-disable-next-line camelcase
+        if (attachment?.attachment_url) {
+          return;
+        }
+
+        if (attachment?._destroy) {
+          prev.push(
+            queueIndexedDB.add({
+              type: `${recordType}/DELETE_ATTACHMENT`,
+              api: {
+                path: `${recordType}/${id}/attachments/${attachment._destroy}`,
+                method: METHODS.DELETE
+              },
+              fromQueue: uuid()
             })
-          },
-          fromQueue: uuid()
-        });
-      }
-    });
+          );
 
-    return prev;
-  }, []);
+          return;
+        }
 
-  if (actions) {
-    actions.forEach(action => queueIndexedDB.add(action));
-  }
-};
+        prev.push(
+          attachmentsIndexedDB
+            .add({
+              fromQueue,
+              recordType,
+              recordId: id,
+              fieldName,
+              attachment
+            })
+            .then(offlineAttachment =>
+              fromQueue
+                ? offlineAttachment
+                : attachmentsIndexedDB.upload(offlineAttachment)
+            )
+        );
+      });
+
+      return prev;
+    }, [])
+  );
@@ -1,3 +1,7 @@
+import sinon from "sinon";
+
+import { attachmentsIndexedDB, queueIndexedDB } from "../db";
+
 import * as moduleToTest from "./utils";
 
 describe("middleware/utils", () => {
@@ -87,4 +91,79 @@ describe("middleware/utils", () => {
       ]);
     });
   });
+
+  describe("processAttachments()", () => {
+    const { processAttachments } = moduleToTest;
+    const offlineAttachment = { id: "attachment-1" };
+
+    beforeEach(() => {
+      sinon.stub(queueIndexedDB, "add").resolves();
+      sinon.stub(attachmentsIndexedDB, "add").resolves(offlineAttachment);
+      sinon.stub(attachmentsIndexedDB, "upload").resolves();
+    });
+
+    afterEach(() => {
+      queueIndexedDB.add.restore();
+      attachmentsIndexedDB.add.restore();
+      attachmentsIndexedDB.upload.restore();
+    });
+
+    it("stores new files and uploads them", async () => {
+      const attachment = { attachment: "abc", file_name: "test.jpg" };
+
+      await processAttachments({
+        attachments: { photos: [attachment] },
+        id: "record-1",
+        recordType: "cases"
+      });
+
+      expect(attachmentsIndexedDB.add).to.have.been.calledWith({
+        fromQueue: undefined,
+        recordType: "cases",
+        recordId: "record-1",
+        fieldName: "photos",
+        attachment
+      });
+      expect(attachmentsIndexedDB.upload).to.have.been.calledWith(
+        offlineAttachment
+      );
+    });
+
+    it("waits for the queued record before uploading the files", async () => {
+      await processAttachments({
+        attachments: { photos: [{ attachment: "abc" }] },
+        id: "record-1",
+        recordType: "cases",
+        fromQueue: "queue-1"
+      });
+
+      expect(attachmentsIndexedDB.add).to.have.been.calledOnce;
+      expect(attachmentsIndexedDB.upload).to.not.have.been.called;
+    });
+
+    it("queues the removed files", async () => {
+      await processAttachments({
+        attachments: { photos: [{ _destroy: "attachment-2" }] },
+        id: "record-1",
+        recordType: "cases"
+      });
+
+      expect(attachmentsIndexedDB.add).to.not.have.been.called;
+      expect(queueIndexedDB.add.firstCall.args[0].api).to.deep.equal({
+        path: "cases/record-1/attachments/attachment-2",
+        method: "DELETE"
+      });
+    });
+
+    it("skips the files already uploaded", async () => {
+      await processAttachments({
+        attachments: { photos: [{ attachment_url: "/photo.jpg" }] },
+        id: "record-1",
+        recordType: "cases"
+      });
+
+      expect(attachmentsIndexedDB.add).to.not.have.been.called;
+      expect(queueIndexedDB.add).to.not.have.been.called;
+    });
+  });
 });
@@ -8,13 +8,16 @@ import { reducer as navReducer } from "./components/nav";
 import { reducer as notifierReducer } from "./components/notifier";
 import { reducer as dashboardReducer } from "./components/pages/dashboard";
 import { reducer as exportListReducer } from "./components/pages/export-list";
+import { reducer as outboxReducer } from "./components/pages/outbox";
 import { reducer as loginFormReducer } from "./components/pages/login/login-form";
 import { reducer as loginReducer } from "./components/pages/login";
 import { reducer as recordActionsReducer } from "./components/record-actions";
+import { reducer as exportsReducer } from "./components/record-actions/exports";
 import { reducer as requestApprovalReducer } from "./components/record-actions/request-approval";
 import { reducer as potentialMatchesReducer } from "./components/pages/potential-matches";
 import { reducer as reportReducer } from "./components/pages/report";
 import { reducer as reportsListReducer } from "./components/pages/reports-list";
+import { reducer as reportFormReducer } from "./components/pages/report-form";
 import { reducer as supportReducer } from "./components/pages/support";
 import { reducer as taskListReducer } from "./components/pages/task-list";
 import { reducer as usersListReducer } from "./components/pages/admin/users-list";
@@ -28,6 +31,7 @@ import { reducer as rolesListReducer } from "./components/pages/admin/roles-list
 import { reducer as rolesFormReducer } from "./components/pages/admin/roles-form";
 import { reducer as recordActionsTransitionsReducer } from "./components/record-actions/transitions";
 import { reducer as recordFormReducer } from "./components/record-form";
+import { reducer as recordConflictsReducer } from "./components/record-conflicts";
 import { reducer as recordsReducer } from "./components/records";
 import { reducer as savedSearchesReducer } from "./components/saved-searches";
 import { reducer as transitionsReducer } from "./components/transitions";
@@ -59,7 +63,11 @@ const rootReducer = {
           return o;
         }, {})
       },
-      reports: reduceReducers(reportsListReducer, reportReducer),
+      reports: reduceReducers(
+        reportsListReducer,
+        reportReducer,
+        reportFormReducer
+      ),
       transitions: reduceReducers(
         recordActionsTransitionsReducer,
         transitionsReducer,
@@ -74,9 +82,11 @@ const rootReducer = {
       user_groups: reduceReducers(userGroupsListReducer, userGroupsFormReducer),
       ...dashboardReducer,
       ...exportListReducer,
+      ...outboxReducer,
       support: reduceReducers(contactInformationReducer, supportReducer),
       ...flaggingReducer,
       ...savedSearchesReducer,
+      ...exportsReducer,
       admin: combineReducers({
         forms: reduceReducers(adminFormListReducer, adminFormBuilderReducer),
         audit_logs: reduceReducers(AuditLogsReducers),
@@ -96,6 +106,7 @@ const rootReducer = {
   ...userReducer,
   ...recordFormReducer,
   ...notifierReducer,
+  ...recordConflictsReducer,
   ...applicationReducer,
   ...loginReducer
 };
@@ -1,8 +1,12 @@
+import { MAP_TILES } from "./config";
+
 export default () => {
   window.addEventListener("load", () => {
     if ("serviceWorker" in navigator) {
       navigator.serviceWorker
-        .register(`${window.location.origin}/worker.js`)
+        .register(
+          `${window.location.origin}/worker.js?map_tiles=${MAP_TILES.cacheName}`
+        )
         .then(registration => {
           // eslint-disable-next-line no-console
           console.log("Registration successful, scope is:", registration.scope);
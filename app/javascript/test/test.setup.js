@@ -12,6 +12,7 @@ import IDBDatabase from "fake-indexeddb/lib/FDBDatabase"
 import IDBObjectStore from "fake-indexeddb/lib/FDBObjectStore"
 import IDBIndex from "fake-indexeddb/lib/FDBIndex"
 import IDBCursor from "fake-indexeddb/lib/FDBCursor"
+import { webcrypto } from "crypto"
 
 chai.use(chaiImmutable);
 chai.use(sinonChai);
@@ -19,6 +20,7 @@ chai.use(sinonChai);
 global.expect = chai.expect;
 
 const storage = {};
+const sessionStorage = {};
 
 global.window.indexedDB = indexedDB;
 global.indexedDB = global.window.indexedDB;
@@ -44,7 +46,12 @@ global.IDBCursor = global.window.IDBCursor;
 global.window.IDBIndex = IDBIndex;
 global.IDBIndex = global.window.IDBIndex;
 
-global.window.I18n = { defaultLocale: "en", locale: "en", t: path => path };
+global.window.I18n = {
+  defaultLocale: "en",
+  locale: "en",
+  t: path => path,
+  l: (format, value) => value
+};
 
 global.MutationObserver = window.MutationObserver;
 
@@ -60,6 +67,20 @@ global.localStorage = {
   }
 };
 
+global.sessionStorage = {
+  setItem: (key, value) => {
+    sessionStorage[key] = value || "";
+  },
+  getItem: key => {
+    return key in sessionStorage ? sessionStorage[key] : null;
+  },
+  removeItem: key => {
+    delete sessionStorage[key];
+  }
+};
+
+global.window.crypto = webcrypto;
+
 global.window.matchMedia = query => ({
   matches: false,
   media: query,
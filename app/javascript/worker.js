@@ -40,6 +40,24 @@ workbox.routing.registerRoute(
   METHODS.GET
 );
 
+// Map tiles of the GPS fields, the areas saved for offline use are stored in
+// the same cache. The name of the cache (MAP_TILES.cacheName) is a parameter
+// of the url of the worker.
+workbox.routing.registerRoute(
+  ({ url }) => /\/\d+\/\d+\/\d+\.png$/.test(url.pathname),
+  new workbox.strategies.CacheFirst({
+    cacheName: new URL(self.location).searchParams.get("map_tiles"),
+    plugins: [
+      new workbox.cacheableResponse.Plugin({ statuses: [0, 200] }),
+      new workbox.expiration.Plugin({
+        maxEntries: 5000,
+        maxAgeSeconds: 90 * 24 * 60 * 60 // 90 Days
+      })
+    ]
+  }),
+  METHODS.GET
+);
+
 workbox.routing.registerRoute(
   /.*\.(?:png|jpg|jpeg|svg|gif)/,
   new workbox.strategies.CacheFirst({
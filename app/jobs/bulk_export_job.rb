@@ -4,9 +4,9 @@
 class BulkExportJob < ApplicationJob
   queue_as :export
 
-  def perform(bulk_export_id, encrypted_password)
+  def perform(bulk_export_id, encrypted_password = nil)
     bulk_export = BulkExport.find_by(id: bulk_export_id)
-    password = EncryptionService.decrypt(encrypted_password)
+    password = encrypted_password.present? ? EncryptionService.decrypt(encrypted_password) : nil
     return log_bulk_export_missing(bulk_export_id) unless bulk_export.present?
 
     bulk_export.export(password)
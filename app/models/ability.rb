@@ -68,6 +68,9 @@ class Ability
     can [:read, :write, :create], SavedSearch do |search|
       user.user_name == search.user.user_name
     end
+    can [:read, :write, :create], ExportTemplate do |template|
+      user.user_name == template.user.user_name
+    end
   end
 
   def user_permissions(actions)
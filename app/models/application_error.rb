@@ -1,5 +1,5 @@
 class ApplicationError < ValueObject
 
-  attr_accessor :code, :message, :resource, :detail
+  attr_accessor :code, :message, :resource, :detail, :row
 
 end
\ No newline at end of file
@@ -0,0 +1,20 @@
+# frozen_string_literal: true
+
+# A base64 chunk of an attachment uploaded in parts. The chunks are kept in the
+# database, so any server can receive them, until the attachment is assembled.
+# The chunks of abandoned uploads expire.
+class AttachmentChunk < ApplicationRecord
+  MAX_SIZE = 512.kilobytes # Size of the base64 content, the chunks of the client are this size
+  MAX_CHUNKS = (Attachment::MAX_SIZE * 4 / 3.0 / MAX_SIZE).ceil
+  EXPIRES = 1.day
+
+  belongs_to :record, polymorphic: true
+
+  validates :upload_id, :user_name, presence: true
+  validates :chunk_total, numericality: { only_integer: true, greater_than: 0, less_than_or_equal_to: MAX_CHUNKS }
+  validates :chunk_index, numericality: { only_integer: true, greater_than_or_equal_to: 0, less_than: :chunk_total },
+                          if: ->(chunk) { chunk.chunk_total.is_a?(Integer) }
+  validates :content, presence: true, length: { maximum: MAX_SIZE }
+
+  scope :expired, -> { where('updated_at < ?', EXPIRES.ago) }
+end
@@ -26,15 +26,18 @@ class BulkExport < ApplicationRecord
 
   before_save :generate_file_name
 
+  # The password is optional unless the system zips every export.
+  # When present, the exported file is an encrypted zip.
   def self.validate_password!(password)
-    return unless ZipService.require_password? && password.length < PASSWORD_LENGTH
+    return unless ZipService.require_password? || password.present?
+    return unless password.to_s.length < PASSWORD_LENGTH
 
     raise(Errors::InvalidPrimeroEntityType, 'Password is too weak')
   end
 
   def export(password)
     process_records_in_batches(500) do |records_batch|
-      exporter.export(records_batch, owner, custom_export_params || {})
+      exporter.export(records_batch, owner, (custom_export_params || {}).with_indifferent_access)
     end
     exporter.complete
     zipped_file = ZipService.zip(stored_file_name, password)
@@ -47,7 +50,7 @@ class BulkExport < ApplicationRecord
   end
 
   def exporter_type
-    @exporter_type ||= ExportService.exporter(model_class, format)
+    @exporter_type ||= ExportService.exporter(model_class, format, custom_export_params)
   end
 
   def exporter
@@ -103,6 +106,21 @@ class BulkExport < ApplicationRecord
     File.join(Rails.configuration.exports_directory, "#{id}_#{file_name}")
   end
 
+  # The file is archived by the ArchiveBulkExports schedule once it expires
+  def expires_on
+    return unless completed_on.present?
+
+    completed_on + ARCHIVE_CUTOFF.days
+  end
+
+  # Percentage of the records written to the export file
+  def progress
+    return 100 if status == COMPLETE
+    return 0 unless total_records.to_i.positive?
+
+    [(processed_records.to_i * 100) / total_records, 100].min
+  end
+
   def url
     Rails.application.routes.url_helpers.rails_blob_path(export_file, only_path: true, expires_in: EXPIRES)
   end
@@ -117,12 +135,17 @@ class BulkExport < ApplicationRecord
       )
       results = search.results
       yield(results)
+      record_progress(search.total, results.size)
       # Set again the values of the pagination variable because the method modified the variable.
       pagination[:page] = results.next_page
       pagination[:per_page] = batch_size
     end until results.next_page.nil?
   end
 
+  def record_progress(total, processed)
+    update_columns(total_records: total, processed_records: processed_records.to_i + processed)
+  end
+
   def attach_export_file(file)
     return unless file && File.size?(file)
 
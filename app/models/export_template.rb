@@ -0,0 +1,25 @@
+# frozen_string_literal: true
+
+# A selection of forms and fields saved by a user to repeat a custom export.
+# See Exporters::SelectedFieldsExcelExporter
+class ExportTemplate < ApplicationRecord
+  EXPORT_FORMATS = [Exporters::SelectedFieldsExcelExporter.mime_type] + ExportService::CUSTOM_EXPORT_FORMATS
+
+  belongs_to :user
+
+  validates :name, presence: { message: 'errors.models.export_template.name_presence' }
+  validates :record_type, presence: { message: 'errors.models.export_template.record_type_presence' }
+  validates :export_format, inclusion: { in: EXPORT_FORMATS, message: 'errors.models.export_template.export_format' }
+
+  def self.new_with_user(user, data = {})
+    ExportTemplate.new(
+      name: data[:name],
+      record_type: data[:record_type],
+      export_format: data[:export_format],
+      form_unique_ids: data[:form_unique_ids],
+      field_names: data[:field_names],
+      flatten_subforms: data[:flatten_subforms] || false,
+      user: user
+    )
+  end
+end
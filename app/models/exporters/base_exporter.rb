@@ -55,15 +55,6 @@ module Exporters
       end
 
 
-      # TODO: Make this method generic
-      # Used by the ExcelExporter and PDFExporter
-      def case_form_sections_by_module(cases, current_user)
-        cases.map(&:module).compact.uniq.inject({}) do |acc, mod|
-          acc.merge({mod.name => current_user.permitted_forms('case')
-                                             .sort {|a, b| [a.order_form_group, a.order] <=> [b.order_form_group, b.order] } })
-        end
-      end
-
       # TODO: Only used by the SelectedFieldsExcelExporter
       def get_model_location_value(model, property)
         Location.ancestor_placename_by_name_and_admin_level(model.send(property.first.try(:name)), property.last[:admin_level].to_i) if property.last.is_a?(Hash)
@@ -1,7 +1,20 @@
+# frozen_string_literal: true
+
 require 'writeexcel'
 
 module Exporters
+  # Exports the violations of MRM incidents to Excel. Every violation type gets a tab
+  # with a row per violation, next to the fields of its incident. The individuals,
+  # perpetrators, sources and groups linked to the violations get a tab of their own.
   class MRMViolationExporter < BaseExporter
+    INCIDENT_FORMS = %w[incident record_owner intervention].freeze
+    RELATED_DATA_TABS = [
+      ['Individual Details', 'individual_details_subform_section', 'individual_violations'],
+      ['Perpetrators', 'perpetrator_subform_section', 'perpetrator_violations'],
+      ['Source', 'source_subform_section', 'source_violations'],
+      ['Group Details', 'group_details_section', 'group_violations']
+    ].freeze
+
     class << self
       def id
         'mrm_violation_xls'
@@ -14,170 +27,140 @@ module Exporters
       def supported_models
         [Incident]
       end
-
     end
 
-    def initialize(output_file_path=nil)
+    def initialize(output_file_path = nil)
       super(output_file_path)
       @worksheets = {}
-      @workbook = WriteExcel.new(self.buffer)
+      @workbook = WriteExcel.new(buffer)
     end
 
     def complete
       @workbook.close
     end
 
-    def export(incidents, *args)
-      mrm_incidents = incidents.reject {|inc| inc.module.try(:id) != PrimeroModule::MRM }
+    def export(incidents, *_args)
+      mrm_incidents = incidents.select { |incident| incident.module_id == PrimeroModule::MRM }
 
-      violation_types(mrm_incidents).each do |vtype|
-        make_violations_tab(mrm_incidents, vtype, @workbook)
+      violation_types(mrm_incidents).each do |violation_type|
+        make_violations_tab(mrm_incidents, violation_type)
       end
 
-      make_related_data_tab(mrm_incidents, @workbook, 'Individual Details', 'individual_details_subform_section', 'individual_violations')
-      make_related_data_tab(mrm_incidents, @workbook, 'Perpetrators', 'perpetrator_subform_section', 'perpetrator_violations')
-      make_related_data_tab(mrm_incidents, @workbook, 'Source', 'source_subform_section', 'source_violations')
-      make_related_data_tab(mrm_incidents, @workbook, 'Group Details', 'group_details_section', 'group_violations')
+      RELATED_DATA_TABS.each do |(tab_name, related_field, violation_link_field)|
+        make_related_data_tab(mrm_incidents, tab_name, related_field, violation_link_field)
+      end
     end
 
     private
 
+    def violations(incident)
+      incident.data['violations'] || {}
+    end
+
+    def each_violation(incident)
+      violations(incident).each do |violation_type, type_violations|
+        (type_violations || []).each { |violation| yield(violation, violation_type) }
+      end
+    end
+
     def violation_types(incidents)
-      incidents.map do |i|
-        violations = i.violations
-        if violations.present?
-          violations.keys.select{|k| violations[k].present?}
-        else
-          []
-        end
-      end.flatten.uniq
+      incidents.map { |incident| violations(incident).select { |_, v| v.present? }.keys }.flatten.uniq
     end
 
-    def violation_column_generators(type, incidents)
-      violation_props = Incident.properties_by_name['violations'].type.properties_by_name[type].type.properties
-      prop_names = violation_props.map {|vp| vp.name }
+    def field_names(forms)
+      forms.map(&:fields).flatten.reject { |field| field.type == Field::SUBFORM }.map(&:name).uniq
+    end
 
-      prop_names.inject({}) {|acc, k| acc.merge({k => ->(incident, violation, type, rf=nil) { violation[k] } }) }
+    def violation_column_generators(violation_type)
+      violation_form = FormSection.includes(:fields).find_by(unique_id: violation_type)
+      names = violation_form.present? ? field_names([violation_form]) : []
+      names.map { |name| [name, ->(_incident, violation, _type, _rf = nil) { violation[name] }] }.to_h
     end
 
     def incident_column_generators
-      core_forms = ['Incident', 'Record Owner', 'Intervention']
-      top_level_props = Incident.properties_by_form.slice(*core_forms).values.inject(&:merge)
-      keys = top_level_props.keys
-      keys.inject({}) {|acc, k| acc.merge({k => ->(incident, violation, type, rf=nil) { incident[k] } }) }
+      @incident_column_generators ||= field_names(FormSection.includes(:fields).where(unique_id: INCIDENT_FORMS))
+                                      .map { |name| [name, ->(incident, *_) { incident.data[name] }] }.to_h
     end
 
     def prefix_column_generators
       {
-        'incident_id' => ->(incident, violation, type, rf=nil) { incident.incident_id },
-        'violation_id' => ->(incident, violation, type, rf=nil) { violation.unique_id },
-        'summary' => ->(incident, violation, type, rf=nil) { violation_summary_value(incident, violation, type) },
+        'incident_id' => ->(incident, *_) { incident.incident_id },
+        'violation_id' => ->(_incident, violation, *_) { violation['unique_id'] },
+        'summary' => ->(_incident, violation, type, _rf = nil) { violation_summary_value(violation, type) }
       }
     end
 
     def violation_titleized(type)
-      type.gsub(/_/, ' ').titleize
+      type.tr('_', ' ').titleize
     end
 
-    def violation_summary_value(incident, violation, type)
-      idx = incident.violations[type].index(violation)
+    def collapsed_fields(type)
+      @collapsed_fields ||= {}
+      @collapsed_fields[type] ||= (FormSection.find_by(unique_id: type)&.collapsed_fields || []).to_a
+    end
+
+    def violation_summary_value(violation, type)
       parts = [
         violation_titleized(type),
-        FormSection.find_by(unique_id: type).collapsed_fields.map {|cf| violation[cf] },
-        violation.unique_id[0..4]
+        collapsed_fields(type).map { |field| violation[field.name] },
+        violation['unique_id']&.slice(0, 5)
       ].flatten.compact
       parts.join(' - ')
     end
 
-    def make_violations_tab(incidents, vtype, workbook)
-      worksheet_name = "Violations-#{vtype.humanize.titleize}"[0..30]
-      if @worksheets[worksheet_name].present?
-        worksheet = @worksheets[worksheet_name]["sheet"]
-        row_no = @worksheets[worksheet_name]["row"]
-        generators = [prefix_column_generators, incident_column_generators, violation_column_generators(vtype, incidents)].inject(&:merge)
-      else
-        @worksheets[worksheet_name] = {}
-        worksheet = @worksheets[worksheet_name]["sheet"] = workbook.add_worksheet(worksheet_name)
-        row_no = @worksheets[worksheet_name]["row"] = 1
-        generators = [prefix_column_generators, incident_column_generators, violation_column_generators(vtype, incidents)].inject(&:merge)
-        worksheet.write_row(0, 0, generators.keys)
-        #TODO revisit, there is a memory leak in the gem.
-        #fit_column_widths(worksheet, generators.keys)
-      end
+    def worksheet(name, headers)
+      return @worksheets[name] if @worksheets[name].present?
 
-      incidents.each do |inc|
-        (inc.violations[vtype] || []).each do |violation|
-          column_values = generators.map {|_,gen| gen.call(inc, violation, vtype) }
-          worksheet.write_row(row_no, 0, format_values(column_values))
-          row_no += 1
-        end
-      end
-      @worksheets[worksheet_name]["row"] = row_no
+      sheet = @workbook.add_worksheet(name)
+      sheet.write_row(0, 0, headers)
+      @worksheets[name] = { sheet: sheet, row: 1 }
     end
 
-    def find_related_fields_for_violation(related_field, violation_link_field, incident, violation, type)
-      index = incident.violations[type].index(violation)
-      unless index.nil?
-        link_value = violation['unique_id']
-        incident[related_field].select {|el| (el[violation_link_field] || []).include?(link_value) }
-      else
-        []
+    def write_rows(worksheet_name, generators, rows)
+      current = worksheet(worksheet_name, generators.keys)
+      rows.each do |(incident, violation, type, related)|
+        column_values = generators.values.map { |generator| generator.call(incident, violation, type, related) }
+        current[:sheet].write_row(current[:row], 0, format_values(column_values))
+        current[:row] += 1
       end
     end
 
-    def related_data_generators(related_field)
-      nested_property = Incident.properties_by_name[related_field]
-      if nested_property.present?
-        keys = nested_property.type.properties_by_name.keys
-        keys.inject({}) {|acc, k| acc.merge(k => ->(incident=nil, violation=nil, type=nil, rf) { rf[k] }) }
-      else
-        {}
-      end
+    def make_violations_tab(incidents, violation_type)
+      generators = [
+        prefix_column_generators, incident_column_generators, violation_column_generators(violation_type)
+      ].inject(&:merge)
+      rows = incidents.map do |incident|
+        (violations(incident)[violation_type] || []).map { |violation| [incident, violation, violation_type] }
+      end.flatten(1)
+      write_rows("Violations-#{violation_type.humanize.titleize}"[0..30], generators, rows)
     end
 
-    def make_related_data_tab(incidents, workbook, tab_name, related_field, violation_link_field)
-      if @worksheets[tab_name].present?
-        worksheet = @worksheets[tab_name]["sheet"]
-        row_no = @worksheets[tab_name]["row"]
-        generators = [prefix_column_generators, related_data_generators(related_field)].inject(&:merge)
-      else
-        @worksheets[tab_name] = {}
-        worksheet = @worksheets[tab_name]["sheet"] = workbook.add_worksheet(tab_name)
-        row_no = @worksheets[tab_name]["row"] = 1
-        generators = [prefix_column_generators, related_data_generators(related_field)].inject(&:merge)
-        worksheet.write_row(0, 0, generators.keys)
-        #TODO revisit, there is a memory leak in the gem.
-        #fit_column_widths(worksheet, generators.keys)
-      end
+    def find_related_fields_for_violation(related_field, violation_link_field, incident, violation)
+      link_value = violation['unique_id']
+      (incident.data[related_field] || []).select { |el| (el[violation_link_field] || []).include?(link_value) }
+    end
 
-      incidents.each do |inc|
-        inc.each_violation do |violation, type|
-          find_related_fields_for_violation(related_field, violation_link_field, inc, violation, type).each do |rf|
-            column_values = generators.map {|_, gen| gen.call(inc, violation, type, rf) }
-            worksheet.write_row(row_no, 0, format_values(column_values))
-            row_no += 1
+    def related_data_generators(related_field)
+      subform = Field.includes(subform: :fields).find_by(name: related_field, type: Field::SUBFORM)&.subform
+      names = subform.present? ? field_names([subform]) : []
+      names.map { |name| [name, ->(*_, related) { related[name] }] }.to_h
+    end
+
+    def make_related_data_tab(incidents, tab_name, related_field, violation_link_field)
+      generators = [prefix_column_generators, related_data_generators(related_field)].inject(&:merge)
+      rows = []
+      incidents.each do |incident|
+        each_violation(incident) do |violation, type|
+          find_related_fields_for_violation(related_field, violation_link_field, incident, violation).each do |related|
+            rows << [incident, violation, type, related]
           end
         end
       end
-      @worksheets[tab_name]["row"] = row_no
-    end
-
-    def fit_column_widths(worksheet, column_data)
-      column_data.each_with_index do |d, i|
-        worksheet.set_column(0, i, (d || " "*8).length)
-      end
+      write_rows(tab_name, generators, rows)
     end
 
     def format_values(values)
-      values.map do |v|
-        case v
-        when Array
-          v.join('; ')
-        else
-          v
-        end
-      end
+      values.map { |value| value.is_a?(Array) ? value.join('; ') : value }
     end
-
   end
 end
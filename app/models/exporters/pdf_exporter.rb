@@ -4,7 +4,21 @@ require 'prawn/document'
 require 'arabic-letter-connector'
 
 module Exporters
+  # Exports cases to a printable case file. Every case starts on a new page
+  # and every selected form is rendered as a table of labels and values.
+  # Supported options:
+  #   form_unique_ids - The forms to print. Defaults to all the forms permitted to the user.
+  #   redact          - Mask the values of the sensitive fields (see Field#sensitive?) and the case photo.
+  #   header, footer  - Text printed on every page. The header also carries the user's agency logo.
+  #   locale          - The language of the labels. Defaults to the current locale.
   class PDFExporter < BaseExporter
+    HIDDEN_VALUE = '***hidden***'
+    HEADER_HEIGHT = 60
+    FOOTER_HEIGHT = 30
+    PAGE_MARGIN = 36
+    PHOTO_SIZE = 150
+
+    attr_accessor :pdf, :redact, :header, :footer, :logo
 
     class << self
       def id
@@ -22,102 +36,130 @@ module Exporters
       def excluded_forms
         FormSection.binary_form_names
       end
+    end
 
-      def fields_to_export(properties_by_module, custom_export_options)
-        unless custom_export_options.present?
-          properties_by_module = exclude_forms(properties_by_module) if excluded_forms.present?
-        end
-        filter_custom_exports(properties_by_module.flatten.uniq { |f| f.name }, custom_export_options)
-      end
+    def initialize(output_file_path = nil)
+      super(output_file_path)
+      @subjects = []
+    end
+
+    def complete
+      self.pdf ||= build_document
+      #:Subject metadata should be specified on the constructor of the PDF, but because
+      # the exporter works in batches, we will get the full list of cases id at the end
+      # of the processing. There is no straightforward official way to set this metadata
+      # other than the constructor, So The following is a ¡¡¡¡¡HACK!!!!.
+      pdf.state.store.info.data[:Subject] = 'Ids: ' + @subjects.join(', ')
+      render_header_and_footer
+
+      # We return in the buffer the content of the exporter, so we
+      # pass to the render in order return the content, even render returns
+      # a string we will not use.
+      buffer.set_encoding(::Encoding::ASCII_8BIT)
+      pdf.render(buffer)
+
+      # It is very important to return the pointer to the beginning so the caller
+      # gets the content of the pdf.
+      buffer.rewind
+    end
 
-      def reverse_page_direction
-        I18n.locale.to_s.start_with?('ar')
+    def export(records, user, options = {})
+      establish_export_constraints(records, user, options)
+      establish_print_options(user, options)
+      self.pdf ||= build_document
+
+      records.each do |record|
+        @subjects << record.case_id
+        pdf.start_new_page if pdf.page_number > 1
+        start_page = pdf.page_number
+        pdf.outline.section(section_title(record), destination: pdf.page_number)
+        render_case(record)
+        print_heading(record, start_page, pdf.page_number)
       end
     end
 
-    def initialize(output_file_path=nil)
-      super(output_file_path)
+    def establish_export_constraints(records, user, options = {})
+      super(records, user, options)
+      self.forms = forms.reject(&:is_nested).sort_by { |form| [form.order_form_group, form.order] }
+    end
 
-      @pdf = Prawn::Document.new(:info => {
-        :Title => "Primero Child Export",
-        :Author => "Primero",
-        :CreationDate => Time.now
-      })
+    def establish_print_options(user, options = {})
+      self.locale = options[:locale] if I18n.available_locales.map(&:to_s).include?(options[:locale].to_s)
+      self.redact = options[:redact].to_s == 'true'
+      self.header = options[:header]
+      self.footer = options[:footer]
+      self.logo = agency_logo(user)
+    end
 
-      # TODO: We should be selective about loading these fonts based on language. For now we are loading
-      # everything.
+    def reverse_page_direction?
+      Primero::Application::RTL_LOCALES.include?(locale.to_s)
+    end
 
-      # Fallback fonts for other lanuages.
+    private
 
+    def build_document
+      document = Prawn::Document.new(
+        info: { Title: 'Primero Child Export', Author: 'Primero', CreationDate: Time.now },
+        top_margin: PAGE_MARGIN + (header.present? || logo.present? ? HEADER_HEIGHT : 0),
+        bottom_margin: PAGE_MARGIN + (footer.present? ? FOOTER_HEIGHT : 0)
+      )
+      load_fallback_fonts(document)
+      document.text_direction(reverse_page_direction? ? :rtl : :ltr)
+      document
+    end
+
+    # TODO: We should be selective about loading these fonts based on language. For now we are loading
+    # everything.
+    def load_fallback_fonts(document)
       # Arabic - From what I understand, Arabic uses different diacritics we need to make sure
       # to factor that in when choosing a font.
-      @pdf.font_families["Riwaj"] = {
-        normal: {
-          :file => Rails.root.join('public/i18n_fonts/Riwaj.ttf'),
-          :font =>"Riwaj"
-        }
+      document.font_families['Riwaj'] = {
+        normal: { file: Rails.root.join('public/i18n_fonts/Riwaj.ttf'), font: 'Riwaj' }
       }
-
       # Nepali
-      @pdf.font_families["Kalimati_Regular"] = {
-        normal: {
-          :file => Rails.root.join('public/i18n_fonts/Kalimati_Regular.ttf'),
-          :font => "Kalimati_Regular"
-        }
+      document.font_families['Kalimati_Regular'] = {
+        normal: { file: Rails.root.join('public/i18n_fonts/Kalimati_Regular.ttf'), font: 'Kalimati_Regular' }
       }
+      document.fallback_fonts = %w[Riwaj Kalimati_Regular Arial_Unicode_MS]
+    end
 
-      # Add fallback fonts to array
-      @pdf.fallback_fonts = %w[Riwaj Kalimati_Regular Arial_Unicode_MS]
-
-      @pdf.text_direction self.class.reverse_page_direction ? :rtl : :ltr
+    def agency_logo(user)
+      agency = user&.agency
+      return unless agency&.logo_enabled && agency.logo_full.attached?
 
-      @subjects = []
+      StringIO.new(agency.logo_full.download)
     end
 
-    def complete
-      #:Subject metadata should be specified on the constructor of the PDF, but because
-      #the exporter works in batches, we will get the full list of cases id at the end
-      #of the processing. There is no straightforward official way to set this metadata
-      #other than the constructor, So The following is a ¡¡¡¡¡HACK!!!!.
-      @pdf.state.store.info.data[:Subject] = "Ids: " + @subjects.join(', ')
-
-      #we return in the buffer the content of the exporter, so we
-      #pass to the render in order return the content, even render returns
-      #a string we will not use.
-      self.buffer.set_encoding(::Encoding::ASCII_8BIT)
-      @pdf.render(self.buffer)
-
-      #It is very important to return the pointer to the beginning so the caller
-      #gets the content of the pdf.
-      self.buffer.rewind
+    def render_header_and_footer
+      pdf.repeat(:all) do
+        render_header if header.present? || logo.present?
+        render_footer if footer.present?
+      end
     end
 
-    def export(cases, properties_by_module, current_user, custom_export_options, *args)
-      unless @props.present?
-        @props = self.class.fields_to_export(properties_by_module, custom_export_options)
+    def render_header
+      box_height = HEADER_HEIGHT - 10
+      pdf.bounding_box([0, pdf.bounds.top + HEADER_HEIGHT], width: pdf.bounds.width, height: box_height) do
+        pdf.image(logo, fit: [box_height, box_height], position: text_alignment) if logo.present?
+        pdf.text_box(
+          render_i18n_text(header.to_s),
+          at: [HEADER_HEIGHT, box_height - 15], width: pdf.bounds.width - 2 * HEADER_HEIGHT,
+          size: 12, style: :bold, align: :center
+        )
       end
+    end
 
-      unless @form_sections.present?
-        @form_sections = self.class.case_form_sections_by_module(cases, current_user)
-      end
-      cases.each do |cs|
-        @subjects << cs.case_id
-        @pdf.start_new_page if @pdf.page_number > 1
-        start_page = @pdf.page_number
-        @pdf.outline.section(section_title(cs), :destination => @pdf.page_number)
-        render_case(@pdf, cs, @form_sections[cs.module.name], @props)
-        end_page = @pdf.page_number
-        print_heading(@pdf, cs, start_page, end_page)
+    def render_footer
+      pdf.bounding_box([0, pdf.bounds.bottom - 10], width: pdf.bounds.width, height: FOOTER_HEIGHT - 10) do
+        pdf.text(render_i18n_text(footer.to_s), size: 9, align: :center)
       end
     end
 
-    private
-
     def include_rtl?(txt)
       TwitterCldr::Shared::Bidi
-          .from_string(txt)
-          .types
-          .include?(:R)
+        .from_string(txt)
+        .types
+        .include?(:R)
     end
 
     def reorder(txt)
@@ -132,161 +174,145 @@ module Exporters
     end
 
     def render_i18n_text(txt)
-      return txt.reverse if !include_rtl?(txt) && self.class.reverse_page_direction
-      return txt if !include_rtl?(txt) && !self.class.reverse_page_direction
+      return txt.reverse if !include_rtl?(txt) && reverse_page_direction?
+      return txt if !include_rtl?(txt) && !reverse_page_direction?
 
       if txt.match(/^\d{2}:\d{2} \d{4}-.*-\d{2}$/) || txt.match(/^\d{4}-.*-\d{2}$/)
-        txt = txt.reverse!.gsub(/\p{Arabic}+/){ |ar| ar.reverse! }
+        txt = txt.reverse.gsub(/\p{Arabic}+/, &:reverse)
       end
 
       if include_rtl?(txt) && txt.match(/\(|\)+/)
         txt = txt.gsub(/\(|\)+/) do |par|
-          par.codepoints == 40 ? ")" : "("
+          par.codepoints == 40 ? ')' : '('
         end
       end
 
       reorder(connect(txt))
     end
 
-    def print_heading(pdf, _case, start_page, end_page)
-      if end_page > start_page
-        for i in (start_page + 1)..end_page
-          pdf.go_to_page(i)
-          pdf.bounding_box([pdf.bounds.right-50, pdf.bounds.top + 15], :width => 50) do
-            pdf.text "#{_case.short_id}", :align => self.class.reverse_page_direction ? :right : :left
-          end
+    def text_alignment
+      reverse_page_direction? ? :right : :left
+    end
+
+    def print_heading(record, start_page, end_page)
+      return unless end_page > start_page
+
+      ((start_page + 1)..end_page).each do |i|
+        pdf.go_to_page(i)
+        pdf.bounding_box([pdf.bounds.right - 50, pdf.bounds.top + 15], width: 50) do
+          pdf.text record.short_id, align: text_alignment
         end
       end
     end
 
-    def section_title(_case)
-      _case.short_id
+    def section_title(record)
+      record.short_id
     end
 
-    def render_case(pdf, _case, base_subforms, prop)
-      #Only print the case if the case's module matches the selected module
-      if prop.present?
-        base_subforms = base_subforms.select{|sf| prop.keys.include?(sf.unique_id)}
-
-        render_title(pdf, _case)
-
-        grouped_subforms = base_subforms.group_by(&:form_group_id)
+    def render_case(record)
+      return unless forms.present?
 
-        pdf.outline.add_subsection_to(section_title(_case)) do
-          grouped_subforms.each do |(parent_group, fss)|
-            pdf.outline.section(parent_group, :destination => pdf.page_number, :closed => true) do
-              fss.each do |fs|
-                pdf.text render_i18n_text(fs.name), :style => :bold, :size => 16, :align => (self.class.reverse_page_direction ? :right : :left)
-                pdf.move_down 10
+      render_title(record)
+      render_photo(record)
 
-                pdf.outline.section(fs.name, :destination => pdf.page_number)
-
-                render_form_section(pdf, _case, fs, prop)
-
-                pdf.move_down 10
-              end
-            end
+      pdf.outline.add_subsection_to(section_title(record)) do
+        forms.group_by(&:form_group_id).each do |(parent_group, group_forms)|
+          pdf.outline.section(parent_group, destination: pdf.page_number, closed: true) do
+            group_forms.each { |form| render_form_section(record, form) }
           end
         end
       end
     end
 
-    def render_title(pdf, _case)
-      pdf.text section_title(_case), :style => :bold, :size => 20, :align => :center
+    def render_title(record)
+      pdf.text section_title(record), style: :bold, size: 20, align: :center
     end
 
-    def render_form_section(pdf, _case, form_section, prop)
-      (subforms, normal_fields) = form_section.fields.reject {|f| f.type == 'separator' || f.visible? == false}
-                                                     .partition {|f| f.type == Field::SUBFORM }
+    def render_photo(record)
+      return if redact || !record.photo&.file&.attached?
 
-      render_fields(pdf, _case, normal_fields)
-      subforms.map do |subf|
-        pdf.move_down 10
-        form_data = _case.try(:data).try(:[], subf.name)
-        filtered_subforms = subf.subform_section.fields.reject {|f| f.type == 'separator' || f.visible? == false}
-        pdf.text render_i18n_text(subf.display_name), :style => :bold, :size => 12, :align => (self.class.reverse_page_direction ? :right : :left)
-
-        if (form_data.try(:length) || 0) > 0
-          form_data.each do |el|
-            render_fields(pdf, el, filtered_subforms)
-            pdf.move_down 10
-          end
-        else
-          render_blank_subform(pdf, filtered_subforms)
-        end
-      end
+      pdf.image(StringIO.new(record.photo.file.download), fit: [PHOTO_SIZE, PHOTO_SIZE], position: :center)
+      pdf.move_down 10
+    rescue StandardError => e
+      Rails.logger.error(e)
     end
 
-    def render_blank_subform(pdf, subforms)
-      render_fields(pdf, nil, subforms)
+    def render_form_section(record, form)
+      pdf.text render_i18n_text(form.name(locale)), style: :bold, size: 16, align: text_alignment
+      pdf.move_down 10
+      pdf.outline.section(form.name(locale), destination: pdf.page_number)
+
+      (subform_fields, normal_fields) = printable_fields(form.fields).partition { |f| f.type == Field::SUBFORM }
+      render_fields(record.data, normal_fields)
+      subform_fields.each { |field| render_subform(record, field) }
       pdf.move_down 10
     end
 
-    def render_fields(pdf, obj, fields)
-      table_data = fields.map do |f|
-        if obj.present?
-          value = censor_value(f.name, obj)
-          row = [render_i18n_text(f.display_name), format_field(f, value)]
-        else
-          row = [render_i18n_text(f.display_name), nil]
+    def render_subform(record, field)
+      pdf.move_down 10
+      subform_data = record.data[field.name]
+      subform_fields = printable_fields(field.subform&.fields || [])
+      pdf.text render_i18n_text(field.display_name(locale)), style: :bold, size: 12, align: text_alignment
+
+      if subform_data.present?
+        subform_data.each do |subform_record|
+          render_fields(subform_record, subform_fields)
+          pdf.move_down 10
         end
-
-        row.reverse! if self.class.reverse_page_direction
-        row
+      else
+        render_fields(nil, subform_fields)
+        pdf.move_down 10
       end
+    end
 
-      column_widths = self.class.reverse_page_direction ? {0 => 300, 1 => 200} : {0 => 200, 1 => 300}
-
-      table_options = {
-        :row_colors => %w[  cccccc ffffff  ],
-        :width => 500,
-        :column_widths => column_widths,
-        :position => :left,
-        :cell_style => {
-          :align => self.class.reverse_page_direction ? :right : :left
-        }
-      }
-
-      pdf.table(table_data, table_options) if table_data.length > 0
+    def printable_fields(form_fields)
+      excluded_field_names = self.class.excluded_field_names
+      form_fields.select do |field|
+        field.type != Field::SEPARATOR && field.visible? && excluded_field_names.exclude?(field.name)
+      end
     end
 
-    def censor_value(attr_name, obj)
-      case attr_name
-      when 'name'
-        # TODO: Refactor, should use RecordDataService.visible_name
-        obj["hidden_name"] ? '***hidden***' : obj["name"]
-      else
-        obj.respond_to?('data') ? obj.data[attr_name] : obj[attr_name]
+    def render_fields(data, form_fields)
+      table_data = form_fields.map do |field|
+        value = data.present? ? format_field(field, censor_value(field, data)) : nil
+        row = [render_i18n_text(field.display_name(locale)), value]
+        row.reverse! if reverse_page_direction?
+        row
       end
+      return unless table_data.present?
+
+      pdf.table(
+        table_data,
+        row_colors: %w[cccccc ffffff], width: 500, position: :left,
+        column_widths: reverse_page_direction? ? { 0 => 300, 1 => 200 } : { 0 => 200, 1 => 300 },
+        cell_style: { align: text_alignment }
+      )
+    end
+
+    def censor_value(field, data)
+      return HIDDEN_VALUE if redact && field.sensitive?
+      # TODO: Refactor, should use RecordDataService.visible_name
+      return HIDDEN_VALUE if field.name == 'name' && data['hidden_name']
+
+      data[field.name]
     end
 
     def format_field(field, value)
-      date_format, time_format = self.class.reverse_page_direction ? [:rtl, :rtl_with_time] : [:default, :with_time]
+      date_format, time_format = reverse_page_direction? ? %i[rtl rtl_with_time] : %i[default with_time]
 
       case value
+      when HIDDEN_VALUE then value
       when TrueClass, FalseClass
-        if value
-          render_i18n_text(field.display_text(value))
-        else
-          ""
-        end
-      when String
-        render_i18n_text(field.display_text(value))
-      when DateTime
-        render_i18n_text(I18n.l(value, format: time_format))
+        value ? render_i18n_text(field.display_text(value, lookups, locale).to_s) : ''
+      when DateTime, Time
+        render_i18n_text(I18n.l(value, format: time_format, locale: locale))
       when Date
-        render_i18n_text(I18n.l(value, format: date_format))
-      when Time
-        render_i18n_text(I18n.l(value, format: time_format))
+        render_i18n_text(I18n.l(value, format: date_format, locale: locale))
       when Array
-        value.map {|el| format_field(field, el) }.join(', ')
-      #when Hash
-        #value.inject {|acc, (k,v)| acc.merge({ k => format_field(field, v) }) }
+        value.map { |el| format_field(field, el) }.join(', ')
       else
-        return render_i18n_text(field.display_text(value)) if (value.is_a?(Integer) && field.option_strings_source.present?)
-        render_i18n_text(value.to_s)
+        render_i18n_text(field.display_text(value, lookups, locale).to_s)
       end
     end
-
   end
 end
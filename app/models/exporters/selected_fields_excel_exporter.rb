@@ -5,7 +5,11 @@ require 'writeexcel'
 module Exporters
   # Exports selected forms and fields to a multi-tabbed Excel file.
   # See the Exporters::ExcelExporter for concerns about the underlying library.
+  # Subforms get a dedicated tab unless the flatten_subforms option is set,
+  # in which case every subform field becomes a column of its parent form.
   class SelectedFieldsExcelExporter < ExcelExporter
+    FLATTENED_FIELD_SEPARATOR = ':'
+
     METADATA_FIELD_NAMES = %w[
       created_organization created_by_full_name last_updated_at
       last_updated_by last_updated_by_full_name posted_at
@@ -40,6 +44,8 @@ module Exporters
       else
         super(records, user, options)
       end
+      @flatten_subforms = options[:flatten_subforms].to_s == 'true'
+      self.forms = forms.map { |form| flatten_subforms(form) } if @flatten_subforms
       self.forms = forms.to_a + [metadata_form]
     end
 
@@ -60,16 +66,57 @@ module Exporters
     def constrain_forms_and_fields(records, user, options)
       forms = forms_to_export(records, user)
       field_names = fields_to_export(forms, options).map(&:name)
+      forms = forms.map do |form|
+        form_with_fields(form, form.fields.select { |f| field_names.include?(f.name) })
+      end
+      self.forms = forms.select { |f| f.fields.size.positive? }
+    end
+
+    def write_record(record)
+      return super(record) unless @flatten_subforms
+
+      data = flatten_subform_data(record.data)
       forms.each do |form|
-        fields = form.fields.select { |f| field_names.include?(f.name) }
-        form.fields = fields
+        write_record_form(record.short_id, data, form)
       end
-      forms = forms.select { |f| f.fields.size.positive? }
-      self.forms = forms
     end
 
     private
 
+    # Copies the form so the selection of fields is not saved to the database
+    def form_with_fields(form, fields)
+      FormSection.new(unique_id: form.unique_id, name_i18n: form.name_i18n, fields: fields)
+    end
+
+    def flatten_subforms(form)
+      fields = form.fields.map do |field|
+        next field unless field.type == Field::SUBFORM
+
+        field.subform.fields.reject { |f| f.type == Field::SUBFORM }.map do |subform_field|
+          flattened_field(field, subform_field)
+        end
+      end
+      form_with_fields(form, fields.flatten)
+    end
+
+    def flattened_field(subform_field, field)
+      flattened = field.dup
+      flattened.name = [subform_field.name, field.name].join(FLATTENED_FIELD_SEPARATOR)
+      flattened.send(:display_name=, "#{subform_field.display_name(locale)} - #{field.display_name(locale)}", locale)
+      flattened
+    end
+
+    # Every field of the subform entries is exported as the list of its values
+    def flatten_subform_data(data)
+      data.each_with_object(data.dup) do |(name, value), flattened|
+        next unless value.is_a?(Array) && value.first.is_a?(Hash)
+
+        value.flat_map(&:keys).uniq.each do |key|
+          flattened[[name, key].join(FLATTENED_FIELD_SEPARATOR)] = value.map { |entry| entry[key] }
+        end
+      end
+    end
+
     def selected_fields_form(fields)
       form = FormSection.new(
         unique_id: 'selected_fields',
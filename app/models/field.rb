@@ -35,8 +35,22 @@ class Field < ApplicationRecord
   TICK_BOX = 'tick_box'
   TALLY_FIELD = 'tally_field'
   CUSTOM = 'custom'
+  CALCULATED = 'calculated'
+  GPS = 'gps'
 
   DATE_VALIDATION_OPTIONS = %w[default_date_validation not_future_date].freeze
+  PATTERN_RULE = 'pattern'
+  LENGTH_RULES = %w[min_length max_length].freeze
+  DATE_RULES = %w[on_or_after on_or_before].freeze
+  VALIDATION_RULES = ([PATTERN_RULE, 'unique'] + LENGTH_RULES + DATE_RULES).freeze
+  CONDITION_GROUPS = %w[and or].freeze
+  CONDITION_OPERATORS = %w[eq in not_empty gt gte lt lte].freeze
+  CALCULATION_OPERATORS = %w[
+    sum count avg min max subtract multiply divide round concat date_diff today weights if
+  ].freeze
+  DATE_DIFF_UNITS = %w[years months days].freeze
+  SENSITIVE_TAG = 'sensitive'
+  SENSITIVE_FIELD_NAMES = %w[name name_first name_middle name_last name_nickname name_other].freeze
 
   validate :validate_unique_name
   validate :validate_display_name_format
@@ -44,6 +58,9 @@ class Field < ApplicationRecord
   validate :validate_display_name_in_english
   validate :valid_tally_field
   validate :validate_option_strings_text
+  validate :validate_display_conditions
+  validate :validate_calculation
+  validate :validate_validation_rules
 
   after_initialize :defaults, unless: :persisted?
   before_validation :generate_options_keys
@@ -58,7 +75,9 @@ class Field < ApplicationRecord
       'option_strings_source', 'order', 'hidden_text_field', 'subform_section_id',
       'collapsed_field_for_subform_section_id', 'autosum_total', 'autosum_group', 'selected_value', 'link_to_path',
       'link_to_path_external', 'field_tags', 'searchable_select', 'expose_unique_id', 'subform_sort_by',
-      'subform_group_by', 'required', 'date_validation', 'date_include_time', 'matchable'
+      'subform_group_by', 'required', 'date_validation', 'date_include_time', 'matchable',
+      { 'display_conditions' => {} }, 'clear_hidden_value', { 'calculation' => {} },
+      { 'validation_rules' => ['rule', 'value', { 'message' => {} }] }
     ]
   end
 
@@ -421,7 +440,7 @@ class Field < ApplicationRecord
     case self.type
     when TEXT_FIELD, TEXT_AREA, RADIO_BUTTON, SELECT_BOX, DATE_FIELD, DATE_RANGE, NUMERIC_FIELD, TALLY_FIELD
       ''
-    when PHOTO_UPLOAD_BOX, AUDIO_UPLOAD_BOX, DOCUMENT_UPLOAD_BOX, SUBFORM
+    when PHOTO_UPLOAD_BOX, AUDIO_UPLOAD_BOX, DOCUMENT_UPLOAD_BOX, SUBFORM, GPS
       nil
     when TICK_BOX
       'false'
@@ -504,6 +523,13 @@ class Field < ApplicationRecord
     self.option_strings_source == 'Location'
   end
 
+  # Fields that identify the person and can be redacted from printed exports:
+  # names, locations, photos and any field tagged as sensitive.
+  def sensitive?
+    field_tags&.include?(SENSITIVE_TAG) || SENSITIVE_FIELD_NAMES.include?(name) ||
+      is_location? || [PHOTO_UPLOAD_BOX, GPS].include?(type)
+  end
+
   def is_yes_no?
     self.option_strings_source == 'lookup lookup-yes-no' || self.option_strings_source == 'lookup lookup-yes-no-unknown'
   end
@@ -574,6 +600,104 @@ class Field < ApplicationRecord
     Field.where(type: [Field::PHOTO_UPLOAD_BOX, Field::AUDIO_UPLOAD_BOX, Field::DOCUMENT_UPLOAD_BOX])
   end
 
+  # Returns the names of the fields referenced by the expression of a calculated field.
+  # The conditions of an 'if' reference the fields like the display conditions.
+  def self.calculation_references(calculation)
+    case calculation
+    when Array then calculation.flat_map { |node| calculation_references(node) }
+    when Hash
+      return calculation.values_at('subform', 'field').compact if (calculation.keys & %w[subform field]).present?
+
+      calculation.flat_map do |operator, operands|
+        operands = [operands].flatten(1)
+        case operator
+        when 'if' then condition_references(operands.first) + calculation_references(operands.drop(1))
+        when 'weights' then calculation_references(operands.first)
+        else calculation_references(operands)
+        end
+      end
+    else []
+    end
+  end
+
+  def self.condition_references(condition)
+    return [] unless condition.is_a?(Hash)
+
+    condition.flat_map do |operator, operands|
+      if %w[and or].include?(operator)
+        Array(operands).flat_map { |current| condition_references(current) }
+      else
+        operands.is_a?(Hash) ? operands.keys : []
+      end
+    end
+  end
+
+  # Returns the error of a display condition, or of the condition of an 'if' calculation
+  def self.condition_error(condition)
+    invalid = I18n.t('errors.models.field.display_conditions.invalid')
+    return invalid unless condition.is_a?(Hash) && condition.present?
+
+    condition.each do |operator, operands|
+      error = if CONDITION_GROUPS.include?(operator)
+                condition_group_error(operands)
+              elsif CONDITION_OPERATORS.include?(operator)
+                invalid unless operands.is_a?(Hash) && operands.present?
+              else
+                I18n.t('errors.models.field.display_conditions.unknown_operator', operator: operator)
+              end
+      return error if error.present?
+    end
+    nil
+  end
+
+  def self.condition_group_error(conditions)
+    unless conditions.is_a?(Array) && conditions.present?
+      return I18n.t('errors.models.field.display_conditions.invalid')
+    end
+
+    conditions.lazy.map { |current| condition_error(current) }.find(&:present?)
+  end
+
+  # Returns the error of the expression of a calculated field, the operands are calculations, references or values
+  def self.calculation_error(calculation)
+    case calculation
+    when Array then calculation.lazy.map { |node| calculation_error(node) }.find(&:present?)
+    when Hash
+      return reference_error(calculation) if (calculation.keys & %w[subform field]).present?
+      return I18n.t('errors.models.field.calculation.invalid') unless calculation.size == 1
+
+      operator, operands = calculation.first
+      operator_error(operator, [operands].flatten(1))
+    end
+  end
+
+  def self.reference_error(reference)
+    names = reference.values
+    return if (reference.keys - %w[subform field]).empty? && names.all? { |name| name.is_a?(String) && name.present? }
+
+    I18n.t('errors.models.field.calculation.invalid')
+  end
+
+  def self.operator_error(operator, operands)
+    case operator
+    when 'if'
+      return I18n.t('errors.models.field.calculation.invalid') unless operands.size.between?(2, 3)
+
+      condition_error(operands.first) || calculation_error(operands.drop(1))
+    when 'weights'
+      return I18n.t('errors.models.field.calculation.invalid') unless operands.size == 2 && operands.last.is_a?(Hash)
+
+      calculation_error(operands.first)
+    when 'date_diff'
+      unit = operands[2]
+      return I18n.t('errors.models.field.calculation.invalid') if unit.present? && DATE_DIFF_UNITS.exclude?(unit)
+
+      calculation_error(operands.take(2))
+    when *CALCULATION_OPERATORS then calculation_error(operands)
+    else I18n.t('errors.models.field.calculation.unknown_operator', operator: operator)
+    end
+  end
+
   def self.binary_field_names
     Field.binary_fields.pluck(:name)
   end
@@ -589,6 +713,77 @@ class Field < ApplicationRecord
     true
   end
 
+  # The record form evaluates the conditions, only their structure and operators are validated here
+  def validate_display_conditions
+    return true if display_conditions.blank?
+
+    error = Field.condition_error(display_conditions)
+    return true unless error.present?
+
+    errors.add(:display_conditions, error)
+  end
+
+  def validate_calculation
+    return true unless type == CALCULATED
+    return errors.add(:calculation, I18n.t('errors.models.field.calculation.blank')) if calculation.blank?
+
+    error = if calculation.is_a?(Hash)
+              Field.calculation_error(calculation)
+            else
+              I18n.t('errors.models.field.calculation.invalid')
+            end
+    return errors.add(:calculation, error) if error.present?
+
+    references = Field.where(type: CALCULATED).where.not(name: name).pluck(:name, :calculation).to_h
+                      .transform_values { |current| Field.calculation_references(current) }
+    references[name] = Field.calculation_references(calculation)
+    return true unless circular_calculation?(references)
+
+    errors.add(:calculation, I18n.t('errors.models.field.calculation.circular_reference'))
+  end
+
+  # The rules are applied by the record form, only their configuration is validated here
+  def validate_validation_rules
+    (validation_rules || []).each do |validation_rule|
+      error = validation_rule_error(validation_rule['rule'], validation_rule['value'])
+      next unless error.present?
+
+      errors.add(:validation_rules, error)
+      return false
+    end
+    true
+  end
+
+  def validation_rule_error(rule, value)
+    return I18n.t('errors.models.field.validation_rules.unknown_rule', rule: rule) unless VALIDATION_RULES.include?(rule)
+
+    if rule == PATTERN_RULE
+      Regexp.new(value.to_s)
+      nil
+    elsif LENGTH_RULES.include?(rule) && !(value.to_s =~ /\A\d+\z/ && value.to_i.positive?)
+      I18n.t('errors.models.field.validation_rules.invalid_length', rule: rule)
+    elsif DATE_RULES.include?(rule) && value.blank?
+      I18n.t('errors.models.field.validation_rules.missing_field', rule: rule)
+    end
+  rescue RegexpError
+    I18n.t('errors.models.field.validation_rules.invalid_pattern', pattern: value)
+  end
+
+  # Follows the references of the calculated fields looking for a path back to this field
+  def circular_calculation?(references)
+    visited = []
+    pending = references[name].dup
+    until pending.empty?
+      current = pending.shift
+      return true if current == name
+      next if visited.include?(current)
+
+      visited << current
+      pending.concat(references[current] || [])
+    end
+    false
+  end
+
   def valid_tally_field
     if self.type == TALLY_FIELD
       self.autosum_group = "#{self.name}_number_of" unless self.autosum_group.present?
@@ -36,6 +36,7 @@ class Header < ValueObject
   FILE_NAME = Header.new(name: 'file_name', field_name: 'file_name')
   RECORD_TYPE = Header.new(name: 'record_type', field_name: 'record_type')
   STARTED_ON = Header.new(name: 'started_on', field_name: 'started_on')
+  EXPIRES_ON = Header.new(name: 'expires_on', field_name: 'expires_on')
   TIMESTAMP = Header.new(name: 'timestamp', field_name: 'timestamp')
   USER_NAME = Header.new(name: 'user_name', field_name: 'user_name')
   ACTION = Header.new(name: 'action', field_name: 'action')
@@ -104,7 +105,7 @@ class Header < ValueObject
     end
 
     def bulk_export_headers
-      [FILE_NAME, RECORD_TYPE, STARTED_ON]
+      [FILE_NAME, RECORD_TYPE, STARTED_ON, STATUS, EXPIRES_ON]
     end
 
     def audit_log_headers
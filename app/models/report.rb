@@ -27,6 +27,13 @@ class Report < ApplicationRecord
   YEAR = 'year' #eg. 2015
   DATE_RANGES = [DAY, WEEK, MONTH, YEAR]
 
+  BAR = 'bar'
+  STACKED_BAR = 'stacked_bar'
+  LINE = 'line'
+  PIE = 'pie'
+  PERCENTAGE = 'percentage' #eg. bars of the share of each column in the total of a row
+  GRAPH_TYPES = [BAR, STACKED_BAR, LINE, PIE, PERCENTAGE]
+
   localize_properties :name, :description
 
   #TODO: Currently it's not worth trying to save off the report data.
@@ -39,10 +46,12 @@ class Report < ApplicationRecord
   attr_accessor :aggregate_by_ordered
   attr_accessor :disaggregate_by_ordered
   attr_accessor :permission_filter
+  attr_accessor :runtime_filters
 
   validates_presence_of :record_type
   validates_presence_of :aggregate_by
   validate :modules_present
+  validates :graph_type, inclusion: { in: GRAPH_TYPES, message: 'errors.models.report.graph_type' }
   validate :validate_name_in_base_language
 
   before_save :apply_default_filters
@@ -55,6 +64,41 @@ class Report < ApplicationRecord
 
   class << self
 
+    def new_with_properties(report_params)
+      report = Report.new
+      report.update_properties(report_params)
+      report
+    end
+
+    # Converts the filters chosen when viewing a report, sent in the format of the record list filters:
+    # { 'module_id' => ['primeromodule-cp'], 'registration_date' => { 'from' => '2020-01-01', 'to' => '2020-01-31' } }
+    def filters_from_params(filter_params)
+      filter_params.to_h.flat_map do |attribute, value|
+        if value.is_a?(Hash) && (value.key?('from') || value.key?('to'))
+          range_filters(attribute, value)
+        else
+          values = value.is_a?(Hash) ? value.values : Array(value)
+          [{ 'attribute' => attribute, 'value' => values.map(&:to_s) }]
+        end
+      end
+    end
+
+    def range_filters(attribute, range)
+      { '>' => range['from'], '<' => range['to'] }.map do |constraint, value|
+        next unless valid_range_value?(value)
+
+        { 'attribute' => attribute, 'constraint' => constraint, 'value' => value.to_s }
+      end.compact
+    end
+
+    def valid_range_value?(value)
+      return false if value.blank?
+
+      value.to_s.match?(/\A\d+\z/) || Date.parse(value.to_s).present?
+    rescue ArgumentError
+      false
+    end
+
     def create_or_update(report_hash)
       report_id = report_hash[:id]
       report = Report.find_by(id: report_id)
@@ -92,6 +136,14 @@ class Report < ApplicationRecord
     end
   end
 
+  def update_properties(report_params)
+    report_params = report_params.to_h.with_indifferent_access
+    converted_params = FieldI18nService.convert_i18n_properties(Report, report_params)
+    merged_props = FieldI18nService.merge_i18n_properties(attributes, converted_params)
+    assign_attributes(report_params.except(:name, :description, :graph).merge(merged_props))
+    self.is_graph = report_params[:graph] if report_params.key?(:graph)
+  end
+
   def modules
     @modules ||= PrimeroModule.all(keys: [self.module_id]).all if self.module_id.present?
   end
@@ -165,6 +217,9 @@ class Report < ApplicationRecord
     if permission_filter.present?
       filters << permission_filter
     end
+    if runtime_filters.present?
+      self.filters = filters + runtime_filters
+    end
     if pivots.present?
       self.values = report_values(record_type, pivots, filters)
       if aggregate_counts_from.present?
@@ -220,13 +275,14 @@ class Report < ApplicationRecord
 
       if group_dates_by.present?
         date_fields = pivot_fields.select{|_, f| f.type == Field::DATE_FIELD}
-        date_fields.each do |field_name, _|
-          if pivot_index(field_name) < dimensionality
-            self.values = Reports::Utils.group_values(self.values, pivot_index(field_name)) do |pivot_name|
-              Reports::Utils.date_range(pivot_name, group_dates_by)
-            end
+        date_indexes = date_fields.keys.map { |field_name| pivot_index(field_name) }
+        date_indexes = date_indexes.select { |index| index < dimensionality }
+        date_indexes.each do |date_index|
+          self.values = Reports::Utils.group_values(self.values, date_index) do |pivot_name|
+            Reports::Utils.date_range(pivot_name, group_dates_by)
           end
         end
+        self.values = Reports::Utils.sort_by_dates(self.values, date_indexes)
       end
 
       aggregate_limit = aggregate_by.size
@@ -440,7 +496,7 @@ class Report < ApplicationRecord
             elsif constraint == '<'
               "#{attribute}:[* TO #{value}]"
             else
-              "#{attribute}:\"#{value}\""
+              "#{attribute}:\"#{escape_solr_value(value)}\""
             end
           else
             query = if value.respond_to?(:map) && value.size > 0
@@ -448,7 +504,7 @@ class Report < ApplicationRecord
                 if v == "not_null"
                   "#{attribute}:[* TO *]"
                 else
-                  "#{attribute}:\"#{v}\""
+                  "#{attribute}:\"#{escape_solr_value(v)}\""
                 end
               }.join(" OR ") + ')'
             end
@@ -461,6 +517,11 @@ class Report < ApplicationRecord
     return filters_query
   end
 
+  # The values are quoted in the query, the quotes they contain must not end the phrase
+  def escape_solr_value(value)
+    value.to_s.gsub(/(["\\])/, '\\\\\1')
+  end
+
   def solr_record_type(record_type)
     record_type = 'child' if record_type == 'case'
     record_type.camelize
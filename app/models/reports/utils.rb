@@ -44,6 +44,20 @@
       range_clazz.new(date_string)
     end
 
+    # Orders the values by the date ranges of the pivots at the given indexes, keeping the
+    # order of the values in the same range, so the dates of the report follow each other.
+    def self.sort_by_dates(values, date_pivot_indexes)
+      return values if values.blank? || date_pivot_indexes.blank?
+
+      values.each_with_index.sort_by do |(pivots, _), position|
+        date_pivot_indexes.map { |index| date_sort_value(pivots[index]) } + [position]
+      end.map(&:first).to_h
+    end
+
+    def self.date_sort_value(pivot)
+      pivot.is_a?(DateRange) ? [1, pivot.core_value] : [0]
+    end
+
     def self.correct_aggregate_counts(values)
       if values.present?
         number_of_pivots = values.first.first.size
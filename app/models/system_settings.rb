@@ -13,7 +13,7 @@ class SystemSettings < ApplicationRecord
   store_accessor(
     :system_options,
     :due_date_from_appointment_date, :notification_email_enabled,
-    :welcome_email_enabled, :show_alerts, :use_identity_provider
+    :welcome_email_enabled, :show_alerts, :use_identity_provider, :map_tiles
   )
 
   localize_properties [:welcome_email_text]
@@ -21,6 +21,7 @@ class SystemSettings < ApplicationRecord
   validate :validate_locales
   validate :validate_reporting_location,
            if: ->(system_setting) { system_setting.reporting_location_config.present? }
+  validate :validate_map_tiles, if: ->(system_setting) { system_setting.map_tiles.present? }
 
   after_initialize :set_version
   before_save :set_version
@@ -40,6 +41,17 @@ class SystemSettings < ApplicationRecord
     I18n.t('system_settings.label')
   end
 
+  # The tile server of the maps of the GPS fields replaces OpenStreetMap, the areas
+  # of its maps can be saved for offline use when it allows bulk downloads (offline_levels).
+  def validate_map_tiles
+    url, offline_levels = map_tiles.values_at('url', 'offline_levels') if map_tiles.is_a?(Hash)
+    valid_url = url.is_a?(String) && %w[{z} {x} {y}].all? { |coordinate| url.include?(coordinate) }
+    valid_levels = offline_levels.nil? || (offline_levels.is_a?(Integer) && offline_levels.between?(0, 5))
+    return if valid_url && valid_levels
+
+    errors.add(:map_tiles, 'errors.models.system_settings.map_tiles')
+  end
+
   def system_name
     system_name = system_options['system_name']
     system_name = system_name.dig(I18n.locale) if system_name.is_a?(Hash)
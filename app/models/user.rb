@@ -28,6 +28,7 @@ class User < ApplicationRecord
   belongs_to :identity_provider, optional: true
 
   has_many :saved_searches
+  has_many :export_templates
   has_and_belongs_to_many :user_groups
   has_many :audit_logs
 
@@ -231,6 +232,12 @@ class User < ApplicationRecord
     !using_idp? && (!persisted? || !password.nil? || !password_confirmation.nil?)
   end
 
+  # Secret of the key that encrypts the records stored in the browser. It's only
+  # sent on login, the records can't be read offline without logging in.
+  def offline_secret
+    Rails.application.key_generator.generate_key("primero.offline_secret.#{id}", 32).unpack1('H*')
+  end
+
   def user_location
     @user_location ||= Location.get_by_location_code(location)
   end
@@ -14,7 +14,7 @@ class ArchiveBulkExports
 
     def archive_old_exports
       BulkExport.where.not(status: BulkExport::ARCHIVED)
-                .where('completed_on <= ?', BulkExport.ARCHIVE_CUTOFF.days.ago)
+                .where('completed_on <= ?', BulkExport::ARCHIVE_CUTOFF.days.ago)
                 .find_in_batches(batch_size: 500) do |batch|
         batch.each(&:archive!)
       end
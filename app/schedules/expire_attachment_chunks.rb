@@ -0,0 +1,19 @@
+# frozen_string_literal: true
+
+# Hourly job to delete the chunks of the abandoned attachment uploads
+class ExpireAttachmentChunks
+  class << self
+    def schedule(scheduler)
+      scheduler.every('1h') do
+        Rails.logger.info 'Deleting the chunks of the abandoned attachment uploads...'
+        expire_chunks
+      rescue StandardError => e
+        Rails.logger.error("Error deleting the chunks of the abandoned attachment uploads\n#{e.backtrace}")
+      end
+    end
+
+    def expire_chunks
+      AttachmentChunk.expired.delete_all
+    end
+  end
+end
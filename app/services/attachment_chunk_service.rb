@@ -0,0 +1,40 @@
+# frozen_string_literal: true
+
+# Keeps the base64 chunks of an attachment uploaded in parts until all of them
+# are received. Chunks can be sent again, so interrupted uploads can be resumed.
+# The uploads are scoped by the user and the record.
+class AttachmentChunkService
+  attr_accessor :upload_id, :total, :user, :record
+
+  def initialize(upload_id, total, user, record)
+    self.upload_id = upload_id.to_s
+    self.total = total.to_i
+    self.user = user
+    self.record = record
+  end
+
+  def store(index, content)
+    chunk = chunks.find_or_initialize_by(chunk_index: index.to_i)
+    chunk.update!(chunk_total: total, content: content)
+  end
+
+  def received
+    chunks.count
+  end
+
+  def complete?
+    total.positive? && received == total
+  end
+
+  def assemble
+    content = chunks.order(:chunk_index).pluck(:content).join
+    chunks.delete_all
+    content
+  end
+
+  private
+
+  def chunks
+    AttachmentChunk.where(upload_id: upload_id, user_name: user.user_name, record: record, chunk_total: total)
+  end
+end
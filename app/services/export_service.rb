@@ -2,19 +2,29 @@
 
 # A factory for instantiating BulkExports from the API params and enqueueing bulk export jobs.
 class ExportService
+  # The selected forms and fields of a custom export can also be written by these exporters
+  CUSTOM_EXPORT_FORMATS = %w[csv json].freeze
+
   class << self
-    def exporter(record_type, format)
+    def exporter(record_type, format, custom_export_params = nil)
+      format = custom_export_format(format, custom_export_params)
       [
         Exporters::IncidentRecorderExporter, Exporters::CSVListViewExporter, Exporters::CSVExporter,
         Exporters::ExcelExporter, Exporters::JSONExporter, # Exporters::PhotoWallExporter,
         Exporters::PDFExporter, Exporters::UnhcrCSVExporter, Exporters::DuplicateIdCSVExporter,
-        Exporters::SelectedFieldsExcelExporter, Exporters::IncidentRecorderExporter, Exporters::RolePermissionsExporter
-        # , Expoxrters::MRMViolationExporter
+        Exporters::SelectedFieldsExcelExporter, Exporters::RolePermissionsExporter, Exporters::MRMViolationExporter
       ].find do |exporter|
         exporter.id == format.to_s && exporter.supported_models.include?(record_type)
       end
     end
 
+    def custom_export_format(format, custom_export_params)
+      custom_format = custom_export_params&.with_indifferent_access&.dig(:format)
+      return format unless format.to_s == Exporters::SelectedFieldsExcelExporter.id
+
+      CUSTOM_EXPORT_FORMATS.include?(custom_format) ? custom_format : format
+    end
+
     def build(params, user)
       return unless params[:export_format] && params[:record_type]
 
@@ -33,9 +43,9 @@ class ExportService
     end
 
     def enqueue(bulk_export, password)
-      return log_missing_password(bulk_export) unless password
+      return log_missing_password(bulk_export) if password.blank? && ZipService.require_password?
 
-      encrypted_password = EncryptionService.encrypt(password)
+      encrypted_password = password.present? ? EncryptionService.encrypt(password) : nil
       BulkExportJob.perform_later(bulk_export.id, encrypted_password)
     end
 
@@ -6,6 +6,7 @@ class PermittedFieldService
   # Calculated fields needed to perform searches
   PERMITTED_FILTER_FIELD_NAMES = %w[
     associated_user_names
+    associated_user_groups
     not_edited_by_owner
     referred_users
     referred_users_present
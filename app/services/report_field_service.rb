@@ -18,6 +18,7 @@ class ReportFieldService
   def self.report_field(field, pivot_name, type, order)
     report_field_hash = {
       name: field.name,
+      type: field.type,
       display_name: field.display_name_i18n,
       position: { type: type, order: order }
     }
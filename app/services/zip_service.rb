@@ -5,16 +5,17 @@ class ZipService
 
   class << self
     def zip(file, password)
-      zipper.zip(file, password)
+      zipper(password).zip(file, password)
     end
 
-    def zipper
+    # Without a configured zip format, only the files protected by a password are zipped
+    def zipper(password = nil)
       case ENV['PRIMERO_ZIP_FORMAT']
       when '7z' then Zippers::SevenZip7z
       when 'zip7z' then Zippers::SevenZipZip
       when 'zip' then Zippers::RubyZip
       else
-        Zippers::NoZip
+        password.present? ? Zippers::RubyZip : Zippers::NoZip
       end.new
     end
 
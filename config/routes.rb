@@ -68,6 +68,7 @@ Rails.application.routes.draw do
           get :'assign-to', to: 'users_transitions#assign_to'
           get :'transfer-to', to: 'users_transitions#transfer_to'
           get :'refer-to', to: 'users_transitions#refer_to'
+          post :import, to: 'users#import'
         end
       end
       resources :identity_providers, only: [:index]
@@ -76,7 +77,10 @@ Rails.application.routes.draw do
       resources :system_settings, only: [:index]
       resources :tasks, only: [:index]
       resources :saved_searches, only: %i[index create destroy]
-      resources :reports, only: %i[index show]
+      resources :export_templates, only: %i[index create destroy]
+      resources :reports, only: %i[index show create update destroy] do
+        post :preview, on: :collection
+      end
       resources :lookups
       resources :locations
       resources :bulk_exports, as: :exports, path: :exports, only: %i[index show create destroy]
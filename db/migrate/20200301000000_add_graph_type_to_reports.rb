@@ -0,0 +1,5 @@
+class AddGraphTypeToReports < ActiveRecord::Migration[5.0]
+  def change
+    add_column :reports, :graph_type, :string, default: 'bar', null: false
+  end
+end
@@ -0,0 +1,15 @@
+# frozen_string_literal: true
+
+class CreateExportTemplates < ActiveRecord::Migration[5.2]
+  def change
+    create_table :export_templates do |t|
+      t.string :name
+      t.string :record_type
+      t.belongs_to :user
+      t.string :export_format
+      t.string :form_unique_ids, array: true, default: []
+      t.string :field_names, array: true, default: []
+      t.boolean :flatten_subforms, null: false, default: false
+    end
+  end
+end
@@ -0,0 +1,6 @@
+class AddProgressToBulkExports < ActiveRecord::Migration[5.0]
+  def change
+    add_column :bulk_exports, :total_records, :integer
+    add_column :bulk_exports, :processed_records, :integer, default: 0
+  end
+end
@@ -0,0 +1,6 @@
+class AddDisplayConditionsToFields < ActiveRecord::Migration[5.0]
+  def change
+    add_column :fields, :display_conditions, :jsonb
+    add_column :fields, :clear_hidden_value, :boolean, default: false, null: false
+  end
+end
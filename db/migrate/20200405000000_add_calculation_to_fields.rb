@@ -0,0 +1,5 @@
+class AddCalculationToFields < ActiveRecord::Migration[5.0]
+  def change
+    add_column :fields, :calculation, :jsonb
+  end
+end
@@ -0,0 +1,5 @@
+class AddValidationRulesToFields < ActiveRecord::Migration[5.0]
+  def change
+    add_column :fields, :validation_rules, :jsonb, default: []
+  end
+end
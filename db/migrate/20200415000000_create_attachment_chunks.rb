@@ -0,0 +1,18 @@
+# frozen_string_literal: true
+
+class CreateAttachmentChunks < ActiveRecord::Migration[5.2]
+  def change
+    create_table :attachment_chunks do |t|
+      t.string     :upload_id, null: false
+      t.string     :user_name, null: false
+      t.references :record, polymorphic: true, type: :uuid
+      t.integer    :chunk_index, null: false
+      t.integer    :chunk_total, null: false
+      t.text       :content
+      t.timestamps
+    end
+    add_index :attachment_chunks, %i[upload_id user_name record_type record_id chunk_index],
+              unique: true, name: 'index_attachment_chunks_on_upload'
+    add_index :attachment_chunks, :updated_at
+  end
+end
@@ -10,7 +10,7 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema.define(version: 2020_02_15_000000) do
+ActiveRecord::Schema.define(version: 2020_04_15_000000) do
 
   # These are extensions that must be enabled in order to support this database
   enable_extension "ltree"
@@ -68,6 +68,21 @@ ActiveRecord::Schema.define(version: 2020_02_15_000000) do
     t.index ["user_id"], name: "index_alerts_on_user_id"
   end
 
+  create_table "attachment_chunks", force: :cascade do |t|
+    t.string "upload_id", null: false
+    t.string "user_name", null: false
+    t.string "record_type"
+    t.uuid "record_id"
+    t.integer "chunk_index", null: false
+    t.integer "chunk_total", null: false
+    t.text "content"
+    t.datetime "created_at", null: false
+    t.datetime "updated_at", null: false
+    t.index ["record_type", "record_id"], name: "index_attachment_chunks_on_record_type_and_record_id"
+    t.index ["updated_at"], name: "index_attachment_chunks_on_updated_at"
+    t.index ["upload_id", "user_name", "record_type", "record_id", "chunk_index"], name: "index_attachment_chunks_on_upload", unique: true
+  end
+
   create_table "attachments", force: :cascade do |t|
     t.string "attachment_type"
     t.string "record_type"
@@ -110,6 +125,8 @@ ActiveRecord::Schema.define(version: 2020_02_15_000000) do
     t.jsonb "custom_export_params"
     t.string "file_name"
     t.string "password_ciphertext"
+    t.integer "total_records"
+    t.integer "processed_records", default: 0
   end
 
   create_table "cases", id: :uuid, default: -> { "gen_random_uuid()" }, force: :cascade do |t|
@@ -147,6 +164,17 @@ ActiveRecord::Schema.define(version: 2020_02_15_000000) do
     t.index ["unique_id"], name: "index_export_configurations_on_unique_id", unique: true
   end
 
+  create_table "export_templates", force: :cascade do |t|
+    t.string "name"
+    t.string "record_type"
+    t.bigint "user_id"
+    t.string "export_format"
+    t.string "form_unique_ids", default: [], array: true
+    t.string "field_names", default: [], array: true
+    t.boolean "flatten_subforms", default: false, null: false
+    t.index ["user_id"], name: "index_export_templates_on_user_id"
+  end
+
   create_table "fields", id: :serial, force: :cascade do |t|
     t.string "name"
     t.string "type"
@@ -184,6 +212,10 @@ ActiveRecord::Schema.define(version: 2020_02_15_000000) do
     t.string "date_validation", default: "default_date_validation"
     t.boolean "date_include_time", default: false, null: false
     t.boolean "matchable", default: false, null: false
+    t.jsonb "display_conditions"
+    t.boolean "clear_hidden_value", default: false, null: false
+    t.jsonb "calculation"
+    t.jsonb "validation_rules", default: []
     t.index ["form_section_id"], name: "index_fields_on_form_section_id"
     t.index ["name"], name: "index_fields_on_name"
     t.index ["type"], name: "index_fields_on_type"
@@ -339,6 +371,7 @@ ActiveRecord::Schema.define(version: 2020_02_15_000000) do
     t.string "group_dates_by", default: "date"
     t.boolean "is_graph", default: false, null: false
     t.boolean "editable", default: true
+    t.string "graph_type", default: "bar", null: false
   end
 
   create_table "roles", id: :serial, force: :cascade do |t|
@@ -0,0 +1,84 @@
+require 'rails_helper'
+
+describe BulkExport, search: true do
+  describe '.validate_password!' do
+    context 'when the exports are not zipped' do
+      before { allow(ZipService).to receive(:require_password?).and_return(false) }
+
+      it 'accepts a missing password' do
+        expect { BulkExport.validate_password!(nil) }.not_to raise_error
+      end
+
+      it 'refuses a weak password' do
+        expect { BulkExport.validate_password!('weak') }.to raise_error(Errors::InvalidPrimeroEntityType)
+      end
+    end
+
+    context 'when the exports are zipped' do
+      before { allow(ZipService).to receive(:require_password?).and_return(true) }
+
+      it 'refuses a missing password' do
+        expect { BulkExport.validate_password!(nil) }.to raise_error(Errors::InvalidPrimeroEntityType)
+      end
+
+      it 'accepts a strong password' do
+        expect { BulkExport.validate_password!('password123') }.not_to raise_error
+      end
+    end
+  end
+
+  describe '#progress' do
+    it 'is the percentage of processed records' do
+      export = BulkExport.new(status: BulkExport::PROCESSING, total_records: 200, processed_records: 50)
+      expect(export.progress).to eq(25)
+    end
+
+    it 'is 0 until the records are counted' do
+      export = BulkExport.new(status: BulkExport::PROCESSING)
+      expect(export.progress).to eq(0)
+    end
+
+    it 'is 100 when the export is complete' do
+      export = BulkExport.new(status: BulkExport::COMPLETE, total_records: 0)
+      expect(export.progress).to eq(100)
+    end
+  end
+
+  describe '#expires_on' do
+    it 'is the date the file gets archived' do
+      completed_on = DateTime.new(2020, 3, 1)
+      export = BulkExport.new(status: BulkExport::COMPLETE, completed_on: completed_on)
+      expect(export.expires_on).to eq(completed_on + BulkExport::ARCHIVE_CUTOFF.days)
+    end
+
+    it 'is not set until the export completes' do
+      expect(BulkExport.new(status: BulkExport::PROCESSING).expires_on).to be_nil
+    end
+  end
+
+  describe '#export' do
+    before do
+      clean_data(BulkExport, UserGroup, Role, User, Field, FormSection, Child, PrimeroModule, PrimeroProgram)
+      allow(ZipService).to receive(:require_password?).and_return(false)
+      form_section = create(:form_section, unique_id: 'test_form', fields: [build(:field, name: 'name')])
+      role = create(:role, form_sections: [form_section], modules: [create(:primero_module)])
+      @user = create(:user, role: role)
+      create(:child, name: 'Test Child 1')
+      create(:child, name: 'Test Child 2')
+      Sunspot.commit
+    end
+
+    it 'records the progress of the export' do
+      export = BulkExport.create!(format: 'json', record_type: 'case', owned_by: @user.user_name)
+      export.export(nil)
+
+      expect(export.reload.total_records).to eq(2)
+      expect(export.processed_records).to eq(2)
+      expect(export.progress).to eq(100)
+    end
+
+    after do
+      clean_data(BulkExport, UserGroup, Role, User, Field, FormSection, Child, PrimeroModule, PrimeroProgram)
+    end
+  end
+end
@@ -0,0 +1,90 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+require 'spreadsheet'
+
+module Exporters
+  describe MRMViolationExporter do
+    before :each do
+      clean_data(Agency, Role, UserGroup, User, PrimeroProgram, Field, FormSection, PrimeroModule, Incident)
+      incident_form = FormSection.create!(
+        name: 'Incident', parent_form: 'incident', visible: true, order_form_group: 0, order: 0, order_subform: 0,
+        form_group_id: 'incident', unique_id: 'incident',
+        fields: [Field.new(name: 'incident_title', type: Field::TEXT_FIELD, display_name: 'Title')]
+      )
+      killing_form = FormSection.create!(
+        name: 'Killing', parent_form: 'incident', visible: false, is_nested: true, order_form_group: 0, order: 0,
+        order_subform: 0, form_group_id: 'violations', unique_id: 'killing',
+        fields: [Field.new(name: 'cause', type: Field::TEXT_FIELD, display_name: 'Cause')]
+      )
+      perpetrator_subform = FormSection.create!(
+        name: 'Perpetrator', parent_form: 'incident', visible: false, is_nested: true, order_form_group: 0, order: 0,
+        order_subform: 0, form_group_id: 'perpetrators', unique_id: 'perpetrator_subform_section',
+        fields: [
+          Field.new(name: 'perpetrator_category', type: Field::TEXT_FIELD, display_name: 'Category'),
+          Field.new(name: 'perpetrator_violations', type: Field::SELECT_BOX, display_name: 'Violations',
+                    multi_select: true)
+        ]
+      )
+      FormSection.create!(
+        name: 'Perpetrators', parent_form: 'incident', visible: true, order_form_group: 1, order: 0,
+        order_subform: 0, form_group_id: 'perpetrators', unique_id: 'perpetrators',
+        fields: [Field.new(name: 'perpetrator_subform_section', type: Field::SUBFORM, display_name: 'Perpetrators',
+                           subform_section_id: perpetrator_subform.id)]
+      )
+      @role = create(:role, form_sections: [incident_form, killing_form])
+      @user = create(:user, user_name: 'fakeadmin', role: @role)
+
+      @mrm_incident = Incident.create!(
+        data: {
+          incident_id: 'mrm-1', module_id: PrimeroModule::MRM, incident_title: 'Attack',
+          violations: { killing: [{ unique_id: 'aaaaa-11111', cause: 'shooting' }] },
+          perpetrator_subform_section: [
+            { perpetrator_category: 'armed_force', perpetrator_violations: ['aaaaa-11111'] },
+            { perpetrator_category: 'unknown', perpetrator_violations: [] }
+          ]
+        }.deep_stringify_keys
+      )
+      @gbv_incident = Incident.create!(
+        data: {
+          incident_id: 'gbv-1', module_id: PrimeroModule::GBV,
+          violations: { killing: [{ unique_id: 'bbbbb-22222', cause: 'other' }] }
+        }.deep_stringify_keys
+      )
+    end
+
+    let(:workbook) do
+      data = MRMViolationExporter.export([@mrm_incident, @gbv_incident], @user, {})
+      Spreadsheet.open(StringIO.new(data))
+    end
+
+    it 'contains a worksheet for every violation type and related data' do
+      expect(workbook.worksheets.map(&:name)).to eq(
+        ['Violations-Killing', 'Individual Details', 'Perpetrators', 'Source', 'Group Details']
+      )
+    end
+
+    it 'exports a row for every violation of the MRM incidents' do
+      sheet = workbook.worksheets[0]
+
+      expect(sheet.row(0).to_a).to eq(%w[incident_id violation_id summary incident_title cause])
+      expect(sheet.row(1).to_a).to eq(['mrm-1', 'aaaaa-11111', 'Killing - aaaaa', 'Attack', 'shooting'])
+      expect(sheet.rows.size).to eq(2)
+    end
+
+    it 'exports the data linked to the violations' do
+      sheet = workbook.worksheets[2]
+
+      expect(sheet.row(0).to_a).to eq(
+        %w[incident_id violation_id summary perpetrator_category perpetrator_violations]
+      )
+      expect(sheet.row(1).to_a).to eq(['mrm-1', 'aaaaa-11111', 'Killing - aaaaa', 'armed_force', 'aaaaa-11111'])
+      expect(sheet.rows.size).to eq(2)
+    end
+
+    after :each do
+      clean_data(Agency, Role, UserGroup, User, PrimeroProgram, Field, FormSection, PrimeroModule, Incident)
+    end
+  end
+end
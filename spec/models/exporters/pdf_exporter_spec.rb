@@ -0,0 +1,102 @@
+require 'rails_helper'
+
+module Exporters
+  describe PDFExporter do
+    before :each do
+      clean_data(Child, Role, UserGroup, User, Agency, Field, FormSection, PrimeroProgram, PrimeroModule)
+      subform = FormSection.new(
+        name: 'cases_test_subform_1', parent_form: 'case', visible: false, is_nested: true,
+        order_form_group: 0, order: 0, order_subform: 0, form_group_id: 'case_form_1',
+        unique_id: 'cases_test_subform_1'
+      )
+      subform.fields << Field.new(name: 'field_1', type: Field::TEXT_FIELD, display_name: 'field_1')
+      subform.fields << Field.new(name: 'field_2', type: Field::TEXT_FIELD, display_name: 'field_2',
+                                  field_tags: [Field::SENSITIVE_TAG])
+      subform.save!
+
+      form_a = FormSection.new(
+        name: 'cases_test_form_1', parent_form: 'case', visible: true,
+        order_form_group: 0, order: 0, order_subform: 0, form_group_id: 'case_form_1',
+        unique_id: 'cases_test_form_1'
+      )
+      form_a.fields << Field.new(name: 'name', type: Field::TEXT_FIELD, display_name_i18n: { en: 'Name', es: 'Nombre' })
+      form_a.fields << Field.new(name: 'relationship', type: Field::TEXT_FIELD, display_name: 'relationship')
+      form_a.fields << Field.new(name: 'location_current', type: Field::SELECT_BOX, display_name: 'location',
+                                 option_strings_source: 'Location')
+      form_a.fields << Field.new(name: 'subform_field_1', type: Field::SUBFORM, display_name: 'subform field',
+                                 subform_section_id: subform.id)
+      form_a.save!
+
+      form_b = FormSection.new(
+        name: 'cases_test_form_2', parent_form: 'case', visible: true,
+        order_form_group: 1, order: 0, order_subform: 0, form_group_id: 'case_form_2',
+        unique_id: 'cases_test_form_2'
+      )
+      form_b.fields << Field.new(name: 'nationality_other', type: Field::TEXT_FIELD, display_name: 'nationality')
+      form_b.save!
+
+      primero_module = create(:primero_module, unique_id: 'primeromodule-cp', name: 'CP')
+      role = create(:role, form_sections: [form_a, form_b, subform], modules: [primero_module])
+      @user = create(:user, user_name: 'fakeadmin', role: role)
+      @records = [
+        create(:child, name: 'Joe', relationship: 'Mother', location_current: 'GH0001', nationality_other: 'none',
+                       subform_field_1: [{ unique_id: '1', field_1: 'field_1 value', field_2: 'field_2 value' }])
+      ]
+    end
+
+    let(:tables) { [] }
+
+    before :each do
+      allow_any_instance_of(Prawn::Document).to receive(:table) { |_pdf, data| tables << data }
+    end
+
+    it 'renders a pdf document' do
+      data = PDFExporter.export(@records, @user)
+
+      expect(data).to start_with('%PDF')
+    end
+
+    it 'renders the fields of every permitted form and subform' do
+      PDFExporter.export(@records, @user)
+
+      expect(tables.map { |table| table.map(&:first) }).to eq(
+        [%w[Name relationship location], %w[field_1 field_2], %w[nationality]]
+      )
+      expect(tables.first.map(&:last)).to include('Joe', 'Mother')
+    end
+
+    it 'renders only the selected forms' do
+      PDFExporter.export(@records, @user, form_unique_ids: %w[cases_test_form_2])
+
+      expect(tables).to eq([[%w[nationality none]]])
+    end
+
+    it 'redacts the sensitive fields' do
+      PDFExporter.export(@records, @user, redact: 'true')
+
+      expect(tables[0]).to eq(
+        [['Name', PDFExporter::HIDDEN_VALUE], %w[relationship Mother], ['location', PDFExporter::HIDDEN_VALUE]]
+      )
+      expect(tables[1]).to eq([['field_1', 'field_1 value'], ['field_2', PDFExporter::HIDDEN_VALUE]])
+    end
+
+    it 'renders the labels in the selected language' do
+      PDFExporter.export(@records, @user, form_unique_ids: %w[cases_test_form_1], locale: 'es')
+
+      expect(tables.first.first).to eq(%w[Nombre Joe])
+    end
+
+    it 'renders a header and a footer on every page' do
+      exporter = PDFExporter.new
+      exporter.export(@records, @user, header: 'Case file', footer: 'Confidential')
+      expect(exporter.pdf).to receive(:repeat).with(:all).and_call_original
+      exporter.complete
+
+      expect(exporter.buffer.string).to start_with('%PDF')
+    end
+
+    after :each do
+      clean_data(Child, Role, UserGroup, User, Agency, Field, FormSection, PrimeroProgram, PrimeroModule)
+    end
+  end
+end
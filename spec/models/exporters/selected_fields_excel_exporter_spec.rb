@@ -178,6 +178,51 @@ module Exporters
       end
     end
 
+    context 'Flattened subforms' do
+      let(:workbook) do
+        data = SelectedFieldsExcelExporter.export(
+          @records, @user,
+          form_unique_ids: %w[cases_test_form_1], flatten_subforms: true
+        )
+        Spreadsheet.open(StringIO.new(data))
+      end
+
+      it 'contains the fields of the subform as columns of the form' do
+        expect(workbook.worksheets[0].row(0).to_a).to eq(
+          ['ID', 'first_name', 'last_name', 'subform field - field_1', 'subform field - field_2']
+        )
+      end
+
+      it 'exports the values of every subform entry in the same cell' do
+        expect(workbook.worksheets[0].row(1).to_a).to eq(
+          [
+            @records[0].short_id, 'John', 'Doe',
+            'field_1 value ||| field_11 value ||| field_12 value',
+            'field_2 value ||| field_22 value ||| field_23 value'
+          ]
+        )
+      end
+
+      it 'contains no sheet for the subform' do
+        expect(workbook.worksheets.size).to eq(2)
+      end
+    end
+
+    context 'Selected forms and fields of other forms' do
+      before do
+        SelectedFieldsExcelExporter.export(
+          @records, @user,
+          form_unique_ids: %w[cases_test_form_1],
+          field_names: %w[first_name]
+        )
+      end
+
+      it 'does not remove the fields that were not selected from the forms' do
+        expect(FormSection.find_by(unique_id: 'cases_test_form_1').fields.map(&:name)).to eq(
+          %w[first_name last_name subform_field_1]
+        )
+      end
+    end
   end
 
 end
@@ -266,6 +266,23 @@ describe "record field model" do
     end
   end
 
+  describe 'sensitive?' do
+    it 'is true for name, location, GPS and photo fields' do
+      expect(Field.new(name: 'name_first', type: Field::TEXT_FIELD).sensitive?).to be_truthy
+      expect(Field.new(name: 'location_current', type: Field::SELECT_BOX, option_strings_source: 'Location').sensitive?).to be_truthy
+      expect(Field.new(name: 'location_found', type: Field::GPS).sensitive?).to be_truthy
+      expect(Field.new(name: 'photos', type: Field::PHOTO_UPLOAD_BOX).sensitive?).to be_truthy
+    end
+
+    it 'is true for fields tagged as sensitive' do
+      expect(Field.new(name: 'caregiver_phone', type: Field::TEXT_FIELD, field_tags: %w[sensitive]).sensitive?).to be_truthy
+    end
+
+    it 'is false for any other field' do
+      expect(Field.new(name: 'sex', type: Field::SELECT_BOX, field_tags: %w[child]).sensitive?).to be_falsey
+    end
+  end
+
   describe "default_value" do
     it "should be empty string for text entry, radio, audio, photo and select fields" do
       Field.new(:type=>Field::TEXT_FIELD).default_value.should == ""
@@ -281,6 +298,10 @@ describe "record field model" do
       Field.new(:type=>Field::AUDIO_UPLOAD_BOX).default_value.should be_nil
     end
 
+    it "should be nil for GPS fields" do
+      Field.new(:type=>Field::GPS).default_value.should be_nil
+    end
+
     it "should raise an error if can't find a default value for this field type" do
       expect {Field.new(:type=>"INVALID_FIELD_TYPE").default_value}.to raise_error(NameError, 'uninitialized constant Field::DEFAULT_VALUES')
     end
@@ -1270,4 +1291,169 @@ describe "record field model" do
       expect(fields_with_append_only_subform.first.name).to eq(@field_subform_append_only.name)
     end
   end
+
+  describe 'display conditions' do
+    def field_with_conditions(display_conditions)
+      Field.new(name: 'disability_details', type: Field::TEXT_FIELD, display_name_en: 'Details',
+                display_conditions: display_conditions)
+    end
+
+    it 'is valid with the known operators' do
+      field = field_with_conditions(
+        'and' => [
+          { 'eq' => { 'disability_yes_no' => 'true' } },
+          { 'or' => [{ 'not_empty' => { 'disability_type' => true } }, { 'gte' => { 'age' => 18 } }] }
+        ]
+      )
+
+      expect(field).to be_valid
+    end
+
+    it 'is not valid with an unknown operator' do
+      field = field_with_conditions('and' => [{ 'ne' => { 'age' => 18 } }])
+
+      expect(field).not_to be_valid
+      expect(field.errors[:display_conditions]).to eq(
+        [I18n.t('errors.models.field.display_conditions.unknown_operator', operator: 'ne')]
+      )
+    end
+
+    it 'is not valid when the conditions are not well formed' do
+      expect(field_with_conditions('and' => { 'eq' => { 'age' => 18 } })).not_to be_valid
+      expect(field_with_conditions('eq' => 'age')).not_to be_valid
+      expect(field_with_conditions('or' => [])).not_to be_valid
+    end
+  end
+
+  describe 'calculated fields' do
+    before do
+      FormSection.destroy_all
+      Field.destroy_all
+      @form = FormSection.create!(
+        unique_id: 'risk_assessment', name_en: 'Risk Assessment', parent_form: 'case',
+        fields: [
+          Field.new(name: 'risk_total', type: Field::CALCULATED, display_name_en: 'Risk total',
+                    calculation: { 'sum' => [{ 'field' => 'risk_score' }, { 'field' => 'risk_bonus' }] }),
+          Field.new(name: 'risk_score', type: Field::CALCULATED, display_name_en: 'Risk score',
+                    calculation: { 'weights' => [{ 'field' => 'risk_level' }, { 'high' => 3, 'low' => 1 }] })
+        ]
+      )
+    end
+
+    it 'returns the fields referenced by a calculation' do
+      calculation = {
+        'if' => [
+          { 'and' => [{ 'eq' => { 'sex' => 'female' } }, { 'gte' => { 'age' => 18 } }] },
+          { 'sum' => [{ 'subform' => 'family_details', 'field' => 'family_age' }, 1] },
+          { 'concat' => [{ 'field' => 'name_first' }, ' ', { 'field' => 'name_last' }] }
+        ]
+      }
+
+      expect(Field.calculation_references(calculation)).to match_array(
+        %w[sex age family_details family_age name_first name_last]
+      )
+    end
+
+    it 'is valid when the calculation does not reference itself' do
+      field = Field.new(name: 'risk_percentage', type: Field::CALCULATED, display_name_en: 'Risk percentage',
+                        form_section: @form, calculation: { 'divide' => [{ 'field' => 'risk_total' }, 4] })
+
+      expect(field).to be_valid
+    end
+
+    it 'is not valid without a calculation' do
+      field = Field.new(name: 'risk_percentage', type: Field::CALCULATED, display_name_en: 'Risk percentage',
+                        form_section: @form)
+
+      expect(field).not_to be_valid
+      expect(field.errors[:calculation]).to be_present
+    end
+
+    it 'is not valid with an unknown operator' do
+      field = Field.new(name: 'risk_percentage', type: Field::CALCULATED, display_name_en: 'Risk percentage',
+                        form_section: @form, calculation: { 'sum' => [{ 'pow' => [{ 'field' => 'risk_total' }, 2] }] })
+
+      expect(field).not_to be_valid
+      expect(field.errors[:calculation]).to eq(
+        [I18n.t('errors.models.field.calculation.unknown_operator', operator: 'pow')]
+      )
+    end
+
+    it 'is not valid when the operands are not well formed' do
+      [
+        { 'if' => [{ 'ne' => { 'age' => 5 } }, 2, 0] },
+        { 'weights' => [{ 'field' => 'risk_level' }] },
+        { 'date_diff' => [{ 'field' => 'date_of_birth' }, { 'today' => [] }, 'weeks'] },
+        { 'sum' => [{ 'field' => 'risk_total', 'value' => 1 }] },
+        { 'sum' => [1], 'count' => [1] }
+      ].each do |calculation|
+        field = Field.new(name: 'risk_percentage', type: Field::CALCULATED, display_name_en: 'Risk percentage',
+                          form_section: @form, calculation: calculation)
+
+        expect(field).not_to be_valid
+      end
+    end
+
+    it 'is not valid when the calculation references itself through other calculated fields' do
+      field = Field.find_by(name: 'risk_score')
+      field.calculation = { 'sum' => [{ 'field' => 'risk_total' }, 1] }
+
+      expect(field).not_to be_valid
+      expect(field.errors[:calculation]).to eq([I18n.t('errors.models.field.calculation.circular_reference')])
+    end
+  end
+
+  describe 'validation rules' do
+    before do
+      FormSection.destroy_all
+      Field.destroy_all
+      @form = FormSection.create!(unique_id: 'basic_identity', name_en: 'Basic Identity', parent_form: 'case')
+    end
+
+    def field_with_rules(validation_rules)
+      Field.new(name: 'unhcr_id', type: Field::TEXT_FIELD, display_name_en: 'UNHCR ID', form_section: @form,
+                validation_rules: validation_rules)
+    end
+
+    it 'is valid with the known rules' do
+      field = field_with_rules(
+        [
+          { 'rule' => 'pattern', 'value' => '^\d{3}-\d{8}$', 'message' => { 'en' => 'Use the format 123-12345678' } },
+          { 'rule' => 'min_length', 'value' => 12 },
+          { 'rule' => 'max_length', 'value' => '12' },
+          { 'rule' => 'on_or_after', 'value' => 'registration_date' },
+          { 'rule' => 'unique' }
+        ]
+      )
+
+      expect(field).to be_valid
+    end
+
+    it 'is not valid with an unknown rule' do
+      field = field_with_rules([{ 'rule' => 'email' }])
+
+      expect(field).not_to be_valid
+      expect(field.errors[:validation_rules]).to eq(
+        [I18n.t('errors.models.field.validation_rules.unknown_rule', rule: 'email')]
+      )
+    end
+
+    it 'is not valid with a pattern that is not a regular expression' do
+      field = field_with_rules([{ 'rule' => 'pattern', 'value' => '[0-9' }])
+
+      expect(field).not_to be_valid
+      expect(field.errors[:validation_rules]).to eq(
+        [I18n.t('errors.models.field.validation_rules.invalid_pattern', pattern: '[0-9')]
+      )
+    end
+
+    it 'is not valid with a length that is not a positive number' do
+      expect(field_with_rules([{ 'rule' => 'min_length', 'value' => 'ten' }])).not_to be_valid
+      expect(field_with_rules([{ 'rule' => 'max_length', 'value' => 0 }])).not_to be_valid
+    end
+
+    it 'is not valid with a date rule without the other field' do
+      expect(field_with_rules([{ 'rule' => 'on_or_before', 'value' => '' }])).not_to be_valid
+    end
+  end
 end
@@ -35,6 +35,14 @@ describe Report do
     expect(r.valid?).to be_falsey
   end
 
+  it "must have a known graph type" do
+    r = Report.new name: 'Test', record_type: 'case', aggregate_by: ['a'], module_id: @module.unique_id
+    r.graph_type = 'radar'
+    expect(r.valid?).to be_falsey
+    r.graph_type = Report::LINE
+    expect(r.valid?).to be_truthy
+  end
+
   it "lists reportable record types" do
     expect(Report.reportable_record_types).to include('case','incident', 'tracing_request', 'violation')
   end
@@ -209,4 +217,46 @@ describe Report do
       expect(report.values_as_json_hash).to eq(values_as_hash)
     end
   end
+
+  describe 'Reports::Utils.sort_by_dates' do
+    it 'orders the values by the dates of the pivots' do
+      values = {
+        ['female', Reports::MonthRange.new('2020-03-10')] => 1,
+        ['male', Reports::MonthRange.new('2020-01-15')] => 2,
+        ['female', Reports::MonthRange.new('2020-01-02')] => 3
+      }
+
+      sorted = Reports::Utils.sort_by_dates(values, [1])
+
+      expect(sorted.keys.map { |pivots| [pivots.first, pivots.last.to_s] }).to eq(
+        [%w[male Jan-2020], %w[female Jan-2020], %w[female Mar-2020]]
+      )
+      expect(sorted.values).to eq([2, 3, 1])
+    end
+  end
+
+  describe '.filters_from_params' do
+    it 'converts the record list filters to report filters' do
+      filters = Report.filters_from_params(
+        'module_id' => { '0' => 'primeromodule-cp' },
+        'registration_date' => { 'from' => '2020-01-01', 'to' => '2020-01-31' },
+        'age' => { 'from' => '5' }
+      )
+
+      expect(filters).to match_array(
+        [
+          { 'attribute' => 'module_id', 'value' => ['primeromodule-cp'] },
+          { 'attribute' => 'registration_date', 'constraint' => '>', 'value' => '2020-01-01' },
+          { 'attribute' => 'registration_date', 'constraint' => '<', 'value' => '2020-01-31' },
+          { 'attribute' => 'age', 'constraint' => '>', 'value' => '5' }
+        ]
+      )
+    end
+
+    it 'ignores the range values that are not numbers or dates' do
+      filters = Report.filters_from_params('registration_date' => { 'from' => '1 OR *:*', 'to' => '' })
+
+      expect(filters).to be_empty
+    end
+  end
 end
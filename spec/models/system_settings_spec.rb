@@ -23,6 +23,29 @@ describe SystemSettings do
       end
     end
 
+    context 'with a tile server' do
+      it 'is valid with the coordinates of the tiles' do
+        @system_settings.map_tiles = {
+          'url' => 'https://tiles.primero.org/{z}/{x}/{y}.png', 'attribution' => 'Primero', 'offline_levels' => 2
+        }
+
+        expect(@system_settings).to be_valid
+      end
+
+      it 'is not valid without the coordinates of the tiles or with too many offline levels' do
+        [
+          { 'url' => 'https://tiles.primero.org/tiles.png' },
+          { 'url' => 'https://tiles.primero.org/{z}/{x}/{y}.png', 'offline_levels' => 10 },
+          'https://tiles.primero.org/{z}/{x}/{y}.png'
+        ].each do |map_tiles|
+          @system_settings.map_tiles = map_tiles
+
+          expect(@system_settings).not_to be_valid
+          expect(@system_settings.errors[:map_tiles]).to eq(['errors.models.system_settings.map_tiles'])
+        end
+      end
+    end
+
     context 'without a reporting location' do
       it 'is valid' do
         expect(@system_settings).to be_valid
@@ -364,6 +364,16 @@ describe User do
 
   end
 
+  describe 'offline_secret' do
+    it 'is the same for the user and different for other users' do
+      user = User.new(id: 1)
+
+      expect(user.offline_secret).to be_present
+      expect(user.offline_secret).to eq(User.new(id: 1).offline_secret)
+      expect(user.offline_secret).not_to eq(User.new(id: 2).offline_secret)
+    end
+  end
+
   describe 'Dates' do
     it "should load roles only once" do
       dbl = double("roles", role: create(:role))
@@ -32,6 +32,31 @@ describe Api::V2::AttachmentsController, type: :request do
       expect(audit_params['action']).to eq('attach')
     end
 
+    it 'attaches a file uploaded in chunks' do
+      login_for_test
+      base64 = attachment_base64('jorge.jpg')
+      chunks = [base64[0...(base64.size / 2)], base64[(base64.size / 2)..-1]]
+      chunks.each_with_index do |chunk, index|
+        params = {
+          data: {
+            field_name: 'photos', attachment_type: 'image', file_name: 'jorge.jpg',
+            attachment: chunk, upload_id: 'upload-1', chunk_index: index, chunk_total: 2
+          }
+        }
+        post "/api/v2/cases/#{@case.id}/attachments", params: params
+
+        next if index == 1
+
+        expect(response).to have_http_status(202)
+        expect(json['data']['received_chunks']).to eq(1)
+        expect(@case.attachments.count).to eq(0)
+      end
+
+      expect(response).to have_http_status(200)
+      expect(json['data']['file_name']).to eq('jorge.jpg')
+      expect(@case.attachments.count).to eq(1)
+    end
+
     context '`photos` is a forbidden field' do
       before :each do
         allow_any_instance_of(PermittedFieldService).to(
@@ -0,0 +1,118 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+describe Api::V2::ExportTemplatesController, type: :request do
+  before :each do
+    clean_data(ExportTemplate, Role, Agency, User)
+
+    role = Role.create!(
+      name: 'Test Role 1',
+      unique_id: 'test-role-1',
+      permissions: [
+        Permission.new(resource: Permission::CASE, actions: [Permission::EXPORT_CUSTOM])
+      ]
+    )
+    agency = Agency.create!(name: 'Agency 1', agency_code: 'agency1')
+
+    @user1 = User.create!(
+      full_name: 'Test User 1', user_name: 'test_user_1', password: 'a12345678', password_confirmation: 'a12345678',
+      email: 'test_user_1@localhost.com', agency_id: agency.id, role: role
+    )
+    @user2 = User.create!(
+      full_name: 'Test User 2', user_name: 'test_user_2', password: 'a12345678', password_confirmation: 'a12345678',
+      email: 'test_user_2@localhost.com', agency_id: agency.id, role: role
+    )
+
+    @template1 = ExportTemplate.create!(
+      name: 'Follow ups', record_type: 'case', export_format: 'xls',
+      form_unique_ids: %w[followup], user: @user1
+    )
+    @template2 = ExportTemplate.create!(
+      name: 'Names', record_type: 'tracing_request', export_format: 'csv',
+      field_names: %w[relation_name], user: @user1
+    )
+    @template3 = ExportTemplate.create!(
+      name: 'Other user', record_type: 'case', export_format: 'json', user: @user2
+    )
+  end
+
+  let(:json) { JSON.parse(response.body) }
+
+  describe 'GET /api/v2/export_templates' do
+    it 'lists the export templates of the current user' do
+      sign_in(@user1)
+      get '/api/v2/export_templates'
+
+      expect(response).to have_http_status(200)
+      expect(json['data'].map { |template| template['name'] }).to eq(['Follow ups', 'Names'])
+      expect(json['data'][0]['user_name']).to eq('test_user_1')
+      expect(json['metadata']['total']).to eq(2)
+    end
+
+    it 'lists the export templates of a record type' do
+      sign_in(@user1)
+      get '/api/v2/export_templates?record_type=tracing_request'
+
+      expect(response).to have_http_status(200)
+      expect(json['data'].size).to eq(1)
+      expect(json['data'][0]['field_names']).to eq(%w[relation_name])
+    end
+  end
+
+  describe 'POST /api/v2/export_templates' do
+    it 'creates a new export template for the current user' do
+      sign_in(@user1)
+      params = {
+        data: {
+          name: 'Services', record_type: 'case', export_format: 'xls', flatten_subforms: true,
+          form_unique_ids: %w[services], field_names: %w[service_type service_implemented_day_time]
+        }
+      }
+
+      post '/api/v2/export_templates', params: params
+
+      expect(response).to have_http_status(200)
+      expect(json['data']['id']).not_to be_nil
+      expect(json['data']['flatten_subforms']).to be true
+      template = ExportTemplate.find(json['data']['id'])
+      expect(template.user).to eq(@user1)
+      expect(template.field_names).to eq(%w[service_type service_implemented_day_time])
+    end
+
+    it 'returns a 422 when the export format is not supported' do
+      sign_in(@user1)
+      params = { data: { name: 'Photos', record_type: 'case', export_format: 'photowall' } }
+
+      post '/api/v2/export_templates', params: params
+
+      expect(response).to have_http_status(422)
+      expect(json['errors'][0]['detail']).to eq('export_format')
+    end
+  end
+
+  describe 'DELETE /api/v2/export_templates/:id' do
+    it 'deletes an export template of the current user' do
+      sign_in(@user1)
+
+      delete "/api/v2/export_templates/#{@template1.id}"
+
+      expect(response).to have_http_status(200)
+      expect(json['data']['id']).to eq(@template1.id)
+      expect(ExportTemplate.find_by(id: @template1.id)).to be_nil
+    end
+
+    it 'returns a 403 when the user is not the owner of the export template' do
+      sign_in(@user1)
+
+      delete "/api/v2/export_templates/#{@template3.id}"
+
+      expect(response).to have_http_status(403)
+      expect(json['errors'][0]['resource']).to eq("/api/v2/export_templates/#{@template3.id}")
+    end
+  end
+
+  after :each do
+    clean_data(ExportTemplate, Role, Agency, User)
+  end
+end
@@ -222,6 +222,46 @@ describe Api::V2::FormSectionsController, type: :request do
       expect(form_section.fields.first.display_name_es).to eq(params[:data][:fields][0][:display_name][:es])
     end
 
+    it "creates a new form with the display conditions of its fields" do
+      login_for_test({
+        permissions: [
+          Permission.new(:resource => Permission::METADATA, :actions => [Permission::MANAGE])
+        ]
+      })
+
+      display_conditions = {
+        'and' => [
+          { 'eq' => { 'disability_yes_no' => 'true' } },
+          { 'in' => { 'disability_type' => %w[physical mental] } }
+        ]
+      }
+      params = {data: {
+          unique_id: 'client_created_form_1',
+          name: {
+            en: 'Client Created Form 1',
+          },
+          fields: [
+            {
+              'name': 'disability_details',
+              'type': 'text_field',
+              'display_name': {
+                'en': 'Disability details'
+              },
+              'display_conditions': display_conditions,
+              'clear_hidden_value': true
+            }
+          ]
+        }
+      }
+      post '/api/v2/forms', params: params, as: :json
+
+      expect(response).to have_http_status(200)
+      field = FormSection.find_by(id: json['data']['id']).fields.first
+      expect(field.display_conditions).to eq(display_conditions)
+      expect(field.clear_hidden_value).to be true
+      expect(json['data']['fields'][0]['display_conditions']).to eq(display_conditions)
+    end
+
     it "returns 403 if user isn't authorized to create records" do
       login_for_test(permissions: [])
       unique_id = 'client_created_form_1'
@@ -160,6 +160,20 @@ describe Api::V2::ReportsController, type: :request do
       expect(json['data']["report_data"]).to eq(report_data)
     end
 
+    it "applies the filters chosen when viewing the report" do
+      login_for_test({
+        permissions: [
+          Permission.new(resource: Permission::REPORT, actions: [Permission::READ])
+        ],
+        modules: [@cp]
+      })
+
+      get "/api/v2/reports/#{@report_1.id}", params: { filters: { status: [Record::STATUS_CLOSED] } }
+
+      expect(response).to have_http_status(200)
+      expect(json['data']['report_data']).to be_nil
+    end
+
     it 'refuses unauthorized access' do
       login_for_test
 
@@ -185,6 +199,174 @@ describe Api::V2::ReportsController, type: :request do
     end
   end
 
+  describe "POST /api/v2/reports" do
+    it "creates a new report and returns 200 and json" do
+      login_for_test({
+        permissions: [
+          Permission.new(resource: Permission::REPORT, actions: [Permission::CREATE])
+        ],
+        modules: [@cp]
+      })
+
+      params = {
+        data: {
+          name: { en: 'Cases by Sex' },
+          description: { en: 'Number of cases by sex' },
+          module_id: PrimeroModule::CP,
+          record_type: 'case',
+          aggregate_by: ['sex'],
+          disaggregate_by: ['owned_by_location'],
+          graph: true,
+          graph_type: Report::PIE,
+          filters: [{ attribute: 'status', value: [Record::STATUS_OPEN] }]
+        }
+      }
+
+      post '/api/v2/reports', params: params
+
+      expect(response).to have_http_status(200)
+      expect(json['data']['name']['en']).to eq('Cases by Sex')
+      expect(json['data']['aggregate_by']).to eq(['sex'])
+      expect(json['data']['graph']).to be true
+      expect(json['data']['graph_type']).to eq(Report::PIE)
+      expect(Report.find(json['data']['id']).filters).to eq(
+        [{ 'attribute' => 'status', 'value' => [Record::STATUS_OPEN] }]
+      )
+    end
+
+    it 'refuses unauthorized access' do
+      login_for_test({
+        permissions: [
+          Permission.new(resource: Permission::REPORT, actions: [Permission::READ])
+        ],
+        modules: [@cp]
+      })
+
+      post '/api/v2/reports', params: { data: { name: { en: 'Cases by Sex' } } }
+
+      expect(response).to have_http_status(403)
+      expect(json['errors'][0]['resource']).to eq('/api/v2/reports')
+    end
+  end
+
+  describe "PATCH /api/v2/reports/:id" do
+    before :each do
+      @report_2 = Report.create!(
+        name_en: 'Cases by Sex',
+        module_id: PrimeroModule::CP,
+        record_type: 'case',
+        aggregate_by: ['sex']
+      )
+    end
+
+    it "updates an existing report with 200" do
+      login_for_test({
+        permissions: [
+          Permission.new(resource: Permission::REPORT, actions: [Permission::MANAGE])
+        ],
+        modules: [@cp]
+      })
+
+      params = { data: { name: { es: 'Casos por sexo' }, disaggregate_by: ['age'] } }
+
+      patch "/api/v2/reports/#{@report_2.id}", params: params
+
+      expect(response).to have_http_status(200)
+      expect(json['data']['name']['en']).to eq('Cases by Sex')
+      expect(json['data']['name']['es']).to eq('Casos por sexo')
+      expect(json['data']['disaggregate_by']).to eq(['age'])
+    end
+
+    it "refuses to update a report that is not editable" do
+      login_for_test({
+        permissions: [
+          Permission.new(resource: Permission::REPORT, actions: [Permission::MANAGE])
+        ],
+        modules: [@cp]
+      })
+
+      patch "/api/v2/reports/#{@report_1.id}", params: { data: { name: { en: 'Report' } } }
+
+      expect(response).to have_http_status(403)
+    end
+  end
+
+  describe "DELETE /api/v2/reports/:id" do
+    it "deletes an existing report with 200" do
+      report_2 = Report.create!(
+        name_en: 'Cases by Sex',
+        module_id: PrimeroModule::CP,
+        record_type: 'case',
+        aggregate_by: ['sex']
+      )
+      login_for_test({
+        permissions: [
+          Permission.new(resource: Permission::REPORT, actions: [Permission::MANAGE])
+        ],
+        modules: [@cp]
+      })
+
+      delete "/api/v2/reports/#{report_2.id}"
+
+      expect(response).to have_http_status(200)
+      expect(json['data']['id']).to eq(report_2.id)
+      expect(Report.find_by(id: report_2.id)).to be_nil
+    end
+
+    it 'returns a 404 when trying to delete a report with a non-existant id' do
+      login_for_test({
+        permissions: [
+          Permission.new(resource: Permission::REPORT, actions: [Permission::MANAGE])
+        ],
+        modules: [@cp]
+      })
+
+      delete '/api/v2/reports/thisdoesntexist'
+
+      expect(response).to have_http_status(404)
+      expect(json['errors'][0]['resource']).to eq('/api/v2/reports/thisdoesntexist')
+    end
+  end
+
+  describe "POST /api/v2/reports/preview", search: true do
+    it "builds the report without saving it" do
+      login_for_test({
+        permissions: [
+          Permission.new(resource: Permission::REPORT, actions: [Permission::CREATE])
+        ],
+        modules: [@cp]
+      })
+
+      params = {
+        data: {
+          name: { en: 'Protection Concerns' },
+          module_id: PrimeroModule::CP,
+          record_type: 'case',
+          aggregate_by: ['owned_by_location'],
+          disaggregate_by: ['protection_concerns']
+        }
+      }
+
+      expect { post '/api/v2/reports/preview', params: params }.not_to change(Report, :count)
+      expect(response).to have_http_status(200)
+      expect(json['data']['report_data']['cn']['_total']).to eq(1)
+    end
+
+    it 'refuses unauthorized access' do
+      login_for_test({
+        permissions: [
+          Permission.new(resource: Permission::REPORT, actions: [Permission::READ])
+        ],
+        modules: [@cp]
+      })
+
+      post '/api/v2/reports/preview', params: { data: { name: { en: 'Cases by Sex' } } }
+
+      expect(response).to have_http_status(403)
+      expect(json['errors'][0]['resource']).to eq('/api/v2/reports/preview')
+    end
+  end
+
   after :each do
     [
       PrimeroModule, PrimeroProgram, Report, User,
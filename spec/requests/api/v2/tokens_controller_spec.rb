@@ -29,6 +29,7 @@ describe Api::V2::TokensController, type: :request do
       expect(json['token']).to be_present
       expect(json['token']).to eq(authorization_token)
       expect(jwt_header['sub']).to be_present
+      expect(json['offline_secret']).to eq(@user.offline_secret)
     end
 
     it 'sets the JWT token as an HTTP-only, domain bound cookie' do
@@ -380,6 +380,76 @@ describe Api::V2::UsersController, type: :request do
     end
   end
 
+  describe 'POST /api/v2/users/import' do
+    let(:import_params) do
+      {
+        data: [
+          {
+            full_name: 'Imported User 1',
+            user_name: 'imported_user_1',
+            email: 'imported_user_1@localhost.com',
+            agency_id: @agency_a.id,
+            role_unique_id: @role.unique_id,
+            password_confirmation: 'a12345678',
+            password: 'a12345678',
+            user_group_unique_ids: ['user-group-1']
+          },
+          {
+            full_name: 'Imported User 2',
+            user_name: 'imported_user_2',
+            email: 'imported_user_2@localhost.com',
+            agency_id: @agency_b.id,
+            role_unique_id: @role.unique_id,
+            password_confirmation: 'a12345678',
+            password: 'a12345678'
+          }
+        ]
+      }
+    end
+
+    it 'creates every user and returns them as JSON' do
+      login_for_test(
+        permissions: [
+          Permission.new(resource: Permission::USER, actions: [Permission::CREATE])
+        ]
+      )
+
+      post '/api/v2/users/import', params: import_params
+
+      expect(response).to have_http_status(200)
+      expect(json['data'].map { |user| user['user_name'] }).to eq(%w[imported_user_1 imported_user_2])
+      expect(json['data'][0]['user_group_unique_ids']).to eq(['user-group-1'])
+      expect(User.where(user_name: %w[imported_user_1 imported_user_2]).count).to eq(2)
+    end
+
+    it 'creates none of the users and returns the errors of every invalid user' do
+      login_for_test(
+        permissions: [
+          Permission.new(resource: Permission::USER, actions: [Permission::CREATE])
+        ]
+      )
+      import_params[:data][1][:user_name] = 'imported_user_1'
+
+      post '/api/v2/users/import', params: import_params
+
+      expect(response).to have_http_status(422)
+      expect(json['errors'].size).to eq(1)
+      expect(json['errors'][0]['resource']).to eq('/api/v2/users/import')
+      expect(json['errors'][0]['detail']).to eq('user_name')
+      expect(json['errors'][0]['row']).to eq(1)
+      expect(User.where(user_name: 'imported_user_1').count).to eq(0)
+    end
+
+    it "returns 403 if user isn't authorized to create users" do
+      login_for_test
+
+      post '/api/v2/users/import', params: import_params
+
+      expect(response).to have_http_status(403)
+      expect(json['errors'][0]['resource']).to eq('/api/v2/users/import')
+    end
+  end
+
   describe 'PATCH /api/v2/users/:id' do
     it 'updates an existing user with 200' do
       login_for_test(
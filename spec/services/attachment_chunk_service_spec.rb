@@ -0,0 +1,68 @@
+# frozen_string_literal: true
+
+require 'rails_helper'
+
+describe AttachmentChunkService do
+  before(:each) do
+    clean_data(AttachmentChunk, Child)
+    @case = Child.create(data: { name: 'Test' })
+    @user = User.new(user_name: 'user1')
+  end
+
+  let(:service) { AttachmentChunkService.new('upload-1', 3, @user, @case) }
+
+  it 'is not complete until all chunks are received' do
+    service.store(0, 'AAAA')
+    service.store(2, 'CCCC')
+
+    expect(service.received).to eq(2)
+    expect(service.complete?).to be_falsey
+  end
+
+  it 'assembles the chunks in order' do
+    service.store(2, 'CCCC')
+    service.store(0, 'AAAA')
+    service.store(1, 'BBBB')
+
+    expect(service.complete?).to be_truthy
+    expect(service.assemble).to eq('AAAABBBBCCCC')
+    expect(AttachmentChunk.count).to eq(0)
+  end
+
+  it 'accepts the same chunk more than once' do
+    service.store(0, 'AAAA')
+    service.store(0, 'AAAA')
+
+    expect(service.received).to eq(1)
+  end
+
+  it 'keeps the uploads of other users and records apart' do
+    service.store(0, 'AAAA')
+    other_case = Child.create(data: { name: 'Other' })
+
+    expect(AttachmentChunkService.new('upload-1', 3, User.new(user_name: 'user2'), @case).received).to eq(0)
+    expect(AttachmentChunkService.new('upload-1', 3, @user, other_case).received).to eq(0)
+  end
+
+  it 'refuses the chunks out of range, too many or too large' do
+    expect { service.store(3, 'DDDD') }.to raise_error(ActiveRecord::RecordInvalid)
+    expect do
+      AttachmentChunkService.new('upload-2', AttachmentChunk::MAX_CHUNKS + 1, @user, @case).store(0, 'AAAA')
+    end.to raise_error(ActiveRecord::RecordInvalid)
+    expect { service.store(0, 'A' * (AttachmentChunk::MAX_SIZE + 1)) }.to raise_error(ActiveRecord::RecordInvalid)
+  end
+
+  it 'deletes the chunks of the abandoned uploads' do
+    service.store(0, 'AAAA')
+    AttachmentChunk.update_all(updated_at: (AttachmentChunk::EXPIRES + 1.hour).ago)
+    AttachmentChunkService.new('upload-2', 3, @user, @case).store(0, 'AAAA')
+
+    ExpireAttachmentChunks.expire_chunks
+
+    expect(AttachmentChunk.pluck(:upload_id)).to eq(%w[upload-2])
+  end
+
+  after(:each) do
+    clean_data(AttachmentChunk, Child)
+  end
+end
@@ -19,6 +19,31 @@ describe ExportService do
       expect(export).to be_nil
     end
 
+    it 'builds a custom export with the exporter of the selected format' do
+      export = ExportService.build(
+        { export_format: 'custom', record_type: 'case', custom_export_params: { format: 'csv' } }, nil
+      )
+      expect(export.exporter).to be_instance_of(Exporters::CSVExporter)
+    end
+
+    it 'builds a custom export to Excel by default' do
+      export = ExportService.build({ export_format: 'custom', record_type: 'case' }, nil)
+      expect(export.exporter).to be_instance_of(Exporters::SelectedFieldsExcelExporter)
+    end
+
+    it 'builds a case pdf export' do
+      export = ExportService.build({ export_format: 'case_pdf', record_type: 'case' }, nil)
+      expect(export.exporter).to be_instance_of(Exporters::PDFExporter)
+    end
+
+    it 'builds the incident recorder and MRM violation exports for incidents' do
+      export = ExportService.build({ export_format: 'incident_recorder_xls', record_type: 'incident' }, nil)
+      expect(export.exporter).to be_instance_of(Exporters::IncidentRecorderExporter)
+
+      export = ExportService.build({ export_format: 'mrm_violation_xls', record_type: 'incident' }, nil)
+      expect(export.exporter).to be_instance_of(Exporters::MRMViolationExporter)
+    end
+
     it 'builds a DuplicateBUlkExport based on the format' do
       export = ExportService.build({ export_format: 'duplicate_id_csv', record_type: 'case' }, nil)
       expect(export.exporter).to be_instance_of(Exporters::DuplicateIdCSVExporter)
@@ -43,11 +68,18 @@ describe ExportService do
         .at_least(:once)
     end
 
-    it 'does not enqueue an export job if the password is missing' do
+    it 'does not enqueue an export job if the password is missing and the exports are zipped' do
+      allow(ZipService).to receive(:require_password?).and_return(true)
       ExportService.enqueue(export, nil)
       expect(BulkExportJob).not_to have_been_enqueued
     end
 
+    it 'enqueues an export job without a password if the exports are not zipped' do
+      allow(ZipService).to receive(:require_password?).and_return(false)
+      ExportService.enqueue(export, nil)
+      expect(BulkExportJob).to have_been_enqueued.with(export.id, nil).at_least(:once)
+    end
+
     after :each do
       ActiveJob::Base.queue_adapter.enqueued_jobs.clear
     end
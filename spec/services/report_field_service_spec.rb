@@ -78,6 +78,7 @@ describe ReportFieldService do
   it 'returns the horizontal fields' do
     horizontal_field = {
       name: 'owned_by_location',
+      type: 'select_box',
       display_name: { 'en' => 'Owned by location'},
       position: {type: 'horizontal', order: 0},
       option_strings_source: "Location",
@@ -91,6 +92,7 @@ describe ReportFieldService do
   it 'returns the vertical fields' do
     vertical_field = {
       name: 'protection_concerns',
+      type: 'select_box',
       display_name: { 'en' => 'Protection Concerns'},
       position: {type: 'vertical', order: 0}
 
@@ -102,6 +104,7 @@ describe ReportFieldService do
   it 'returns a field withs options from lookup' do
     report_risk_field = {
       name: 'risk_level',
+      type: 'select_box',
       display_name: { 'en' => 'Risk level'},
       position: { type: 'horizontal', order: 0 },
       option_labels: {
@@ -121,6 +124,7 @@ describe ReportFieldService do
   it 'returns a location field' do
     report_owned_by_location_field = {
       name: 'owned_by_location',
+      type: 'select_box',
       display_name: { 'en' => 'Owned by location' },
       position: { type: 'horizontal', order: 0 },
       option_strings_source: 'Location',
@@ -134,6 +138,7 @@ describe ReportFieldService do
   it 'returns a field with options from string text source' do
     report_sex_field = {
       name: 'sex',
+      type: 'select_box',
       display_name: { 'en' => 'Sex' },
       position: { type: 'horizontal', order: 0 },
       option_labels: {